@@ -0,0 +1,124 @@
+// Invoice lines that aren't service usage: credits, refunds, tax and AWS
+// Support plan charges. Parsers return them as typed adjustments next to the
+// SKUs rather than dropping them or counting them as service spend, and they
+// stay out of the pooling math:
+// - credits and refunds belong to the account and pass through unchanged
+// - support plans are priced per account, not by volume, and pass through unchanged
+// - tax is charged on what the account pays, so on a pooled bill it follows
+//   the pooled charges at the invoice's own effective tax rate
+
+const { CURRENCY_MARK } = require('./currency');
+
+const ADJUSTMENT_TYPES = {
+  credit: 'Credit',
+  refund: 'Refund',
+  tax: 'Tax',
+  support: 'Support plan'
+};
+
+// First matching rule wins, so "Refund of VAT" is a refund rather than tax
+const ADJUSTMENT_RULES = [
+  { type: 'refund', pattern: /\brefund/i },
+  { type: 'credit', pattern: /\bcredits?\b|\bpromotional\b/i },
+  { type: 'tax', pattern: /\b(?:vat|gst|hst|sales tax|tax(?:es)?)\b/i },
+  { type: 'support', pattern: /\bsupport\b/i }
+];
+
+// Summary rows that mention an adjustment type but aren't one ("Total pre-tax")
+const SUMMARY_ROW = /^(?:total|sub-?total|amount due|balance|estimated total)\b|\bpre-?tax\b/i;
+
+const isAdjustmentType = (value) => Object.prototype.hasOwnProperty.call(ADJUSTMENT_TYPES, value);
+
+const classifyAdjustment = (text) => {
+  if (!text || SUMMARY_ROW.test(text.trim())) return null;
+  const rule = ADJUSTMENT_RULES.find(candidate => candidate.pattern.test(text));
+  return rule ? rule.type : null;
+};
+
+// Credits and refunds reduce the bill whichever sign the source prints them with
+const signedAmount = (type, amount) => (type === 'credit' || type === 'refund' ? -Math.abs(amount) : amount);
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+// Adjustment record as stored on the invoice
+const buildAdjustment = ({ type, description, amount, source }, index = 0) => ({
+  id: `adj-${Date.now()}-${index}`,
+  type,
+  description: description || ADJUSTMENT_TYPES[type],
+  amount: roundCents(signedAmount(type, amount)),
+  source: source || null
+});
+
+// "$12.34", "-$12.34", "$-12.34", "($12.34)" and "-EUR 12.34" → signed number
+const parseSignedAmount = (text) => {
+  const negative = /^\(.*\)$/.test(text.trim()) || text.includes('-');
+  const value = parseFloat(text.replace(/[^\d.]/g, ''));
+  return negative ? -value : value;
+};
+
+// Adjustment lines found in plain invoice text, for parsers that only have the text
+const TEXT_PATTERN = new RegExp(
+  `((?:AWS )?Support \\([A-Za-z -]+\\)|Support Plan|(?:Promotional )?Credits?|Refunds?|VAT|GST|HST|Sales Tax|Tax(?:es)?)\\b[^$€£₹¥\\n]{0,40}?`
+  + `(\\(${CURRENCY_MARK}\\s*[\\d,]+(?:\\.\\d{2})?\\)|-?${CURRENCY_MARK}\\s*-?[\\d,]+(?:\\.\\d{2})?)`,
+  'gi'
+);
+
+const extractAdjustmentsFromText = (text) => {
+  const adjustments = [];
+  let match;
+  while ((match = TEXT_PATTERN.exec(text)) !== null) {
+    // Skip summary rows like "Total pre-tax $70.00" or "Total tax $5.00"
+    const before = text.slice(Math.max(0, match.index - 12), match.index);
+    if (/(?:total|pre-?)\s*$/i.test(before)) continue;
+
+    const type = classifyAdjustment(match[1]);
+    const amount = parseSignedAmount(match[2]);
+    if (!type || !amount) continue;
+    adjustments.push(buildAdjustment({ type, description: match[1].trim(), amount, source: 'text' }, adjustments.length));
+  }
+  return adjustments;
+};
+
+// Total per type plus the overall total (credits and refunds negative)
+const summarizeAdjustments = (adjustments = []) => {
+  const byType = Object.fromEntries(Object.keys(ADJUSTMENT_TYPES).map(type => [type, 0]));
+  adjustments.forEach(adjustment => {
+    byType[adjustment.type] = roundCents((byType[adjustment.type] || 0) + adjustment.amount);
+  });
+  return {
+    byType,
+    total: roundCents(adjustments.reduce((sum, adjustment) => sum + adjustment.amount, 0))
+  };
+};
+
+// What the account owes standalone and in the pool once adjustments are applied.
+// `pooled` and `standalone` are the account's service cost either way (standalone
+// defaults to the printed total); support and credits carry over unchanged and
+// tax, at the invoice's own effective rate, is re-based on the service charges.
+const netAmounts = (invoice, pooled, standalone = invoice.totalCost) => {
+  const { byType } = summarizeAdjustments(invoice.adjustments);
+  const passThrough = byType.support + byType.credit + byType.refund;
+  const taxableStandalone = invoice.totalCost + byType.support;
+  const taxRate = taxableStandalone > 0 ? byType.tax / taxableStandalone : 0;
+  const standaloneTax = (standalone + byType.support) * taxRate;
+  const pooledTax = (pooled + byType.support) * taxRate;
+
+  return {
+    standalone: roundCents(standalone + passThrough + standaloneTax),
+    pooled: roundCents(pooled + passThrough + pooledTax),
+    taxRate: Math.round(taxRate * 10000) / 10000,
+    standaloneTax: roundCents(standaloneTax),
+    pooledTax: roundCents(pooledTax)
+  };
+};
+
+module.exports = {
+  ADJUSTMENT_TYPES,
+  isAdjustmentType,
+  classifyAdjustment,
+  buildAdjustment,
+  parseSignedAmount,
+  extractAdjustmentsFromText,
+  summarizeAdjustments,
+  netAmounts
+};
@@ -0,0 +1,375 @@
+const { calculateSKUTieredCost, poolingKey } = require('./pricing');
+const { billableSKUs, averageRate } = require('./freeTier');
+const { invoiceCustomerId } = require('./customers');
+
+// Cost allocation: how a pool's pooled cost is split between its members.
+//
+// Allocation runs per pooling group (see pricing.js), treating the group's
+// pooled cost as a cooperative game: C(S) is what coalition S would pay for
+// the group's SKUs at S's combined volume. Every strategy hands out exactly
+// C(everyone) per group, and the per-member totals are rounded to cents so
+// they add up to the rounded pool total.
+//
+// Members are whatever the caller passes as { id, skus }. Pool views and
+// scenarios go through allocateInvoices, where a member is a customer - linked
+// accounts are one player, not one each. Free Tier allowances are per AWS
+// account, so a member made of several bills passes them as `accounts` (one
+// SKU array per bill). Free usage is taken off each account before the split;
+// the credit it's worth at the pooled rate is reported alongside.
+
+const ALLOCATION_STRATEGIES = {
+  proportional: 'Proportional to usage',
+  marginal: 'Marginal contribution',
+  shapley: 'Shapley value',
+  'standalone-cap': 'Proportional, capped at standalone cost'
+};
+
+const DEFAULT_ALLOCATION_STRATEGY = 'proportional';
+
+// Exact Shapley values up to this many members per group; sampled beyond it
+const EXACT_SHAPLEY_LIMIT = 10;
+const SHAPLEY_SAMPLES = 2000;
+
+const isAllocationStrategy = (value) => Object.prototype.hasOwnProperty.call(ALLOCATION_STRATEGIES, value);
+
+// Pooled cost of one group at the given per-SKU usage, same rule as calculatePooledSKUCost:
+// each SKU's own tiers are evaluated at the whole group's volume and charged pro rata.
+const groupCost = (skuUsage, catalog) => {
+  const total = Object.values(skuUsage).reduce((sum, usage) => sum + usage, 0);
+  if (total === 0) return 0;
+  return Object.entries(skuUsage).reduce((sum, [skuId, usage]) => (
+    sum + calculateSKUTieredCost(skuId, total, catalog) * (usage / total)
+  ), 0);
+};
+
+const combineUsage = (players, indexes) => {
+  const usage = {};
+  indexes.forEach(index => {
+    Object.entries(players[index].usage).forEach(([skuId, amount]) => {
+      usage[skuId] = (usage[skuId] || 0) + amount;
+    });
+  });
+  return usage;
+};
+
+const allIndexes = (players) => players.map((_, index) => index);
+
+const proportionalShares = (players, catalog) => {
+  const poolUsage = combineUsage(players, allIndexes(players));
+  const total = Object.values(poolUsage).reduce((sum, usage) => sum + usage, 0);
+  if (total === 0) return players.map(() => 0);
+
+  const skuCost = {};
+  Object.keys(poolUsage).forEach(skuId => {
+    skuCost[skuId] = calculateSKUTieredCost(skuId, total, catalog);
+  });
+  return players.map(player => Object.entries(player.usage).reduce((sum, [skuId, usage]) => (
+    sum + skuCost[skuId] * (usage / total)
+  ), 0));
+};
+
+// Members are credited with the savings they create: what the pool saves with
+// them minus what it would save without them. Shares are what's left of their
+// standalone cost after their cut of the pool's savings.
+const marginalShares = (players, catalog) => {
+  const everyone = allIndexes(players);
+  const poolCost = groupCost(combineUsage(players, everyone), catalog);
+  const standalone = players.map((_, index) => groupCost(combineUsage(players, [index]), catalog));
+  const poolSavings = standalone.reduce((sum, cost) => sum + cost, 0) - poolCost;
+
+  const contributions = players.map((_, index) => {
+    const others = everyone.filter(other => other !== index);
+    const withoutCost = groupCost(combineUsage(players, others), catalog);
+    const withoutSavings = others.reduce((sum, other) => sum + standalone[other], 0) - withoutCost;
+    return Math.max(0, poolSavings - withoutSavings);
+  });
+  const totalContribution = contributions.reduce((sum, value) => sum + value, 0);
+  if (totalContribution <= 0) return proportionalShares(players, catalog);
+
+  const shares = players.map((_, index) => standalone[index] - poolSavings * (contributions[index] / totalContribution));
+  // Contributions that add up to less than the pool's savings can over-credit a
+  // member past zero; proportional is the safe answer then
+  return shares.some(share => share < 0) ? proportionalShares(players, catalog) : shares;
+};
+
+// Deterministic PRNG so sampled Shapley values don't change between requests
+const seededRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+};
+
+// Average marginal cost of each member over join orders. Exact for small groups;
+// sampled orders still hand out exactly the pool cost since each order telescopes to it.
+const shapleyShares = (players, catalog) => {
+  const n = players.length;
+  const shares = new Array(n).fill(0);
+
+  if (n <= EXACT_SHAPLEY_LIMIT) {
+    const costs = new Array(1 << n);
+    for (let mask = 0; mask < (1 << n); mask++) {
+      costs[mask] = groupCost(combineUsage(players, allIndexes(players).filter(index => mask & (1 << index))), catalog);
+    }
+    const factorial = [1];
+    for (let k = 1; k <= n; k++) factorial[k] = factorial[k - 1] * k;
+
+    for (let mask = 0; mask < (1 << n); mask++) {
+      const size = allIndexes(players).filter(index => mask & (1 << index)).length;
+      const weight = factorial[size] * factorial[n - size - 1] / factorial[n];
+      for (let index = 0; index < n; index++) {
+        if (mask & (1 << index)) continue;
+        shares[index] += weight * (costs[mask | (1 << index)] - costs[mask]);
+      }
+    }
+    return shares;
+  }
+
+  const random = seededRandom(n);
+  for (let sample = 0; sample < SHAPLEY_SAMPLES; sample++) {
+    const order = allIndexes(players);
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    let joined = [];
+    let previousCost = 0;
+    order.forEach(index => {
+      joined = [...joined, index];
+      const cost = groupCost(combineUsage(players, joined), catalog);
+      shares[index] += cost - previousCost;
+      previousCost = cost;
+    });
+  }
+  return shares.map(share => share / SHAPLEY_SAMPLES);
+};
+
+// Proportional shares, with anyone above their standalone cost capped there and
+// the excess spread over the others. If the pool costs more than everyone's
+// standalone costs combined (only possible if a catalog's prices rise with
+// volume), nobody can be kept under standalone, so shares are scaled to standalone instead.
+const standaloneCapShares = (players, catalog) => {
+  const poolCost = groupCost(combineUsage(players, allIndexes(players)), catalog);
+  const standalone = players.map((_, index) => groupCost(combineUsage(players, [index]), catalog));
+  const totalStandalone = standalone.reduce((sum, cost) => sum + cost, 0);
+  if (totalStandalone <= poolCost) {
+    return totalStandalone > 0 ? standalone.map(cost => cost * (poolCost / totalStandalone)) : proportionalShares(players, catalog);
+  }
+
+  const proportional = proportionalShares(players, catalog);
+  const shares = [...proportional];
+  const capped = new Set();
+  for (;;) {
+    const over = allIndexes(players).filter(index => !capped.has(index) && shares[index] > standalone[index]);
+    if (over.length === 0) return shares;
+    over.forEach(index => capped.add(index));
+
+    const cappedCost = [...capped].reduce((sum, index) => sum + standalone[index], 0);
+    const open = allIndexes(players).filter(index => !capped.has(index));
+    const openWeight = open.reduce((sum, index) => sum + proportional[index], 0);
+    capped.forEach(index => { shares[index] = standalone[index]; });
+    open.forEach(index => {
+      shares[index] = openWeight > 0
+        ? (poolCost - cappedCost) * (proportional[index] / openWeight)
+        : (poolCost - cappedCost) / open.length;
+    });
+  }
+};
+
+const STRATEGY_SHARES = {
+  proportional: proportionalShares,
+  marginal: marginalShares,
+  shapley: shapleyShares,
+  'standalone-cap': standaloneCapShares
+};
+
+// Round to cents so the parts add up to the rounded total (largest remainder)
+const roundToTotal = (amounts, total) => {
+  // NaN or Infinity would leave cents to hand out forever
+  if (!Number.isFinite(total) || !amounts.every(Number.isFinite)) {
+    throw new Error(`Can't round non-finite amounts to cents: [${amounts.join(', ')}] totalling ${total}`);
+  }
+  const targetCents = Math.round(total * 100);
+  const floors = amounts.map(amount => Math.floor(amount * 100 + 1e-9));
+  let remaining = targetCents - floors.reduce((sum, cents) => sum + cents, 0);
+  const order = amounts
+    .map((amount, index) => ({ index, remainder: amount * 100 - floors[index] }))
+    .sort((a, b) => b.remainder - a.remainder);
+
+  const cents = [...floors];
+  for (let i = 0; remaining !== 0 && order.length > 0; i = (i + 1) % order.length) {
+    const step = remaining > 0 ? 1 : -1;
+    cents[order[i].index] += step;
+    remaining -= step;
+  }
+  return cents.map(value => value / 100);
+};
+
+// A member's group share split over their SKUs in that group, weighted by what
+// each SKU would cost them under the proportional rule at the group's volume
+const splitShareBySKU = (player, share, groupUsage, catalog) => {
+  const entries = Object.entries(player.usage);
+  const usageTotal = entries.reduce((sum, [, usage]) => sum + usage, 0);
+  const weights = entries.map(([skuId, usage]) => calculateSKUTieredCost(skuId, groupUsage, catalog) * usage);
+  const weightTotal = weights.reduce((sum, weight) => sum + weight, 0);
+  return entries.map(([skuId, usage], index) => [
+    skuId,
+    weightTotal > 0 ? share * (weights[index] / weightTotal) : share * (usage / usageTotal)
+  ]);
+};
+
+// Split the pool's pooled cost between members. Returns the rounded pool total,
+// each member's share keyed by member id (shares sum exactly to the total),
+// each member's share per SKU (summing exactly to the member's share), and the
+// Free Tier usage each member's accounts kept out of the pool, with its value.
+const allocatePoolCost = (members, catalog, strategy = DEFAULT_ALLOCATION_STRATEGY) => {
+  const computeShares = STRATEGY_SHARES[strategy];
+  if (!computeShares) throw new Error(`Unknown allocation strategy: ${strategy}`);
+
+  // Billable usage per member, per SKU, within each pooling group
+  const groups = {};
+  const freeUsage = Object.fromEntries(members.map(member => [member.id, {}]));
+  members.forEach(member => {
+    (member.accounts || [member.skus]).forEach(accountSKUs => {
+      billableSKUs(accountSKUs, catalog).forEach(sku => {
+        if (sku.freeTierUsage > 0) {
+          freeUsage[member.id][sku.skuId] = (freeUsage[member.id][sku.skuId] || 0) + sku.freeTierUsage;
+        }
+        if (!sku.usage) return;
+        const key = poolingKey(sku.skuId, catalog);
+        groups[key] = groups[key] || {};
+        const players = groups[key];
+        players[member.id] = players[member.id] || {};
+        players[member.id][sku.skuId] = (players[member.id][sku.skuId] || 0) + sku.usage;
+      });
+    });
+  });
+
+  const memberCosts = Object.fromEntries(members.map(member => [member.id, 0]));
+  const memberSKUCosts = Object.fromEntries(members.map(member => [member.id, {}]));
+  const groupVolumes = {};
+  let poolCost = 0;
+  Object.values(groups).forEach(group => {
+    const players = Object.entries(group).map(([id, usage]) => ({ id, usage }));
+    const groupUsage = combineUsage(players, allIndexes(players));
+    const groupTotal = Object.values(groupUsage).reduce((sum, usage) => sum + usage, 0);
+    const shares = computeShares(players, catalog);
+    players.forEach((player, index) => {
+      memberCosts[player.id] += shares[index];
+      splitShareBySKU(player, shares[index], groupTotal, catalog).forEach(([skuId, cost]) => {
+        memberSKUCosts[player.id][skuId] = (memberSKUCosts[player.id][skuId] || 0) + cost;
+      });
+    });
+    Object.keys(groupUsage).forEach(skuId => {
+      groupVolumes[skuId] = groupTotal;
+    });
+    poolCost += groupCost(groupUsage, catalog);
+  });
+
+  // What each member's free usage would have cost at the pool's rate
+  const freeTierCredits = Object.fromEntries(Object.entries(freeUsage).map(([id, skus]) => [
+    id,
+    Object.fromEntries(Object.entries(skus).map(([skuId, usage]) => [
+      skuId,
+      { usage, credit: Math.round(usage * averageRate(skuId, groupVolumes[skuId] || 0, catalog) * 100) / 100 }
+    ]))
+  ]));
+
+  const ids = Object.keys(memberCosts);
+  const rounded = roundToTotal(ids.map(id => memberCosts[id]), poolCost);
+  const skuShares = Object.fromEntries(ids.map((id, index) => {
+    const skuIds = Object.keys(memberSKUCosts[id]);
+    const skuRounded = roundToTotal(skuIds.map(skuId => memberSKUCosts[id][skuId]), rounded[index]);
+    return [id, Object.fromEntries(skuIds.map((skuId, skuIndex) => [skuId, skuRounded[skuIndex]]))];
+  }));
+  return {
+    strategy,
+    total: Math.round(poolCost * 100) / 100,
+    shares: Object.fromEntries(ids.map((id, index) => [id, rounded[index]])),
+    skuShares,
+    freeTierCredits
+  };
+};
+
+// Split `total` over `weights` in proportion (evenly when they're all zero)
+const splitByWeight = (total, weights) => {
+  const weightTotal = weights.reduce((sum, weight) => sum + weight, 0);
+  return weights.map(weight => (weightTotal > 0 ? total * (weight / weightTotal) : total / weights.length));
+};
+
+// Allocate a pool's invoices with each customer as one member, then hand each
+// customer's share down to their invoices: per SKU, by the billable usage each
+// invoice (account) has of it. Returns allocatePoolCost's shape keyed by invoice
+// id, plus `customerShares` keyed by customer id.
+const allocateInvoices = (invoices, catalog, strategy = DEFAULT_ALLOCATION_STRATEGY) => {
+  const byCustomer = {};
+  invoices.forEach(invoice => {
+    const customerId = invoiceCustomerId(invoice);
+    (byCustomer[customerId] = byCustomer[customerId] || []).push(invoice);
+  });
+
+  const allocation = allocatePoolCost(
+    Object.entries(byCustomer).map(([customerId, customerInvoices]) => ({
+      id: customerId,
+      skus: customerInvoices.flatMap(invoice => invoice.skus),
+      accounts: customerInvoices.map(invoice => invoice.skus)
+    })),
+    catalog,
+    strategy
+  );
+
+  const shares = {};
+  const skuShares = {};
+  const freeTierCredits = {};
+  Object.entries(byCustomer).forEach(([customerId, customerInvoices]) => {
+    const billable = customerInvoices.map(invoice => billableSKUs(invoice.skus, catalog));
+    const skuUsage = (index, skuId, field) => billable[index]
+      .filter(sku => sku.skuId === skuId)
+      .reduce((sum, sku) => sum + sku[field], 0);
+
+    const invoiceSKUCosts = customerInvoices.map(() => ({}));
+    Object.entries(allocation.skuShares[customerId]).forEach(([skuId, cost]) => {
+      splitByWeight(cost, customerInvoices.map((_, index) => skuUsage(index, skuId, 'usage')))
+        .forEach((part, index) => { invoiceSKUCosts[index][skuId] = part; });
+    });
+    const invoiceTotals = roundToTotal(
+      invoiceSKUCosts.map(costs => Object.values(costs).reduce((sum, cost) => sum + cost, 0)),
+      allocation.shares[customerId]
+    );
+
+    const invoiceCredits = customerInvoices.map(() => ({}));
+    Object.entries(allocation.freeTierCredits[customerId]).forEach(([skuId, { credit }]) => {
+      const usages = customerInvoices.map((_, index) => skuUsage(index, skuId, 'freeTierUsage'));
+      splitByWeight(credit, usages).forEach((part, index) => {
+        if (usages[index] > 0) invoiceCredits[index][skuId] = { usage: usages[index], credit: Math.round(part * 100) / 100 };
+      });
+    });
+
+    customerInvoices.forEach((invoice, index) => {
+      const skuIds = Object.keys(invoiceSKUCosts[index]);
+      const rounded = roundToTotal(skuIds.map(skuId => invoiceSKUCosts[index][skuId]), invoiceTotals[index]);
+      shares[invoice.id] = invoiceTotals[index];
+      skuShares[invoice.id] = Object.fromEntries(skuIds.map((skuId, skuIndex) => [skuId, rounded[skuIndex]]));
+      freeTierCredits[invoice.id] = invoiceCredits[index];
+    });
+  });
+
+  return {
+    strategy,
+    total: allocation.total,
+    shares,
+    skuShares,
+    freeTierCredits,
+    customerShares: allocation.shares
+  };
+};
+
+module.exports = {
+  ALLOCATION_STRATEGIES,
+  DEFAULT_ALLOCATION_STRATEGY,
+  isAllocationStrategy,
+  allocatePoolCost,
+  allocateInvoices,
+  roundToTotal
+};
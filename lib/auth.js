@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { invoiceCustomerId, findOrCreateCustomer } = require('./customers');
+
+// User accounts, sessions and role-based access.
+//
+// Roles:
+// - admin: runs the pool; the only role that edits or deletes anything
+//   (invoices, reviews, pools, pricing, exchange rates, users)
+// - analyst: sees every member's invoices and savings, runs scenarios and
+//   commitment analysis, uploads invoices for any member
+// - member: belongs to one organization (a customer record) and sees only that
+//   organization's invoices and savings, plus pool aggregates
+//
+// Users live in the "users" storage collection under random ids, with
+// "user-emails" mapping each normalized email to its user for sign-in.
+// Sessions live in "sessions". Signing in returns a random bearer token; only
+// its SHA-256 hash is stored, so a copy of the data directory can't be used to
+// sign in.
+
+const ROLES = {
+  admin: 'Pool admin',
+  analyst: 'Analyst',
+  member: 'Member'
+};
+
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 24 * 7;
+const MIN_PASSWORD_LENGTH = 8;
+
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const scrypt = promisify(crypto.scrypt);
+
+// "scrypt$<salt>$<hash>", hex encoded
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  const [scheme, salt, expected] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+  const hash = await scrypt(password, salt, 64);
+  const expectedHash = Buffer.from(expected, 'hex');
+  return expectedHash.length === hash.length && crypto.timingSafeEqual(hash, expectedHash);
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+const newUserId = () => `user-${crypto.randomBytes(8).toString('hex')}`;
+
+// The user record as sent to clients
+const publicUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  name: user.name,
+  role: user.role,
+  customerId: user.customerId || null,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt || null
+});
+
+// Members see their own organization's invoices; admins and analysts see all of them
+const canSeeInvoice = (user, invoice) => user.role !== 'member' || invoiceCustomerId(invoice) === user.customerId;
+
+const visibleInvoices = (user, invoices) => invoices.filter(invoice => canSeeInvoice(user, invoice));
+
+const createAuth = ({ storage }) => {
+  const findUserByEmail = async (email) => {
+    const normalized = normalizeEmail(email);
+    if (!normalized) return null;
+    const entry = await storage.get('user-emails', normalized);
+    if (entry) return storage.get('users', entry.userId);
+    // Users created before the email index existed
+    return (await storage.list('users')).find(user => user.email === normalized) || null;
+  };
+
+  const validateUser = async (input, existing = null) => {
+    const email = existing ? existing.email : normalizeEmail(input.email);
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) throw new AuthError('A valid email is required.', 400);
+
+    const role = input.role || (existing && existing.role);
+    if (!ROLES[role]) throw new AuthError(`role must be one of: ${Object.keys(ROLES).join(', ')}`, 400);
+
+    if (input.password !== undefined || !existing) {
+      if (typeof input.password !== 'string' || input.password.length < MIN_PASSWORD_LENGTH) {
+        throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`, 400);
+      }
+    }
+
+    // A member's organization: an existing customer by id, or one named in `customerName`
+    // (created like on a first upload, so members can be invited before they upload)
+    let customerId = input.customerId !== undefined ? input.customerId : existing && existing.customerId;
+    if (role === 'member') {
+      if (typeof input.customerName === 'string' && input.customerName.trim()) {
+        customerId = (await findOrCreateCustomer(storage, input.customerName)).id;
+      } else if (typeof customerId !== 'string' || !(await storage.get('customers', customerId))) {
+        throw new AuthError('Members need the organization they belong to (customerId or customerName).', 400);
+      }
+    }
+
+    const name = typeof input.name === 'string' && input.name.trim() ? input.name.trim() : (existing ? existing.name : email);
+    return { email, role, name, customerId: role === 'member' ? customerId : null };
+  };
+
+  const createUser = async (input) => {
+    const fields = await validateUser(input);
+    if (await findUserByEmail(fields.email)) throw new AuthError(`A user with email ${fields.email} already exists.`, 409);
+
+    const user = {
+      id: newUserId(),
+      ...fields,
+      passwordHash: await hashPassword(input.password),
+      createdAt: new Date().toISOString()
+    };
+    await storage.put('users', user);
+    await storage.put('user-emails', { id: user.email, userId: user.id });
+    return publicUser(user);
+  };
+
+  // Change a user's name, role, organization or password; their sessions end when their access changes
+  const updateUser = async (id, input) => {
+    const existing = await storage.get('users', id);
+    if (!existing) throw new AuthError('User not found.', 404);
+
+    const fields = await validateUser(input, existing);
+    const user = {
+      ...existing,
+      ...fields,
+      passwordHash: input.password !== undefined ? await hashPassword(input.password) : existing.passwordHash,
+      updatedAt: new Date().toISOString()
+    };
+    await storage.put('users', user);
+    if (user.role !== existing.role || user.customerId !== existing.customerId || input.password !== undefined) {
+      await endSessions(id);
+    }
+    return publicUser(user);
+  };
+
+  const removeUser = async (id) => {
+    const user = await storage.get('users', id);
+    if (!user || !(await storage.remove('users', id))) throw new AuthError('User not found.', 404);
+    await storage.remove('user-emails', user.email);
+    await endSessions(id);
+  };
+
+  const listUsers = async () => (await storage.list('users'))
+    .map(publicUser)
+    .sort((a, b) => a.email.localeCompare(b.email));
+
+  const endSessions = async (userId) => {
+    const sessions = await storage.list('sessions');
+    for (const session of sessions.filter(entry => entry.userId === userId)) {
+      await storage.remove('sessions', session.id);
+    }
+  };
+
+  // Hash checked for unknown emails, so a failed sign-in takes as long either way
+  // and its timing doesn't tell which emails have accounts
+  const unknownUserHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+  const login = async (email, password) => {
+    const user = await findUserByEmail(email);
+    const passwordHash = user ? user.passwordHash : await unknownUserHash;
+    const valid = await verifyPassword(typeof password === 'string' ? password : '', passwordHash);
+    if (!user || !valid) {
+      throw new AuthError('Incorrect email or password.');
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    const session = {
+      id: hashToken(token),
+      userId: user.id,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString()
+    };
+    await storage.put('sessions', session);
+    return { token, expiresAt: session.expiresAt, user: publicUser(user) };
+  };
+
+  const logout = (token) => storage.remove('sessions', hashToken(token));
+
+  // User for a bearer token, or null when it's unknown or expired
+  const userForToken = async (token) => {
+    const session = await storage.get('sessions', hashToken(token));
+    if (!session) return null;
+    if (session.expiresAt < new Date().toISOString()) {
+      await storage.remove('sessions', session.id);
+      return null;
+    }
+    return storage.get('users', session.userId);
+  };
+
+  const bearerToken = (req) => {
+    const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+  };
+
+  // Middleware mounted on the API prefix (app.use('/api', ...)), so it runs for every
+  // path the routes match whatever its casing: every request needs a signed-in user
+  // except the ones to `publicPaths`, relative to the prefix ('/auth/login')
+  const authenticate = (publicPaths) => async (req, res, next) => {
+    if (publicPaths.includes(req.path.toLowerCase())) return next();
+
+    const token = bearerToken(req);
+    const user = token ? await userForToken(token) : null;
+    if (!user) {
+      return res.status(401).json({ error: 'Sign in to continue.' });
+    }
+    req.user = user;
+    req.token = token;
+    next();
+  };
+
+  // Middleware: only these roles may use the route
+  const requireRole = (...roles) => (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ error: `Only ${roles.map(role => ROLES[role].toLowerCase() + 's').join(' and ')} can do this.` });
+    }
+    next();
+  };
+
+  // First start: create the admin from ADMIN_EMAIL / ADMIN_PASSWORD while there are no users yet.
+  // Returns the new admin, null when users already exist, false when there's nobody to create.
+  const ensureAdmin = async ({ email, password }) => {
+    if ((await storage.list('users')).length > 0) return null;
+    if (!email || !password) return false;
+    return createUser({ email, password, role: 'admin', name: 'Pool admin' });
+  };
+
+  return {
+    createUser,
+    updateUser,
+    removeUser,
+    listUsers,
+    login,
+    logout,
+    authenticate,
+    requireRole,
+    ensureAdmin
+  };
+};
+
+module.exports = {
+  ROLES,
+  AuthError,
+  publicUser,
+  canSeeInvoice,
+  visibleInvoices,
+  createAuth
+};
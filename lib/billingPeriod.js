@@ -0,0 +1,63 @@
+// Billing periods are calendar months written as "YYYY-MM". Every invoice
+// belongs to one, and pool stats are only meaningful within a single period:
+// AWS volume tiers reset each month.
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+
+// Labels AWS invoices put in front of the period they cover
+const PERIOD_LABEL = /(?:billing|statement|service|invoice)\s+period|charges\s+for|period\s+covered|bill\s+for/i;
+
+const isBillingPeriod = (value) => typeof value === 'string' && /^\d{4}-(0[1-9]|1[0-2])$/.test(value);
+
+const billingPeriodFromDate = (date) => new Date(date).toISOString().slice(0, 7);
+
+const formatPeriod = (year, monthIndex) => `${year}-${String(monthIndex + 1).padStart(2, '0')}`;
+
+const monthIndex = (name) => MONTHS.findIndex(month => month.startsWith(name.toLowerCase().slice(0, 3)));
+
+// First calendar month mentioned in a snippet: "2025-10-01", "October 1 - 31, 2025", "Oct 2025"
+const firstPeriodIn = (snippet) => {
+  const iso = snippet.match(/\b(20\d{2})-(0[1-9]|1[0-2])-\d{2}\b/);
+  const named = snippet.match(new RegExp(`\\b${MONTH_NAME}\\.?\\b[^\\n]{0,40}?\\b(20\\d{2})\\b`, 'i'));
+
+  if (iso && (!named || iso.index < named.index)) return `${iso[1]}-${iso[2]}`;
+  if (named) return formatPeriod(named[2], monthIndex(named[1]));
+  return null;
+};
+
+// Billing month printed on a PDF invoice, or null when the text doesn't say.
+// Looks right after a period label first, then anywhere in the document.
+const extractBillingPeriod = (text) => {
+  if (!text) return null;
+
+  const label = text.match(PERIOD_LABEL);
+  if (label) {
+    const period = firstPeriodIn(text.slice(label.index, label.index + 120));
+    if (period) return period;
+  }
+  return firstPeriodIn(text);
+};
+
+// Invoices stored before billing periods existed fall into their upload month
+const invoicePeriod = (invoice) => invoice.billingPeriod || billingPeriodFromDate(invoice.uploadDate);
+
+// Date the period starts, used to pick the pricing catalog that applied at the time
+const periodStartDate = (period) => new Date(`${period}-01T00:00:00Z`);
+
+// The month `months` after `period` (before it when negative)
+const shiftPeriod = (period, months) => {
+  const [year, month] = period.split('-').map(Number);
+  return billingPeriodFromDate(new Date(Date.UTC(year, month - 1 + months, 1)));
+};
+
+module.exports = {
+  isBillingPeriod,
+  billingPeriodFromDate,
+  extractBillingPeriod,
+  invoicePeriod,
+  periodStartDate,
+  shiftPeriod
+};
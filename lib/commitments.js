@@ -0,0 +1,267 @@
+const fs = require('fs');
+const path = require('path');
+const { sumUsageBySKU, poolingKey } = require('./pricing');
+const { billableSKUs, billablePoolingTotals, averageRate } = require('./freeTier');
+const { shiftPeriod } = require('./billingPeriod');
+
+// Pooled commitment modelling: Reserved Instances and Savings Plans bought by
+// the pool and sized to its steady-state baseline, on top of the on-demand
+// volume tiers. Discount rates live in catalog/commitment-rates.json.
+//
+// The baseline is the lowest monthly usage over the lookback window, so the
+// commitment stays fully used even in the pool's quietest month. Everything
+// above the baseline stays on demand at the pool's volume-tier rate. Usage is
+// billable usage (each account's Free Tier off), the same volume the on-demand
+// rate is priced at, and a month in the window with no invoices counts as zero.
+
+const TERM_MONTHS = { '1yr': 12, '3yr': 36 };
+const PAYMENT_OPTIONS = ['no-upfront', 'partial-upfront', 'all-upfront'];
+
+const LOOKBACK_PERIODS = 12;
+// 3-year terms are only recommended with this much history and a floor close to the peak
+const STABLE_HISTORY_PERIODS = 6;
+const STABILITY_RATIO = 0.8;
+// With less history than this, only part of the observed floor is committed
+const SHORT_HISTORY_PERIODS = 3;
+const SHORT_HISTORY_COVERAGE = 0.8;
+// Annual rate used to compare paying upfront against paying monthly
+const DEFAULT_COST_OF_CAPITAL = 0.08;
+
+class CommitmentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const loadCommitmentRates = (catalogDir) => (
+  JSON.parse(fs.readFileSync(path.join(catalogDir, 'commitment-rates.json'), 'utf8'))
+);
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+// Cost profile of committing to `monthlyOnDemand` worth of baseline usage for one term and payment option
+const priceOption = ({ monthlyOnDemand, discount, term, payment, monthlyRate }) => {
+  const months = TERM_MONTHS[term];
+  const termCost = monthlyOnDemand * (1 - discount) * months;
+  const upfrontCost = payment === 'all-upfront' ? termCost : payment === 'partial-upfront' ? termCost / 2 : 0;
+  const monthlyRecurringCost = (termCost - upfrontCost) / months;
+
+  // Present value of staying on demand minus present value of the commitment
+  const annuity = monthlyRate > 0 ? (1 - Math.pow(1 + monthlyRate, -months)) / monthlyRate : months;
+  const presentValueSavings = monthlyOnDemand * annuity - (upfrontCost + monthlyRecurringCost * annuity);
+
+  return {
+    term,
+    payment,
+    discount,
+    upfrontCost: roundCents(upfrontCost),
+    monthlyRecurringCost: roundCents(monthlyRecurringCost),
+    effectiveMonthlyCost: roundCents(termCost / months),
+    monthlySavings: roundCents(monthlyOnDemand * discount),
+    presentValueSavings: roundCents(presentValueSavings),
+    // Months of on-demand spend it takes to earn back the upfront payment
+    breakEvenMonths: upfrontCost === 0 ? 0 : Math.round(upfrontCost / (monthlyOnDemand - monthlyRecurringCost) * 10) / 10,
+    // Share of the committed capacity that has to be used for the commitment to beat on demand
+    breakEvenUtilization: Math.round((1 - discount) * 1000) / 1000
+  };
+};
+
+// Discounted savings spread over the term, so 1yr and 3yr options compare fairly
+const monthlyEquivalentSavings = (option, monthlyRate) => {
+  const months = TERM_MONTHS[option.term];
+  const annuity = monthlyRate > 0 ? (1 - Math.pow(1 + monthlyRate, -months)) / monthlyRate : months;
+  return option.presentValueSavings / annuity;
+};
+
+// Price every term and payment option in a rate table and pick the best allowed one
+const chooseOption = (rateTable, monthlyOnDemand, { stable, monthlyRate, term, payment }) => {
+  const options = [];
+  Object.keys(TERM_MONTHS).forEach(optionTerm => {
+    PAYMENT_OPTIONS.forEach(optionPayment => {
+      const discount = rateTable[optionTerm] && rateTable[optionTerm][optionPayment];
+      if (discount === undefined) return;
+      options.push(priceOption({ monthlyOnDemand, discount, term: optionTerm, payment: optionPayment, monthlyRate }));
+    });
+  });
+
+  const candidates = options.filter(option => (
+    (term ? option.term === term : stable || option.term === '1yr')
+    && (!payment || option.payment === payment)
+  ));
+  const value = (option) => monthlyEquivalentSavings(option, monthlyRate);
+  const recommended = candidates.reduce((best, option) => (!best || value(option) > value(best) ? option : best), null);
+  return { recommended, options };
+};
+
+// Steady-state floor of a monthly series, and whether it's steady enough for a 3-year term
+const baselineOf = (series) => {
+  const floor = Math.min(...series);
+  const peak = Math.max(...series);
+  return {
+    baseline: floor * (series.length < SHORT_HISTORY_PERIODS ? SHORT_HISTORY_COVERAGE : 1),
+    stable: series.length >= STABLE_HISTORY_PERIODS && peak > 0 && floor / peak >= STABILITY_RATIO
+  };
+};
+
+const validateChoice = (value, allowed, field) => {
+  if (value !== undefined && value !== null && !allowed.includes(value)) {
+    throw new CommitmentError(`${field} must be one of: ${allowed.join(', ')}`);
+  }
+};
+
+// Every month from the first in `history` to the last, at most LOOKBACK_PERIODS of them,
+// with the billable usage per SKU of its invoices (none for months without any)
+const lookbackUsage = (history, catalog) => {
+  if (history.length === 0) return [];
+  const last = history[history.length - 1].period;
+  const usage = Object.fromEntries(history.map(entry => [
+    entry.period,
+    sumUsageBySKU(entry.invoices.map(invoice => ({ skus: billableSKUs(invoice.skus, catalog) })))
+  ]));
+
+  const periods = [last];
+  while (periods.length < LOOKBACK_PERIODS && periods[0] > history[0].period) {
+    periods.unshift(shiftPeriod(periods[0], -1));
+  }
+  return periods.map(period => ({ period, usage: usage[period] || {} }));
+};
+
+// Recommend commitments for a pool. `history` is the pool's approved invoices
+// per billing period ([{ period, invoices }], oldest first); the last entry is
+// the period being priced. `term` / `payment` restrict the recommendation.
+const optimizeCommitments = ({ history, catalog, rates, costOfCapital = DEFAULT_COST_OF_CAPITAL, term, payment }) => {
+  validateChoice(term, Object.keys(TERM_MONTHS), 'term');
+  validateChoice(payment, PAYMENT_OPTIONS, 'payment');
+  if (!Number.isFinite(costOfCapital) || costOfCapital < 0) {
+    throw new CommitmentError('costOfCapital must be a non-negative number');
+  }
+
+  const lookback = lookbackUsage(history, catalog);
+  const current = lookback[lookback.length - 1];
+  const poolingTotals = current ? billablePoolingTotals(history[history.length - 1].invoices, catalog) : {};
+  const monthlyRate = Math.pow(1 + costOfCapital, 1 / 12) - 1;
+  const choice = { monthlyRate, term, payment };
+
+  // Instance-hour SKUs with a Reserved Instance rate table, priced at the pool's volume-tier rate
+  const eligible = Object.entries(catalog.skus)
+    .filter(([skuId, entry]) => entry.unit === 'hours' && rates.reservedInstances[entry.service] && current && current.usage[skuId] > 0)
+    .map(([skuId, entry]) => {
+      const usage = current.usage[skuId];
+      return {
+        skuId,
+        service: entry.service,
+        region: entry.region,
+        usage,
+        onDemandRate: averageRate(skuId, poolingTotals[poolingKey(skuId, catalog)] || 0, catalog),
+        series: lookback.map(entry => entry.usage[skuId] || 0)
+      };
+    });
+
+  const reservedInstances = eligible.map(sku => {
+    const { baseline, stable } = baselineOf(sku.series);
+    const monthlyOnDemand = baseline * sku.onDemandRate;
+    const { recommended, options } = chooseOption(
+      rates.reservedInstances[sku.service], monthlyOnDemand, { ...choice, stable }
+    );
+    return {
+      type: 'reserved-instance',
+      skuId: sku.skuId,
+      service: sku.service,
+      region: sku.region,
+      committedUsage: Math.round(baseline * 100) / 100,
+      instances: Math.round(baseline / rates.hoursPerMonth * 100) / 100,
+      onDemandRate: sku.onDemandRate,
+      monthlyOnDemandCost: roundCents(monthlyOnDemand),
+      stable,
+      recommended,
+      options
+    };
+  }).filter(item => item.recommended && item.recommended.presentValueSavings > 0);
+
+  // A Compute Savings Plan instead covers the floor of total EC2 spend, which
+  // is steadier than any single instance type's usage
+  const savingsPlanRates = rates.savingsPlans.compute;
+  const planSKUs = eligible.filter(sku => savingsPlanRates.services.includes(sku.service));
+  let savingsPlan = null;
+  if (planSKUs.length > 0) {
+    const spendSeries = lookback.map((_, index) => planSKUs.reduce((sum, sku) => sum + sku.series[index] * sku.onDemandRate, 0));
+    const { baseline, stable } = baselineOf(spendSeries);
+    const { recommended, options } = chooseOption(savingsPlanRates, baseline, { ...choice, stable });
+    if (recommended && recommended.presentValueSavings > 0) {
+      savingsPlan = {
+        type: 'savings-plan',
+        plan: 'compute',
+        services: savingsPlanRates.services,
+        coveredSpend: roundCents(baseline),
+        // Savings Plans commit to discounted spend per hour
+        hourlyCommitment: Math.round(baseline * (1 - recommended.discount) / rates.hoursPerMonth * 10000) / 10000,
+        monthlyOnDemandCost: roundCents(baseline),
+        stable,
+        recommended,
+        options
+      };
+    }
+  }
+
+  // Take whichever of the plan and the per-SKU Reserved Instances it replaces saves more
+  const value = (item) => monthlyEquivalentSavings(item.recommended, monthlyRate);
+  const replaceableRIs = reservedInstances.filter(item => savingsPlanRates.services.includes(item.service));
+  const useSavingsPlan = savingsPlan !== null
+    && value(savingsPlan) > replaceableRIs.reduce((sum, item) => sum + value(item), 0);
+  const recommendations = [
+    ...(useSavingsPlan ? [savingsPlan] : []),
+    ...reservedInstances.filter(item => !useSavingsPlan || !replaceableRIs.includes(item))
+  ];
+
+  // Effect on the priced period: committed usage at the discount, the rest on demand
+  const skuSavings = {};
+  recommendations.forEach(item => {
+    if (item.type === 'reserved-instance') {
+      skuSavings[item.skuId] = item.recommended.monthlySavings;
+      return;
+    }
+    const planSpend = planSKUs.reduce((sum, sku) => sum + sku.usage * sku.onDemandRate, 0);
+    planSKUs.forEach(sku => {
+      skuSavings[sku.skuId] = item.recommended.monthlySavings * (sku.usage * sku.onDemandRate / planSpend);
+    });
+  });
+
+  const skus = eligible.map(sku => {
+    const onDemandCost = sku.usage * sku.onDemandRate;
+    const commitmentSavings = skuSavings[sku.skuId] || 0;
+    return {
+      skuId: sku.skuId,
+      usage: sku.usage,
+      onDemandRate: sku.onDemandRate,
+      onDemandCost: roundCents(onDemandCost),
+      commitmentSavings: roundCents(commitmentSavings),
+      blendedEffectiveRate: Math.round((onDemandCost - commitmentSavings) / sku.usage * 1e6) / 1e6
+    };
+  });
+
+  const eligibleCost = skus.reduce((sum, sku) => sum + sku.onDemandCost, 0);
+  const monthlySavings = roundCents(skus.reduce((sum, sku) => sum + sku.commitmentSavings, 0));
+  return {
+    lookbackPeriods: lookback.map(entry => entry.period),
+    costOfCapital,
+    ec2Approach: useSavingsPlan ? 'savings-plan' : 'reserved-instances',
+    recommendations,
+    skus,
+    totals: {
+      eligibleOnDemandCost: roundCents(eligibleCost),
+      committedCost: roundCents(eligibleCost - monthlySavings),
+      monthlySavings,
+      // Cost per dollar of on-demand spend on the eligible SKUs after commitments
+      blendedRateRatio: eligibleCost > 0 ? Math.round((eligibleCost - monthlySavings) / eligibleCost * 1000) / 1000 : 1
+    }
+  };
+};
+
+module.exports = {
+  TERM_MONTHS,
+  PAYMENT_OPTIONS,
+  CommitmentError,
+  loadCommitmentRates,
+  optimizeCommitments
+};
@@ -0,0 +1,265 @@
+const Papa = require('papaparse');
+const { isRegionCode, regionFromUsageTypePrefix } = require('./regions');
+const { buildAdjustment } = require('./adjustments');
+
+// AWS Cost and Usage Report (CUR) / Cost Explorer CSV ingestion.
+// CUR exports carry real usage quantities, so line items map straight onto
+// SKU_PRICING_TIERS keys without estimating usage from cost.
+
+// Accepted header spellings per field, compared after lowercasing and
+// stripping everything but letters and digits. Covers legacy CUR
+// (lineItem/UsageType), CUR 2.0 (line_item_usage_type) and Cost Explorer
+// (UsageType) exports.
+const COLUMN_ALIASES = {
+  usageType: ['lineitemusagetype', 'usagetype'],
+  usageAmount: ['lineitemusageamount', 'usagequantity', 'usageamount'],
+  cost: ['lineitemunblendedcost', 'unblendedcost'],
+  region: ['productregion', 'productregioncode', 'region'],
+  productCode: ['lineitemproductcode', 'productcode', 'productservicecode', 'service'],
+  lineItemType: ['lineitemlineitemtype', 'lineitemtype'],
+  unit: ['pricingunit', 'unit'],
+  description: ['lineitemlineitemdescription', 'itemdescription', 'description'],
+  currency: ['lineitemcurrencycode', 'currencycode', 'currency'],
+  invoiceId: ['billinvoiceid', 'invoiceid'],
+  accountId: ['billpayeraccountid', 'payeraccountid', 'lineitemusageaccountid', 'usageaccountid', 'linkedaccountid', 'accountid'],
+  periodStart: ['billbillingperiodstartdate', 'billingperiodstartdate', 'lineitemusagestartdate', 'usagestartdate']
+};
+
+// Usage type → SKU family. `match` runs against the usage type with its region
+// prefix removed; `getSKU` returns the SKU id without the region suffix.
+const USAGE_TYPE_RULES = [
+  {
+    match: /^BoxUsage:([a-z0-9]+\.[a-z0-9]+)$/i,
+    getSKU: (m) => `EC2-${m[1]}`,
+    service: 'EC2',
+    unit: 'hours'
+  },
+  {
+    match: /^InstanceUsage:(db\.[a-z0-9]+\.[a-z0-9]+)$/i,
+    getSKU: (m) => `RDS-${m[1]}`,
+    service: 'RDS',
+    unit: 'hours'
+  },
+  {
+    match: /^TimedStorage-ByteHrs$/i,
+    getSKU: () => 'S3-Standard',
+    service: 'S3',
+    unit: 'GB'
+  },
+  {
+    match: /^TimedStorage-SIA-ByteHrs$/i,
+    getSKU: () => 'S3-IA',
+    service: 'S3',
+    unit: 'GB'
+  },
+  {
+    match: /^TimedStorage-GlacierByteHrs$/i,
+    getSKU: () => 'S3-Glacier',
+    service: 'S3',
+    unit: 'GB'
+  },
+  {
+    match: /DataTransfer-Out-Bytes$/i,
+    product: /cloudfront/i,
+    getSKU: () => 'CloudFront-DataTransfer',
+    service: 'CloudFront',
+    unit: 'GB'
+  },
+  {
+    match: /^DataTransfer-Out-Bytes$/i,
+    getSKU: () => 'DataTransfer-InternetEgress',
+    service: 'DataTransfer',
+    unit: 'GB'
+  },
+  {
+    match: /^Recipients/i,
+    getSKU: () => 'SES-EmailSending',
+    service: 'SES',
+    unit: 'emails'
+  },
+  {
+    match: /^Requests-Tier1$/i,
+    product: /sns|notification/i,
+    getSKU: () => 'SNS-Requests',
+    service: 'SNS',
+    unit: 'requests'
+  }
+];
+
+// Line item types that are adjustments rather than usage
+const ADJUSTMENT_LINE_ITEM_TYPES = {
+  tax: 'tax',
+  credit: 'credit',
+  refund: 'refund'
+};
+
+// Support plans bill as Fee or Usage line items under their own product code
+const isSupportProduct = (productCode) => /support/i.test(productCode || '');
+
+const adjustmentTypeFor = (lineItemType, productCode) => {
+  if (isSupportProduct(productCode)) return 'support';
+  return ADJUSTMENT_LINE_ITEM_TYPES[(lineItemType || '').toLowerCase()] || null;
+};
+
+// Value seen on the most rows, or null
+const mostCommon = (counts) => Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || null;
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const resolveColumns = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  const columns = {};
+  Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+    const index = normalized.findIndex(header => aliases.includes(header));
+    if (index >= 0) columns[field] = headers[index];
+  });
+  return columns;
+};
+
+const parseNumber = (value) => {
+  if (value === undefined || value === null || value === '') return 0;
+  return parseFloat(String(value).replace(/[,$]/g, ''));
+};
+
+// Split "EUW2-BoxUsage:t3.micro" into its region and bare usage type
+const splitUsageType = (usageType) => {
+  const match = usageType.match(/^([A-Z0-9]+)-(.+)$/);
+  const region = match ? regionFromUsageTypePrefix(match[1]) : null;
+  if (region) {
+    return { region, usageType: match[2] };
+  }
+  return { region: null, usageType };
+};
+
+const mapLineItem = (usageType, productCode) => {
+  for (const rule of USAGE_TYPE_RULES) {
+    const match = usageType.match(rule.match);
+    if (!match) continue;
+    if (rule.product && !rule.product.test(productCode || '')) continue;
+    return { skuFamily: rule.getSKU(match), service: rule.service, unit: rule.unit };
+  }
+  return null;
+};
+
+// Parse a CUR / Cost Explorer CSV into the same { skus, totalCost } shape the
+// PDF parsers return. Line items whose SKU is not in `knownSKUs` are reported
+// in `unmatched` instead of being priced with a guessed rate. Tax, credit,
+// refund and support line items come back as `adjustments`, one per type and description.
+const parseCURCsv = (csvText, { knownSKUs = [] } = {}) => {
+  const parsed = Papa.parse(csvText, { header: true, skipEmptyLines: true });
+  const columns = resolveColumns(parsed.meta.fields || []);
+
+  const missing = ['usageType', 'usageAmount', 'cost'].filter(field => !columns[field]);
+  if (missing.length > 0) {
+    throw new Error(`CSV is missing required columns: ${missing.map(field => COLUMN_ALIASES[field][0]).join(', ')}`);
+  }
+
+  const skuTotals = {};
+  const unmatched = {};
+  const adjustmentTotals = {};
+  let skippedLineItems = 0;
+  let sourceTotal = 0;
+  const periodCounts = {};
+  const currencyCounts = {};
+  const invoiceIdCounts = {};
+  const accountIdCounts = {};
+
+  parsed.data.forEach(row => {
+    const currency = columns.currency && (row[columns.currency] || '').trim().toUpperCase();
+    if (currency) currencyCounts[currency] = (currencyCounts[currency] || 0) + 1;
+    const invoiceId = columns.invoiceId && (row[columns.invoiceId] || '').trim();
+    if (invoiceId) invoiceIdCounts[invoiceId] = (invoiceIdCounts[invoiceId] || 0) + 1;
+    const accountId = columns.accountId && (row[columns.accountId] || '').trim();
+    if (accountId) accountIdCounts[accountId] = (accountIdCounts[accountId] || 0) + 1;
+    const lineItemType = columns.lineItemType ? row[columns.lineItemType] : 'Usage';
+    const productCode = columns.productCode ? row[columns.productCode] : '';
+
+    const adjustmentType = adjustmentTypeFor(lineItemType, productCode);
+    if (adjustmentType) {
+      const cost = parseNumber(row[columns.cost]);
+      if (isNaN(cost) || cost === 0) return;
+      sourceTotal += cost;
+      const description = (columns.description && (row[columns.description] || '').trim()) || productCode || lineItemType;
+      const key = `${adjustmentType}:${description}`;
+      adjustmentTotals[key] = adjustmentTotals[key] || { type: adjustmentType, description, amount: 0 };
+      adjustmentTotals[key].amount += cost;
+      return;
+    }
+
+    if (lineItemType && !/usage/i.test(lineItemType)) {
+      skippedLineItems += 1;
+      return;
+    }
+
+    const rawUsageType = (row[columns.usageType] || '').trim();
+    if (!rawUsageType) return;
+
+    const { region: prefixRegion, usageType } = splitUsageType(rawUsageType);
+    const columnRegion = columns.region ? (row[columns.region] || '').trim() : '';
+    // CloudFront and other global services report "global" or nothing as their region
+    const region = (isRegionCode(columnRegion) && columnRegion) || prefixRegion || 'us-east-1';
+    const usage = parseNumber(row[columns.usageAmount]);
+    const cost = parseNumber(row[columns.cost]);
+
+    if (isNaN(usage) || isNaN(cost)) return;
+    sourceTotal += cost;
+
+    const periodMatch = columns.periodStart && (row[columns.periodStart] || '').match(/^(\d{4})-(\d{2})/);
+    if (periodMatch) {
+      const period = `${periodMatch[1]}-${periodMatch[2]}`;
+      periodCounts[period] = (periodCounts[period] || 0) + 1;
+    }
+
+    const mapped = mapLineItem(usageType, productCode);
+    const skuId = mapped ? `${mapped.skuFamily}-${region}` : null;
+
+    if (!mapped || !knownSKUs.includes(skuId)) {
+      const key = skuId || rawUsageType;
+      unmatched[key] = unmatched[key] || { usageType: rawUsageType, skuId, usage: 0, cost: 0 };
+      unmatched[key].usage += usage;
+      unmatched[key].cost += cost;
+      return;
+    }
+
+    if (!skuTotals[skuId]) {
+      skuTotals[skuId] = {
+        skuId,
+        service: mapped.service,
+        usage: 0,
+        totalCost: 0,
+        region,
+        unit: mapped.unit
+      };
+    }
+    skuTotals[skuId].usage += usage;
+    skuTotals[skuId].totalCost += cost;
+  });
+
+  const skuItems = Object.values(skuTotals).map((sku, index) => ({
+    id: `sku-${Date.now()}-${index}`,
+    ...sku,
+    usage: Math.round(sku.usage * 10000) / 10000,
+    totalCost: Math.round(sku.totalCost * 100) / 100
+  })).filter(item => item.totalCost > 0 || item.usage > 0);
+
+  return {
+    skus: skuItems,
+    totalCost: skuItems.reduce((sum, item) => sum + item.totalCost, 0),
+    unmatched: Object.values(unmatched),
+    adjustments: Object.values(adjustmentTotals)
+      .filter(adjustment => Math.round(adjustment.amount * 100) !== 0)
+      .map((adjustment, index) => buildAdjustment({ ...adjustment, source: 'cur-csv' }, index)),
+    skippedLineItems,
+    // Every usage and adjustment line item's cost, matched or not - what the SKUs and adjustments reconcile against
+    sourceTotal: Math.round(sourceTotal * 100) / 100,
+    // Month most line items fall in; exports spanning months are billed by their main one
+    billingPeriod: mostCommon(periodCounts),
+    // Currency the costs are in (lineItem/CurrencyCode); exports without the column are in USD
+    currency: mostCommon(currencyCounts),
+    // Identify the bill for duplicate detection (bill/InvoiceId, bill/PayerAccountId)
+    invoiceNumber: mostCommon(invoiceIdCounts),
+    accountId: mostCommon(accountIdCounts)
+  };
+};
+
+module.exports = { parseCURCsv };
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const { isBillingPeriod } = require('./billingPeriod');
+
+// Invoice currencies. AWS bills some accounts in EUR, GBP, INR and others, but
+// the pricing catalog (and so all pooling math) is in the base currency, USD.
+// Invoices are converted when they're uploaded, at the exchange rate for their
+// billing month from catalog/exchange-rates.json:
+//   { baseCurrency, source, rates: { "YYYY-MM": { EUR: 1.17, ... } } }
+// where each rate is the base-currency value of one unit of that currency.
+// The invoice keeps its own currency and rate so reports can show members'
+// figures in the currency they're billed in. Rates set at runtime are kept in
+// the storage layer ("exchange-rates", one record per month) on top of the file,
+// which is never written to.
+//
+// A month without a rate for the currency - typically one after the last month
+// in the table - is converted at the latest earlier month's rate, and the upload
+// carries a warning naming the month used. Set the month's rates (PUT
+// /api/exchange-rates/:period) before uploading its invoices to avoid that;
+// invoices already converted keep their rate.
+
+const BASE_CURRENCY = 'USD';
+
+const CURRENCIES = {
+  USD: { symbol: '$', name: 'US dollar' },
+  EUR: { symbol: '€', name: 'Euro' },
+  GBP: { symbol: '£', name: 'Pound sterling' },
+  INR: { symbol: '₹', name: 'Indian rupee' },
+  JPY: { symbol: '¥', name: 'Japanese yen' },
+  AUD: { symbol: 'A$', name: 'Australian dollar' },
+  CAD: { symbol: 'C$', name: 'Canadian dollar' }
+};
+
+// A currency marker in front of an amount, for building amount regexes:
+// "$12.34", "€12.34", "A$12.34", "EUR 12.34"
+const CURRENCY_MARK = `(?:[AC]?\\$|€|£|₹|¥|\\b(?:${Object.keys(CURRENCIES).join('|')})\\s?)`;
+
+class CurrencyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const isCurrency = (value) => Object.prototype.hasOwnProperty.call(CURRENCIES, value);
+
+// Invoices state their currency explicitly ("All amounts in EUR", "Currency: GBP");
+// otherwise the symbol used most often wins. Dollars when nothing says otherwise.
+const STATED_CURRENCY = new RegExp(`\\b(?:currency|amounts? (?:are )?(?:in|shown in)|billed in)\\s*:?\\s*(${Object.keys(CURRENCIES).join('|')})\\b`, 'i');
+const SYMBOLS = [['AUD', /A\$\s*\d/g], ['CAD', /C\$\s*\d/g], ['EUR', /€\s*-?\d/g], ['GBP', /£\s*-?\d/g], ['INR', /₹\s*-?\d/g], ['JPY', /¥\s*-?\d/g], ['USD', /(?:^|[^AC])\$\s*-?\d/g]];
+
+const detectCurrency = (text) => {
+  if (!text) return BASE_CURRENCY;
+  const stated = text.match(STATED_CURRENCY);
+  if (stated) return stated[1].toUpperCase();
+
+  const counts = SYMBOLS.map(([code, pattern]) => [code, (text.match(pattern) || []).length]);
+  const [code, count] = counts.reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+  return count > 0 ? code : BASE_CURRENCY;
+};
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+// A parse result with every amount converted to the base currency at `rate`.
+// Parsers that estimate usage from cost (LLM, regex fallback) did so at base
+// prices, so their usage is scaled with the cost (`usageFromCost`).
+const convertParseResult = (parseResult, rate, { usageFromCost = false } = {}) => {
+  if (rate === 1) return parseResult;
+  const convert = (amount) => (typeof amount === 'number' ? amount * rate : amount);
+
+  const skus = parseResult.skus.map(sku => ({
+    ...sku,
+    usage: usageFromCost ? Math.round(sku.usage * rate) : sku.usage,
+    totalCost: roundCents(sku.totalCost * rate),
+    ...(sku.rate !== undefined && { rate: sku.rate * rate }),
+    ...(sku.lineItems && {
+      lineItems: sku.lineItems.map(item => ({ ...item, rate: convert(item.rate), cost: roundCents(item.cost * rate) }))
+    })
+  }));
+
+  return {
+    ...parseResult,
+    skus,
+    totalCost: skus.reduce((sum, sku) => sum + sku.totalCost, 0),
+    unmatched: (parseResult.unmatched || []).map(item => ({ ...item, rate: convert(item.rate), cost: roundCents((item.cost || 0) * rate) })),
+    adjustments: (parseResult.adjustments || []).map(adjustment => ({ ...adjustment, amount: roundCents(adjustment.amount * rate) })),
+    ...(typeof parseResult.printedTotal === 'number' && { printedTotal: roundCents(parseResult.printedTotal * rate) }),
+    ...(typeof parseResult.sourceTotal === 'number' && { sourceTotal: roundCents(parseResult.sourceTotal * rate) })
+  };
+};
+
+// Base-currency amount back in an invoice's own currency
+const toInvoiceCurrency = (amount, invoice) => {
+  const rate = invoice.currency ? invoice.currency.rate : 1;
+  return roundCents(amount / rate);
+};
+
+const validateRates = (rates) => {
+  if (!rates || typeof rates !== 'object' || Array.isArray(rates)) {
+    throw new CurrencyError('rates must be an object of currency code to base-currency value');
+  }
+  Object.entries(rates).forEach(([code, rate]) => {
+    if (!isCurrency(code) || code === BASE_CURRENCY) {
+      throw new CurrencyError(`Unsupported currency ${code}; use one of: ${Object.keys(CURRENCIES).filter(other => other !== BASE_CURRENCY).join(', ')}`);
+    }
+    if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0) {
+      throw new CurrencyError(`${code}: rate must be a positive number`);
+    }
+  });
+};
+
+// The locally maintained exchange-rate table, one set of rates per billing month.
+// `storage` holds rates set at runtime; call loadStored() before use.
+const createExchangeRates = ({ catalogDir, storage = null }) => {
+  const file = path.join(catalogDir, 'exchange-rates.json');
+  const table = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (table.baseCurrency !== BASE_CURRENCY) {
+    throw new Error(`Exchange rates in ${file} must be quoted in ${BASE_CURRENCY}, the pricing catalog's currency`);
+  }
+  Object.values(table.rates).forEach(validateRates);
+
+  const applyStored = (record) => {
+    table.rates[record.id] = { ...table.rates[record.id], ...record.rates };
+    if (record.source) table.source = record.source;
+    if (!table.updatedAt || record.updatedAt > table.updatedAt) table.updatedAt = record.updatedAt;
+  };
+
+  const loadStored = async () => {
+    if (!storage) return;
+    (await storage.list('exchange-rates'))
+      .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt))
+      .forEach(applyStored);
+  };
+
+  // Rate for `currency` in `period`; months without an entry use the latest earlier month
+  const rateFor = (currency, period) => {
+    if (currency === BASE_CURRENCY) return { rate: 1, period };
+    if (!isCurrency(currency)) throw new CurrencyError(`Unsupported invoice currency ${currency}`);
+
+    const months = Object.keys(table.rates)
+      .filter(month => month <= period && table.rates[month][currency] !== undefined)
+      .sort();
+    if (months.length === 0) {
+      throw new CurrencyError(`No ${currency} exchange rate for ${period} or earlier; add one to the exchange-rate table first.`, 422);
+    }
+    const month = months[months.length - 1];
+    return { rate: table.rates[month][currency], period: month };
+  };
+
+  // Set (or correct) the rates for one billing month
+  const setRates = async (period, rates, source) => {
+    if (!storage) throw new Error('Setting exchange rates needs a storage layer');
+    if (!isBillingPeriod(period)) throw new CurrencyError('period must be a month in YYYY-MM format');
+    validateRates(rates);
+    const existing = await storage.get('exchange-rates', period);
+    const record = {
+      id: period,
+      rates: { ...(existing && existing.rates), ...rates },
+      source: source || (existing && existing.source) || null,
+      updatedAt: new Date().toISOString()
+    };
+    await storage.put('exchange-rates', record);
+    applyStored(record);
+    return table.rates[period];
+  };
+
+  return {
+    get: () => table,
+    loadStored,
+    rateFor,
+    setRates
+  };
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  CURRENCIES,
+  CURRENCY_MARK,
+  CurrencyError,
+  isCurrency,
+  detectCurrency,
+  convertParseResult,
+  toInvoiceCurrency,
+  createExchangeRates
+};
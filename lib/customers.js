@@ -0,0 +1,28 @@
+// Customers are the pool members. Invoices reference a customer by id, so
+// several monthly uploads for "Acme Corp" count as one member with history.
+
+// Stable id derived from the name: case, punctuation and spacing don't matter
+const customerIdFor = (name) => {
+  const slug = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return `customer-${slug || 'unnamed'}`;
+};
+
+// Invoices stored before customers existed only carry a name
+const invoiceCustomerId = (invoice) => invoice.customerId || customerIdFor(invoice.customerName);
+
+// Look up the customer for an uploaded name, creating the record on first upload
+const findOrCreateCustomer = async (storage, name) => {
+  const id = customerIdFor(name);
+  const existing = await storage.get('customers', id);
+  if (existing) return existing;
+
+  const customer = {
+    id,
+    name: name.trim(),
+    createdAt: new Date().toISOString()
+  };
+  await storage.put('customers', customer);
+  return customer;
+};
+
+module.exports = { customerIdFor, invoiceCustomerId, findOrCreateCustomer };
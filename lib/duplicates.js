@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const { UploadError } = require('./uploads');
+const { invoicePeriod } = require('./billingPeriod');
+const { invoiceCustomerId } = require('./customers');
+
+// Duplicate invoice detection. The same bill uploaded twice (or under two
+// customer names) would count its usage twice toward the pool's volume tiers,
+// so every upload is checked against the stored invoices by:
+// - content hash: the identical file
+// - invoice number: the same AWS invoice, e.g. re-downloaded or exported again
+// - AWS account id + billing month: the same account's bill in another format
+//   (compared as keyed hashes, see hashAccountId in lib/privacy.js)
+//
+// Uploads choose what happens on a match (`onDuplicate`): reject the upload,
+// store it flagged for review next to the existing invoice, or replace it.
+// Members' uploads are only checked against their own organization's invoices:
+// any answer about another member's bill would tell them that member has it.
+
+const DUPLICATE_ACTIONS = ['reject', 'flag', 'replace'];
+
+const REASON_LABELS = {
+  'content-hash': 'identical file',
+  'invoice-number': 'same invoice number',
+  'account-period': 'same AWS account and billing month'
+};
+
+class DuplicateInvoiceError extends UploadError {
+  constructor(duplicates) {
+    super(`Invoice already uploaded: ${describeDuplicates(duplicates)}. Upload again with "replace existing" or "flag for review" to keep it.`, 409, { duplicates });
+  }
+}
+
+const contentHash = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// "123456789012" or "1234-5678-9012"
+const ACCOUNT_PATTERN = /\b(?:AWS\s+)?Account\s*(?:Number|No\.?|ID|#)\s*:?\s*(\d{4}-?\d{4}-?\d{4})\b/i;
+const INVOICE_NUMBER_PATTERN = /\bInvoice\s*(?:Number|No\.?|ID|#)\s*:?\s*([A-Z0-9][A-Z0-9-]{4,})\b/i;
+
+// Invoice number and AWS account id printed on a PDF invoice (null when absent)
+const extractInvoiceIdentity = (text) => {
+  const account = (text || '').match(ACCOUNT_PATTERN);
+  const invoiceNumber = (text || '').match(INVOICE_NUMBER_PATTERN);
+  return {
+    invoiceNumber: invoiceNumber ? invoiceNumber[1] : null,
+    accountId: account ? account[1].replace(/-/g, '') : null
+  };
+};
+
+// Stored invoices that match `identity` ({ contentHash, invoiceNumber, accountHash, billingPeriod }), with why
+const findDuplicates = (invoices, identity) => invoices
+  .map(invoice => {
+    const reasons = [];
+    if (identity.contentHash && invoice.contentHash === identity.contentHash) reasons.push('content-hash');
+    if (identity.invoiceNumber && invoice.invoiceNumber === identity.invoiceNumber) reasons.push('invoice-number');
+    if (identity.accountHash && invoice.accountHash === identity.accountHash && invoicePeriod(invoice) === identity.billingPeriod) {
+      reasons.push('account-period');
+    }
+    return reasons.length > 0 ? {
+      invoiceId: invoice.id,
+      customerId: invoiceCustomerId(invoice),
+      customerName: invoice.customerName,
+      billingPeriod: invoicePeriod(invoice),
+      originalFileName: invoice.originalFileName || null,
+      reasons
+    } : null;
+  })
+  .filter(Boolean);
+
+const describeDuplicates = (duplicates) => duplicates
+  .map(duplicate => `${duplicate.customerName}'s ${duplicate.billingPeriod} invoice (${duplicate.reasons.map(reason => REASON_LABELS[reason]).join(', ')})`)
+  .join('; ');
+
+// Duplicate entries as a member may see them: their own organization's only,
+// so pairs an admin flagged across organizations don't reveal the other member
+const ownDuplicates = (duplicates, customerId) => duplicates.filter(duplicate => duplicate.customerId === customerId);
+
+// Drop references to a deleted invoice from the duplicate flags of the others
+const clearDuplicateReferences = async (storage, removedIds) => {
+  const invoices = await storage.list('invoices');
+  for (const invoice of invoices) {
+    const duplicateOf = (invoice.duplicateOf || []).filter(entry => !removedIds.includes(entry.invoiceId));
+    const duplicatedBy = (invoice.duplicatedBy || []).filter(entry => !removedIds.includes(entry.invoiceId));
+    if (duplicateOf.length === (invoice.duplicateOf || []).length && duplicatedBy.length === (invoice.duplicatedBy || []).length) continue;
+    await storage.put('invoices', { ...invoice, duplicateOf, duplicatedBy });
+  }
+};
+
+module.exports = {
+  DUPLICATE_ACTIONS,
+  DuplicateInvoiceError,
+  contentHash,
+  extractInvoiceIdentity,
+  findDuplicates,
+  describeDuplicates,
+  ownDuplicates,
+  clearDuplicateReferences
+};
@@ -0,0 +1,205 @@
+const Papa = require('papaparse');
+const { zipSync, strToU8 } = require('fflate');
+
+// Data exports for finance teams: the figures behind a report (see reports.js)
+// as CSV, an XLSX workbook or a JSON snapshot.
+//
+// Three tables, one row per:
+// - member-skus: SKU on each member's invoice - usage, standalone, pooled, savings
+// - members: member invoice - totals and amounts due after adjustments
+// - skus: SKU across the report - the pool's volume and the tier it reaches
+// CSV holds one table, the workbook one sheet per table. Amounts are in the
+// report's base currency.
+
+const EXPORT_FORMATS = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json'
+};
+
+const tierLabel = (tierReached) => (tierReached ? `${tierReached.tier} of ${tierReached.tierCount}` : '');
+
+// Columns are [header, value from row]; values are numbers or text
+const SKU_COLUMNS = [
+  ['SKU', row => row.skuId],
+  ['Service', row => row.service],
+  ['Region', row => row.region],
+  ['Unit', row => row.unit]
+];
+
+const COST_COLUMNS = [
+  ['Standalone cost', row => row.standalone],
+  ['Pooled cost', row => row.pooled],
+  ['Free Tier credit', row => row.freeTierCredit],
+  ['Savings', row => row.savings],
+  ['Savings %', row => row.percentage]
+];
+
+const EXPORT_TABLES = {
+  'member-skus': {
+    name: 'Member SKUs',
+    rows: report => report.memberSKUs,
+    columns: [
+      ['Member', row => row.customerName],
+      ['Customer ID', row => row.customerId],
+      ['Invoice ID', row => row.invoiceId],
+      ...SKU_COLUMNS,
+      ['Usage', row => row.usage],
+      ['Free Tier usage', row => row.freeTierUsage],
+      ...COST_COLUMNS,
+      ['Pooling key', row => row.poolingKey],
+      // Blank where too few members are behind the pool's volume for a member to see it
+      ['Pool usage', row => row.poolUsage],
+      ['Tier reached', row => tierLabel(row.tierReached)]
+    ]
+  },
+  members: {
+    name: 'Members',
+    rows: report => report.rows,
+    columns: [
+      ['Member', row => row.customerName],
+      ['Customer ID', row => row.customerId],
+      ['Invoice ID', row => row.invoiceId],
+      ...COST_COLUMNS,
+      ['Amount due (pooled)', row => row.amountDue],
+      ['Amount due (standalone)', row => row.standaloneAmountDue],
+      ['Billing currency', row => row.currency],
+      ['In review', row => (row.pendingReview ? 'yes' : 'no')]
+    ]
+  },
+  skus: {
+    name: 'SKUs',
+    rows: report => report.skus,
+    columns: [
+      ...SKU_COLUMNS,
+      ['Members', row => row.members],
+      ['Usage', row => row.usage],
+      ...COST_COLUMNS,
+      ['Pooling key', row => row.poolingKey],
+      ['Pool usage', row => row.poolUsage],
+      ['Tier reached', row => tierLabel(row.tierReached)]
+    ]
+  }
+};
+
+const tableValues = (report, table) => {
+  const { rows, columns } = EXPORT_TABLES[table];
+  return {
+    headers: columns.map(([header]) => header),
+    values: rows(report).map(row => columns.map(([, value]) => {
+      const cell = value(row);
+      return cell === null || cell === undefined ? '' : cell;
+    }))
+  };
+};
+
+// One table as CSV. Text cells that a spreadsheet would read as a formula
+// (a member named "=HYPERLINK(...)") are escaped.
+const toCSV = (report, table) => {
+  const { headers, values } = tableValues(report, table);
+  return Papa.unparse({ fields: headers, data: values }, { escapeFormulae: true });
+};
+
+const xmlEscape = (text) => String(text)
+  // Control characters aren't allowed in XML at all
+  .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '') // eslint-disable-line no-control-regex
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// "A", ..., "Z", "AA", ...
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+// Numbers stay numbers; text is written inline (no shared strings table). Style 1 is the bold header.
+const cellXML = (value, ref, style = 0) => {
+  const styleAttribute = style ? ` s="${style}"` : '';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${styleAttribute}><v>${value}</v></c>`;
+  if (value === '') return '';
+  return `<c r="${ref}" t="inlineStr"${styleAttribute}><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+};
+
+const sheetXML = ({ headers, values }) => {
+  const rows = [headers, ...values].map((cells, rowIndex) => (
+    `<row r="${rowIndex + 1}">${cells.map((value, columnIndex) => cellXML(value, `${columnName(columnIndex)}${rowIndex + 1}`, rowIndex === 0 ? 1 : 0)).join('')}</row>`
+  ));
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + `<sheetData>${rows.join('')}</sheetData></worksheet>`;
+};
+
+const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+  + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+  + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+  + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+  + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+  + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+  + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+  + '</styleSheet>';
+
+// Every table as a sheet of one XLSX workbook (Buffer)
+const toXLSX = (report) => {
+  const tables = Object.keys(EXPORT_TABLES);
+  const sheets = tables.map((table, index) => ({ id: index + 1, name: EXPORT_TABLES[table].name, xml: sheetXML(tableValues(report, table)) }));
+  const files = {
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+      + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+      + sheets.map(sheet => `<Override PartName="/xl/worksheets/sheet${sheet.id}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+      + '</Types>',
+    '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+      + '</Relationships>',
+    'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+      + `<sheets>${sheets.map(sheet => `<sheet name="${sheet.name}" sheetId="${sheet.id}" r:id="rId${sheet.id}"/>`).join('')}</sheets>`
+      + '</workbook>',
+    'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + sheets.map(sheet => `<Relationship Id="rId${sheet.id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${sheet.id}.xml"/>`).join('')
+      + `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+      + '</Relationships>',
+    'xl/styles.xml': STYLES_XML
+  };
+  sheets.forEach(sheet => {
+    files[`xl/worksheets/sheet${sheet.id}.xml`] = sheet.xml;
+  });
+
+  return Buffer.from(zipSync(Object.fromEntries(Object.entries(files).map(([name, xml]) => [name, strToU8(xml)]))));
+};
+
+// Machine-readable snapshot: the report's figures without its presentation fields
+const exportSnapshot = (report) => ({
+  poolId: report.poolId,
+  poolName: report.poolName,
+  period: report.period,
+  allocationStrategy: report.allocationStrategy,
+  catalogVersion: report.catalogVersion,
+  catalogEffectiveDate: report.catalogEffectiveDate,
+  baseCurrency: report.baseCurrency,
+  generatedAt: report.generatedAt,
+  poolMembers: report.poolMembers,
+  totals: report.totals,
+  members: report.rows,
+  memberSKUs: report.memberSKUs,
+  skus: report.skus
+});
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_TABLES,
+  toCSV,
+  toXLSX,
+  exportSnapshot
+};
@@ -0,0 +1,78 @@
+const { calculateSKUTieredCost, sumUsageByPoolingKey } = require('./pricing');
+
+// AWS Free Tier: a monthly allowance each AWS account (each bill) gets for some
+// SKUs, e.g. 750 t3.micro hours. It belongs to the account, not to the volume
+// tiers - a pool of ten accounts gets ten allowances, not one.
+//
+// Catalog entries carry it as `freeTier: { allowance, group }`. SKUs with the
+// same `group` draw from one shared allowance (default: the SKU's own). Free
+// usage is taken off each account before anything is priced, so only billable
+// usage counts toward (pooled or standalone) volume tiers.
+
+// Free usage of each line item on one account's bill, in line order; shared
+// allowances are used up by the first lines that draw on them
+const accountFreeUsage = (skus, catalog) => {
+  const remaining = {};
+  return skus.map(sku => {
+    const entry = catalog.skus[sku.skuId];
+    if (!entry || !entry.freeTier || !(sku.usage > 0)) return 0;
+
+    const group = entry.freeTier.group || sku.skuId;
+    if (remaining[group] === undefined) remaining[group] = entry.freeTier.allowance;
+    const free = Math.min(sku.usage, remaining[group]);
+    remaining[group] -= free;
+    return free;
+  });
+};
+
+// One account's line items with the free usage split off: `usage` is what's billable
+const billableSKUs = (skus, catalog) => {
+  const free = accountFreeUsage(skus, catalog);
+  return skus.map((sku, index) => ({ ...sku, usage: sku.usage - free[index], freeTierUsage: free[index] }));
+};
+
+// Pool volume per pooling key that the volume tiers see: usage net of each account's Free Tier
+const billablePoolingTotals = (invoices, catalog) => sumUsageByPoolingKey(
+  invoices.map(invoice => ({ skus: billableSKUs(invoice.skus, catalog) })),
+  catalog
+);
+
+// Average price per unit of `volume` units of a SKU; the first tier's price when there's no volume
+const averageRate = (skuId, volume, catalog) => (
+  volume > 0 ? calculateSKUTieredCost(skuId, volume, catalog) / volume : calculateSKUTieredCost(skuId, 1, catalog)
+);
+
+// What one account pays for its line items on its own at catalog rates: each
+// SKU's tiers at the account's billable volume. The credit is the free usage
+// valued at the same rate.
+const accountStandaloneCosts = (skus, catalog) => {
+  const billable = billableSKUs(skus, catalog);
+  const volumes = {};
+  billable.forEach(sku => {
+    volumes[sku.skuId] = (volumes[sku.skuId] || 0) + sku.usage;
+  });
+
+  return billable.map(sku => {
+    const rate = averageRate(sku.skuId, volumes[sku.skuId], catalog);
+    return {
+      cost: rate * sku.usage,
+      freeTierUsage: sku.freeTierUsage,
+      freeTierCredit: rate * sku.freeTierUsage
+    };
+  });
+};
+
+// An invoice's standalone cost: the same catalog, volume tiers and Free Tier as
+// the pooled side, so the two compare like for like (the printed total doesn't)
+const invoiceStandaloneCost = (invoice, catalog) => (
+  accountStandaloneCosts(invoice.skus, catalog).reduce((sum, line) => sum + line.cost, 0)
+);
+
+module.exports = {
+  accountFreeUsage,
+  billableSKUs,
+  billablePoolingTotals,
+  averageRate,
+  accountStandaloneCosts,
+  invoiceStandaloneCost
+};
@@ -0,0 +1,246 @@
+const { regionFromLocation } = require('./regions');
+const { classifyAdjustment, buildAdjustment, parseSignedAmount } = require('./adjustments');
+const { CURRENCY_MARK } = require('./currency');
+
+// Deterministic line-item parser for AWS invoice PDFs.
+//
+// AWS bill details are laid out as an indented hierarchy:
+//   Amazon Elastic Compute Cloud                                         $45.23
+//     US East (N. Virginia)                                              $30.00
+//       Amazon Elastic Compute Cloud running Linux/UNIX                  $30.00
+//         $0.0104 per On Demand Linux t3.micro Instance Hour   720.000 Hrs   $7.49
+// pdfjs getTextContent returns loose text runs with positions, so the rows are
+// rebuilt from those positions first, then walked service → region → usage type
+// → usage row. Usage quantity, unit and rate come straight from the usage rows.
+// Top-level credit, refund, tax and support sections become adjustments.
+
+// Text runs whose baselines are within this many PDF units share a row
+const ROW_TOLERANCE = 2.5;
+
+const SERVICE_HEADERS = {
+  'Amazon Elastic Compute Cloud': 'EC2',
+  'Amazon Simple Storage Service': 'S3',
+  'Amazon Relational Database Service': 'RDS',
+  'Amazon RDS Service': 'RDS',
+  'AWS Data Transfer': 'DataTransfer',
+  'Data Transfer': 'DataTransfer',
+  'Amazon CloudFront': 'CloudFront',
+  'Amazon Simple Email Service': 'SES',
+  'Amazon Simple Notification Service': 'SNS'
+};
+
+const UNITS = {
+  hrs: 'hours',
+  hours: 'hours',
+  'gb-mo': 'GB',
+  gb: 'GB',
+  requests: 'requests',
+  request: 'requests',
+  recipients: 'emails',
+  emails: 'emails',
+  messages: 'emails'
+};
+
+// "$0.0104 per On Demand Linux t3.micro Instance Hour   720.000 Hrs   $7.49"
+// (or "€0.0095 per ...", "EUR 0.0095 per ..." on invoices billed in other currencies;
+// zero-decimal currencies print whole amounts: "¥1.6 per ...   720.000 Hrs   ¥1,152")
+const USAGE_ROW = new RegExp(`^${CURRENCY_MARK}\\s*([\\d,]*\\.?\\d+)\\s+per\\s+(.+?)\\s+([\\d,]+(?:\\.\\d+)?)\\s+([A-Za-z][A-Za-z-]*)\\s+${CURRENCY_MARK}\\s*(-?[\\d,]+(?:\\.\\d{2})?)$`);
+// "Amazon Simple Storage Service   $11.78" - a header row with its subtotal
+// (credits print as "-$5.00" or "($5.00)")
+const TRAILING_AMOUNT = new RegExp(`\\s+(?:\\(${CURRENCY_MARK}\\s*[\\d,]+(?:\\.\\d{2})?\\)|-?${CURRENCY_MARK}\\s*-?[\\d,]+(?:\\.\\d{2})?)$`);
+
+const parseNumber = (value) => parseFloat(value.replace(/,/g, ''));
+
+// Group positioned text runs ({ str, transform }) into rows, top to bottom.
+// Each row keeps its cells left to right with their x offsets.
+const buildRows = (pages) => {
+  const rows = [];
+
+  pages.forEach((items, pageIndex) => {
+    const pageRows = [];
+    items.forEach(item => {
+      const text = (item.str || '').trim();
+      if (!text) return;
+      const x = item.transform[4];
+      const y = item.transform[5];
+      let row = pageRows.find(candidate => Math.abs(candidate.y - y) <= ROW_TOLERANCE);
+      if (!row) {
+        row = { page: pageIndex + 1, y, cells: [] };
+        pageRows.push(row);
+      }
+      row.cells.push({ text, x });
+    });
+
+    pageRows
+      .sort((a, b) => b.y - a.y) // PDF y grows upwards
+      .forEach(row => {
+        row.cells.sort((a, b) => a.x - b.x);
+        row.x = row.cells[0].x;
+        row.text = row.cells.map(cell => cell.text).join(' ').replace(/\s+/g, ' ');
+        rows.push(row);
+      });
+  });
+
+  return rows;
+};
+
+// Line-item description → SKU id (without the region suffix when `regional`)
+const mapUsageRow = (service, description) => {
+  const instanceType = description.match(/\b((?:db\.)?[a-z][a-z0-9-]*\.[a-z0-9]+)\b/);
+
+  if (/data transfer out|bandwidth/i.test(description) && service !== 'CloudFront') {
+    return { skuId: 'DataTransfer-InternetEgress', service: 'DataTransfer', regional: true };
+  }
+
+  switch (service) {
+    case 'EC2':
+      if (/instance hour/i.test(description) && instanceType && !instanceType[1].startsWith('db.')) {
+        return { skuId: `EC2-${instanceType[1]}`, service: 'EC2', regional: true };
+      }
+      return null;
+    case 'RDS':
+      if (instanceType && instanceType[1].startsWith('db.')) {
+        return { skuId: `RDS-${instanceType[1]}`, service: 'RDS', regional: true };
+      }
+      return null;
+    case 'S3':
+      if (!/storage/i.test(description)) return null;
+      if (/glacier/i.test(description)) return { skuId: 'S3-Glacier', service: 'S3', regional: true };
+      if (/infrequent access|standard-ia/i.test(description)) return { skuId: 'S3-IA', service: 'S3', regional: true };
+      return { skuId: 'S3-Standard', service: 'S3', regional: true };
+    case 'CloudFront':
+      if (/data transfer out/i.test(description)) {
+        return { skuId: 'CloudFront-DataTransfer-us-east-1', service: 'CloudFront', regional: false };
+      }
+      return null;
+    case 'SES':
+      if (/email|recipient|message/i.test(description)) {
+        return { skuId: 'SES-EmailSending', service: 'SES', regional: true };
+      }
+      return null;
+    case 'SNS':
+      if (/request/i.test(description)) return { skuId: 'SNS-Requests', service: 'SNS', regional: true };
+      return null;
+    default:
+      return null;
+  }
+};
+
+const headerText = (row) => row.text.replace(TRAILING_AMOUNT, '').trim();
+
+// Walk the rows and return { skus, totalCost, unmatched, adjustments } in the shape
+// the other parsers produce. Usage rows for SKUs missing from `knownSKUs` land in `unmatched`.
+const parseInvoiceLineItems = (rows, { knownSKUs = [] } = {}) => {
+  const skuTotals = {};
+  const unmatched = [];
+  const adjustments = [];
+  let inAdjustment = false;
+  let service = null;
+  let serviceName = null;
+  let region = null;
+  let usageType = null;
+
+  // Service headers sit at the outermost indent; any other subtotal row at that
+  // indent starts a service we don't price (SQS, Support, ...) and must not
+  // inherit the previous service's rows.
+  const serviceRows = rows.filter(row => SERVICE_HEADERS[headerText(row)]);
+  const serviceIndent = serviceRows.length > 0 ? Math.min(...serviceRows.map(row => row.x)) : null;
+
+  rows.forEach(row => {
+    const header = headerText(row);
+
+    if (SERVICE_HEADERS[header]) {
+      service = SERVICE_HEADERS[header];
+      serviceName = header;
+      region = null;
+      usageType = null;
+      inAdjustment = false;
+      return;
+    }
+
+    const headerRegion = regionFromLocation(header);
+    if (headerRegion) {
+      region = headerRegion;
+      usageType = null;
+      return;
+    }
+
+    const match = row.text.match(USAGE_ROW);
+    if (!match && serviceIndent !== null && Math.abs(row.x - serviceIndent) <= 1 && TRAILING_AMOUNT.test(row.text)) {
+      service = null;
+      serviceName = header;
+      region = null;
+      usageType = null;
+      // Its subtotal is the adjustment; the detail rows under it are not usage
+      const adjustmentType = classifyAdjustment(header);
+      inAdjustment = Boolean(adjustmentType);
+      if (adjustmentType) {
+        const amount = parseSignedAmount(row.text.match(TRAILING_AMOUNT)[0]);
+        if (amount) {
+          adjustments.push(buildAdjustment({ type: adjustmentType, description: header, amount, source: 'line-items' }, adjustments.length));
+        }
+      }
+      return;
+    }
+    if (inAdjustment) return;
+    if (!match) {
+      // Usage-type group rows ("Amazon Elastic Compute Cloud running Linux/UNIX")
+      if (service && region && TRAILING_AMOUNT.test(row.text)) usageType = header;
+      return;
+    }
+    const [, rate, description, quantity, unit, cost] = match;
+    const lineItem = {
+      description: `${row.text.slice(0, row.text.search(/\s+per\s+/))} per ${description}`,
+      usageType,
+      rate: parseNumber(rate),
+      quantity: parseNumber(quantity),
+      unit: UNITS[unit.toLowerCase()] || unit,
+      cost: parseNumber(cost),
+      page: row.page
+    };
+
+    const mapped = service ? mapUsageRow(service, description) : null;
+    const skuRegion = mapped && mapped.regional ? (region || 'us-east-1') : 'us-east-1';
+    const skuId = mapped && (mapped.regional ? `${mapped.skuId}-${skuRegion}` : mapped.skuId);
+
+    if (!mapped || !knownSKUs.includes(skuId)) {
+      unmatched.push({ ...lineItem, service: serviceName, region, skuId: skuId || null });
+      return;
+    }
+
+    if (!skuTotals[skuId]) {
+      skuTotals[skuId] = {
+        skuId,
+        service: mapped.service,
+        usage: 0,
+        totalCost: 0,
+        region: skuRegion,
+        unit: lineItem.unit,
+        lineItems: []
+      };
+    }
+    skuTotals[skuId].usage += lineItem.quantity;
+    skuTotals[skuId].totalCost += lineItem.cost;
+    skuTotals[skuId].lineItems.push(lineItem);
+  });
+
+  const skuItems = Object.values(skuTotals)
+    .filter(sku => sku.usage > 0)
+    .map((sku, index) => ({
+      id: `sku-${Date.now()}-${index}`,
+      ...sku,
+      usage: Math.round(sku.usage * 10000) / 10000,
+      totalCost: Math.round(sku.totalCost * 100) / 100,
+      // Single-rate SKUs keep the printed rate; tiered ones report the blended rate
+      rate: sku.lineItems.length === 1 ? sku.lineItems[0].rate : (sku.usage > 0 ? sku.totalCost / sku.usage : 0)
+    }));
+
+  return {
+    skus: skuItems,
+    totalCost: skuItems.reduce((sum, item) => sum + item.totalCost, 0),
+    unmatched,
+    adjustments
+  };
+};
+
+module.exports = { buildRows, parseInvoiceLineItems };
@@ -0,0 +1,174 @@
+const { validateParseResult } = require('./parseValidation');
+const { isBillingPeriod, invoicePeriod } = require('./billingPeriod');
+
+// Human review and correction of stored invoices. Analysts can edit, add,
+// split and remove SKU line items; every change is appended to the invoice's
+// audit log. Invoices flagged for review don't count toward pool totals until
+// they are approved.
+
+// Parses below this confidence (or with rejected SKUs) wait for an analyst
+const REVIEW_CONFIDENCE_THRESHOLD = 0.8;
+
+class InvoiceReviewError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const initialReviewStatus = (validation) => (
+  validation.confidence < REVIEW_CONFIDENCE_THRESHOLD || validation.rejected.length > 0
+    ? 'pending_review'
+    : 'approved'
+);
+
+// Invoices stored before review existed have no status and count as approved
+const countsTowardPool = (invoice) => invoice.reviewStatus !== 'pending_review';
+
+const parseAmount = (value, field) => {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number) || number < 0) {
+    throw new InvoiceReviewError(`${field} must be a non-negative number`);
+  }
+  return number;
+};
+
+// Build a SKU line item from analyst input; service, region and unit follow the catalog entry
+const buildSKUItem = (input, catalog, id) => {
+  const entry = catalog.skus[input.skuId];
+  if (!entry) {
+    throw new InvoiceReviewError(`Unknown SKU "${input.skuId}" is not in pricing catalog v${catalog.version}`);
+  }
+  return {
+    id,
+    skuId: input.skuId,
+    service: entry.service,
+    usage: parseAmount(input.usage, 'usage'),
+    totalCost: Math.round(parseAmount(input.totalCost, 'totalCost') * 100) / 100,
+    region: entry.region,
+    unit: entry.unit,
+    editedManually: true
+  };
+};
+
+const findSKU = (invoice, skuItemId) => {
+  const sku = invoice.skus.find(item => item.id === skuItemId);
+  if (!sku) throw new InvoiceReviewError('SKU line item not found.', 404);
+  return sku;
+};
+
+const newSKUItemId = (invoice) => `sku-${Date.now()}-${invoice.skus.length}-${Math.random().toString(36).slice(2, 6)}`;
+
+// Recompute totals and re-run validation against the edited SKUs
+const refreshInvoice = (invoice, catalog) => {
+  const printedTotal = invoice.validation && invoice.validation.reconciliation
+    ? invoice.validation.reconciliation.printedTotal
+    : null;
+  const { validation } = validateParseResult({
+    skus: invoice.skus,
+    unmatched: invoice.unmatched,
+    adjustments: invoice.adjustments,
+    parser: invoice.parser,
+    printedTotal
+  }, { catalog });
+
+  invoice.items = invoice.skus; // Keep items for backward compatibility with frontend
+  invoice.totalCost = Math.round(invoice.skus.reduce((sum, sku) => sum + sku.totalCost, 0) * 100) / 100;
+  invoice.validation = validation;
+  return invoice;
+};
+
+const audit = (invoice, actor, action, details) => {
+  invoice.auditLog = invoice.auditLog || [];
+  invoice.auditLog.push({
+    at: new Date().toISOString(),
+    actor,
+    action,
+    ...details
+  });
+};
+
+const editSKU = (invoice, skuItemId, changes, { catalog, actor }) => {
+  const sku = findSKU(invoice, skuItemId);
+  const updated = buildSKUItem({
+    skuId: changes.skuId ?? sku.skuId,
+    usage: changes.usage ?? sku.usage,
+    totalCost: changes.totalCost ?? sku.totalCost
+  }, catalog, sku.id);
+
+  invoice.skus = invoice.skus.map(item => (item.id === sku.id ? updated : item));
+  audit(invoice, actor, 'edit_sku', { skuItemId: sku.id, before: sku, after: updated, note: changes.note || null });
+  return refreshInvoice(invoice, catalog);
+};
+
+const addSKU = (invoice, input, { catalog, actor }) => {
+  const created = buildSKUItem(input, catalog, newSKUItemId(invoice));
+  invoice.skus = [...invoice.skus, created];
+  audit(invoice, actor, 'add_sku', { skuItemId: created.id, before: null, after: created, note: input.note || null });
+  return refreshInvoice(invoice, catalog);
+};
+
+// Replace one line item with several; the parts must carry the same total cost
+const splitSKU = (invoice, skuItemId, parts, { catalog, actor, note }) => {
+  const sku = findSKU(invoice, skuItemId);
+  if (!Array.isArray(parts) || parts.length < 2) {
+    throw new InvoiceReviewError('A split needs at least two parts.');
+  }
+
+  const created = parts.map(part => buildSKUItem(part, catalog, newSKUItemId(invoice)));
+  const partsCost = created.reduce((sum, part) => sum + part.totalCost, 0);
+  if (Math.abs(partsCost - sku.totalCost) > 0.01) {
+    throw new InvoiceReviewError(`Split parts total $${partsCost.toFixed(2)} but the line item is $${sku.totalCost.toFixed(2)}.`);
+  }
+
+  const index = invoice.skus.findIndex(item => item.id === sku.id);
+  invoice.skus = [...invoice.skus.slice(0, index), ...created, ...invoice.skus.slice(index + 1)];
+  audit(invoice, actor, 'split_sku', { skuItemId: sku.id, before: sku, after: created, note: note || null });
+  return refreshInvoice(invoice, catalog);
+};
+
+const removeSKU = (invoice, skuItemId, { catalog, actor, note }) => {
+  const sku = findSKU(invoice, skuItemId);
+  if (invoice.skus.length === 1) {
+    throw new InvoiceReviewError('An invoice needs at least one SKU line item; delete the invoice instead.');
+  }
+  invoice.skus = invoice.skus.filter(item => item.id !== sku.id);
+  audit(invoice, actor, 'remove_sku', { skuItemId: sku.id, before: sku, after: null, note: note || null });
+  return refreshInvoice(invoice, catalog);
+};
+
+// Move an invoice to the month it actually bills, e.g. when the PDF didn't say
+const setBillingPeriod = (invoice, period, { actor, note }) => {
+  if (!isBillingPeriod(period)) {
+    throw new InvoiceReviewError('billingPeriod must be a month in YYYY-MM format.');
+  }
+  const before = invoicePeriod(invoice);
+  invoice.billingPeriod = period;
+  invoice.billingPeriodSource = 'manual';
+  audit(invoice, actor, 'set_billing_period', { before, after: period, note: note || null });
+  return invoice;
+};
+
+const setReviewStatus = (invoice, status, { actor, note }) => {
+  if (!['approved', 'pending_review'].includes(status)) {
+    throw new InvoiceReviewError('status must be "approved" or "pending_review"');
+  }
+  const before = invoice.reviewStatus || 'approved';
+  invoice.reviewStatus = status;
+  invoice.reviewedBy = status === 'approved' ? actor : null;
+  invoice.reviewedAt = status === 'approved' ? new Date().toISOString() : null;
+  audit(invoice, actor, 'set_review_status', { before, after: status, note: note || null });
+  return invoice;
+};
+
+module.exports = {
+  InvoiceReviewError,
+  initialReviewStatus,
+  countsTowardPool,
+  editSKU,
+  addSKU,
+  splitSKU,
+  removeSKU,
+  setBillingPeriod,
+  setReviewStatus
+};
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+
+// Background jobs for work too slow to do inside a request, such as parsing a
+// batch of invoices (an LLM call can take tens of seconds per invoice).
+//
+// Job records live in the "jobs" storage collection so their status can be
+// polled; the inputs (file contents) only live in memory until the job runs.
+// Jobs run in the order they were queued, `concurrency` at a time.
+//
+// Job record: { id, batchId, position, type, status, label, createdBy,
+// createdAt, startedAt, finishedAt, result, error }, status one of
+// JOB_STATUSES and position the job's place in its batch.
+
+const JOB_STATUSES = ['queued', 'processing', 'succeeded', 'failed'];
+
+class JobNotFoundError extends Error {
+  constructor(id) {
+    super(`Job ${id} not found.`);
+    this.status = 404;
+  }
+}
+
+const isFinished = (job) => job.status === 'succeeded' || job.status === 'failed';
+
+// `handlers` maps a job type to async (input, job) => result. A thrown error
+// fails the job; its `status` and `details` are kept for the client.
+const createJobQueue = ({ storage, handlers, concurrency = 1 }) => {
+  const pending = [];
+  let running = 0;
+
+  const save = (job) => storage.put('jobs', job);
+
+  const run = async ({ job, input }) => {
+    job.status = 'processing';
+    job.startedAt = new Date().toISOString();
+    await save(job);
+
+    try {
+      job.result = await handlers[job.type](input, job);
+      job.status = 'succeeded';
+    } catch (error) {
+      if (!error.status || error.status >= 500) {
+        console.error(`Job ${job.id} (${job.type}) failed:`, error);
+      }
+      job.status = 'failed';
+      job.error = { message: error.message, status: error.status || 500, ...error.details };
+    }
+    job.finishedAt = new Date().toISOString();
+    await save(job);
+  };
+
+  const drain = () => {
+    while (running < concurrency && pending.length > 0) {
+      running += 1;
+      run(pending.shift())
+        .catch(error => console.error('Job queue error:', error))
+        .finally(() => {
+          running -= 1;
+          drain();
+        });
+    }
+  };
+
+  // Queue one job per input; all share a batch id so they can be listed together.
+  // `createdBy` is the id of the user who queued them.
+  const enqueueBatch = async (type, inputs, { createdBy = null } = {}) => {
+    if (!handlers[type]) throw new Error(`No handler for job type ${type}`);
+    const createdAt = new Date().toISOString();
+    // Random, so batches queued at the same moment don't overwrite each other's jobs
+    const batchId = `batch-${crypto.randomUUID()}`;
+
+    const jobs = inputs.map(({ label, input }, position) => ({
+      job: {
+        id: `job-${crypto.randomUUID()}`,
+        batchId,
+        position,
+        type,
+        status: 'queued',
+        label,
+        createdBy,
+        createdAt,
+        startedAt: null,
+        finishedAt: null,
+        result: null,
+        error: null
+      },
+      input
+    }));
+
+    for (const entry of jobs) {
+      await save(entry.job);
+    }
+    pending.push(...jobs);
+    drain();
+    return { batchId, jobs: jobs.map(entry => entry.job) };
+  };
+
+  // `createdBy` restricts lookups to one user's jobs
+  const get = async (id, { createdBy } = {}) => {
+    const job = await storage.get('jobs', id);
+    if (!job || (createdBy && job.createdBy !== createdBy)) throw new JobNotFoundError(id);
+    return job;
+  };
+
+  // Newest first; `batchId` narrows to one batch (oldest first, in upload order)
+  const list = async ({ batchId, createdBy } = {}) => {
+    const jobs = (await storage.list('jobs')).filter(job => !createdBy || job.createdBy === createdBy);
+    if (batchId) return jobs.filter(job => job.batchId === batchId).sort((a, b) => a.position - b.position);
+    return jobs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  };
+
+  // Jobs a previous server process queued or started lost their inputs with it
+  const recoverInterrupted = async () => {
+    const jobs = await storage.list('jobs');
+    const interrupted = jobs.filter(job => !isFinished(job));
+    for (const job of interrupted) {
+      job.status = 'failed';
+      job.finishedAt = new Date().toISOString();
+      job.error = { message: 'Interrupted by a server restart before it finished; upload the file again.', status: 503 };
+      await save(job);
+    }
+    return interrupted.length;
+  };
+
+  return { enqueueBatch, get, list, recoverInterrupted };
+};
+
+module.exports = { JOB_STATUSES, JobNotFoundError, isFinished, createJobQueue };
@@ -0,0 +1,21 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// Google Gemini via @google/generative-ai
+const createGeminiProvider = ({ apiKey, model = 'gemini-1.5-flash' }) => {
+  const client = apiKey ? new GoogleGenerativeAI(apiKey).getGenerativeModel({ model }) : null;
+
+  return {
+    name: 'gemini',
+    model,
+    configured: !!client,
+    notConfiguredReason: client ? null : 'GEMINI_API_KEY is not set',
+
+    generate: async (prompt) => {
+      const result = await client.generateContent(prompt);
+      const response = await result.response;
+      return response.text();
+    }
+  };
+};
+
+module.exports = { createGeminiProvider };
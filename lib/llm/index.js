@@ -0,0 +1,34 @@
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+const { createMockProvider } = require('./mock');
+
+// LLM provider used by the invoice parser. Every provider exposes
+//   { name, model, configured, notConfiguredReason, generate(prompt) → Promise<string> }
+//
+// LLM_PROVIDER selects it: "gemini", "openai" (any OpenAI-compatible endpoint,
+// including local models) or "mock". Without LLM_PROVIDER, Gemini is used when
+// GEMINI_API_KEY is set and an OpenAI-compatible endpoint when LLM_BASE_URL is.
+const createLLMProvider = (env = process.env) => {
+  const provider = env.LLM_PROVIDER
+    || (env.GEMINI_API_KEY ? 'gemini' : env.LLM_BASE_URL ? 'openai' : 'gemini');
+
+  switch (provider) {
+    case 'gemini':
+      return createGeminiProvider({
+        apiKey: env.GEMINI_API_KEY,
+        model: env.LLM_MODEL || 'gemini-1.5-flash'
+      });
+    case 'openai':
+      return createOpenAICompatibleProvider({
+        baseUrl: env.LLM_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY,
+        model: env.LLM_MODEL
+      });
+    case 'mock':
+      return createMockProvider({ responseFile: env.LLM_MOCK_RESPONSE_FILE });
+    default:
+      throw new Error(`Unknown LLM provider: ${provider}`);
+  }
+};
+
+module.exports = { createLLMProvider };
@@ -0,0 +1,20 @@
+const fs = require('fs');
+
+// Deterministic provider for tests and offline development. Returns the same
+// canned completion for every prompt: `response`, the contents of
+// LLM_MOCK_RESPONSE_FILE, or an empty SKU list.
+const createMockProvider = ({ response, responseFile } = {}) => {
+  const completion = response
+    || (responseFile ? fs.readFileSync(responseFile, 'utf8') : JSON.stringify({ skus: [], totalCost: 0 }));
+
+  return {
+    name: 'mock',
+    model: responseFile ? `mock:${responseFile}` : 'mock',
+    configured: true,
+    notConfiguredReason: null,
+
+    generate: async () => completion
+  };
+};
+
+module.exports = { createMockProvider };
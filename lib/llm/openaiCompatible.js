@@ -0,0 +1,34 @@
+const axios = require('axios');
+
+// Any endpoint that speaks the OpenAI chat completions API: OpenAI itself, or
+// local servers such as Ollama (http://localhost:11434/v1), LM Studio and vLLM.
+const createOpenAICompatibleProvider = ({ baseUrl, apiKey, model, timeoutMs = 120000 }) => {
+  const configured = !!baseUrl && !!model;
+
+  return {
+    name: 'openai-compatible',
+    model,
+    baseUrl,
+    configured,
+    notConfiguredReason: configured ? null : 'LLM_BASE_URL and LLM_MODEL must both be set',
+
+    generate: async (prompt) => {
+      const response = await axios.post(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+        model,
+        temperature: 0,
+        messages: [{ role: 'user', content: prompt }]
+      }, {
+        timeout: timeoutMs,
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+      });
+
+      const choice = response.data.choices && response.data.choices[0];
+      if (!choice || !choice.message) {
+        throw new Error('Empty completion from OpenAI-compatible endpoint');
+      }
+      return choice.message.content;
+    }
+  };
+};
+
+module.exports = { createOpenAICompatibleProvider };
@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+const { REGIONS, regionFromText } = require('./regions');
+const { CURRENCY_MARK } = require('./currency');
+const {
+  isAdjustmentType,
+  classifyAdjustment,
+  buildAdjustment,
+  extractAdjustmentsFromText
+} = require('./adjustments');
+
+// SKU extraction for PDF invoices the line-item parser can't read: the LLM
+// provider (see lib/llm) estimates SKUs from the invoice text, and a regex
+// parser takes over when the provider isn't configured or its answer can't be
+// used. Both report costs in the invoice's own currency and estimate usage from
+// cost at base-currency prices.
+
+const buildPrompt = (pdfText) => `
+You are an AWS billing expert. Parse this AWS invoice and break down services into specific SKUs.
+
+INVOICE TEXT:
+${pdfText}
+
+Return ONLY valid JSON in this exact format:
+{
+  "skus": [
+    {
+      "skuId": "SERVICE-TYPE-REGION",
+      "service": "EC2|S3|RDS|CloudFront|DataTransfer|SES|SNS",
+      "cost": <number>,
+      "estimatedUsage": <number>,
+      "unit": "hours|GB|requests|emails",
+      "region": "<region code>"
+    }
+  ],
+  "adjustments": [
+    {
+      "type": "credit|refund|tax|support",
+      "description": "<line as printed>",
+      "amount": <number, negative for credits and refunds>
+    }
+  ],
+  "totalCost": <number>
+}
+
+REGIONS:
+AWS invoices group charges under region names. Report each charge under the region
+it is listed in, using these codes (REGION in the SKU ids below is the code):
+${REGIONS.map(region => `- "${region.name}": ${region.code}`).join('\n')}
+Emit one SKU entry per service and region. Use us-east-1 only when no region is shown.
+CloudFront is always "CloudFront-DataTransfer-us-east-1".
+
+SKU BREAKDOWN RULES:
+1. For "Amazon Elastic Compute Cloud" costs:
+   - Small costs (<$10): "EC2-t3.micro-REGION"
+   - Medium costs ($10-50): "EC2-t3.small-REGION" 
+   - Large costs (>$50): "EC2-t3.medium-REGION"
+
+2. For "Amazon Simple Storage Service": "S3-Standard-REGION"
+
+3. For "Amazon RDS Service" costs:
+   - Small costs (<$30): "RDS-db.t3.micro-REGION"
+   - Larger costs: "RDS-db.t3.small-REGION"
+
+4. For "AWS Data Transfer": "DataTransfer-InternetEgress-REGION"
+5. For "Amazon CloudFront": "CloudFront-DataTransfer-us-east-1"
+6. For "Amazon Simple Email Service": "SES-EmailSending-REGION"
+7. For "Amazon Simple Notification Service": "SNS-Requests-REGION"
+
+USAGE ESTIMATION (CRITICAL - must match SKU pricing):
+- EC2-t3.micro: cost ÷ $0.0104 (hours)
+- EC2-t3.small: cost ÷ $0.0208 (hours)
+- EC2-t3.medium: cost ÷ $0.0416 (hours)
+- S3-Standard: cost ÷ $0.023 × 1000 (GB storage)
+- RDS-db.t3.micro: cost ÷ $0.017 (hours)
+- RDS-db.t3.small: cost ÷ $0.034 (hours)
+- DataTransfer: cost ÷ $0.09 × 1000 (GB transfer)
+- CloudFront: cost ÷ $0.085 × 1000 (GB transfer)
+- SES: cost ÷ $0.0001 (emails sent)
+- SNS: cost ÷ $0.0000005 (requests)
+
+ADJUSTMENTS:
+Credits, refunds, tax (VAT, GST, sales tax) and AWS Support plan charges are NOT SKUs.
+List each one under "adjustments" and never add them to a SKU's cost.
+
+CURRENCY:
+Report every cost and amount exactly as printed, in the invoice's own currency (do not convert).
+
+Extract actual costs from invoice, ignore $0.00 charges.
+  `;
+
+// Region of a service charge: the first region name listed after the service line
+const detectRegion = (text, fromIndex) => regionFromText(text.slice(fromIndex, fromIndex + 500)) || 'us-east-1';
+
+// A service's charge line, e.g. "Amazon Simple Storage Service ... $11.78" (or €, £, ...)
+const chargePattern = (service) => new RegExp(`${service}.*?${CURRENCY_MARK}\\s*([0-9,]+\\.?[0-9]*)`, 'gi');
+
+// FIXED: Fallback SKU parsing with CONSISTENT usage estimation
+const fallbackSKUParsing = (text) => {
+  const skuItems = [];
+  
+  // CORRECTED: Usage estimation now matches SKU pricing
+  const servicePatterns = [
+    { 
+      pattern: chargePattern('Amazon Simple Storage Service'), 
+      getSKU: (cost, region) => `S3-Standard-${region}`,
+      service: 'S3', 
+      unit: 'GB',
+      getUsage: (cost) => Math.round(cost / 0.023 * 1000)
+    },
+    { 
+      pattern: chargePattern('AWS Data Transfer'), 
+      getSKU: (cost, region) => `DataTransfer-InternetEgress-${region}`,
+      service: 'DataTransfer', 
+      unit: 'GB',
+      getUsage: (cost) => Math.round(cost / 0.09 * 1000)
+    },
+    { 
+      pattern: chargePattern('Amazon RDS Service'), 
+      getSKU: (cost, region) => cost < 30 ? `RDS-db.t3.micro-${region}` : `RDS-db.t3.small-${region}`,
+      service: 'RDS', 
+      unit: 'hours',
+      getUsage: (cost, skuId) => {
+        // FIXED: Use correct pricing for usage estimation
+        if (skuId.includes('t3.micro')) return Math.round(cost / 0.017);
+        if (skuId.includes('t3.small')) return Math.round(cost / 0.034);
+        return Math.round(cost / 0.017);
+      }
+    },
+    { 
+      pattern: chargePattern('Amazon CloudFront'), 
+      getSKU: () => "CloudFront-DataTransfer-us-east-1",
+      globalService: true,
+      service: 'CloudFront', 
+      unit: 'GB',
+      getUsage: (cost) => Math.round(cost / 0.085 * 1000)
+    },
+    { 
+      pattern: chargePattern('Amazon Simple Email Service'), 
+      getSKU: (cost, region) => `SES-EmailSending-${region}`,
+      service: 'SES', 
+      unit: 'emails',
+      getUsage: (cost) => Math.round(cost / 0.0001)
+    },
+    { 
+      pattern: chargePattern('Amazon Elastic Compute Cloud'), 
+      getSKU: (cost, region) => {
+        if (cost < 10) return `EC2-t3.micro-${region}`;
+        if (cost < 50) return `EC2-t3.small-${region}`;
+        return `EC2-t3.medium-${region}`;
+      },
+      service: 'EC2', 
+      unit: 'hours',
+      getUsage: (cost, skuId) => {
+        // FIXED: Use correct pricing for usage estimation
+        if (skuId.includes('t3.micro')) return Math.round(cost / 0.0104);
+        if (skuId.includes('t3.small')) return Math.round(cost / 0.0208);
+        if (skuId.includes('t3.medium')) return Math.round(cost / 0.0416);
+        return Math.round(cost / 0.0104);
+      }
+    },
+    { 
+      pattern: chargePattern('Amazon Simple Notification Service'), 
+      getSKU: (cost, region) => `SNS-Requests-${region}`,
+      service: 'SNS', 
+      unit: 'requests',
+      getUsage: (cost) => Math.round(cost / 0.0000005)
+    }
+  ];
+
+  servicePatterns.forEach(({ pattern, getSKU, service, unit, getUsage, globalService }) => {
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const cost = parseFloat(match[1].replace(/[,$]/g, ''));
+      if (cost > 0) {
+        const region = globalService ? 'us-east-1' : detectRegion(text, match.index);
+        const skuId = getSKU(cost, region);
+        const usage = getUsage(cost, skuId);
+        
+        skuItems.push({
+          id: `sku-${crypto.randomUUID()}`,
+          skuId: skuId,
+          service: service,
+          usage: usage,
+          totalCost: cost,
+          region: region,
+          unit: unit
+        });
+      }
+    }
+  });
+
+  const totalCost = skuItems.reduce((sum, item) => sum + item.totalCost, 0);
+  return { skus: skuItems, totalCost, adjustments: extractAdjustmentsFromText(text) };
+};
+
+const createLLMInvoiceParser = ({ provider }) => {
+  // Regex fallback result, recording why the LLM wasn't used
+  const fallbackWithReason = (pdfText, reason) => {
+    console.warn(`Using regex fallback parser: ${reason}`);
+    return {
+      ...fallbackSKUParsing(pdfText),
+      parser: { method: 'regex-fallback', provider: null, model: null, fallbackFrom: provider.name, fallbackReason: reason }
+    };
+  };
+
+  // Enhanced LLM parsing to extract SKU-level data
+  const parse = async (pdfText) => {
+    if (!provider.configured) {
+      return fallbackWithReason(pdfText, `${provider.name} provider not configured: ${provider.notConfiguredReason}`);
+    }
+
+    const prompt = buildPrompt(pdfText);
+
+    try {
+      const text = await provider.generate(prompt);
+      
+      let jsonText = text.trim();
+      if (jsonText.startsWith('```')) {
+        jsonText = jsonText.replace(/^```(?:json)?\n?/, '').replace(/\n?```$/, '');
+      }
+      
+      const parsedData = JSON.parse(jsonText);
+      
+      if (!parsedData.skus || !Array.isArray(parsedData.skus)) {
+        throw new Error(`Invalid SKU response structure from ${provider.name}`);
+      }
+      
+      // Convert to expected format with SKU-level items
+      const skuItems = parsedData.skus.map(sku => ({
+        id: `sku-${crypto.randomUUID()}`,
+        skuId: sku.skuId,
+        service: sku.service,
+        usage: Math.round(sku.estimatedUsage || 0),
+        totalCost: parseFloat(sku.cost || 0),
+        region: sku.region || 'us-east-1',
+        unit: sku.unit || 'units'
+      }));
+
+      // Adjustments the model listed, plus any it misfiled as negative-cost SKUs
+      const adjustments = [
+        ...(Array.isArray(parsedData.adjustments) ? parsedData.adjustments : []).map(item => ({
+          type: isAdjustmentType(item.type) ? item.type : classifyAdjustment(item.description || ''),
+          description: item.description,
+          amount: parseFloat(item.amount || 0)
+        })),
+        ...skuItems.filter(item => item.totalCost < 0).map(item => ({
+          type: classifyAdjustment(item.skuId || '') || 'credit',
+          description: item.skuId,
+          amount: item.totalCost
+        }))
+      ]
+        .filter(item => item.type && item.amount)
+        .map((item, index) => buildAdjustment({ ...item, source: 'llm' }, index));
+
+      return {
+        skus: skuItems.filter(item => item.totalCost > 0),
+        adjustments,
+        totalCost: parsedData.totalCost || skuItems.reduce((sum, item) => sum + item.totalCost, 0),
+        parser: { method: 'llm', provider: provider.name, model: provider.model }
+      };
+
+    } catch (error) {
+      console.error(`${provider.name} SKU parsing error:`, error);
+      return fallbackWithReason(pdfText, `${provider.name} (${provider.model}) failed: ${error.message}`);
+    }
+  };
+
+  return { parse };
+};
+
+module.exports = { fallbackSKUParsing, createLLMInvoiceParser };
@@ -0,0 +1,155 @@
+// Validation and reconciliation stage run on every parse result, whatever
+// parser produced it (line items, CUR CSV, LLM or regex fallback).
+//
+// Rejects SKUs the catalog doesn't know and values that aren't usable numbers,
+// reconciles the accepted line items against the invoice's printed grand total,
+// and condenses the findings into warnings plus a 0-1 confidence score.
+
+const { CURRENCY_MARK } = require('./currency');
+
+// Relative gap between line items and the printed total that still reconciles
+const RECONCILIATION_TOLERANCE = 0.01;
+// Implied rate (cost / usage) this far from the catalog's first paid tier gets flagged
+const RATE_DEVIATION_LIMIT = 0.5;
+
+// How much each parser is trusted before any checks run
+const BASE_CONFIDENCE = {
+  'cur-csv': 0.98,
+  'line-items': 0.95,
+  llm: 0.7,
+  'regex-fallback': 0.4
+};
+
+// "$1,234.56", "€1,234.56", "EUR 1,234.56" or "¥12,345", whatever currency the invoice is billed in
+const TOTAL_PATTERNS = [
+  new RegExp(`(?:grand total|total amount due|total for this invoice|invoice total|total charges)[^\\d$€£₹¥\\n]{0,40}?${CURRENCY_MARK}\\s*([\\d,]+(?:\\.\\d{2})?)`, 'i'),
+  new RegExp(`\\btotal\\b[^\\d$€£₹¥\\n]{0,30}?${CURRENCY_MARK}\\s*([\\d,]+(?:\\.\\d{2})?)`, 'gi')
+];
+
+// The invoice's printed grand total: an explicit "grand total" style label
+// wins, otherwise the last "Total ... $X" in the document.
+const extractPrintedTotal = (text) => {
+  const explicit = text.match(TOTAL_PATTERNS[0]);
+  if (explicit) return parseFloat(explicit[1].replace(/,/g, ''));
+
+  const matches = [...text.matchAll(TOTAL_PATTERNS[1])];
+  if (matches.length === 0) return null;
+  return parseFloat(matches[matches.length - 1][1].replace(/,/g, ''));
+};
+
+const isUsableNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+const firstPaidRate = (entry) => {
+  const tier = entry.tiers.find(candidate => candidate.pricePerUnit > 0);
+  return tier ? tier.pricePerUnit : null;
+};
+
+const validateSKU = (sku, catalog) => {
+  const entry = catalog.skus[sku.skuId];
+  if (!sku.skuId || !entry) {
+    return { reason: `Unknown SKU "${sku.skuId}" is not in pricing catalog v${catalog.version}` };
+  }
+  if (!isUsableNumber(sku.usage)) {
+    return { reason: `${sku.skuId}: usage ${sku.usage} is negative or not a number` };
+  }
+  if (!isUsableNumber(sku.totalCost)) {
+    return { reason: `${sku.skuId}: cost ${sku.totalCost} is negative or not a number` };
+  }
+
+  const warnings = [];
+  if (sku.service && sku.service !== entry.service) {
+    warnings.push(`${sku.skuId}: service "${sku.service}" corrected to "${entry.service}"`);
+  }
+  if (sku.usage === 0 && sku.totalCost > 0) {
+    warnings.push(`${sku.skuId}: $${sku.totalCost.toFixed(2)} charged with no usage`);
+  }
+
+  const catalogRate = firstPaidRate(entry);
+  if (catalogRate && sku.usage > 0 && sku.totalCost > 0) {
+    const impliedRate = sku.totalCost / sku.usage;
+    if (Math.abs(impliedRate - catalogRate) / catalogRate > RATE_DEVIATION_LIMIT) {
+      warnings.push(`${sku.skuId}: implied rate $${impliedRate.toPrecision(3)}/${entry.unit} is far from catalog rate $${catalogRate}/${entry.unit}`);
+    }
+  }
+
+  return {
+    sku: { ...sku, service: entry.service, unit: sku.unit || entry.unit },
+    warnings
+  };
+};
+
+// `parseResult` is { skus, unmatched?, adjustments?, parser, printedTotal?, sourceTotal? }.
+// Returns the accepted SKUs and a validation record to store on the invoice.
+const validateParseResult = (parseResult, { catalog }) => {
+  const accepted = [];
+  const rejected = [];
+  const warnings = [];
+
+  (parseResult.skus || []).forEach(sku => {
+    const result = validateSKU(sku, catalog);
+    if (result.reason) {
+      rejected.push({ skuId: sku.skuId || null, service: sku.service || null, totalCost: sku.totalCost, reason: result.reason });
+      return;
+    }
+    accepted.push(result.sku);
+    warnings.push(...result.warnings);
+  });
+
+  rejected.forEach(item => warnings.push(`Rejected: ${item.reason}`));
+
+  const lineItemTotal = accepted.reduce((sum, sku) => sum + sku.totalCost, 0);
+  const unmatchedTotal = (parseResult.unmatched || []).reduce((sum, item) => sum + (item.cost || 0), 0);
+  // Credits, refunds, tax and support are part of the printed total but not of the line items
+  const adjustmentTotal = (parseResult.adjustments || []).reduce((sum, item) => sum + item.amount, 0);
+  const expectedTotal = parseResult.printedTotal ?? parseResult.sourceTotal ?? null;
+
+  let reconciliation = null;
+  if (expectedTotal !== null && expectedTotal > 0) {
+    const accountedFor = lineItemTotal + unmatchedTotal + adjustmentTotal;
+    const difference = expectedTotal - accountedFor;
+    reconciliation = {
+      printedTotal: expectedTotal,
+      lineItemTotal: Math.round(lineItemTotal * 100) / 100,
+      unmatchedTotal: Math.round(unmatchedTotal * 100) / 100,
+      adjustmentTotal: Math.round(adjustmentTotal * 100) / 100,
+      difference: Math.round(difference * 100) / 100,
+      reconciled: Math.abs(difference) / expectedTotal <= RECONCILIATION_TOLERANCE,
+      // Share of the service spend (total less adjustments) that is in pooled SKUs
+      coverage: expectedTotal - adjustmentTotal > 0
+        ? Math.round(lineItemTotal / (expectedTotal - adjustmentTotal) * 1000) / 10
+        : 0
+    };
+    if (!reconciliation.reconciled) {
+      warnings.push(`Line items and adjustments ($${accountedFor.toFixed(2)}) do not reconcile with the invoice total ($${expectedTotal.toFixed(2)}); difference $${difference.toFixed(2)}`);
+    }
+    if (unmatchedTotal > 0) {
+      warnings.push(`$${unmatchedTotal.toFixed(2)} of charges could not be mapped to a pricing SKU and are excluded from pooling`);
+    }
+  } else {
+    warnings.push('Invoice grand total not found; line items could not be reconciled');
+  }
+
+  const method = parseResult.parser && parseResult.parser.method;
+  let confidence = BASE_CONFIDENCE[method] ?? 0.5;
+  confidence -= Math.min(0.3, rejected.length * 0.1);
+  if (reconciliation && !reconciliation.reconciled) {
+    const gap = Math.abs(reconciliation.difference) / reconciliation.printedTotal;
+    confidence -= Math.min(0.4, gap);
+  }
+  if (!reconciliation) confidence -= 0.1;
+  confidence = Math.round(Math.max(0, Math.min(1, confidence)) * 100) / 100;
+
+  return {
+    skus: accepted,
+    validation: {
+      confidence,
+      warnings,
+      rejected,
+      reconciliation,
+      catalogVersion: catalog.version,
+      validatedAt: new Date().toISOString()
+    }
+  };
+};
+
+module.exports = { validateParseResult, extractPrintedTotal };
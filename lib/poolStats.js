@@ -0,0 +1,107 @@
+const { sumUsageBySKU } = require('./pricing');
+const { invoiceCustomerId } = require('./customers');
+const { allocateInvoices, DEFAULT_ALLOCATION_STRATEGY } = require('./allocation');
+const { accountStandaloneCosts } = require('./freeTier');
+const { BASE_CURRENCY, toInvoiceCurrency } = require('./currency');
+
+// Standalone vs pooled cost for one set of invoices priced against one catalog.
+// Callers pick the invoices: a single billing period, approved invoices only.
+// Per-member pooled costs follow the allocation strategy and sum to pooledCost.
+// Standalone is each account's usage at catalog rates after its own Free Tier,
+// priced the same way as the pooled side.
+// All amounts are in the base currency; members also get theirs in their own.
+const computePoolStats = (invoices, catalog, { strategy = DEFAULT_ALLOCATION_STRATEGY } = {}) => {
+  const poolSKUTotals = sumUsageBySKU(invoices);
+  const regionBreakdown = {};
+  const skuRegions = {};
+  let totalStandaloneCost = 0;
+
+  const regionEntry = (region) => {
+    if (!regionBreakdown[region]) {
+      regionBreakdown[region] = { standaloneCost: 0, pooledCost: 0, freeTierCredit: 0, savings: 0, skuCount: 0 };
+    }
+    return regionBreakdown[region];
+  };
+
+  const invoiceStandalone = {};
+  invoices.forEach(invoice => {
+    const costs = accountStandaloneCosts(invoice.skus, catalog);
+    invoiceStandalone[invoice.id] = 0;
+    invoice.skus.forEach((sku, index) => {
+      skuRegions[sku.skuId] = sku.region || 'us-east-1';
+      invoiceStandalone[invoice.id] += costs[index].cost;
+      regionEntry(skuRegions[sku.skuId]).standaloneCost += costs[index].cost;
+    });
+    totalStandaloneCost += invoiceStandalone[invoice.id];
+  });
+
+  // The allocation's cent-rounded total is what members' shares add up to;
+  // members are customers, their share split over their invoices
+  const allocation = allocateInvoices(invoices, catalog, strategy);
+  const memberFreeTierCredit = (id) => Object.values(allocation.freeTierCredits[id] || {})
+    .reduce((sum, entry) => sum + entry.credit, 0);
+
+  // Pooled cost per region: members' SKU-level shares (volume tiers pooled across
+  // regions where AWS aggregates), with each account's Free Tier already off
+  Object.keys(poolSKUTotals).forEach(skuId => {
+    regionEntry(skuRegions[skuId]).skuCount += 1;
+  });
+  Object.values(allocation.skuShares).forEach(skuShares => {
+    Object.entries(skuShares).forEach(([skuId, cost]) => {
+      regionEntry(skuRegions[skuId]).pooledCost += cost;
+    });
+  });
+  Object.values(allocation.freeTierCredits).forEach(skuCredits => {
+    Object.entries(skuCredits).forEach(([skuId, entry]) => {
+      regionEntry(skuRegions[skuId]).freeTierCredit += entry.credit;
+    });
+  });
+
+  Object.values(regionBreakdown).forEach(region => {
+    region.savings = Math.max(0, region.standaloneCost - region.pooledCost);
+  });
+
+  const estimatedSavings = Math.max(0, totalStandaloneCost - allocation.total);
+
+  const members = invoices.map(invoice => {
+    const standalone = Math.round(invoiceStandalone[invoice.id] * 100) / 100;
+    const pooled = allocation.shares[invoice.id] || 0;
+    const savings = Math.max(0, standalone - pooled);
+    return {
+      invoiceId: invoice.id,
+      customerId: invoiceCustomerId(invoice),
+      customerName: invoice.customerName,
+      standalone,
+      pooled,
+      freeTierCredit: Math.round(memberFreeTierCredit(invoice.id) * 100) / 100,
+      savings: Math.round(savings * 100) / 100,
+      percentage: standalone > 0 ? Math.round(savings / standalone * 10000) / 100 : 0,
+      // The same figures in the currency the member is billed in
+      currency: invoice.currency ? invoice.currency.code : BASE_CURRENCY,
+      local: {
+        standalone: toInvoiceCurrency(standalone, invoice),
+        pooled: toInvoiceCurrency(pooled, invoice),
+        savings: toInvoiceCurrency(savings, invoice)
+      }
+    };
+  });
+
+  return {
+    // A customer with several invoices in the period (e.g. linked accounts) is one member
+    totalCustomers: new Set(invoices.map(invoiceCustomerId)).size,
+    totalInvoices: invoices.length,
+    totalUsage: poolSKUTotals,
+    totalCost: totalStandaloneCost,
+    pooledCost: allocation.total,
+    // Already taken off pooledCost: every member account keeps its own Free Tier
+    freeTierCredit: Math.round(invoices.reduce((sum, invoice) => sum + memberFreeTierCredit(invoice.id), 0) * 100) / 100,
+    estimatedSavings: estimatedSavings,
+    savingsPercentage: totalStandaloneCost > 0 ? (estimatedSavings / totalStandaloneCost * 100) : 0,
+    regionBreakdown: regionBreakdown,
+    allocationStrategy: strategy,
+    baseCurrency: BASE_CURRENCY,
+    members: members
+  };
+};
+
+module.exports = { computePoolStats };
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const { isAllocationStrategy, DEFAULT_ALLOCATION_STRATEGY } = require('./allocation');
+
+// Pools are the cooperatives invoices are pooled in, e.g. one per industry or
+// region. An invoice can belong to several pools, which is how "what if this
+// customer joined pool B" is modelled without duplicating the upload.
+
+const DEFAULT_POOL_ID = 'pool-default';
+
+// Invoices stored before pools existed (or uploaded without a pool) belong here
+const DEFAULT_POOL = {
+  id: DEFAULT_POOL_ID,
+  name: 'Main Pool',
+  description: 'Default pool for invoices not assigned elsewhere',
+  industry: null,
+  region: null,
+  allocationStrategy: DEFAULT_ALLOCATION_STRATEGY,
+  createdAt: null
+};
+
+class PoolValidationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const invoicePoolIds = (invoice) => (Array.isArray(invoice.poolIds) ? invoice.poolIds : [DEFAULT_POOL_ID]);
+
+const isPoolMember = (invoice, poolId) => invoicePoolIds(invoice).includes(poolId);
+
+// The default pool exists even before anyone has edited (and so stored) it
+const listPools = async (storage) => {
+  const pools = await storage.list('pools');
+  return pools.some(pool => pool.id === DEFAULT_POOL_ID) ? pools : [DEFAULT_POOL, ...pools];
+};
+
+const getPool = async (storage, id) => {
+  const pool = await storage.get('pools', id);
+  if (pool) return pool;
+  return id === DEFAULT_POOL_ID ? DEFAULT_POOL : null;
+};
+
+const optionalText = (value, field) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string') throw new PoolValidationError(`${field} must be a string`);
+  return value.trim();
+};
+
+// Pool record from create/update input; `existing` keeps id and createdAt on updates
+const buildPool = (input, existing = null) => {
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name) throw new PoolValidationError('Pool name is required.');
+
+  const allocationStrategy = input.allocationStrategy
+    || (existing && existing.allocationStrategy)
+    || DEFAULT_ALLOCATION_STRATEGY;
+  if (!isAllocationStrategy(allocationStrategy)) {
+    throw new PoolValidationError(`Unknown allocation strategy: ${allocationStrategy}`);
+  }
+
+  const now = new Date().toISOString();
+  return {
+    id: existing ? existing.id : `pool-${crypto.randomUUID()}`,
+    name,
+    description: optionalText(input.description, 'description'),
+    industry: optionalText(input.industry, 'industry'),
+    region: optionalText(input.region, 'region'),
+    // How pooled cost is split between members unless a request asks for another strategy
+    allocationStrategy,
+    createdAt: (existing && existing.createdAt) || now,
+    updatedAt: now
+  };
+};
+
+// Check requested pool ids against the stored pools, dropping duplicates
+const resolvePoolIds = async (storage, poolIds) => {
+  if (!Array.isArray(poolIds) || poolIds.some(id => typeof id !== 'string')) {
+    throw new PoolValidationError('poolIds must be an array of pool ids.');
+  }
+  const known = new Set((await listPools(storage)).map(pool => pool.id));
+  const unknown = poolIds.filter(id => !known.has(id));
+  if (unknown.length > 0) {
+    throw new PoolValidationError(`Unknown pool: ${unknown.join(', ')}`, 404);
+  }
+  return [...new Set(poolIds)];
+};
+
+module.exports = {
+  DEFAULT_POOL_ID,
+  PoolValidationError,
+  invoicePoolIds,
+  isPoolMember,
+  listPools,
+  getPool,
+  buildPool,
+  resolvePoolIds
+};
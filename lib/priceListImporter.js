@@ -0,0 +1,236 @@
+const fs = require('fs');
+const path = require('path');
+const Papa = require('papaparse');
+const { regionFromLocation, isRegionCode } = require('./regions');
+
+// Importer for AWS Price List bulk offer files (JSON or CSV), downloaded ahead
+// of time from https://pricing.us-east-1.amazonaws.com/offers/v1.0/aws/index.json.
+// Only On-Demand terms are read. Each product's price dimensions (beginRange /
+// endRange) become a tier array in the same shape calculateSKUTieredCost uses.
+//
+// Whole offer files are read into memory, so prefer the per-region files
+// (.../AmazonEC2/current/<region>/index.json) over the multi-GB global ones.
+
+// Attribute keys are compared lowercased with non-alphanumerics removed, so the
+// JSON "instanceType" and the CSV "Instance Type" columns land on the same key.
+const normalizeKey = (key) => key.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const normalizeAttributes = (attributes) => Object.fromEntries(
+  Object.entries(attributes || {}).map(([key, value]) => [normalizeKey(key), value])
+);
+
+// Price List units → units used by the catalog
+const UNIT_MAP = {
+  hrs: 'hours',
+  hours: 'hours',
+  gbmo: 'GB',
+  gb: 'GB',
+  requests: 'requests',
+  recipients: 'emails',
+  messages: 'emails'
+};
+
+// Offer product → catalog SKU rules. `getSKU` returns the SKU family; the
+// region code is appended by the importer. Return null to skip a product.
+const PRODUCT_RULES = [
+  {
+    service: 'EC2',
+    applies: (product) => product.productFamily === 'Compute Instance',
+    getSKU: (attrs) => {
+      if (attrs.operatingsystem !== 'Linux' || attrs.tenancy !== 'Shared') return null;
+      if ((attrs.preinstalledsw || 'NA') !== 'NA') return null;
+      if (attrs.capacitystatus && attrs.capacitystatus !== 'Used') return null;
+      if (attrs.licensemodel && attrs.licensemodel !== 'No License required') return null;
+      if (attrs.marketoption && attrs.marketoption !== 'OnDemand') return null;
+      return attrs.instancetype ? `EC2-${attrs.instancetype}` : null;
+    }
+  },
+  {
+    service: 'RDS',
+    applies: (product) => product.productFamily === 'Database Instance',
+    getSKU: (attrs) => {
+      if (attrs.databaseengine !== 'MySQL' || attrs.deploymentoption !== 'Single-AZ') return null;
+      return attrs.instancetype ? `RDS-${attrs.instancetype}` : null;
+    }
+  },
+  {
+    service: 'S3',
+    applies: (product, attrs) => product.productFamily === 'Storage' && attrs.servicecode === 'AmazonS3',
+    getSKU: (attrs) => ({
+      'Standard': 'S3-Standard',
+      'Standard - Infrequent Access': 'S3-IA',
+      'Amazon Glacier': 'S3-Glacier',
+      'Glacier Flexible Retrieval': 'S3-Glacier'
+    })[attrs.volumetype] || null
+  },
+  {
+    service: 'CloudFront',
+    applies: (product, attrs) => product.productFamily === 'Data Transfer' && attrs.transfertype === 'CloudFront Outbound',
+    // CloudFront prices by edge location group; North America maps onto the us-east-1 SKU
+    getSKU: (attrs) => attrs.fromlocation === 'United States' ? 'CloudFront-DataTransfer' : null,
+    region: () => 'us-east-1',
+    aggregation: 'global'
+  },
+  {
+    service: 'DataTransfer',
+    applies: (product, attrs) => product.productFamily === 'Data Transfer' && attrs.transfertype === 'AWS Outbound',
+    getSKU: (attrs) => attrs.tolocation === 'External' ? 'DataTransfer-InternetEgress' : null,
+    region: (attrs) => attrs.fromregioncode || regionFromLocation(attrs.fromlocation),
+    aggregation: 'global'
+  },
+  {
+    service: 'SES',
+    applies: (product, attrs) => attrs.servicecode === 'AmazonSES',
+    getSKU: (attrs) => /Recipients$/.test(attrs.usagetype || '') ? 'SES-EmailSending' : null
+  },
+  {
+    service: 'SNS',
+    applies: (product, attrs) => attrs.servicecode === 'AmazonSNS',
+    getSKU: (attrs) => /Requests-Tier1$/.test(attrs.usagetype || '') ? 'SNS-Requests' : null
+  }
+];
+
+const parseRangeEnd = (value) => (value === 'Inf' || value === '' || value === undefined ? null : parseFloat(value));
+
+// JSON offer file → { metadata, products: [{ sku, productFamily, attributes, dimensions }] }
+const parseJSONOffer = (offer) => {
+  const onDemand = (offer.terms && offer.terms.OnDemand) || {};
+  const products = Object.values(offer.products || {}).map(product => {
+    const dimensions = [];
+    Object.values(onDemand[product.sku] || {}).forEach(term => {
+      Object.values(term.priceDimensions || {}).forEach(dimension => {
+        dimensions.push({
+          beginRange: parseFloat(dimension.beginRange || 0),
+          endRange: parseRangeEnd(dimension.endRange),
+          unit: dimension.unit,
+          pricePerUnit: parseFloat((dimension.pricePerUnit || {}).USD)
+        });
+      });
+    });
+    return {
+      sku: product.sku,
+      productFamily: product.productFamily,
+      attributes: normalizeAttributes(product.attributes),
+      dimensions
+    };
+  });
+
+  return {
+    metadata: {
+      offerCode: offer.offerCode,
+      version: offer.version,
+      publicationDate: offer.publicationDate
+    },
+    products
+  };
+};
+
+// CSV offer files start with five "key","value" metadata rows before the header
+const parseCSVOffer = (text) => {
+  const lines = text.split(/\r?\n/);
+  const metadata = {};
+  lines.slice(0, 5).forEach(line => {
+    const [key, value] = Papa.parse(line).data[0] || [];
+    if (key) metadata[normalizeKey(key)] = value;
+  });
+
+  const parsed = Papa.parse(lines.slice(5).join('\n'), { header: true, skipEmptyLines: true });
+  const products = {};
+
+  parsed.data.forEach(row => {
+    if (row.TermType !== 'OnDemand') return;
+    if (!products[row.SKU]) {
+      const attributes = { ...row };
+      ['SKU', 'OfferTermCode', 'RateCode', 'TermType', 'PriceDescription', 'EffectiveDate',
+        'StartingRange', 'EndingRange', 'Unit', 'PricePerUnit', 'Currency'].forEach(column => delete attributes[column]);
+      products[row.SKU] = {
+        sku: row.SKU,
+        productFamily: row['Product Family'],
+        attributes: normalizeAttributes(attributes),
+        dimensions: []
+      };
+    }
+    if (row.Currency && row.Currency !== 'USD') return;
+    products[row.SKU].dimensions.push({
+      beginRange: parseFloat(row.StartingRange || 0),
+      endRange: parseRangeEnd(row.EndingRange),
+      unit: row.Unit,
+      pricePerUnit: parseFloat(row.PricePerUnit)
+    });
+  });
+
+  return {
+    metadata: {
+      offerCode: metadata.offercode,
+      version: metadata.version,
+      publicationDate: metadata.publicationdate
+    },
+    products: Object.values(products)
+  };
+};
+
+const readOfferFile = (filePath) => {
+  const text = fs.readFileSync(filePath, 'utf8');
+  return path.extname(filePath).toLowerCase() === '.csv'
+    ? parseCSVOffer(text)
+    : parseJSONOffer(JSON.parse(text));
+};
+
+const dimensionsToTiers = (dimensions) => dimensions
+  .slice()
+  .sort((a, b) => a.beginRange - b.beginRange)
+  .map(dimension => ({
+    minUsage: dimension.beginRange,
+    maxUsage: dimension.endRange,
+    pricePerUnit: dimension.pricePerUnit
+  }));
+
+// Turn a parsed offer into catalog SKU entries. `regions` limits the import to
+// the given region codes; products that match no rule are skipped silently,
+// matched products that cannot be converted are listed in `skipped`.
+const buildCatalogEntries = (offer, { regions } = {}) => {
+  const entries = {};
+  const skipped = [];
+
+  offer.products.forEach(product => {
+    const attrs = product.attributes;
+    const rule = PRODUCT_RULES.find(candidate => candidate.applies(product, attrs));
+    if (!rule) return;
+
+    const skuFamily = rule.getSKU(attrs);
+    if (!skuFamily) return;
+
+    const region = rule.region
+      ? rule.region(attrs)
+      : (isRegionCode(attrs.regioncode) ? attrs.regioncode : regionFromLocation(attrs.location));
+    if (!region) {
+      skipped.push({ sku: product.sku, skuFamily, reason: `unknown location "${attrs.location}"` });
+      return;
+    }
+    if (regions && !regions.includes(region)) return;
+
+    const dimensions = product.dimensions.filter(dimension => !isNaN(dimension.pricePerUnit));
+    if (dimensions.length === 0) {
+      skipped.push({ sku: product.sku, skuFamily, reason: 'no On-Demand USD price' });
+      return;
+    }
+
+    const skuId = `${skuFamily}-${region}`;
+    if (entries[skuId]) {
+      skipped.push({ sku: product.sku, skuId, reason: 'duplicate product for SKU' });
+      return;
+    }
+
+    entries[skuId] = {
+      service: rule.service,
+      unit: UNIT_MAP[normalizeKey(dimensions[0].unit || '')] || dimensions[0].unit,
+      region,
+      aggregation: rule.aggregation || 'region',
+      tiers: dimensionsToTiers(dimensions)
+    };
+  });
+
+  return { entries, skipped };
+};
+
+module.exports = { readOfferFile, parseJSONOffer, parseCSVOffer, buildCatalogEntries };
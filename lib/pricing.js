@@ -0,0 +1,121 @@
+// SKU-level pooling math shared by the stats, savings and debug routes.
+// Every function takes the pricing catalog version it should price against.
+//
+// Usage is pooled per "pooling key": the SKU id for region-scoped SKUs (instance
+// hours only count toward tiers in their own region), and the SKU id without its
+// region for globally aggregated SKUs (data transfer tiers count all regions).
+
+// CORRECTED: Calculate tiered cost with proper cumulative tier logic
+const calculateSKUTieredCost = (skuId, totalUsage, catalog) => {
+  const entry = catalog.skus[skuId];
+  // Invoices are validated against the catalog, so this is a SKU no version has ever priced
+  if (!entry) {
+    throw new Error(`No pricing tiers found for SKU: ${skuId} (catalog v${catalog.version})`);
+  }
+
+  let cost = 0;
+  let usageProcessed = 0;
+
+  for (const tier of entry.tiers) {
+    // Calculate how much usage falls within this tier
+    const tierStart = tier.minUsage;
+    const tierEnd = tier.maxUsage === Infinity ? totalUsage : Math.min(tier.maxUsage, totalUsage);
+    
+    if (totalUsage <= tierStart) {
+      // No usage in this tier
+      break;
+    }
+    
+    const usageInThisTier = tierEnd - Math.max(tierStart, usageProcessed);
+    
+    if (usageInThisTier > 0) {
+      cost += usageInThisTier * tier.pricePerUnit;
+      usageProcessed += usageInThisTier;
+    }
+    
+    if (tierEnd >= totalUsage) {
+      break;
+    }
+  }
+
+  return cost;
+};
+
+// Tier the given usage ends in (1-based), e.g. how far a pool's volume reaches
+const tierReached = (skuId, totalUsage, catalog) => {
+  const entry = catalog.skus[skuId];
+  if (!entry || entry.tiers.length === 0) return null;
+
+  let index = entry.tiers.findIndex(tier => tier.maxUsage === Infinity || totalUsage <= tier.maxUsage);
+  if (index === -1) index = entry.tiers.length - 1;
+  const tier = entry.tiers[index];
+  return {
+    tier: index + 1,
+    tierCount: entry.tiers.length,
+    pricePerUnit: tier.pricePerUnit,
+    minUsage: tier.minUsage,
+    maxUsage: tier.maxUsage === Infinity ? null : tier.maxUsage
+  };
+};
+
+const poolingKey = (skuId, catalog) => {
+  const entry = catalog.skus[skuId];
+  if (!entry || entry.aggregation !== 'global') return skuId;
+  const suffix = `-${entry.region}`;
+  return skuId.endsWith(suffix) ? skuId.slice(0, -suffix.length) : skuId;
+};
+
+// Usage per SKU id across the given invoices
+const sumUsageBySKU = (invoices) => {
+  const totals = {};
+  invoices.forEach(invoice => {
+    invoice.skus.forEach(sku => {
+      totals[sku.skuId] = (totals[sku.skuId] || 0) + sku.usage;
+    });
+  });
+  return totals;
+};
+
+// Usage per pooling key - what the volume tiers are evaluated against
+const sumUsageByPoolingKey = (invoices, catalog) => {
+  const totals = {};
+  invoices.forEach(invoice => {
+    invoice.skus.forEach(sku => {
+      const key = poolingKey(sku.skuId, catalog);
+      totals[key] = (totals[key] || 0) + sku.usage;
+    });
+  });
+  return totals;
+};
+
+// Pooled cost of `usage` units of one SKU: the SKU's own (regional) tiers are
+// evaluated at the whole pooling group's volume, then charged pro rata.
+const calculatePooledSKUCost = (skuId, usage, poolingTotals, catalog) => {
+  const totalPoolUsage = poolingTotals[poolingKey(skuId, catalog)] || 0;
+  if (totalPoolUsage === 0 || usage === 0) return 0;
+
+  const totalSKUCost = calculateSKUTieredCost(skuId, totalPoolUsage, catalog);
+  return totalSKUCost * (usage / totalPoolUsage);
+};
+
+// Calculate what a customer would pay for their SKUs in the pool
+const calculateCustomerSKUPooledCost = (customerSKUs, poolingTotals, catalog) => {
+  let customerPooledCost = 0;
+
+  customerSKUs.forEach(sku => {
+    // Customer pays their proportional share of the SKU cost at pool volume
+    customerPooledCost += calculatePooledSKUCost(sku.skuId, sku.usage, poolingTotals, catalog);
+  });
+
+  return customerPooledCost;
+};
+
+module.exports = {
+  calculateSKUTieredCost,
+  calculateCustomerSKUPooledCost,
+  calculatePooledSKUCost,
+  tierReached,
+  poolingKey,
+  sumUsageBySKU,
+  sumUsageByPoolingKey
+};
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+
+// Versioned SKU pricing catalog. The versions shipped with the app are JSON
+// files in CATALOG_DIR; versions published at runtime (pricing API, Price List
+// imports) go to the storage layer's "pricing-catalogs" collection, so the
+// checked-in directory is never written to and can be read-only.
+//
+// Each version (pricing-v<N>) is immutable:
+//   { version, effectiveDate, source, createdAt, skus: { [skuId]: { service, unit, region, aggregation, freeTier, tiers } } }
+// Tier arrays use the same shape calculateSKUTieredCost consumes; an open-ended
+// last tier is stored as `maxUsage: null` because JSON has no Infinity.
+// `aggregation` says how AWS accumulates usage toward the tiers: "region" (per
+// region, e.g. instance hours) or "global" (across regions, e.g. data transfer).
+// `freeTier` ({ allowance, group }) is the per-account Free Tier, see freeTier.js.
+// Edits never modify a published version - they write the next one.
+//
+// Pricing runs against a resolved version: a SKU the version doesn't list (a
+// region added later, priced for an earlier month) is taken from the earliest
+// version that has it, marked with `fromVersion`. Serialized versions are
+// exactly what was published.
+
+class CatalogValidationError extends Error {}
+
+const FILE_PATTERN = /^pricing-v(\d+)\.json$/;
+
+const COLLECTION = 'pricing-catalogs';
+
+const versionId = (version) => `pricing-v${version}`;
+
+const toRuntimeTiers = (tiers) => tiers.map(tier => ({
+  ...tier,
+  maxUsage: tier.maxUsage === null || tier.maxUsage === undefined ? Infinity : tier.maxUsage
+}));
+
+const toStoredTiers = (tiers) => tiers.map(tier => ({
+  ...tier,
+  maxUsage: tier.maxUsage === Infinity ? null : tier.maxUsage
+}));
+
+// Tiers must start at zero, be contiguous and end open-ended
+const validateTiers = (skuId, tiers) => {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    throw new CatalogValidationError(`${skuId}: tiers must be a non-empty array`);
+  }
+
+  tiers.forEach((tier, index) => {
+    const max = tier.maxUsage === null || tier.maxUsage === undefined ? Infinity : tier.maxUsage;
+    if (typeof tier.minUsage !== 'number' || typeof tier.pricePerUnit !== 'number' || typeof max !== 'number') {
+      throw new CatalogValidationError(`${skuId}: tier ${index} needs numeric minUsage, maxUsage and pricePerUnit`);
+    }
+    if (tier.pricePerUnit < 0 || tier.minUsage < 0 || max <= tier.minUsage) {
+      throw new CatalogValidationError(`${skuId}: tier ${index} has an invalid range or negative price`);
+    }
+    const expectedMin = index === 0 ? 0 : tiers[index - 1].maxUsage;
+    if (tier.minUsage !== expectedMin) {
+      throw new CatalogValidationError(`${skuId}: tier ${index} must start at ${expectedMin}`);
+    }
+    if (index === tiers.length - 1 && max !== Infinity) {
+      throw new CatalogValidationError(`${skuId}: last tier must be open-ended (maxUsage: null)`);
+    }
+  });
+};
+
+const validateFreeTier = (skuId, freeTier) => {
+  if (freeTier === undefined || freeTier === null) return;
+  if (typeof freeTier.allowance !== 'number' || freeTier.allowance <= 0) {
+    throw new CatalogValidationError(`${skuId}: freeTier.allowance must be a positive number`);
+  }
+  if (freeTier.group !== undefined && (typeof freeTier.group !== 'string' || !freeTier.group)) {
+    throw new CatalogValidationError(`${skuId}: freeTier.group must be a non-empty string`);
+  }
+};
+
+// Early versions (and Price List offers) encode the Free Tier as a zero-priced
+// first tier, which a pool would only get once for all its accounts. It is
+// lifted out into `freeTier` and the first paid tier extended down to zero.
+const liftFreeTier = (entry) => {
+  const [first, second, ...rest] = entry.tiers;
+  if (entry.freeTier || !second || first.pricePerUnit !== 0) return entry;
+  return {
+    ...entry,
+    freeTier: { allowance: first.maxUsage },
+    tiers: [{ ...second, minUsage: 0 }, ...rest]
+  };
+};
+
+const validateSKUEntry = (skuId, entry) => {
+  if (!skuId || typeof skuId !== 'string') {
+    throw new CatalogValidationError('skuId is required');
+  }
+  ['service', 'unit', 'region'].forEach(field => {
+    if (!entry[field] || typeof entry[field] !== 'string') {
+      throw new CatalogValidationError(`${skuId}: ${field} is required`);
+    }
+  });
+  if (entry.aggregation !== undefined && !['region', 'global'].includes(entry.aggregation)) {
+    throw new CatalogValidationError(`${skuId}: aggregation must be "region" or "global"`);
+  }
+  validateTiers(skuId, entry.tiers);
+  validateFreeTier(skuId, entry.freeTier);
+};
+
+// Stored (JSON) form of a version → the in-memory form the pricing math uses
+const toRuntimeCatalog = (stored) => {
+  const catalog = { ...stored, skus: {} };
+  delete catalog.id;
+  Object.entries(stored.skus).forEach(([skuId, entry]) => {
+    catalog.skus[skuId] = liftFreeTier({ ...entry, tiers: toRuntimeTiers(entry.tiers) });
+  });
+  return catalog;
+};
+
+// `storage` holds versions published at runtime; call loadPublished() before use
+const createPricingCatalog = ({ catalogDir, storage = null }) => {
+  let versions = [];
+  let resolved = new Map();
+
+  // Every version with the SKUs it lacks filled in from the earliest version listing them
+  const resolveVersions = () => {
+    const firstListed = {};
+    versions.forEach(catalog => Object.entries(catalog.skus).forEach(([skuId, entry]) => {
+      if (!firstListed[skuId]) firstListed[skuId] = { ...entry, fromVersion: catalog.version };
+    }));
+    resolved = new Map(versions.map(catalog => {
+      const missing = Object.entries(firstListed).filter(([skuId]) => !catalog.skus[skuId]);
+      return [catalog, { ...catalog, skus: { ...Object.fromEntries(missing), ...catalog.skus } }];
+    }));
+  };
+
+  const readVersions = () => {
+    versions = fs.readdirSync(catalogDir)
+      .filter(file => FILE_PATTERN.test(file))
+      .map(file => toRuntimeCatalog(JSON.parse(fs.readFileSync(path.join(catalogDir, file), 'utf8'))))
+      .sort((a, b) => a.version - b.version);
+
+    if (versions.length === 0) {
+      throw new Error(`No pricing catalog files found in ${catalogDir}`);
+    }
+    resolveVersions();
+  };
+
+  // Add the versions published to storage; a number already shipped as a file keeps the file
+  const loadPublished = async () => {
+    if (!storage) return;
+    const published = await storage.list(COLLECTION);
+    published.forEach(stored => {
+      if (versions.some(catalog => catalog.version === stored.version)) return;
+      versions.push(toRuntimeCatalog(stored));
+    });
+    versions.sort((a, b) => a.version - b.version);
+    resolveVersions();
+  };
+
+  // The active catalog is the newest version already in effect on `date`
+  const getActive = (date = new Date()) => {
+    const day = date.toISOString().slice(0, 10);
+    const effective = versions.filter(catalog => catalog.effectiveDate <= day);
+    return resolved.get(effective.length > 0 ? effective[effective.length - 1] : versions[0]);
+  };
+
+  const getVersion = (version) => {
+    const catalog = versions.find(candidate => candidate.version === Number(version));
+    return catalog ? resolved.get(catalog) : null;
+  };
+
+  const listVersions = () => versions.map(({ version, effectiveDate, source, createdAt, skus }) => ({
+    version,
+    effectiveDate,
+    source,
+    createdAt,
+    skuCount: Object.keys(skus).length
+  }));
+
+  const serialize = (catalog) => ({
+    ...catalog,
+    skus: Object.fromEntries(Object.entries(catalog.skus)
+      .filter(([, entry]) => entry.fromVersion === undefined)
+      .map(([skuId, entry]) => [skuId, { ...entry, tiers: toStoredTiers(entry.tiers) }]))
+  });
+
+  // Store a new version built from the latest one with `changes` ({ [skuId]: entry }) applied
+  const publishVersion = async ({ changes, source, effectiveDate }) => {
+    if (!storage) throw new Error('Publishing a pricing catalog version needs a storage layer');
+    Object.entries(changes).forEach(([skuId, entry]) => validateSKUEntry(skuId, entry));
+
+    const latest = versions[versions.length - 1];
+    const catalog = {
+      version: latest.version + 1,
+      effectiveDate: effectiveDate || new Date().toISOString().slice(0, 10),
+      source: source || 'Manual update via pricing API',
+      createdAt: new Date().toISOString(),
+      skus: { ...latest.skus }
+    };
+
+    Object.entries(changes).forEach(([skuId, entry]) => {
+      catalog.skus[skuId] = liftFreeTier({ ...entry, tiers: toRuntimeTiers(entry.tiers) });
+    });
+
+    // Another process may have published this number since we loaded
+    if (await storage.get(COLLECTION, versionId(catalog.version))) {
+      throw new CatalogValidationError(`Pricing catalog v${catalog.version} was published elsewhere; reload and try again.`);
+    }
+    await storage.put(COLLECTION, { id: versionId(catalog.version), ...serialize(catalog) });
+    versions.push(catalog);
+    resolveVersions();
+    return resolved.get(catalog);
+  };
+
+  readVersions();
+
+  return {
+    getActive,
+    getVersion,
+    getLatest: () => resolved.get(versions[versions.length - 1]),
+    listVersions,
+    serialize,
+    loadPublished,
+    publishVersion
+  };
+};
+
+module.exports = { createPricingCatalog, validateSKUEntry, CatalogValidationError };
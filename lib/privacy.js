@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const { invoiceCustomerId } = require('./customers');
+
+// Member privacy.
+//
+// Redaction: invoice text loses AWS account numbers, email addresses, phone
+// numbers, street addresses / postcodes and named contacts before anything
+// parses it (the LLM provider included) or it's stored in line item
+// descriptions. Each match becomes a placeholder such as "[account]".
+//
+// Aggregates: pool-wide figures shown to members, or shared outside the pool,
+// never name anyone and are withheld while fewer than MIN_AGGREGATE_MEMBERS
+// members are behind them; with two members, the total minus your own share
+// is the other member's bill. The same threshold applies per SKU and region.
+
+const MIN_AGGREGATE_MEMBERS = Number(process.env.MIN_AGGREGATE_MEMBERS) || 3;
+
+const US_STATES = 'AL|AK|AZ|AR|CA|CO|CT|DE|DC|FL|GA|HI|ID|IL|IN|IA|KS|KY|LA|ME|MD|MA|MI|MN|MS|MO|MT|NE|NV|NH|NJ|NM|NY|NC|ND|OH|OK|OR|PA|RI|SC|SD|TN|TX|UT|VT|VA|WA|WV|WI|WY';
+const STREET_TYPES = 'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Way|Court|Ct|Place|Pl|Parkway|Pkwy|Terrace|Square|Sq|Highway|Hwy';
+
+// Order matters: labelled contacts and phones go before the bare number patterns
+const REDACTIONS = [
+  ['contact', /\b(?:Attn|Attention|Contact(?: name)?)\s*[:.]?\s*[A-Z][\w.'-]*(?:\s+[A-Z][\w.'-]*){0,2}/g],
+  ['email', /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g],
+  ['phone', /\b(?:Phone|Tel|Telephone|Fax|Mobile)\s*[:.]?\s*\+?[\d\s().-]{7,20}\d/gi],
+  ['phone', /\+\d{1,3}[\s.-]?\(?\d{1,4}\)?(?:[\s.-]?\d{2,4}){2,4}\b/g],
+  ['phone', /(?:\(\d{3}\)\s?|\b\d{3}-)\d{3}-\d{4}\b/g],
+  ['account', /\b\d{4}-\d{4}-\d{4}\b|\b\d{12}\b/g],
+  // "410 Terry Ave North, Suite 2"
+  ['address', new RegExp(`\\b\\d{1,6}\\s+(?:[A-Z][A-Za-z'-]*\\s+){1,4}(?:${STREET_TYPES})\\b\\.?(?:\\s+(?:North|South|East|West|[NS][EW]?|[EW])\\b)?(?:,?\\s*(?:Suite|Ste\\.?|Unit|Floor|Fl\\.?|#)\\s*\\w+)?`, 'g')],
+  // "Seattle, WA 98109", "London, EC1A 1BB" - the comma keeps "S3 1GB" and the like out
+  ['address', new RegExp(`\\b(?:[A-Z][a-z]+\\s+){0,2}[A-Z][a-z]+,\\s*(?:${US_STATES})\\s+\\d{5}(?:-\\d{4})?\\b`, 'g')],
+  ['address', /\b(?:[A-Z][a-z]+\s+){0,2}[A-Z][a-z]+,\s*[A-Z]{1,2}\d[A-Z\d]?\s\d[A-Z]{2}\b/g]
+];
+
+// Text with personal details replaced, plus how many of each kind were removed
+const redactText = (text) => {
+  const counts = {};
+  const redacted = REDACTIONS.reduce((current, [kind, pattern]) => current.replace(pattern, () => {
+    counts[kind] = (counts[kind] || 0) + 1;
+    return `[${kind}]`;
+  }), text || '');
+  return { text: redacted, redactions: counts };
+};
+
+const redactDescription = (entry) => (
+  typeof entry.description === 'string' ? { ...entry, description: redactText(entry.description).text } : entry
+);
+
+// A parse result whose line item, unmatched row and adjustment descriptions are
+// redacted, for sources that weren't redacted before parsing (CUR exports)
+const redactParseResult = (parseResult) => ({
+  ...parseResult,
+  skus: parseResult.skus.map(sku => ({
+    ...sku,
+    ...(sku.lineItems && { lineItems: sku.lineItems.map(redactDescription) })
+  })),
+  unmatched: (parseResult.unmatched || []).map(redactDescription),
+  adjustments: (parseResult.adjustments || []).map(redactDescription)
+});
+
+// Key for account id hashes. There's no default: with a key anyone can read,
+// the 12-digit account ids could be brute-forced back out of the hashes. The
+// server checks for it at startup.
+const accountIdSecret = () => {
+  if (!process.env.ACCOUNT_ID_SECRET) {
+    throw new Error('ACCOUNT_ID_SECRET is not set; set it to a long random string and keep it for as long as invoices are stored.');
+  }
+  return process.env.ACCOUNT_ID_SECRET;
+};
+
+// Keyed hash of an AWS account id: enough to match two uploads of the same
+// account's bill without keeping the number
+const hashAccountId = (accountId) => (accountId
+  ? crypto.createHmac('sha256', accountIdSecret()).update(String(accountId).replace(/-/g, '')).digest('hex')
+  : null);
+
+// Distinct members behind each SKU and region of `invoices`
+const memberCounts = (invoices) => {
+  const skus = {};
+  const regions = {};
+  invoices.forEach(invoice => {
+    const customerId = invoiceCustomerId(invoice);
+    invoice.skus.forEach(sku => {
+      (skus[sku.skuId] = skus[sku.skuId] || new Set()).add(customerId);
+      const region = sku.region || 'us-east-1';
+      (regions[region] = regions[region] || new Set()).add(customerId);
+    });
+  });
+  const sizes = (sets) => Object.fromEntries(Object.entries(sets).map(([key, members]) => [key, members.size]));
+  return { skus: sizes(skus), regions: sizes(regions) };
+};
+
+const percentile = (sorted, fraction) => {
+  if (sorted.length === 0) return null;
+  const index = (sorted.length - 1) * fraction;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return Math.round((sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower)) * 100) / 100;
+};
+
+// Anonymous summary of one pool period from computePoolStats output and the
+// invoices behind it: totals, usage per SKU, spend per region and how savings
+// spread across members - no names, ids or single-member figures.
+const poolAggregate = (stats, invoices, { minMembers = MIN_AGGREGATE_MEMBERS } = {}) => {
+  const memberCount = stats.totalCustomers;
+  const base = { memberCount, minMembers, baseCurrency: stats.baseCurrency };
+  if (memberCount < minMembers) {
+    return { ...base, withheld: true, reason: `Pool figures are shown once at least ${minMembers} members have approved invoices.` };
+  }
+
+  const counts = memberCounts(invoices);
+  const hiddenSKUs = Object.keys(stats.totalUsage).filter(skuId => counts.skus[skuId] < minMembers);
+  const hiddenRegions = Object.keys(stats.regionBreakdown).filter(region => counts.regions[region] < minMembers);
+  const savingsRates = stats.members.map(member => member.percentage).sort((a, b) => a - b);
+
+  return {
+    ...base,
+    withheld: false,
+    totals: {
+      standalone: stats.totalCost,
+      pooled: stats.pooledCost,
+      freeTierCredit: stats.freeTierCredit,
+      savings: stats.estimatedSavings,
+      savingsPercentage: stats.savingsPercentage
+    },
+    skus: Object.entries(stats.totalUsage)
+      .filter(([skuId]) => !hiddenSKUs.includes(skuId))
+      .map(([skuId, usage]) => ({ skuId, usage, memberCount: counts.skus[skuId] })),
+    regions: Object.entries(stats.regionBreakdown)
+      .filter(([region]) => !hiddenRegions.includes(region))
+      .map(([region, breakdown]) => ({ region, ...breakdown, memberCount: counts.regions[region] })),
+    // Used by fewer than `minMembers` members, so left out above
+    hiddenSKUCount: hiddenSKUs.length,
+    hiddenRegionCount: hiddenRegions.length,
+    // Spread of members' savings rates (%), quartiles only
+    savingsPercentage: {
+      p25: percentile(savingsRates, 0.25),
+      median: percentile(savingsRates, 0.5),
+      p75: percentile(savingsRates, 0.75)
+    }
+  };
+};
+
+// Pool stats as a member sees them: their own rows, plus pool-wide figures only
+// where enough members are behind them
+const memberPoolStats = (stats, invoices, customerId, { minMembers = MIN_AGGREGATE_MEMBERS } = {}) => {
+  const aggregate = poolAggregate(stats, invoices, { minMembers });
+  const own = stats.members.filter(member => member.customerId === customerId);
+  if (aggregate.withheld) {
+    return {
+      ...stats,
+      totalUsage: {},
+      totalCost: null,
+      pooledCost: null,
+      freeTierCredit: null,
+      estimatedSavings: null,
+      savingsPercentage: null,
+      commitmentSavings: null,
+      savingsComponents: null,
+      regionBreakdown: {},
+      adjustments: null,
+      members: own,
+      aggregatesWithheld: true,
+      minAggregateMembers: minMembers
+    };
+  }
+
+  const visibleRegions = Object.fromEntries(aggregate.regions.map(({ region }) => [region, stats.regionBreakdown[region]]));
+  const visibleUsage = Object.fromEntries(aggregate.skus.map(({ skuId, usage }) => [skuId, usage]));
+  return {
+    ...stats,
+    totalUsage: visibleUsage,
+    regionBreakdown: visibleRegions,
+    members: own,
+    aggregatesWithheld: false,
+    minAggregateMembers: minMembers
+  };
+};
+
+module.exports = {
+  MIN_AGGREGATE_MEMBERS,
+  redactText,
+  redactParseResult,
+  accountIdSecret,
+  hashAccountId,
+  poolAggregate,
+  memberPoolStats
+};
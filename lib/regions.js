@@ -0,0 +1,69 @@
+// AWS region reference data shared by the invoice, CUR and Price List parsers.
+// `name` is the location string AWS prints on invoices and in Price List files;
+// `usageTypePrefix` is what it puts in front of regional usage types
+// (USE1-BoxUsage:t3.micro). us-east-1 usage types usually carry no prefix.
+const REGIONS = [
+  { code: 'us-east-1', name: 'US East (N. Virginia)', usageTypePrefix: 'USE1' },
+  { code: 'us-east-2', name: 'US East (Ohio)', usageTypePrefix: 'USE2' },
+  { code: 'us-west-1', name: 'US West (N. California)', usageTypePrefix: 'USW1' },
+  { code: 'us-west-2', name: 'US West (Oregon)', usageTypePrefix: 'USW2' },
+  { code: 'ca-central-1', name: 'Canada (Central)', usageTypePrefix: 'CAN1' },
+  { code: 'sa-east-1', name: 'South America (Sao Paulo)', usageTypePrefix: 'SAE1' },
+  { code: 'eu-west-1', name: 'EU (Ireland)', usageTypePrefix: 'EU' },
+  { code: 'eu-west-2', name: 'EU (London)', usageTypePrefix: 'EUW2' },
+  { code: 'eu-west-3', name: 'EU (Paris)', usageTypePrefix: 'EUW3' },
+  { code: 'eu-central-1', name: 'EU (Frankfurt)', usageTypePrefix: 'EUC1' },
+  { code: 'eu-north-1', name: 'EU (Stockholm)', usageTypePrefix: 'EUN1' },
+  { code: 'eu-south-1', name: 'EU (Milan)', usageTypePrefix: 'EUS1' },
+  { code: 'ap-northeast-1', name: 'Asia Pacific (Tokyo)', usageTypePrefix: 'APN1' },
+  { code: 'ap-northeast-2', name: 'Asia Pacific (Seoul)', usageTypePrefix: 'APN2' },
+  { code: 'ap-northeast-3', name: 'Asia Pacific (Osaka)', usageTypePrefix: 'APN3' },
+  { code: 'ap-southeast-1', name: 'Asia Pacific (Singapore)', usageTypePrefix: 'APS1' },
+  { code: 'ap-southeast-2', name: 'Asia Pacific (Sydney)', usageTypePrefix: 'APS2' },
+  { code: 'ap-south-1', name: 'Asia Pacific (Mumbai)', usageTypePrefix: 'APS3' },
+  { code: 'me-south-1', name: 'Middle East (Bahrain)', usageTypePrefix: 'MES1' },
+  { code: 'af-south-1', name: 'Africa (Cape Town)', usageTypePrefix: 'AFS1' }
+];
+
+const REGION_CODE = /^[a-z]{2}(-gov)?-[a-z]+-\d$/;
+
+const isRegionCode = (value) => REGION_CODE.test(value || '');
+
+// Location names appear both as "EU (Ireland)" and "Europe (Ireland)" depending on the document
+const normalizeLocation = (name) => name.toLowerCase().replace(/^europe\b/, 'eu').replace(/[^a-z0-9]/g, '');
+
+const regionFromLocation = (location) => {
+  if (!location) return null;
+  const normalized = normalizeLocation(location);
+  const region = REGIONS.find(candidate => normalizeLocation(candidate.name) === normalized);
+  return region ? region.code : null;
+};
+
+// Every region name, plus the "Europe (...)" spelling, longest first so the
+// most specific name wins when one is a prefix of another
+const REGION_NAME_PATTERN = new RegExp(
+  REGIONS.map(region => region.name)
+    .concat(REGIONS.filter(region => region.name.startsWith('EU ')).map(region => region.name.replace(/^EU/, 'Europe')))
+    .sort((a, b) => b.length - a.length)
+    .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('|'),
+  'i'
+);
+
+// First region name mentioned in a piece of invoice text
+const regionFromText = (text) => {
+  const match = (text || '').match(REGION_NAME_PATTERN);
+  return match ? regionFromLocation(match[0]) : null;
+};
+
+const regionFromUsageTypePrefix = (prefix) => {
+  const region = REGIONS.find(candidate => candidate.usageTypePrefix === prefix);
+  return region ? region.code : null;
+};
+
+const regionName = (code) => {
+  const region = REGIONS.find(candidate => candidate.code === code);
+  return region ? region.name : code;
+};
+
+module.exports = { REGIONS, isRegionCode, regionFromLocation, regionFromText, regionFromUsageTypePrefix, regionName };
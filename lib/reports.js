@@ -0,0 +1,464 @@
+const { jsPDF } = require('jspdf');
+const { invoiceCustomerId } = require('./customers');
+const { countsTowardPool } = require('./invoiceReview');
+const { ADJUSTMENT_TYPES, summarizeAdjustments } = require('./adjustments');
+const { ALLOCATION_STRATEGIES } = require('./allocation');
+
+// Savings reports rendered on the server, so they can be fetched by scripts,
+// attached to emails and archived as issued.
+//
+// buildReport turns per-invoice savings (the savings route's numbers) into one
+// report shape for both kinds: "pool" (every approved member of a pool's month)
+// and "member" (one organization's accounts in it). renderReportPDF is the one
+// template both kinds are drawn with; the JSON format is buildReport's output.
+// Settlement statements are drawn in the same template by renderStatementPDF.
+
+const REPORT_KINDS = {
+  pool: 'Pool Savings Report',
+  member: 'Member Savings Report'
+};
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+const percentageOf = (part, whole) => (whole > 0 ? Math.round(part / whole * 10000) / 100 : 0);
+
+// `entries` are { invoice, savings } pairs, `savings` being what invoiceSavings
+// returns for the invoice. `history` is month-by-month pool figures (pool reports),
+// `poolMembers` how many members the pool has, or null when it isn't shown.
+const buildReport = ({ kind, subject, pool, period, strategy, strategyName, catalog, baseCurrency, entries, history = [], poolMembers = null }) => {
+  const rows = entries.map(({ invoice, savings }) => ({
+    invoiceId: invoice.id,
+    customerId: invoiceCustomerId(invoice),
+    customerName: invoice.customerName,
+    label: kind === 'pool' ? invoice.customerName : (invoice.originalFileName || invoice.id),
+    standalone: savings.standalone,
+    pooled: savings.pooled,
+    freeTierCredit: savings.freeTierCredit,
+    savings: savings.savings,
+    percentage: savings.percentage,
+    amountDue: savings.net.pooled,
+    standaloneAmountDue: savings.net.standalone,
+    currency: savings.currency,
+    local: savings.local,
+    // Priced as if it had joined; not in the pool's totals until approved
+    pendingReview: !countsTowardPool(invoice)
+  }));
+
+  // Per SKU across the report's invoices; pool volume and tier are the pool's, so the same for every invoice
+  const skus = {};
+  entries.forEach(({ invoice, savings }) => savings.skus.forEach(sku => {
+    const entry = skus[sku.skuId] || {
+      skuId: sku.skuId,
+      service: sku.service,
+      region: sku.region,
+      unit: sku.unit,
+      usage: 0,
+      standalone: 0,
+      pooled: 0,
+      freeTierCredit: 0,
+      savings: 0,
+      members: new Set(),
+      poolingKey: sku.poolingKey,
+      poolUsage: sku.poolUsage,
+      tierReached: sku.tierReached
+    };
+    entry.usage += sku.usage;
+    entry.standalone += sku.standalone;
+    entry.pooled += sku.pooled;
+    entry.freeTierCredit += sku.freeTierCredit;
+    entry.savings += sku.savings;
+    entry.members.add(invoiceCustomerId(invoice));
+    skus[sku.skuId] = entry;
+  }));
+
+  // Each invoice's SKUs as the savings route shows them
+  const memberSKUs = entries.flatMap(({ invoice, savings }) => savings.skus.map(sku => ({
+    invoiceId: invoice.id,
+    customerId: invoiceCustomerId(invoice),
+    customerName: invoice.customerName,
+    skuId: sku.skuId,
+    service: sku.service,
+    region: sku.region,
+    unit: sku.unit,
+    usage: sku.usage,
+    freeTierUsage: sku.freeTierUsage,
+    standalone: sku.standalone,
+    pooled: sku.pooled,
+    freeTierCredit: sku.freeTierCredit,
+    savings: sku.savings,
+    percentage: sku.percentage,
+    poolingKey: sku.poolingKey,
+    poolUsage: sku.poolUsage,
+    tierReached: sku.tierReached
+  })));
+
+  const standalone = roundCents(rows.reduce((sum, row) => sum + row.standalone, 0));
+  const pooled = roundCents(rows.reduce((sum, row) => sum + row.pooled, 0));
+  const savings = roundCents(Math.max(0, standalone - pooled));
+
+  return {
+    kind,
+    title: REPORT_KINDS[kind],
+    subject,
+    poolId: pool.id,
+    poolName: pool.name,
+    period,
+    allocationStrategy: strategy,
+    allocationStrategyName: strategyName,
+    catalogVersion: catalog.version,
+    catalogEffectiveDate: catalog.effectiveDate,
+    baseCurrency,
+    generatedAt: new Date().toISOString(),
+    poolMembers,
+    totals: {
+      members: new Set(rows.map(row => row.customerId)).size,
+      invoices: rows.length,
+      standalone,
+      pooled,
+      freeTierCredit: roundCents(rows.reduce((sum, row) => sum + row.freeTierCredit, 0)),
+      savings,
+      savingsPercentage: percentageOf(savings, standalone),
+      annualSavings: roundCents(savings * 12),
+      adjustments: summarizeAdjustments(entries.flatMap(({ invoice }) => invoice.adjustments || [])),
+      amountDue: roundCents(rows.reduce((sum, row) => sum + row.amountDue, 0)),
+      standaloneAmountDue: roundCents(rows.reduce((sum, row) => sum + row.standaloneAmountDue, 0))
+    },
+    rows: rows.sort((a, b) => b.standalone - a.standalone),
+    skus: Object.values(skus)
+      .map(({ members, ...entry }) => ({
+        ...entry,
+        standalone: roundCents(entry.standalone),
+        pooled: roundCents(entry.pooled),
+        freeTierCredit: roundCents(entry.freeTierCredit),
+        savings: roundCents(entry.savings),
+        percentage: percentageOf(entry.savings, entry.standalone),
+        members: members.size
+      }))
+      .sort((a, b) => b.savings - a.savings),
+    memberSKUs,
+    history
+  };
+};
+
+// Template colors (RGB)
+const INK = [33, 37, 41];
+const MUTED = [108, 117, 125];
+const BODY = [73, 80, 87];
+const STANDALONE = [173, 181, 189];
+const POOLED = [59, 130, 246];
+const SAVINGS = [34, 197, 94];
+
+// Most bars per chart; the tables list everything
+const CHART_LIMIT = 10;
+
+// The default PDF font has no currency symbols, so amounts carry codes
+const amount = (value) => (value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const monthLabel = (period) => {
+  const [year, month] = period.split('-');
+  return new Date(Date.UTC(Number(year), Number(month) - 1, 1)).toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+};
+
+// A document in the template's layout: `y` is where the next block starts and
+// moves down (onto a new page when needed) as blocks are added
+const createPDF = () => {
+  const doc = new jsPDF();
+  const pageWidth = doc.internal.pageSize.width;
+  const pageHeight = doc.internal.pageSize.height;
+  const margin = 20;
+  const contentWidth = pageWidth - 2 * margin;
+  const page = { doc, pageHeight, margin, contentWidth, y: 30 };
+
+  page.ensureSpace = (height) => {
+    if (page.y + height > pageHeight - 20) {
+      doc.addPage();
+      page.y = 30;
+    }
+  };
+
+  // Title, subject and muted detail lines
+  page.header = (title, subject, details) => {
+    doc.setFontSize(22);
+    doc.setTextColor(...INK);
+    doc.text(title, margin, page.y);
+    page.y += 9;
+    doc.setFontSize(13);
+    doc.text(subject, margin, page.y);
+    page.y += 8;
+    doc.setFontSize(9);
+    doc.setTextColor(...MUTED);
+    details.forEach(line => {
+      doc.text(line, margin, page.y);
+      page.y += 5;
+    });
+    page.y += 5;
+  };
+
+  // Shaded box of [label, value] rows
+  page.metrics = (rows) => {
+    doc.setFillColor(240, 248, 255);
+    doc.rect(margin, page.y - 6, contentWidth, rows.length * 7 + 6, 'F');
+    doc.setFontSize(10);
+    rows.forEach(([label, value]) => {
+      doc.setTextColor(...BODY);
+      doc.text(label, margin + 5, page.y);
+      doc.setTextColor(...INK);
+      doc.text(value, margin + 70, page.y);
+      page.y += 7;
+    });
+    page.y += 8;
+  };
+
+  page.heading = (text) => {
+    page.ensureSpace(20);
+    doc.setFontSize(14);
+    doc.setTextColor(...INK);
+    doc.text(text, margin, page.y);
+    page.y += 10;
+  };
+
+  // columns: [{ label, width, align }], widths as fractions of the content width
+  page.table = (columns, rows) => {
+    const positions = [];
+    let x = margin;
+    columns.forEach(column => {
+      positions.push(column.align === 'right' ? x + column.width * contentWidth - 2 : x + 2);
+      x += column.width * contentWidth;
+    });
+    const header = () => {
+      doc.setFillColor(248, 249, 250);
+      doc.rect(margin, page.y - 5, contentWidth, 8, 'F');
+      doc.setFontSize(9);
+      doc.setTextColor(...INK);
+      columns.forEach((column, index) => doc.text(column.label, positions[index], page.y, { align: column.align || 'left' }));
+      page.y += 8;
+    };
+
+    header();
+    doc.setTextColor(...BODY);
+    rows.forEach(row => {
+      if (page.y > pageHeight - 25) {
+        doc.addPage();
+        page.y = 30;
+        header();
+        doc.setTextColor(...BODY);
+      }
+      doc.setFontSize(8);
+      row.forEach((cell, index) => {
+        const width = columns[index].width * contentWidth - 4;
+        const text = doc.splitTextToSize(String(cell), width)[0];
+        doc.text(text, positions[index], page.y, { align: columns[index].align || 'left' });
+      });
+      page.y += 6;
+    });
+    page.y += 6;
+  };
+
+  // Small muted lines at the end of the document
+  page.notes = (lines) => {
+    page.ensureSpace(30);
+    doc.setFontSize(8);
+    doc.setTextColor(...MUTED);
+    lines.forEach(line => {
+      doc.text(line, margin, page.y);
+      page.y += 5;
+    });
+  };
+
+  page.output = () => Buffer.from(doc.output('arraybuffer'));
+
+  return page;
+};
+
+// Draw a report as a PDF (Buffer). `memberCurrency` shows each row in the
+// currency its invoice was billed in rather than the base currency.
+const renderReportPDF = (report, { memberCurrency = false } = {}) => {
+  const page = createPDF();
+  const { doc, margin, contentWidth } = page;
+  const currency = report.baseCurrency;
+  const { totals } = report;
+
+  // Vertical bars, one group per label with a bar per series
+  const barChart = (title, labels, series) => {
+    if (labels.length === 0) return;
+    const chartHeight = 50;
+    page.ensureSpace(chartHeight + 35);
+    page.heading(title);
+
+    const max = Math.max(...series.flatMap(entry => entry.values), 0) || 1;
+    const groupWidth = contentWidth / labels.length;
+    const barWidth = Math.min(12, (groupWidth - 4) / series.length);
+    const baseline = page.y + chartHeight;
+
+    doc.setDrawColor(222, 226, 230);
+    doc.line(margin, baseline, margin + contentWidth, baseline);
+    doc.setFontSize(7);
+    doc.setTextColor(...MUTED);
+    doc.text(amount(max), margin, page.y - 2);
+
+    labels.forEach((label, index) => {
+      const groupX = margin + index * groupWidth + (groupWidth - barWidth * series.length) / 2;
+      series.forEach((entry, seriesIndex) => {
+        const height = (entry.values[index] / max) * chartHeight;
+        doc.setFillColor(...entry.color);
+        if (height > 0) doc.rect(groupX + seriesIndex * barWidth, baseline - height, barWidth - 1, height, 'F');
+      });
+      doc.text(doc.splitTextToSize(label, groupWidth - 2)[0], margin + index * groupWidth + groupWidth / 2, baseline + 5, { align: 'center' });
+    });
+
+    // Legend
+    let legendX = margin;
+    series.forEach(entry => {
+      doc.setFillColor(...entry.color);
+      doc.rect(legendX, baseline + 9, 3, 3, 'F');
+      doc.text(entry.label, legendX + 5, baseline + 11.5);
+      legendX += doc.getTextWidth(entry.label) + 14;
+    });
+    page.y = baseline + 22;
+  };
+
+  page.header(report.title, report.subject, [
+    `${report.poolName}  |  Billing month: ${monthLabel(report.period)}  |  Generated ${report.generatedAt.slice(0, 10)}  |  Amounts in ${currency}`,
+    `Pooled cost split by: ${report.allocationStrategyName}  |  Pricing catalog v${report.catalogVersion} (effective ${report.catalogEffectiveDate})`
+  ]);
+
+  // Summary
+  const metrics = [
+    ['Standalone cost', `${amount(totals.standalone)} ${currency}`],
+    ['Pooled cost', `${amount(totals.pooled)} ${currency}`],
+    ['Savings', `${amount(totals.savings)} ${currency} (${totals.savingsPercentage.toFixed(1)}%)`],
+    ['Annual projection', `${amount(totals.annualSavings)} ${currency}`],
+    ['Free Tier credits', `${amount(totals.freeTierCredit)} ${currency}`],
+    ['Amount due after adjustments', `${amount(totals.amountDue)} ${currency} (standalone ${amount(totals.standaloneAmountDue)})`]
+  ];
+  if (report.kind === 'pool') {
+    metrics.unshift(['Members', `${totals.members} (${totals.invoices} invoice${totals.invoices === 1 ? '' : 's'})`]);
+  } else if (report.poolMembers !== null) {
+    metrics.unshift(['Pool members', `${report.poolMembers}`]);
+  }
+  page.metrics(metrics);
+
+  // Per member (pool report) or per account (member report)
+  page.heading(report.kind === 'pool' ? 'Member Breakdown' : 'Accounts');
+  const rowAmount = (row, field) => (memberCurrency && row.currency !== currency
+    ? `${amount(row.local[field])} ${row.currency}`
+    : amount(row[field]));
+  page.table([
+    { label: report.kind === 'pool' ? 'Member' : 'Invoice', width: 0.34 },
+    { label: 'Standalone', width: 0.18, align: 'right' },
+    { label: 'Pooled', width: 0.18, align: 'right' },
+    { label: 'Savings', width: 0.18, align: 'right' },
+    { label: '%', width: 0.12, align: 'right' }
+  ], report.rows.map(row => [
+    `${row.label}${row.pendingReview ? ' (in review)' : ''}`,
+    rowAmount(row, 'standalone'),
+    rowAmount(row, 'pooled'),
+    rowAmount(row, 'savings'),
+    `${row.percentage.toFixed(1)}%`
+  ]));
+
+  const charted = report.rows.slice(0, CHART_LIMIT);
+  barChart('Standalone vs Pooled Cost', charted.map(row => row.label), [
+    { label: 'Standalone', color: STANDALONE, values: charted.map(row => row.standalone) },
+    { label: 'Pooled', color: POOLED, values: charted.map(row => row.pooled) }
+  ]);
+
+  // Per SKU
+  page.heading('SKU Breakdown');
+  page.table([
+    { label: 'SKU', width: 0.32 },
+    { label: 'Usage', width: 0.16, align: 'right' },
+    { label: 'Standalone', width: 0.14, align: 'right' },
+    { label: 'Pooled', width: 0.14, align: 'right' },
+    { label: 'Savings', width: 0.14, align: 'right' },
+    { label: 'Tier', width: 0.10, align: 'right' }
+  ], report.skus.map(sku => [
+    sku.skuId,
+    `${sku.usage.toLocaleString('en-US', { maximumFractionDigits: 2 })} ${sku.unit || ''}`,
+    amount(sku.standalone),
+    amount(sku.pooled),
+    amount(sku.savings),
+    sku.tierReached ? `${sku.tierReached.tier}/${sku.tierReached.tierCount}` : '-'
+  ]));
+
+  const topSKUs = report.skus.filter(sku => sku.savings > 0).slice(0, CHART_LIMIT);
+  barChart('Savings by SKU', topSKUs.map(sku => sku.skuId.split('-').slice(0, 2).join(' ')), [
+    { label: 'Savings', color: SAVINGS, values: topSKUs.map(sku => sku.savings) }
+  ]);
+
+  // Month over month (pool report)
+  if (report.history.length > 1) {
+    barChart('Monthly Trend', report.history.map(entry => monthLabel(entry.period)), [
+      { label: 'Standalone', color: STANDALONE, values: report.history.map(entry => entry.totalCost) },
+      { label: 'Pooled', color: POOLED, values: report.history.map(entry => entry.pooledCost) }
+    ]);
+  }
+
+  // Notes
+  const notes = [];
+  const { byType } = totals.adjustments;
+  const adjustments = Object.keys(ADJUSTMENT_TYPES).filter(type => byType[type]);
+  if (adjustments.length > 0) {
+    notes.push(`Adjustments (not pooled): ${adjustments.map(type => `${ADJUSTMENT_TYPES[type]} ${amount(byType[type])}`).join(', ')}`);
+  }
+  if (report.rows.some(row => row.pendingReview)) {
+    notes.push('Invoices in review are priced as if they had joined the pool; they count toward pool totals once approved.');
+  }
+  notes.push('* Savings are based on AWS published volume discount tiers. Actual savings may vary.');
+  page.notes(notes);
+
+  return page.output();
+};
+
+// Draw an issued statement (lib/settlements.js) as a PDF (Buffer) in the same
+// template. Settlements render it once and keep the file, so every download is
+// the file its checksum was taken of.
+const renderStatementPDF = (statement) => {
+  const page = createPDF();
+  const currency = statement.baseCurrency;
+  const { totals } = statement;
+
+  page.header('Pool Settlement Statement', `Bill to: ${statement.customerName}`, [
+    `Statement ${statement.number}  |  Issued ${statement.issuedAt.slice(0, 10)}  |  Amounts in ${currency}`,
+    `${statement.poolName}  |  Billing month: ${monthLabel(statement.period)}`,
+    `Pooled cost split by: ${ALLOCATION_STRATEGIES[statement.allocationStrategy]}  |  Pricing catalog v${statement.catalogVersion} (effective ${statement.catalogEffectiveDate})`
+  ]);
+
+  const { byType } = totals.adjustments;
+  page.metrics([
+    ['Pooled charge', `${amount(totals.charge)} ${currency}`],
+    ['Standalone cost', `${amount(totals.standalone)} ${currency}`],
+    ['Savings', `${amount(totals.savings)} ${currency} (${totals.savingsPercentage.toFixed(1)}%)`],
+    ...Object.keys(ADJUSTMENT_TYPES)
+      .filter(type => byType[type])
+      .map(type => [`${ADJUSTMENT_TYPES[type]} (not pooled)`, `${amount(byType[type])} ${currency}`]),
+    ['Amount due', `${amount(totals.amountDue)} ${currency} (standalone ${amount(totals.standaloneAmountDue)})`]
+  ]);
+
+  page.heading('Line Items');
+  const usage = (value, unit) => `${value.toLocaleString('en-US', { maximumFractionDigits: 2 })} ${unit || ''}`;
+  page.table([
+    { label: 'SKU', width: 0.28 },
+    { label: 'Billable usage', width: 0.17, align: 'right' },
+    { label: 'Free Tier', width: 0.14, align: 'right' },
+    { label: 'Standalone', width: 0.14, align: 'right' },
+    { label: 'Charge', width: 0.14, align: 'right' },
+    { label: 'Savings', width: 0.13, align: 'right' }
+  ], statement.lineItems.map(line => [
+    line.skuId,
+    usage(line.billableUsage, line.unit),
+    line.freeTierUsage > 0 ? usage(line.freeTierUsage, line.unit) : '-',
+    amount(line.standalone),
+    amount(line.charge),
+    amount(line.savings)
+  ]));
+
+  page.notes([
+    'Free Tier usage is each account\'s own; the billable rest is charged its share of the pool\'s volume-tier cost.',
+    `Statement checksum (SHA-256 of its contents): ${statement.checksum}`
+  ]);
+
+  return page.output();
+};
+
+module.exports = { REPORT_KINDS, buildReport, renderReportPDF, renderStatementPDF };
@@ -0,0 +1,173 @@
+const { accountStandaloneCosts, invoiceStandaloneCost } = require('./freeTier');
+const { allocateInvoices } = require('./allocation');
+const { computePoolStats } = require('./poolStats');
+const { customerIdFor, invoiceCustomerId } = require('./customers');
+
+// What-if simulation of pool composition: re-price a pool's members with
+// hypothetical members added (stored invoices or prospects described by their
+// SKUs) and/or existing members removed. Works on copies; nothing is stored.
+
+class ScenarioError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+// A prospect is one account. Like every member, its standalone cost in the
+// results is its usage at catalog rates after its Free Tier; a given current
+// cost is only kept as the prospect's printed total
+const buildProspectInvoice = (addition, index, catalog) => {
+  const name = typeof addition.customerName === 'string' ? addition.customerName.trim() : '';
+  if (!name) throw new ScenarioError('A prospect needs a customerName.');
+  if (!Array.isArray(addition.skus) || addition.skus.length === 0) {
+    throw new ScenarioError(`Prospect "${name}" needs at least one SKU.`);
+  }
+
+  const usages = addition.skus.map(sku => {
+    if (!catalog.skus[sku.skuId]) {
+      throw new ScenarioError(`Unknown SKU "${sku.skuId}" is not in pricing catalog v${catalog.version}`);
+    }
+    const usage = Number(sku.usage);
+    if (!Number.isFinite(usage) || usage < 0) {
+      throw new ScenarioError(`${sku.skuId}: usage must be a non-negative number`);
+    }
+    return { skuId: sku.skuId, usage };
+  });
+  const catalogCosts = accountStandaloneCosts(usages, catalog);
+
+  const skus = addition.skus.map((sku, skuIndex) => {
+    const hasCost = sku.totalCost !== undefined && sku.totalCost !== null && sku.totalCost !== '';
+    const totalCost = hasCost ? Number(sku.totalCost) : catalogCosts[skuIndex].cost;
+    if (!Number.isFinite(totalCost) || totalCost < 0) {
+      throw new ScenarioError(`${sku.skuId}: totalCost must be a non-negative number`);
+    }
+    return { ...usages[skuIndex], totalCost: roundCents(totalCost) };
+  });
+
+  return {
+    id: `prospect-${index}`,
+    customerId: `prospect-${customerIdFor(name).replace(/^customer-/, '')}`,
+    customerName: name,
+    hypothetical: true,
+    skus,
+    totalCost: roundCents(skus.reduce((sum, sku) => sum + sku.totalCost, 0))
+  };
+};
+
+const applyRemovals = (invoices, removals) => {
+  const removedIds = new Set();
+  removals.forEach(removal => {
+    const matches = invoices.filter(invoice => (
+      invoice.id === removal.invoiceId || invoiceCustomerId(invoice) === removal.customerId
+    ));
+    if (matches.length === 0) {
+      throw new ScenarioError(`Removal ${removal.invoiceId || removal.customerId} is not a member of the base pool.`, 404);
+    }
+    matches.forEach(invoice => removedIds.add(invoice.id));
+  });
+  return {
+    remaining: invoices.filter(invoice => !removedIds.has(invoice.id)),
+    removed: invoices.filter(invoice => removedIds.has(invoice.id))
+  };
+};
+
+const applyAdditions = (invoices, additions, { candidates, catalog }) => {
+  const added = additions.map((addition, index) => {
+    if (!addition.invoiceId) return buildProspectInvoice(addition, index, catalog);
+
+    const invoice = candidates.find(candidate => candidate.id === addition.invoiceId);
+    if (!invoice) throw new ScenarioError(`Invoice ${addition.invoiceId} not found.`, 404);
+    if (invoices.some(member => member.id === invoice.id)) {
+      throw new ScenarioError(`Invoice ${addition.invoiceId} is already in the pool.`);
+    }
+    return { ...invoice, hypothetical: true };
+  });
+  return [...invoices, ...added];
+};
+
+// Standalone vs pooled result per member (customer), standalone priced as in the pool
+// views; pooled cost follows the allocation strategy
+const memberResults = (invoices, catalog, strategy) => {
+  const members = {};
+
+  invoices.forEach(invoice => {
+    const customerId = invoiceCustomerId(invoice);
+    const member = members[customerId] || {
+      customerId,
+      customerName: invoice.customerName,
+      hypothetical: false,
+      invoiceIds: [],
+      standalone: 0
+    };
+    member.invoiceIds.push(invoice.id);
+    member.hypothetical = member.hypothetical || Boolean(invoice.hypothetical);
+    member.standalone += invoiceStandaloneCost(invoice, catalog);
+    members[customerId] = member;
+  });
+
+  // Same members as the pool views: one per customer, each account with its own Free Tier
+  const allocation = allocateInvoices(invoices, catalog, strategy);
+
+  return Object.values(members).map(member => {
+    const pooled = allocation.customerShares[member.customerId];
+    const savings = Math.max(0, member.standalone - pooled);
+    return {
+      ...member,
+      standalone: roundCents(member.standalone),
+      pooled,
+      savings: roundCents(savings),
+      percentage: member.standalone > 0 ? roundCents(savings / member.standalone * 100) : 0
+    };
+  });
+};
+
+const poolTotals = (invoices, catalog) => {
+  const { totalCustomers, totalCost, pooledCost, estimatedSavings, savingsPercentage } = computePoolStats(invoices, catalog);
+  return {
+    totalCustomers,
+    totalCost: roundCents(totalCost),
+    pooledCost: roundCents(pooledCost),
+    estimatedSavings: roundCents(estimatedSavings),
+    savingsPercentage: roundCents(savingsPercentage)
+  };
+};
+
+// Baseline plus one result per scenario. `baseInvoices` are the pool's current
+// members; `candidates` are every stored invoice an addition may reference.
+const compareScenarios = (baseInvoices, scenarios, { candidates, catalog, strategy }) => {
+  const baselineMembers = memberResults(baseInvoices, catalog, strategy);
+  const baselineTotals = poolTotals(baseInvoices, catalog);
+  const baselineByCustomer = Object.fromEntries(baselineMembers.map(member => [member.customerId, member]));
+
+  const results = scenarios.map((scenario, index) => {
+    const { remaining, removed } = applyRemovals(baseInvoices, scenario.removals || []);
+    const invoices = applyAdditions(remaining, scenario.additions || [], { candidates, catalog });
+    const totals = poolTotals(invoices, catalog);
+
+    return {
+      name: scenario.name || `Scenario ${index + 1}`,
+      members: memberResults(invoices, catalog, strategy).map(member => {
+        const baseline = baselineByCustomer[member.customerId];
+        return { ...member, savingsChange: baseline ? roundCents(member.savings - baseline.savings) : null };
+      }),
+      removedCustomers: [...new Set(removed.map(invoiceCustomerId))]
+        .filter(customerId => !invoices.some(invoice => invoiceCustomerId(invoice) === customerId)),
+      totals,
+      change: {
+        totalCost: roundCents(totals.totalCost - baselineTotals.totalCost),
+        pooledCost: roundCents(totals.pooledCost - baselineTotals.pooledCost),
+        estimatedSavings: roundCents(totals.estimatedSavings - baselineTotals.estimatedSavings)
+      }
+    };
+  });
+
+  return {
+    baseline: { members: baselineMembers, totals: baselineTotals },
+    scenarios: results
+  };
+};
+
+module.exports = { ScenarioError, compareScenarios };
@@ -0,0 +1,345 @@
+const crypto = require('crypto');
+const { billableSKUs, billablePoolingTotals, accountStandaloneCosts } = require('./freeTier');
+const { allocateInvoices, roundToTotal, DEFAULT_ALLOCATION_STRATEGY } = require('./allocation');
+const { invoiceCustomerId } = require('./customers');
+const { isBillingPeriod, billingPeriodFromDate, invoicePeriod, periodStartDate } = require('./billingPeriod');
+const { listPools, getPool, isPoolMember } = require('./pools');
+const { countsTowardPool } = require('./invoiceReview');
+const { summarizeAdjustments, netAmounts } = require('./adjustments');
+const { BASE_CURRENCY } = require('./currency');
+const { renderStatementPDF } = require('./reports');
+
+// Pool settlements: what members are actually billed for a month.
+//
+// A settlement run freezes one pool's month: the approved invoices, the pool's
+// (Free Tier net) volume per pooling key and the pricing catalog version in
+// effect for the month. Every member then gets a numbered statement charging
+// their share of the pooled cost under the pool's allocation strategy (the
+// same split its savings views and reports show), line by line, next to what
+// they'd have paid standalone.
+//
+// Settlements live in the "settlements" collection, statements in "statements"
+// and each statement's PDF (rendered once, when it's issued) as a file of its
+// own in "statement-files". None is ever updated or deleted: a month is settled once,
+// and later edits to its invoices don't change what was billed. Statement
+// numbers (ST-000001, ...) run across all pools without gaps; each statement
+// carries a SHA-256 checksum of its contents and one of its PDF, so a copy of
+// either can be checked against the original.
+//
+// With SETTLEMENT_DAY set (1-28), the schedule settles the previous month for
+// every pool on that day of the month, skipping pools with no approved
+// invoices or with invoices still waiting for review - they're retried later.
+// Without it months are only settled on request.
+
+const SETTLEMENT_DAY = Number(process.env.SETTLEMENT_DAY) || 0;
+
+class SettlementError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+const settlementIdFor = (poolId, period) => `settlement-${period}-${poolId}`;
+
+const statementNumber = (sequence) => `ST-${String(sequence).padStart(6, '0')}`;
+
+// The month before the one `date` falls in
+const previousPeriod = (date) => {
+  const day = new Date(date);
+  return billingPeriodFromDate(new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() - 1, 1)));
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// SHA-256 of a statement without its checksum fields
+const statementChecksum = (statement) => {
+  const contents = { ...statement };
+  delete contents.checksum;
+  delete contents.pdfChecksum;
+  return sha256(JSON.stringify(contents));
+};
+
+// One member's charge: each invoice (AWS account) keeps its own Free Tier and is
+// charged its share of the pool's `allocation` (allocateInvoices). Line items
+// are per SKU and add up exactly to the cent-rounded charge.
+const memberStatement = (invoices, allocation, catalog) => {
+  const lines = {};
+  let charge = 0;
+  let amountDue = 0;
+  let standaloneAmountDue = 0;
+
+  let standaloneTotal = 0;
+
+  invoices.forEach(invoice => {
+    const billable = billableSKUs(invoice.skus, catalog);
+    // Standalone as on the savings view: catalog rates after the account's own Free Tier
+    const standaloneCosts = accountStandaloneCosts(invoice.skus, catalog);
+    const invoiceStandalone = standaloneCosts.reduce((sum, line) => sum + line.cost, 0);
+    const invoiceCharge = allocation.shares[invoice.id];
+    charge += invoiceCharge;
+    standaloneTotal += invoiceStandalone;
+    // Credits, refunds, support and tax carry over as on the savings view
+    const net = netAmounts(invoice, invoiceCharge, invoiceStandalone);
+    amountDue += net.pooled;
+    standaloneAmountDue += net.standalone;
+
+    billable.forEach((sku, index) => {
+      const line = lines[sku.skuId] || {
+        skuId: sku.skuId,
+        service: sku.service,
+        region: sku.region || 'us-east-1',
+        unit: sku.unit,
+        usage: 0,
+        freeTierUsage: 0,
+        billableUsage: 0,
+        standalone: 0,
+        charge: 0
+      };
+      line.usage += sku.usage + sku.freeTierUsage;
+      line.freeTierUsage += sku.freeTierUsage;
+      line.billableUsage += sku.usage;
+      line.standalone += standaloneCosts[index].cost;
+      lines[sku.skuId] = line;
+    });
+    // The invoice's share per SKU, once however many rows the SKU has on it
+    Object.entries(allocation.skuShares[invoice.id]).forEach(([skuId, cost]) => {
+      if (lines[skuId]) lines[skuId].charge += cost;
+    });
+  });
+
+  const entries = Object.values(lines);
+  const totalCharge = roundCents(charge);
+  const charges = roundToTotal(entries.map(line => line.charge), totalCharge);
+  const lineItems = entries.map((line, index) => {
+    const standalone = roundCents(line.standalone);
+    return {
+      ...line,
+      standalone,
+      charge: charges[index],
+      // Effective pooled price per billable unit
+      rate: line.billableUsage > 0 ? Math.round(charges[index] / line.billableUsage * 1e6) / 1e6 : 0,
+      savings: roundCents(standalone - charges[index])
+    };
+  });
+
+  const standalone = roundCents(standaloneTotal);
+  const savings = roundCents(standalone - totalCharge);
+  return {
+    lineItems,
+    totals: {
+      standalone,
+      charge: totalCharge,
+      savings,
+      savingsPercentage: standalone > 0 ? Math.round(savings / standalone * 10000) / 100 : 0,
+      adjustments: summarizeAdjustments(invoices.flatMap(invoice => invoice.adjustments || [])),
+      // What the member owes once adjustments are applied, and would have owed on their own
+      amountDue: roundCents(amountDue),
+      standaloneAmountDue: roundCents(standaloneAmountDue)
+    }
+  };
+};
+
+const createSettlements = ({ storage, pricingCatalog }) => {
+  // Runs are serialized so two can't hand out the same statement numbers
+  let running = Promise.resolve();
+  const serialized = (task) => {
+    const next = running.then(task);
+    running = next.catch(() => {});
+    return next;
+  };
+
+  const settle = async ({ poolId, period, trigger, settledBy }) => {
+    if (!isBillingPeriod(period)) throw new SettlementError('period must be a month in YYYY-MM format.');
+    if (period >= billingPeriodFromDate(new Date())) {
+      throw new SettlementError(`${period} hasn't ended yet; only past months can be settled.`);
+    }
+    const pool = await getPool(storage, poolId);
+    if (!pool) throw new SettlementError(`Pool ${poolId} not found.`, 404);
+
+    const id = settlementIdFor(pool.id, period);
+    if (await storage.get('settlements', id)) {
+      throw new SettlementError(`${pool.name} is already settled for ${period}.`, 409);
+    }
+
+    const periodInvoices = (await storage.list('invoices'))
+      .filter(invoice => isPoolMember(invoice, pool.id) && invoicePeriod(invoice) === period);
+    const pending = periodInvoices.filter(invoice => !countsTowardPool(invoice));
+    if (pending.length > 0) {
+      throw new SettlementError(`${pending.length} invoice(s) for ${period} are waiting for review; approve or delete them before settling.`, 409);
+    }
+    if (periodInvoices.length === 0) {
+      throw new SettlementError(`${pool.name} has no approved invoices for ${period}.`);
+    }
+
+    const catalog = pricingCatalog.getActive(periodStartDate(period));
+    const poolingTotals = billablePoolingTotals(periodInvoices, catalog);
+    const strategy = pool.allocationStrategy || DEFAULT_ALLOCATION_STRATEGY;
+    const allocation = allocateInvoices(periodInvoices, catalog, strategy);
+    const byMember = {};
+    periodInvoices.forEach(invoice => {
+      const customerId = invoiceCustomerId(invoice);
+      (byMember[customerId] = byMember[customerId] || []).push(invoice);
+    });
+
+    const issuedAt = new Date().toISOString();
+    const existing = await storage.list('statements');
+    let sequence = existing.reduce((max, statement) => Math.max(max, statement.sequence), 0);
+
+    const issued = Object.entries(byMember)
+      .sort(([, a], [, b]) => a[0].customerName.localeCompare(b[0].customerName))
+      .map(([customerId, invoices]) => {
+        sequence += 1;
+        const statement = {
+          id: `statement-${sequence}`,
+          number: statementNumber(sequence),
+          sequence,
+          settlementId: id,
+          poolId: pool.id,
+          poolName: pool.name,
+          period,
+          customerId,
+          customerName: invoices[0].customerName,
+          invoiceIds: invoices.map(invoice => invoice.id),
+          issuedAt,
+          catalogVersion: catalog.version,
+          catalogEffectiveDate: catalog.effectiveDate,
+          allocationStrategy: strategy,
+          baseCurrency: BASE_CURRENCY,
+          ...memberStatement(invoices, allocation, catalog)
+        };
+        const checksummed = { ...statement, checksum: statementChecksum(statement) };
+        const pdf = renderStatementPDF(checksummed);
+        return { statement: { ...checksummed, pdfChecksum: sha256(pdf) }, pdf };
+      });
+    const statements = issued.map(entry => entry.statement);
+
+    const standalone = roundCents(statements.reduce((sum, statement) => sum + statement.totals.standalone, 0));
+    const pooled = roundCents(statements.reduce((sum, statement) => sum + statement.totals.charge, 0));
+    const settlement = {
+      id,
+      poolId: pool.id,
+      poolName: pool.name,
+      period,
+      trigger,
+      settledBy,
+      settledAt: issuedAt,
+      catalogVersion: catalog.version,
+      catalogEffectiveDate: catalog.effectiveDate,
+      allocationStrategy: strategy,
+      baseCurrency: BASE_CURRENCY,
+      // Frozen pool figures the statements were charged against
+      poolUsage: poolingTotals,
+      totals: {
+        members: statements.length,
+        invoices: periodInvoices.length,
+        standalone,
+        pooled,
+        savings: roundCents(standalone - pooled),
+        savingsPercentage: standalone > 0 ? Math.round((standalone - pooled) / standalone * 10000) / 100 : 0
+      },
+      statements: statements.map(statement => ({
+        id: statement.id,
+        number: statement.number,
+        customerId: statement.customerId,
+        customerName: statement.customerName,
+        charge: statement.totals.charge,
+        amountDue: statement.totals.amountDue
+      }))
+    };
+
+    // Statements first: a settlement record never points at statements that weren't stored
+    for (const { statement, pdf } of issued) {
+      await storage.putFile('statement-files', statement.id, pdf);
+      await storage.put('statements', statement);
+    }
+    await storage.put('settlements', settlement);
+    return settlement;
+  };
+
+  // Settle one pool's month; `settledBy` is who asked ('schedule' for scheduled runs)
+  const settlePeriod = (options) => serialized(() => settle(options));
+
+  // Newest month first
+  const listSettlements = async ({ poolId, period } = {}) => (await storage.list('settlements'))
+    .filter(settlement => (!poolId || settlement.poolId === poolId) && (!period || settlement.period === period))
+    .sort((a, b) => b.period.localeCompare(a.period) || a.poolName.localeCompare(b.poolName));
+
+  const getSettlement = async (id) => {
+    const settlement = await storage.get('settlements', id);
+    if (!settlement) throw new SettlementError('Settlement not found.', 404);
+    return settlement;
+  };
+
+  // Newest first; `customerId` restricts to one member's statements
+  const listStatements = async ({ settlementId, customerId, period } = {}) => (await storage.list('statements'))
+    .filter(statement => (!settlementId || statement.settlementId === settlementId)
+      && (!customerId || statement.customerId === customerId)
+      && (!period || statement.period === period))
+    .sort((a, b) => b.sequence - a.sequence);
+
+  const getStatement = async (id, { customerId } = {}) => {
+    const statement = await storage.get('statements', id);
+    if (!statement || (customerId && statement.customerId !== customerId)) {
+      throw new SettlementError('Statement not found.', 404);
+    }
+    return statement;
+  };
+
+  // The statement's PDF as issued (Buffer), whose SHA-256 is its `pdfChecksum`
+  const getStatementPDF = async (id, { customerId } = {}) => {
+    const statement = await getStatement(id, { customerId });
+    const pdf = await storage.getFile('statement-files', statement.id);
+    if (!pdf) throw new SettlementError(`Statement ${statement.number} was issued without a PDF.`, 404);
+    return { statement, pdf };
+  };
+
+  // Settle last month for every pool that's due; returns what was settled and what was skipped why
+  const runScheduled = async (now = new Date()) => {
+    if (!SETTLEMENT_DAY || now.getUTCDate() < SETTLEMENT_DAY) return { settled: [], skipped: [] };
+    const period = previousPeriod(now);
+    const settled = [];
+    const skipped = [];
+    for (const pool of await listPools(storage)) {
+      if (await storage.get('settlements', settlementIdFor(pool.id, period))) continue;
+      try {
+        settled.push(await settlePeriod({ poolId: pool.id, period, trigger: 'scheduled', settledBy: 'schedule' }));
+      } catch (error) {
+        if (!(error instanceof SettlementError)) throw error;
+        skipped.push({ poolId: pool.id, period, reason: error.message });
+      }
+    }
+    return { settled, skipped };
+  };
+
+  // Check every `intervalMs` (hourly by default) whether a month is due
+  const startSchedule = ({ intervalMs = 60 * 60 * 1000, onRun } = {}) => {
+    const check = () => runScheduled()
+      .then(result => onRun && onRun(result))
+      .catch(error => console.error('Scheduled settlement failed:', error));
+    check();
+    const timer = setInterval(check, intervalMs);
+    timer.unref();
+    return timer;
+  };
+
+  return {
+    settlePeriod,
+    listSettlements,
+    getSettlement,
+    listStatements,
+    getStatement,
+    getStatementPDF,
+    runScheduled,
+    startSchedule
+  };
+};
+
+module.exports = {
+  SETTLEMENT_DAY,
+  SettlementError,
+  statementChecksum,
+  createSettlements
+};
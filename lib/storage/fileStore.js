@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+
+// File-based storage adapter - one JSON file per collection under DATA_DIR.
+// Works offline and survives restarts; the default when no KV store is configured.
+// Records go in and come out as copies, so callers can't change the cache
+// without a put (the KV store behaves the same way by serializing).
+// Binary files (putFile/getFile) are kept one per file under DATA_DIR/files/<collection>/,
+// outside the collection JSON, so storing one doesn't rewrite the others.
+const createFileStore = ({ dataDir }) => {
+  const cache = {};
+  const writeQueues = {};
+
+  const filePath = (collection) => path.join(dataDir, `${collection}.json`);
+  const blobPath = (collection, id) => path.join(dataDir, 'files', collection, encodeURIComponent(id));
+
+  const load = async (collection) => {
+    if (cache[collection]) return cache[collection];
+
+    try {
+      const raw = await fs.promises.readFile(filePath(collection), 'utf8');
+      cache[collection] = JSON.parse(raw);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      cache[collection] = [];
+    }
+    return cache[collection];
+  };
+
+  // Writes are serialized per collection and go through a temp file + rename,
+  // so a crash mid-write never leaves a truncated collection behind.
+  const persist = (collection) => {
+    const previous = writeQueues[collection] || Promise.resolve();
+    const next = previous.then(async () => {
+      await fs.promises.mkdir(dataDir, { recursive: true });
+      const target = filePath(collection);
+      const tmp = `${target}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(cache[collection], null, 2));
+      await fs.promises.rename(tmp, target);
+    });
+    writeQueues[collection] = next.catch(() => {});
+    return next;
+  };
+
+  return {
+    driver: 'file',
+
+    list: async (collection) => {
+      const records = await load(collection);
+      return records.map(record => structuredClone(record));
+    },
+
+    get: async (collection, id) => {
+      const records = await load(collection);
+      const record = records.find(existing => existing.id === id);
+      return record ? structuredClone(record) : null;
+    },
+
+    put: async (collection, record) => {
+      const records = await load(collection);
+      const index = records.findIndex(existing => existing.id === record.id);
+      const stored = structuredClone(record);
+      if (index >= 0) {
+        records[index] = stored;
+      } else {
+        records.push(stored);
+      }
+      await persist(collection);
+      return record;
+    },
+
+    remove: async (collection, id) => {
+      const records = await load(collection);
+      const index = records.findIndex(record => record.id === id);
+      if (index < 0) return false;
+      records.splice(index, 1);
+      await persist(collection);
+      return true;
+    },
+
+    putFile: async (collection, id, data) => {
+      const target = blobPath(collection, id);
+      const tmp = `${target}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(tmp, data);
+      await fs.promises.rename(tmp, target);
+    },
+
+    getFile: async (collection, id) => {
+      try {
+        return await fs.promises.readFile(blobPath(collection, id));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return null;
+      }
+    }
+  };
+};
+
+module.exports = { createFileStore };
@@ -0,0 +1,29 @@
+const path = require('path');
+const { createFileStore } = require('./fileStore');
+const { createKVStore } = require('./kvStore');
+
+// Storage layer shared by every route. Records are plain JSON objects with an
+// `id`, grouped into named collections ("invoices", ...). Binary files such as
+// rendered PDFs are stored apart from the records with putFile/getFile.
+//
+// STORAGE_DRIVER=file (default) keeps collections as JSON files in DATA_DIR.
+// STORAGE_DRIVER=kv uses @vercel/kv; picked automatically when the KV_REST_API_URL
+// environment variable provided by a Vercel KV integration is present.
+const createStorage = (options = {}) => {
+  const driver = options.driver
+    || process.env.STORAGE_DRIVER
+    || (process.env.KV_REST_API_URL ? 'kv' : 'file');
+
+  if (driver === 'kv') {
+    return createKVStore({ prefix: options.prefix || process.env.KV_PREFIX || 'wring' });
+  }
+
+  if (driver === 'file') {
+    const dataDir = options.dataDir || process.env.DATA_DIR || path.join(process.cwd(), '.data');
+    return createFileStore({ dataDir });
+  }
+
+  throw new Error(`Unknown storage driver: ${driver}`);
+};
+
+module.exports = { createStorage };
@@ -0,0 +1,53 @@
+// Vercel KV (Upstash Redis) storage adapter.
+// Each record lives under `<prefix>:<collection>:<id>`; insertion order is kept
+// in a list at `<prefix>:<collection>:ids` so list() returns records oldest first.
+// Binary files get a key each, `<prefix>:files:<collection>:<id>`, base64 encoded.
+const createKVStore = ({ prefix }) => {
+  const { kv } = require('@vercel/kv');
+
+  const recordKey = (collection, id) => `${prefix}:${collection}:${id}`;
+  const indexKey = (collection) => `${prefix}:${collection}:ids`;
+  const fileKey = (collection, id) => `${prefix}:files:${collection}:${id}`;
+
+  return {
+    driver: 'kv',
+
+    list: async (collection) => {
+      const ids = await kv.lrange(indexKey(collection), 0, -1);
+      if (ids.length === 0) return [];
+      const records = await kv.mget(...ids.map(id => recordKey(collection, id)));
+      return records.filter(Boolean);
+    },
+
+    get: async (collection, id) => {
+      const record = await kv.get(recordKey(collection, id));
+      return record || null;
+    },
+
+    put: async (collection, record) => {
+      const exists = await kv.exists(recordKey(collection, record.id));
+      await kv.set(recordKey(collection, record.id), record);
+      if (!exists) {
+        await kv.rpush(indexKey(collection), record.id);
+      }
+      return record;
+    },
+
+    remove: async (collection, id) => {
+      const deleted = await kv.del(recordKey(collection, id));
+      await kv.lrem(indexKey(collection), 0, id);
+      return deleted > 0;
+    },
+
+    putFile: async (collection, id, data) => {
+      await kv.set(fileKey(collection, id), Buffer.from(data).toString('base64'));
+    },
+
+    getFile: async (collection, id) => {
+      const encoded = await kv.get(fileKey(collection, id));
+      return encoded ? Buffer.from(encoded, 'base64') : null;
+    }
+  };
+};
+
+module.exports = { createKVStore };
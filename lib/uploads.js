@@ -0,0 +1,102 @@
+const path = require('path');
+const { unzipSync } = require('fflate');
+
+// Uploaded files: single PDF invoices and CUR / Cost Explorer CSV exports, or
+// several of them at once, loose or in ZIP archives. Files are the objects
+// express-fileupload produces ({ name, data, mimetype }); files unpacked from
+// a ZIP get the same shape.
+
+// Per-file limit, matching what the uploader accepts
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+// Invoices parsed from one batch upload, after ZIPs are unpacked
+const MAX_BATCH_FILES = 50;
+
+class UploadError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const extension = (name) => path.extname(name || '').toLowerCase();
+
+// CUR / Cost Explorer exports arrive as text/csv, or as application/vnd.ms-excel from some browsers
+const isCSVUpload = (file) => {
+  const mimetype = file.mimetype || '';
+  return extension(file.name) === '.csv' || mimetype.includes('csv') || mimetype === 'application/vnd.ms-excel';
+};
+
+const isPDFUpload = (file) => extension(file.name) === '.pdf' || (file.mimetype || '').includes('pdf');
+
+const isZipUpload = (file) => extension(file.name) === '.zip' || /zip/.test(file.mimetype || '');
+
+const MIME_TYPES = { '.pdf': 'application/pdf', '.csv': 'text/csv' };
+
+// Invoice files inside a ZIP, skipping folders, macOS metadata and anything that isn't a PDF or CSV
+const unzipInvoices = (archive) => {
+  const files = [];
+  const skipped = [];
+  let entries;
+  try {
+    entries = unzipSync(new Uint8Array(archive.data), {
+      filter: (entry) => {
+        const name = path.basename(entry.name);
+        if (entry.name.endsWith('/') || entry.name.startsWith('__MACOSX/') || name.startsWith('.')) return false;
+        if (!MIME_TYPES[extension(name)]) {
+          skipped.push({ fileName: `${archive.name}/${entry.name}`, reason: 'Not a PDF or CSV file' });
+          return false;
+        }
+        if (entry.originalSize > MAX_FILE_BYTES) {
+          skipped.push({ fileName: `${archive.name}/${entry.name}`, reason: 'Larger than 10MB' });
+          return false;
+        }
+        return true;
+      }
+    });
+  } catch (error) {
+    return { files, skipped: [{ fileName: archive.name, reason: `Could not read ZIP archive: ${error.message}` }] };
+  }
+
+  Object.entries(entries).forEach(([entryName, data]) => {
+    files.push({
+      name: path.basename(entryName),
+      data: Buffer.from(data),
+      mimetype: MIME_TYPES[extension(entryName)],
+      archive: archive.name
+    });
+  });
+  return { files, skipped };
+};
+
+// Flatten the files of one upload request (one file or an array; ZIPs unpacked) into
+// invoice files to parse, plus the ones left out and why
+const expandUploads = (uploaded) => {
+  const files = [];
+  const skipped = [];
+
+  (Array.isArray(uploaded) ? uploaded : [uploaded]).forEach(file => {
+    if (isZipUpload(file)) {
+      const unzipped = unzipInvoices(file);
+      files.push(...unzipped.files);
+      skipped.push(...unzipped.skipped);
+    } else if (isCSVUpload(file) || isPDFUpload(file)) {
+      files.push(file);
+    } else {
+      skipped.push({ fileName: file.name, reason: 'Not a PDF, CSV or ZIP file' });
+    }
+  });
+
+  if (files.length > MAX_BATCH_FILES) {
+    throw new UploadError(`A batch can hold at most ${MAX_BATCH_FILES} invoices; this one has ${files.length}.`);
+  }
+  return { files, skipped };
+};
+
+module.exports = {
+  MAX_BATCH_FILES,
+  UploadError,
+  isCSVUpload,
+  isPDFUpload,
+  expandUploads
+};
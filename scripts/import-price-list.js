@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+// Import AWS Price List offer files into a new pricing catalog version.
+//
+// Usage:
+//   node scripts/import-price-list.js <offer-file.json|csv>... [options]
+//
+// Options:
+//   --regions us-east-1,eu-west-1   only import SKUs in these regions
+//   --effective-date YYYY-MM-DD     when the new version takes effect (default: today)
+//   --catalog-dir <dir>             catalog directory (default: CATALOG_DIR or ./catalog)
+//   --dry-run                       print the SKUs that would be imported without writing
+//
+// The new version is published to the storage layer the server uses (DATA_DIR
+// or Vercel KV, see lib/storage), not to the catalog directory. A running server
+// only loads published versions when it starts, so restart it afterwards.
+const path = require('path');
+const { readOfferFile, buildCatalogEntries } = require('../lib/priceListImporter');
+const { createPricingCatalog, validateSKUEntry } = require('../lib/pricingCatalog');
+const { createStorage } = require('../lib/storage');
+
+const parseArgs = (argv) => {
+  const options = { files: [], dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--regions') options.regions = argv[++i].split(',').map(region => region.trim());
+    else if (arg === '--effective-date') options.effectiveDate = argv[++i];
+    else if (arg === '--catalog-dir') options.catalogDir = argv[++i];
+    else if (arg === '--dry-run') options.dryRun = true;
+    else if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+    else options.files.push(arg);
+  }
+  return options;
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.files.length === 0) {
+    console.error('Usage: node scripts/import-price-list.js <offer-file.json|csv>... [--regions r1,r2] [--effective-date YYYY-MM-DD] [--dry-run]');
+    process.exit(1);
+  }
+
+  const changes = {};
+  const sources = [];
+
+  options.files.forEach(file => {
+    const offer = readOfferFile(file);
+    const { entries, skipped } = buildCatalogEntries(offer, { regions: options.regions });
+
+    Object.entries(entries).forEach(([skuId, entry]) => {
+      try {
+        validateSKUEntry(skuId, entry);
+        changes[skuId] = entry;
+      } catch (error) {
+        skipped.push({ skuId, reason: error.message });
+      }
+    });
+
+    const { offerCode, version, publicationDate } = offer.metadata;
+    sources.push(`${offerCode || path.basename(file)} ${version || ''}`.trim());
+    console.log(`📦 ${path.basename(file)}: ${offerCode || 'unknown offer'} (published ${publicationDate || 'n/a'})`);
+    console.log(`   ${Object.keys(entries).length} SKUs mapped, ${skipped.length} skipped`);
+    skipped.slice(0, 10).forEach(item => console.log(`   - skipped ${item.skuId || item.sku}: ${item.reason}`));
+  });
+
+  const skuIds = Object.keys(changes).sort();
+  if (skuIds.length === 0) {
+    console.error('No SKUs could be imported from the given offer files.');
+    process.exit(1);
+  }
+
+  if (options.dryRun) {
+    skuIds.forEach(skuId => {
+      const entry = changes[skuId];
+      console.log(`${skuId}: ${entry.tiers.map(tier => `${tier.minUsage}-${tier.maxUsage === null ? '∞' : tier.maxUsage} @ ${tier.pricePerUnit}`).join(', ')} per ${entry.unit}`);
+    });
+    console.log(`Dry run: ${skuIds.length} SKUs would be imported.`);
+    return;
+  }
+
+  const pricingCatalog = createPricingCatalog({
+    catalogDir: options.catalogDir || process.env.CATALOG_DIR || path.join(__dirname, '..', 'catalog'),
+    storage: createStorage()
+  });
+  await pricingCatalog.loadPublished();
+  const catalog = await pricingCatalog.publishVersion({
+    changes,
+    source: `AWS Price List offer files: ${sources.join(', ')}`,
+    effectiveDate: options.effectiveDate
+  });
+
+  console.log(`✅ Published pricing catalog v${catalog.version} (effective ${catalog.effectiveDate}) with ${skuIds.length} imported SKUs`);
+  console.log(`⚠️  Restart the server to price with v${catalog.version}: running servers only load published versions at startup.`);
+};
+
+main().catch(error => {
+  console.error('Price List import failed:', error.message);
+  process.exit(1);
+});
@@ -6,361 +6,238 @@ global.DOMMatrix = DOMMatrix;
 global.ImageData = ImageData;
 global.Path2D = Path2D;
 
+const crypto = require('crypto');
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const fileUpload = require('express-fileupload');
 const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.mjs');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { createStorage } = require('./lib/storage');
+const { parseCURCsv } = require('./lib/curParser');
+const { buildRows, parseInvoiceLineItems } = require('./lib/invoiceLineItemParser');
+const { createPricingCatalog, CatalogValidationError } = require('./lib/pricingCatalog');
+const { tierReached, poolingKey } = require('./lib/pricing');
+const { createLLMProvider } = require('./lib/llm');
+const { createLLMInvoiceParser } = require('./lib/llmInvoiceParser');
+const { validateParseResult, extractPrintedTotal } = require('./lib/parseValidation');
+const {
+  isBillingPeriod,
+  billingPeriodFromDate,
+  extractBillingPeriod,
+  invoicePeriod,
+  periodStartDate
+} = require('./lib/billingPeriod');
+const { customerIdFor, invoiceCustomerId, findOrCreateCustomer } = require('./lib/customers');
+const { computePoolStats } = require('./lib/poolStats');
+const {
+  DEFAULT_POOL_ID,
+  PoolValidationError,
+  invoicePoolIds,
+  isPoolMember,
+  listPools,
+  getPool,
+  buildPool,
+  resolvePoolIds
+} = require('./lib/pools');
+const { ScenarioError, compareScenarios } = require('./lib/scenarios');
+const { ALLOCATION_STRATEGIES, isAllocationStrategy, allocateInvoices } = require('./lib/allocation');
+const { billablePoolingTotals, accountStandaloneCosts } = require('./lib/freeTier');
+const { summarizeAdjustments, netAmounts } = require('./lib/adjustments');
+const { CommitmentError, loadCommitmentRates, optimizeCommitments } = require('./lib/commitments');
+const { UploadError, isCSVUpload, isPDFUpload, expandUploads } = require('./lib/uploads');
+const { JobNotFoundError, createJobQueue } = require('./lib/jobQueue');
+const { AuthError, publicUser, canSeeInvoice, visibleInvoices, createAuth } = require('./lib/auth');
+const { SETTLEMENT_DAY, SettlementError, createSettlements } = require('./lib/settlements');
+const { buildReport, renderReportPDF } = require('./lib/reports');
+const { EXPORT_FORMATS, EXPORT_TABLES, exportSnapshot, toCSV, toXLSX } = require('./lib/exports');
+const {
+  MIN_AGGREGATE_MEMBERS,
+  redactText,
+  redactParseResult,
+  accountIdSecret,
+  hashAccountId,
+  poolAggregate,
+  memberPoolStats
+} = require('./lib/privacy');
+const {
+  DUPLICATE_ACTIONS,
+  DuplicateInvoiceError,
+  contentHash,
+  extractInvoiceIdentity,
+  findDuplicates,
+  describeDuplicates,
+  ownDuplicates,
+  clearDuplicateReferences
+} = require('./lib/duplicates');
+const {
+  BASE_CURRENCY,
+  CurrencyError,
+  isCurrency,
+  detectCurrency,
+  convertParseResult,
+  toInvoiceCurrency,
+  createExchangeRates
+} = require('./lib/currency');
+const {
+  InvoiceReviewError,
+  initialReviewStatus,
+  countsTowardPool,
+  editSKU,
+  addSKU,
+  splitSKU,
+  removeSKU,
+  setBillingPeriod,
+  setReviewStatus
+} = require('./lib/invoiceReview');
 
 const app = express();
-app.use(cors());
+// Report downloads send their file name in Content-Disposition
+app.use(cors({ exposedHeaders: ['Content-Disposition'] }));
 app.use(express.json());
 app.use(fileUpload());
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY || 'YOUR_GEMINI_API_KEY_HERE');
-const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-
-// PRODUCTION-READY SKU-LEVEL PRICING STRUCTURE
-// Based on actual AWS pricing tiers with proper volume discounts
-const SKU_PRICING_TIERS = {
-  // EC2 Instance Types - Real AWS pricing with volume discounts
-  "EC2-t3.micro-us-east-1": [
-    { minUsage: 0, maxUsage: 750, pricePerUnit: 0.0 }, // Free tier first 750 hours
-    { minUsage: 750, maxUsage: 8760, pricePerUnit: 0.0104 }, // Standard pricing
-    { minUsage: 8760, maxUsage: 87600, pricePerUnit: 0.0094 }, // 10% volume discount
-    { minUsage: 87600, maxUsage: Infinity, pricePerUnit: 0.0084 } // 20% volume discount
-  ],
-  "EC2-t3.small-us-east-1": [
-    { minUsage: 0, maxUsage: 8760, pricePerUnit: 0.0208 },
-    { minUsage: 8760, maxUsage: 87600, pricePerUnit: 0.0188 }, // 10% discount
-    { minUsage: 87600, maxUsage: Infinity, pricePerUnit: 0.0168 } // 20% discount
-  ],
-  "EC2-t3.medium-us-east-1": [
-    { minUsage: 0, maxUsage: 8760, pricePerUnit: 0.0416 },
-    { minUsage: 8760, maxUsage: 87600, pricePerUnit: 0.0376 },
-    { minUsage: 87600, maxUsage: Infinity, pricePerUnit: 0.0336 }
-  ],
-  
-  // S3 Storage Classes - AWS tiered pricing
-  "S3-Standard-us-east-1": [
-    { minUsage: 0, maxUsage: 50000, pricePerUnit: 0.023 }, // First 50TB/month
-    { minUsage: 50000, maxUsage: 450000, pricePerUnit: 0.022 }, // Next 450TB/month  
-    { minUsage: 450000, maxUsage: Infinity, pricePerUnit: 0.021 } // Over 500TB/month
-  ],
-  "S3-IA-us-east-1": [
-    { minUsage: 0, maxUsage: Infinity, pricePerUnit: 0.0125 }
-  ],
-  "S3-Glacier-us-east-1": [
-    { minUsage: 0, maxUsage: Infinity, pricePerUnit: 0.004 }
-  ],
-  
-  // RDS Instance Types - Fixed pricing consistency
-  "RDS-db.t3.micro-us-east-1": [
-    { minUsage: 0, maxUsage: 750, pricePerUnit: 0.0 }, // Free tier
-    { minUsage: 750, maxUsage: 8760, pricePerUnit: 0.017 },
-    { minUsage: 8760, maxUsage: 87600, pricePerUnit: 0.015 },
-    { minUsage: 87600, maxUsage: Infinity, pricePerUnit: 0.013 }
-  ],
-  "RDS-db.t3.small-us-east-1": [
-    { minUsage: 0, maxUsage: 8760, pricePerUnit: 0.034 },
-    { minUsage: 8760, maxUsage: 87600, pricePerUnit: 0.031 },
-    { minUsage: 87600, maxUsage: Infinity, pricePerUnit: 0.028 }
-  ],
-  
-  // Data Transfer with proper AWS pricing tiers
-  "DataTransfer-InternetEgress-us-east-1": [
-    { minUsage: 0, maxUsage: 1, pricePerUnit: 0.0 }, // First 1GB free
-    { minUsage: 1, maxUsage: 10000, pricePerUnit: 0.09 }, // Up to 10TB
-    { minUsage: 10000, maxUsage: 50000, pricePerUnit: 0.085 }, // Next 40TB
-    { minUsage: 50000, maxUsage: 150000, pricePerUnit: 0.070 }, // Next 100TB
-    { minUsage: 150000, maxUsage: Infinity, pricePerUnit: 0.050 } // Over 150TB
-  ],
-  
-  // CloudFront
-  "CloudFront-DataTransfer-us-east-1": [
-    { minUsage: 0, maxUsage: 10000, pricePerUnit: 0.085 }, // First 10TB
-    { minUsage: 10000, maxUsage: 50000, pricePerUnit: 0.080 }, // Next 40TB
-    { minUsage: 50000, maxUsage: 150000, pricePerUnit: 0.060 }, // Next 100TB
-    { minUsage: 150000, maxUsage: Infinity, pricePerUnit: 0.040 } // Over 150TB
-  ],
-  
-  // SES
-  "SES-EmailSending-us-east-1": [
-    { minUsage: 0, maxUsage: 62000, pricePerUnit: 0.0 }, // First 62k emails free
-    { minUsage: 62000, maxUsage: Infinity, pricePerUnit: 0.0001 }
-  ],
-  
-  // SNS
-  "SNS-Requests-us-east-1": [
-    { minUsage: 0, maxUsage: 1000000, pricePerUnit: 0.0 }, // First 1M free
-    { minUsage: 1000000, maxUsage: Infinity, pricePerUnit: 0.0000005 }
-  ]
-};
+// LLM provider for invoices the line-item parser can't read (Gemini, OpenAI-compatible or mock)
+const llmProvider = createLLMProvider();
+const llmInvoiceParser = createLLMInvoiceParser({ provider: llmProvider });
 
-let invoices = [];
+// Persistent storage for invoices (file-based by default, Vercel KV when configured)
+const storage = createStorage();
 
-// CORRECTED: Calculate tiered cost with proper cumulative tier logic
-const calculateSKUTieredCost = (skuId, totalUsage) => {
-  const tiers = SKU_PRICING_TIERS[skuId];
-  if (!tiers) {
-    console.warn(`No pricing tiers found for SKU: ${skuId}`);
-    return totalUsage * 0.01; // Fallback pricing
-  }
+// Versioned SKU pricing catalog (catalog/pricing-v<N>.json plus versions published to storage)
+const catalogDir = process.env.CATALOG_DIR || path.join(__dirname, 'catalog');
+const pricingCatalog = createPricingCatalog({ catalogDir, storage });
 
-  let cost = 0;
-  let usageProcessed = 0;
+// Reserved Instance and Savings Plan discounts (catalog/commitment-rates.json)
+const commitmentRates = loadCommitmentRates(catalogDir);
 
-  for (const tier of tiers) {
-    // Calculate how much usage falls within this tier
-    const tierStart = tier.minUsage;
-    const tierEnd = tier.maxUsage === Infinity ? totalUsage : Math.min(tier.maxUsage, totalUsage);
-    
-    if (totalUsage <= tierStart) {
-      // No usage in this tier
-      break;
-    }
-    
-    const usageInThisTier = tierEnd - Math.max(tierStart, usageProcessed);
-    
-    if (usageInThisTier > 0) {
-      cost += usageInThisTier * tier.pricePerUnit;
-      usageProcessed += usageInThisTier;
-    }
-    
-    if (tierEnd >= totalUsage) {
-      break;
-    }
-  }
+// Monthly exchange rates for invoices billed in other currencies (catalog/exchange-rates.json plus rates set since)
+const exchangeRates = createExchangeRates({ catalogDir, storage });
+
+// User accounts and sessions (see lib/auth.js for the roles). Every API route
+// needs a signed-in user except signing in and the health check.
+const auth = createAuth({ storage });
+app.use('/api', auth.authenticate(['/auth/login', '/health']));
+const requireAdmin = auth.requireRole('admin');
+const requireAnalyst = auth.requireRole('admin', 'analyst');
 
-  return cost;
+// Middleware: routes that read fields from a JSON body answer 400 when there's none
+const requireBody = (req, res, next) => {
+  if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+    return res.status(400).json({ error: 'Send a JSON object as the request body (Content-Type: application/json).' });
+  }
+  next();
 };
 
-// Calculate what a customer would pay for their SKUs in the pool
-const calculateCustomerSKUPooledCost = (customerSKUs, poolTotals) => {
-  let customerPooledCost = 0;
+const sendAuthError = (res, error) => {
+  if (error instanceof AuthError) {
+    res.status(error.status).json({ error: error.message });
+    return true;
+  }
+  return false;
+};
 
-  customerSKUs.forEach(sku => {
-    const totalPoolUsage = poolTotals[sku.skuId] || 0;
-    if (totalPoolUsage === 0 || sku.usage === 0) return;
+// Sign in with { email, password }; send the returned token as "Authorization: Bearer <token>"
+app.post('/api/auth/login', async (req, res) => {
+  const { email, password } = req.body || {};
+  try {
+    res.json(await auth.login(email, password));
+  } catch (error) {
+    if (sendAuthError(res, error)) return;
+    throw error;
+  }
+});
 
-    // Calculate total cost for this SKU at pool volume
-    const totalSKUCost = calculateSKUTieredCost(sku.skuId, totalPoolUsage);
-    
-    // Customer pays their proportional share
-    const customerShare = sku.usage / totalPoolUsage;
-    const customerSKUCost = totalSKUCost * customerShare;
-    customerPooledCost += customerSKUCost;
-  });
+app.post('/api/auth/logout', async (req, res) => {
+  await auth.logout(req.token);
+  res.json({ message: 'Signed out.' });
+});
 
-  return customerPooledCost;
-};
+app.get('/api/auth/me', (req, res) => {
+  res.json(publicUser(req.user));
+});
 
-// Enhanced Gemini parsing to extract SKU-level data
-const parseAWSInvoiceWithGemini = async (pdfText) => {
-  const prompt = `
-You are an AWS billing expert. Parse this AWS invoice and break down services into specific SKUs.
-
-INVOICE TEXT:
-${pdfText}
-
-Return ONLY valid JSON in this exact format:
-{
-  "skus": [
-    {
-      "skuId": "SERVICE-TYPE-REGION",
-      "service": "EC2|S3|RDS|CloudFront|DataTransfer|SES|SNS",
-      "cost": <number>,
-      "estimatedUsage": <number>,
-      "unit": "hours|GB|requests|emails",
-      "region": "us-east-1"
-    }
-  ],
-  "totalCost": <number>
-}
-
-SKU BREAKDOWN RULES:
-1. For "Amazon Elastic Compute Cloud" costs:
-   - Small costs (<$10): "EC2-t3.micro-us-east-1"
-   - Medium costs ($10-50): "EC2-t3.small-us-east-1" 
-   - Large costs (>$50): "EC2-t3.medium-us-east-1"
-
-2. For "Amazon Simple Storage Service": "S3-Standard-us-east-1"
-
-3. For "Amazon RDS Service" costs:
-   - Small costs (<$30): "RDS-db.t3.micro-us-east-1"
-   - Larger costs: "RDS-db.t3.small-us-east-1"
-
-4. For "AWS Data Transfer": "DataTransfer-InternetEgress-us-east-1"
-5. For "Amazon CloudFront": "CloudFront-DataTransfer-us-east-1"
-6. For "Amazon Simple Email Service": "SES-EmailSending-us-east-1"
-7. For "Amazon Simple Notification Service": "SNS-Requests-us-east-1"
-
-USAGE ESTIMATION (CRITICAL - must match SKU pricing):
-- EC2-t3.micro: cost ÷ $0.0104 (hours)
-- EC2-t3.small: cost ÷ $0.0208 (hours)
-- EC2-t3.medium: cost ÷ $0.0416 (hours)
-- S3-Standard: cost ÷ $0.023 × 1000 (GB storage)
-- RDS-db.t3.micro: cost ÷ $0.017 (hours)
-- RDS-db.t3.small: cost ÷ $0.034 (hours)
-- DataTransfer: cost ÷ $0.09 × 1000 (GB transfer)
-- CloudFront: cost ÷ $0.085 × 1000 (GB transfer)
-- SES: cost ÷ $0.0001 (emails sent)
-- SNS: cost ÷ $0.0000005 (requests)
-
-Extract actual costs from invoice, ignore $0.00 charges, assume us-east-1 region.
-  `;
+// User management. Body: { email, name, password, role, customerId | customerName (members) }
+app.get('/api/users', requireAdmin, async (req, res) => {
+  res.json(await auth.listUsers());
+});
 
+app.post('/api/users', requireAdmin, async (req, res) => {
   try {
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
-    
-    let jsonText = text.trim();
-    if (jsonText.startsWith('```')) {
-      jsonText = jsonText.replace(/^```(?:json)?\n?/, '').replace(/\n?```$/, '');
-    }
-    
-    const parsedData = JSON.parse(jsonText);
-    
-    if (!parsedData.skus || !Array.isArray(parsedData.skus)) {
-      throw new Error('Invalid SKU response structure from Gemini');
-    }
-    
-    // Convert to expected format with SKU-level items
-    const skuItems = parsedData.skus.map((sku, index) => ({
-      id: `sku-${Date.now()}-${index}`,
-      skuId: sku.skuId,
-      service: sku.service,
-      usage: Math.round(sku.estimatedUsage || 0),
-      totalCost: parseFloat(sku.cost || 0),
-      region: sku.region || 'us-east-1',
-      unit: sku.unit || 'units'
-    })).filter(item => item.totalCost > 0);
-
-    return {
-      skus: skuItems,
-      totalCost: parsedData.totalCost || skuItems.reduce((sum, item) => sum + item.totalCost, 0)
-    };
+    res.status(201).json(await auth.createUser(req.body || {}));
+  } catch (error) {
+    if (sendAuthError(res, error)) return;
+    throw error;
+  }
+});
 
+app.patch('/api/users/:id', requireAdmin, async (req, res) => {
+  try {
+    res.json(await auth.updateUser(req.params.id, req.body || {}));
   } catch (error) {
-    console.error('Gemini SKU parsing error:', error);
-    return fallbackSKUParsing(pdfText);
+    if (sendAuthError(res, error)) return;
+    throw error;
   }
-};
+});
 
-// FIXED: Fallback SKU parsing with CONSISTENT usage estimation
-const fallbackSKUParsing = (text) => {
-  const skuItems = [];
-  
-  // CORRECTED: Usage estimation now matches SKU pricing
-  const servicePatterns = [
-    { 
-      pattern: /Amazon Simple Storage Service.*?\$([0-9,]+\.?[0-9]*)/gi, 
-      getSKU: () => "S3-Standard-us-east-1",
-      service: 'S3', 
-      unit: 'GB',
-      getUsage: (cost) => Math.round(cost / 0.023 * 1000)
-    },
-    { 
-      pattern: /AWS Data Transfer.*?\$([0-9,]+\.?[0-9]*)/gi, 
-      getSKU: () => "DataTransfer-InternetEgress-us-east-1",
-      service: 'DataTransfer', 
-      unit: 'GB',
-      getUsage: (cost) => Math.round(cost / 0.09 * 1000)
-    },
-    { 
-      pattern: /Amazon RDS Service.*?\$([0-9,]+\.?[0-9]*)/gi, 
-      getSKU: (cost) => cost < 30 ? "RDS-db.t3.micro-us-east-1" : "RDS-db.t3.small-us-east-1",
-      service: 'RDS', 
-      unit: 'hours',
-      getUsage: (cost, skuId) => {
-        // FIXED: Use correct pricing for usage estimation
-        if (skuId.includes('t3.micro')) return Math.round(cost / 0.017);
-        if (skuId.includes('t3.small')) return Math.round(cost / 0.034);
-        return Math.round(cost / 0.017);
-      }
-    },
-    { 
-      pattern: /Amazon CloudFront.*?\$([0-9,]+\.?[0-9]*)/gi, 
-      getSKU: () => "CloudFront-DataTransfer-us-east-1",
-      service: 'CloudFront', 
-      unit: 'GB',
-      getUsage: (cost) => Math.round(cost / 0.085 * 1000)
-    },
-    { 
-      pattern: /Amazon Simple Email Service.*?\$([0-9,]+\.?[0-9]*)/gi, 
-      getSKU: () => "SES-EmailSending-us-east-1",
-      service: 'SES', 
-      unit: 'emails',
-      getUsage: (cost) => Math.round(cost / 0.0001)
-    },
-    { 
-      pattern: /Amazon Elastic Compute Cloud.*?\$([0-9,]+\.?[0-9]*)/gi, 
-      getSKU: (cost) => {
-        if (cost < 10) return "EC2-t3.micro-us-east-1";
-        if (cost < 50) return "EC2-t3.small-us-east-1";
-        return "EC2-t3.medium-us-east-1";
-      },
-      service: 'EC2', 
-      unit: 'hours',
-      getUsage: (cost, skuId) => {
-        // FIXED: Use correct pricing for usage estimation
-        if (skuId.includes('t3.micro')) return Math.round(cost / 0.0104);
-        if (skuId.includes('t3.small')) return Math.round(cost / 0.0208);
-        if (skuId.includes('t3.medium')) return Math.round(cost / 0.0416);
-        return Math.round(cost / 0.0104);
-      }
-    },
-    { 
-      pattern: /Amazon Simple Notification Service.*?\$([0-9,]+\.?[0-9]*)/gi, 
-      getSKU: () => "SNS-Requests-us-east-1",
-      service: 'SNS', 
-      unit: 'requests',
-      getUsage: (cost) => Math.round(cost / 0.0000005)
-    }
-  ];
-
-  servicePatterns.forEach(({ pattern, getSKU, service, unit, getUsage }) => {
-    let match;
-    while ((match = pattern.exec(text)) !== null) {
-      const cost = parseFloat(match[1].replace(/[,$]/g, ''));
-      if (cost > 0) {
-        const skuId = getSKU(cost);
-        const usage = getUsage(cost, skuId);
-        
-        skuItems.push({
-          id: `sku-${Date.now()}-${skuItems.length}`,
-          skuId: skuId,
-          service: service,
-          usage: usage,
-          totalCost: cost,
-          region: 'us-east-1',
-          unit: unit
-        });
-      }
-    }
-  });
+app.delete('/api/users/:id', requireAdmin, async (req, res) => {
+  if (req.params.id === req.user.id) {
+    return res.status(400).json({ error: 'You cannot delete your own account.' });
+  }
+  try {
+    await auth.removeUser(req.params.id);
+    res.json({ message: 'User deleted.' });
+  } catch (error) {
+    if (sendAuthError(res, error)) return;
+    throw error;
+  }
+});
 
-  const totalCost = skuItems.reduce((sum, item) => sum + item.totalCost, 0);
-  return { skus: skuItems, totalCost };
-};
 
 // Enhanced PDF parsing with SKU extraction
+// Line items are read deterministically from the text layout first; the LLM
+// provider (and its regex fallback) only handle invoices with no usage rows.
 const parseAWSInvoicePDF = async (pdfBuffer) => {
   try {
     const document = await pdfjsLib.getDocument({ data: pdfBuffer }).promise;
+    const pages = [];
     let fullText = '';
     
     for (let i = 1; i <= document.numPages; i++) {
       const page = await document.getPage(i);
       const content = await page.getTextContent();
       const pageText = content.items.map(item => item.str).join(' ');
+      pages.push(content.items);
       fullText += pageText + '\n';
     }
 
+    // Invoice number and account id come from the original text; everything after
+    // this (parsers, the LLM provider, stored descriptions) sees the redacted text
+    const { invoiceNumber, accountId } = extractInvoiceIdentity(fullText);
+    const { text, redactions } = redactText(fullText);
+    const rows = buildRows(pages).map(row => ({ ...row, text: redactText(row.text).text }));
+
+    const printedTotal = extractPrintedTotal(text);
+    const billingPeriod = extractBillingPeriod(text);
+    const currency = detectCurrency(text);
+    const lineItemResult = parseInvoiceLineItems(rows, {
+      knownSKUs: Object.keys(pricingCatalog.getActive().skus)
+    });
+    if (lineItemResult.skus.length > 0) {
+      console.log(`Parsed ${lineItemResult.skus.length} SKUs from invoice line items (${lineItemResult.unmatched.length} unmatched rows)`);
+      return {
+        ...lineItemResult,
+        printedTotal,
+        billingPeriod,
+        currency,
+        invoiceNumber,
+        accountId,
+        redactions,
+        parser: { method: 'line-items', provider: null, model: null }
+      };
+    }
+
     console.log('Processing AWS invoice for SKU extraction...');
-    return await parseAWSInvoiceWithGemini(fullText);
+    return { ...await llmInvoiceParser.parse(text), printedTotal, billingPeriod, currency, invoiceNumber, accountId, redactions };
     
   } catch (error) {
     console.error('PDF parsing error:', error);
@@ -368,167 +245,1126 @@ const parseAWSInvoicePDF = async (pdfBuffer) => {
   }
 };
 
-// API endpoint for uploading invoices with SKU processing
+// Form fields shared by single and batch uploads: customer, pools and optional overrides
+const uploadOptions = async (body, user) => {
+  let { customerName } = body;
+  // Members upload for their own organization only
+  if (user.role === 'member') {
+    const organization = await storage.get('customers', user.customerId);
+    if (!organization) {
+      throw new UploadError('Your organization no longer exists; ask a pool admin to assign you to one.', 403);
+    }
+    if (customerName && customerIdFor(customerName) !== user.customerId) {
+      throw new UploadError(`Members can only upload invoices for ${organization.name}.`, 403);
+    }
+    customerName = organization.name;
+  }
+  if (!customerName || !customerName.trim()) {
+    throw new UploadError('Customer name is required.');
+  }
+
+  // Optional override for documents that don't state their billing month
+  const requestedPeriod = body.billingPeriod || null;
+  if (requestedPeriod && !isBillingPeriod(requestedPeriod)) {
+    throw new UploadError('billingPeriod must be a month in YYYY-MM format.');
+  }
+
+  // Optional override for documents whose currency isn't detected correctly
+  const requestedCurrency = body.currency ? String(body.currency).toUpperCase() : null;
+  if (requestedCurrency && !isCurrency(requestedCurrency)) {
+    throw new UploadError(`Unsupported currency ${body.currency}.`);
+  }
+
+  // Pools the invoice joins; multipart forms send them comma-separated
+  const requestedPools = typeof body.poolIds === 'string'
+    ? body.poolIds.split(',').map(id => id.trim()).filter(Boolean)
+    : body.poolIds;
+  const poolIds = await resolvePoolIds(storage, requestedPools && requestedPools.length > 0 ? requestedPools : [DEFAULT_POOL_ID]);
+
+  // What to do when the invoice is already stored (see lib/duplicates.js)
+  const onDuplicate = body.onDuplicate || 'reject';
+  if (!DUPLICATE_ACTIONS.includes(onDuplicate)) {
+    throw new UploadError(`onDuplicate must be one of: ${DUPLICATE_ACTIONS.join(', ')}.`);
+  }
+  if (onDuplicate === 'replace' && user.role !== 'admin') {
+    throw new UploadError('Only pool admins can replace existing invoices.', 403);
+  }
+
+  return {
+    customerName,
+    requestedPeriod,
+    requestedCurrency,
+    poolIds,
+    onDuplicate,
+    uploadedBy: user.id,
+    // Members only hear about copies of their own organization's bills
+    ownInvoicesOnly: user.role === 'member'
+  };
+};
+
+// Parse one invoice file, validate it and store the invoice. Returns the upload
+// response body; throws UploadError (or CurrencyError) for files that can't be used.
+const processInvoiceFile = async (invoiceFile, options) => {
+  const { customerName, requestedPeriod, requestedCurrency, poolIds, onDuplicate = 'reject', uploadedBy = null } = options;
+  const isCSV = isCSVUpload(invoiceFile);
+  if (!isCSV && !isPDFUpload(invoiceFile)) {
+    throw new UploadError('Only PDF invoices and CUR/Cost Explorer CSV exports are supported.');
+  }
+
+  let parseResult;
+  if (isCSV) {
+    console.log(`Processing CUR CSV for SKU extraction: ${customerName}`);
+    parseResult = parseCURCsv(invoiceFile.data.toString('utf8'), {
+      knownSKUs: Object.keys(pricingCatalog.getActive().skus)
+    });
+    if (parseResult.skus.length === 0) {
+      throw new UploadError('No line items in the CSV matched a known SKU.', 422, { unmatched: parseResult.unmatched });
+    }
+  } else {
+    console.log(`Processing PDF for SKU extraction: ${customerName}`);
+    parseResult = await parseAWSInvoicePDF(Uint8Array.from(invoiceFile.data));
+  }
+
+  if (isCSV) {
+    parseResult.parser = { method: 'cur-csv', provider: null, model: null };
+  }
+  // Descriptions are stored with the invoice; PDFs were already redacted before parsing
+  parseResult = redactParseResult(parseResult);
+
+  // Billing month: explicit override, then what the document says, then the upload month
+  const uploadDate = new Date().toISOString();
+  const periodWarnings = [];
+  let billingPeriodSource = 'manual';
+  let billingPeriod = requestedPeriod;
+  if (!billingPeriod && parseResult.billingPeriod) {
+    billingPeriod = parseResult.billingPeriod;
+    billingPeriodSource = 'document';
+  }
+  if (!billingPeriod) {
+    billingPeriod = billingPeriodFromDate(uploadDate);
+    billingPeriodSource = 'upload-date';
+    periodWarnings.push(`Billing period not found in the document; assigned to upload month ${billingPeriod}`);
+  }
+
+  // Amounts are converted to the base currency at the billing month's rate before
+  // validation, so rates and totals are checked against the (USD) catalog
+  const currencyCode = requestedCurrency || parseResult.currency || BASE_CURRENCY;
+  const exchangeRate = exchangeRates.rateFor(currencyCode, billingPeriod);
+  if (exchangeRate.period !== billingPeriod) {
+    periodWarnings.push(`No ${currencyCode} exchange rate for ${billingPeriod}; converted at the ${exchangeRate.period} rate`);
+  }
+  parseResult = convertParseResult(parseResult, exchangeRate.rate, {
+    // The LLM and regex fallback estimate usage from cost at USD prices
+    usageFromCost: ['llm', 'regex-fallback'].includes(parseResult.parser.method)
+  });
+
+  const catalog = pricingCatalog.getActive();
+  const { skus, validation } = validateParseResult(parseResult, { catalog });
+  if (skus.length === 0) {
+    throw new UploadError('No valid SKU line items could be extracted from this invoice.', 422, { validation });
+  }
+  validation.warnings.push(...periodWarnings);
+
+  // The same bill stored twice would count its usage twice toward the pool
+  const identity = {
+    contentHash: contentHash(invoiceFile.data),
+    invoiceNumber: parseResult.invoiceNumber || null,
+    // Only a keyed hash of the AWS account id is kept
+    accountHash: hashAccountId(parseResult.accountId),
+    billingPeriod
+  };
+  const storedInvoices = await storage.list('invoices');
+  const duplicates = findDuplicates(options.ownInvoicesOnly
+    ? storedInvoices.filter(invoice => invoiceCustomerId(invoice) === customerIdFor(customerName))
+    : storedInvoices, identity);
+  if (duplicates.length > 0 && onDuplicate === 'reject') {
+    throw new DuplicateInvoiceError(duplicates);
+  }
+
+  const customer = await findOrCreateCustomer(storage, customerName);
+
+  const invoice = {
+    // Random: invoices uploaded in the same millisecond (batches, ZIPs) mustn't share an id
+    id: `invoice-${crypto.randomUUID()}`,
+    customerId: customer.id,
+    customerName: customer.name,
+    billingPeriod: billingPeriod,
+    billingPeriodSource: billingPeriodSource,
+    poolIds: poolIds,
+    skus: skus,
+    items: skus, // Keep items for backward compatibility with frontend
+    // Standalone spend is what the validated SKUs add up to; the printed total lives in validation
+    totalCost: Math.round(skus.reduce((sum, sku) => sum + sku.totalCost, 0) * 100) / 100,
+    uploadDate: uploadDate,
+    originalFileName: invoiceFile.name,
+    uploadedBy: uploadedBy,
+    contentHash: identity.contentHash,
+    invoiceNumber: identity.invoiceNumber,
+    accountHash: identity.accountHash,
+    // Personal details removed from the document text, by kind
+    redactions: parseResult.redactions || {},
+    source: isCSV ? 'cur-csv' : 'pdf',
+    parser: parseResult.parser,
+    unmatched: parseResult.unmatched || [],
+    // Credits, refunds, tax and support: shown on the invoice, never pooled
+    adjustments: parseResult.adjustments || [],
+    // Amounts above are in the base currency; this is what the invoice was billed in
+    currency: { code: currencyCode, rate: exchangeRate.rate, ratePeriod: exchangeRate.period },
+    validation: validation,
+    reviewStatus: initialReviewStatus(validation),
+    auditLog: [],
+    catalogVersion: catalog.version
+  };
+
+  if (duplicates.length > 0 && onDuplicate === 'flag') {
+    // Kept out of the pool totals until an analyst decides which copy stays
+    invoice.duplicateOf = duplicates;
+    invoice.reviewStatus = 'pending_review';
+    validation.warnings.push(`Possible duplicate of ${describeDuplicates(duplicates)}`);
+    for (const duplicate of duplicates) {
+      const existing = await storage.get('invoices', duplicate.invoiceId);
+      existing.duplicatedBy = [...(existing.duplicatedBy || []), {
+        invoiceId: invoice.id,
+        customerId: invoice.customerId,
+        customerName: invoice.customerName,
+        billingPeriod: invoice.billingPeriod,
+        originalFileName: invoice.originalFileName,
+        reasons: duplicate.reasons
+      }];
+      await storage.put('invoices', existing);
+    }
+  }
+
+  if (duplicates.length > 0 && onDuplicate === 'replace') {
+    const replacedIds = duplicates.map(duplicate => duplicate.invoiceId);
+    for (const invoiceId of replacedIds) {
+      await storage.remove('invoices', invoiceId);
+    }
+    await clearDuplicateReferences(storage, replacedIds);
+    invoice.replaced = duplicates;
+    console.log(`Replacing existing invoices ${replacedIds.join(', ')} with ${invoice.id}`);
+  }
+
+  await storage.put('invoices', invoice);
+  
+  console.log(`Successfully parsed invoice with SKU breakdown for ${customerName}:`);
+  console.log(`- ${invoice.skus.length} SKUs found`);
+  console.log(`- Total cost: $${invoice.totalCost.toFixed(2)} (confidence ${validation.confidence}, ${validation.warnings.length} warnings)`);
+  console.log('- SKUs:', invoice.skus.map(s => `${s.skuId}:${s.usage}${s.unit}:$${s.totalCost}`).join(', '));
+  
+  return {
+    message: 'Invoice uploaded and parsed with SKU breakdown successfully.',
+    invoice: {
+      id: invoice.id,
+      customerId: invoice.customerId,
+      customerName: invoice.customerName,
+      billingPeriod: invoice.billingPeriod,
+      poolIds: invoice.poolIds,
+      itemCount: invoice.skus.length,
+      totalCost: invoice.totalCost,
+      currency: invoice.currency,
+      adjustments: summarizeAdjustments(invoice.adjustments),
+      source: invoice.source,
+      parser: invoice.parser,
+      reviewStatus: invoice.reviewStatus,
+      duplicateOf: invoice.duplicateOf || [],
+      replaced: invoice.replaced || []
+    },
+    unmatched: parseResult.unmatched || [],
+    validation: validation
+  };
+};
+
+// Upload errors map to their status; anything else is a parse failure
+const sendUploadError = (res, error, invoiceFile) => {
+  if (error instanceof UploadError || error instanceof CurrencyError || error instanceof PoolValidationError) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+  console.error('Invoice processing error:', error);
+  res.status(500).json({
+    error: `Failed to parse ${invoiceFile && isCSVUpload(invoiceFile) ? 'CSV export' : 'PDF invoice'}: ` + error.message
+  });
+};
+
+// Background parse jobs for batch uploads, one invoice file per job
+const jobQueue = createJobQueue({
+  storage,
+  handlers: {
+    'parse-invoice': ({ file, options }) => processInvoiceFile(file, options)
+  }
+});
+
+// API endpoint for uploading invoices (PDF) or CUR exports (CSV) with SKU processing.
+// Parses inside the request; batch uploads below queue background jobs instead.
 app.post('/api/invoices/upload', async (req, res) => {
   if (!req.files || Object.keys(req.files).length === 0) {
     return res.status(400).json({ error: 'No files were uploaded.' });
   }
 
-  const { customerName } = req.body;
-  if (!customerName || !customerName.trim()) {
-    return res.status(400).json({ error: 'Customer name is required.' });
+  const invoiceFile = req.files.invoice;
+  try {
+    const options = await uploadOptions(req.body || {}, req.user);
+    res.status(201).json(await processInvoiceFile(invoiceFile, options));
+  } catch (error) {
+    sendUploadError(res, error, invoiceFile);
   }
+});
 
-  const pdfFile = req.files.invoice;
-  
-  if (!pdfFile.mimetype || !pdfFile.mimetype.includes('pdf')) {
-    return res.status(400).json({ error: 'Only PDF files are supported.' });
+// Batch upload: any number of PDFs, CSVs and ZIP archives of them (form field
+// "invoices"), all for one customer. Each invoice file becomes a parse job;
+// poll GET /api/jobs?batchId=... for progress.
+app.post('/api/invoices/batch', async (req, res) => {
+  if (!req.files || !req.files.invoices) {
+    return res.status(400).json({ error: 'No files were uploaded.' });
   }
 
   try {
-    console.log(`Processing PDF for SKU extraction: ${customerName}`);
-    
-    const parseResult = await parseAWSInvoicePDF(Uint8Array.from(pdfFile.data));
-    
-    const invoice = {
-      id: `invoice-${Date.now()}`,
-      customerName: customerName.trim(),
-      skus: parseResult.skus,
-      items: parseResult.skus, // Keep items for backward compatibility with frontend
-      totalCost: parseResult.totalCost,
-      uploadDate: new Date(),
-      originalFileName: pdfFile.name
-    };
+    const options = await uploadOptions(req.body || {}, req.user);
+    const { files, skipped } = expandUploads(req.files.invoices);
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'No PDF or CSV invoices found in the upload.', skipped });
+    }
 
-    invoices.push(invoice);
-    
-    console.log(`Successfully parsed invoice with SKU breakdown for ${customerName}:`);
-    console.log(`- ${invoice.skus.length} SKUs found`);
-    console.log(`- Total cost: $${invoice.totalCost.toFixed(2)}`);
-    console.log('- SKUs:', invoice.skus.map(s => `${s.skuId}:${s.usage}${s.unit}:$${s.totalCost}`).join(', '));
-    
-    res.status(201).json({ 
-      message: 'Invoice uploaded and parsed with SKU breakdown successfully.',
-      invoice: {
-        id: invoice.id,
-        customerName: invoice.customerName,
-        itemCount: invoice.skus.length,
-        totalCost: invoice.totalCost
-      }
-    });
+    const batch = await jobQueue.enqueueBatch('parse-invoice', files.map(file => ({
+      label: file.archive ? `${file.archive}/${file.name}` : file.name,
+      input: { file, options }
+    })), { createdBy: req.user.id });
+    console.log(`Queued ${files.length} invoice parse jobs for ${options.customerName} (${batch.batchId})`);
+    res.status(202).json({ ...batch, skipped });
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
 
+// Parse job status: all jobs (newest first) or one batch's (?batchId=..., upload order).
+// Admins see everyone's jobs, other users the ones they queued.
+const jobOwner = (user) => (user.role === 'admin' ? undefined : user.id);
+
+app.get('/api/jobs', async (req, res) => {
+  res.json(await jobQueue.list({ batchId: req.query.batchId, createdBy: jobOwner(req.user) }));
+});
+
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    res.json(await jobQueue.get(req.params.id, { createdBy: jobOwner(req.user) }));
   } catch (error) {
-    console.error('PDF processing error:', error);
-    res.status(500).json({ 
-      error: 'Failed to parse PDF invoice: ' + error.message
-    });
+    if (error instanceof JobNotFoundError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    throw error;
   }
 });
 
-// PRODUCTION SKU-LEVEL Pool statistics endpoint
-app.get('/api/pool/stats', (req, res) => {
-  const poolSKUTotals = {};
-  let totalStandaloneCost = 0;
+// Catalog version a calculation runs against: ?catalogVersion=N, otherwise the one
+// in effect on `date` (the start of the billing period being priced)
+const resolveCatalog = (req, res, date = new Date()) => {
+  if (req.query.catalogVersion === undefined) return pricingCatalog.getActive(date);
+  const catalog = pricingCatalog.getVersion(req.query.catalogVersion);
+  if (!catalog) {
+    res.status(404).json({ error: `Pricing catalog version ${req.query.catalogVersion} not found.` });
+  }
+  return catalog;
+};
 
-  // Calculate pool usage totals by SKU
-  invoices.forEach(invoice => {
-    invoice.skus.forEach(sku => {
-      poolSKUTotals[sku.skuId] = (poolSKUTotals[sku.skuId] || 0) + sku.usage;
-      totalStandaloneCost += sku.totalCost;
+// Billing period a pool view covers: ?period=YYYY-MM, otherwise the latest month with invoices
+const resolvePeriod = (req, res, invoices) => {
+  if (req.query.period !== undefined) {
+    if (!isBillingPeriod(req.query.period)) {
+      res.status(400).json({ error: 'period must be a month in YYYY-MM format.' });
+      return null;
+    }
+    return req.query.period;
+  }
+  const periods = invoices.map(invoicePeriod).sort();
+  return periods.length > 0 ? periods[periods.length - 1] : billingPeriodFromDate(new Date());
+};
+
+// Pool a view covers: ?poolId=..., otherwise `defaultPoolId` (the default pool)
+const resolvePool = async (req, res, defaultPoolId = DEFAULT_POOL_ID) => {
+  const poolId = req.query.poolId || defaultPoolId;
+  const pool = await getPool(storage, poolId);
+  if (!pool) {
+    res.status(404).json({ error: `Pool ${poolId} not found.` });
+  }
+  return pool;
+};
+
+// Allocation strategy for splitting pooled cost: ?strategy=..., otherwise the pool's own setting
+const resolveStrategy = (req, res, pool) => {
+  const strategy = req.query.strategy || pool.allocationStrategy || 'proportional';
+  if (!isAllocationStrategy(strategy)) {
+    res.status(400).json({
+      error: `Unknown allocation strategy "${strategy}". Use one of: ${Object.keys(ALLOCATION_STRATEGIES).join(', ')}.`
     });
-  });
+    return null;
+  }
+  return strategy;
+};
 
-  // Calculate pooled costs using SKU-level volume tiers
-  let totalPooledCost = 0;
-  Object.entries(poolSKUTotals).forEach(([skuId, usage]) => {
-    const skuPooledCost = calculateSKUTieredCost(skuId, usage);
-    totalPooledCost += skuPooledCost;
+// Commitment recommendations for a pool as of `period`, sized on the approved
+// invoices of that month and the ones before it
+const poolCommitments = (poolInvoices, period, catalog, options = {}) => {
+  const byPeriod = { [period]: [] };
+  poolInvoices.filter(countsTowardPool).forEach(invoice => {
+    const invoiceMonth = invoicePeriod(invoice);
+    if (invoiceMonth > period) return;
+    (byPeriod[invoiceMonth] = byPeriod[invoiceMonth] || []).push(invoice);
   });
+  const history = Object.keys(byPeriod).sort().map(month => ({ period: month, invoices: byPeriod[month] }));
+  return optimizeCommitments({ history, catalog, rates: commitmentRates, ...options });
+};
 
-  const estimatedSavings = Math.max(0, totalStandaloneCost - totalPooledCost);
+// PRODUCTION SKU-LEVEL Pool statistics endpoint, for one pool and billing period
+app.get('/api/pool/stats', async (req, res) => {
+  const pool = await resolvePool(req, res);
+  if (!pool) return;
+  const strategy = resolveStrategy(req, res, pool);
+  if (!strategy) return;
+
+  // Invoices waiting for analyst review don't count toward pool totals
+  const allInvoices = (await storage.list('invoices')).filter(invoice => isPoolMember(invoice, pool.id));
+  const period = resolvePeriod(req, res, allInvoices);
+  if (!period) return;
+  const catalog = resolveCatalog(req, res, periodStartDate(period));
+  if (!catalog) return;
+
+  const periodInvoices = allInvoices.filter(invoice => invoicePeriod(invoice) === period);
+  const invoices = periodInvoices.filter(countsTowardPool);
+  const poolStats = computePoolStats(invoices, catalog, { strategy });
+  const commitments = poolCommitments(allInvoices, period, catalog);
 
   const stats = {
-    totalCustomers: invoices.length,
-    totalUsage: poolSKUTotals,
-    totalCost: totalStandaloneCost,
-    pooledCost: totalPooledCost,
-    estimatedSavings: estimatedSavings,
-    savingsPercentage: totalStandaloneCost > 0 ? (estimatedSavings / totalStandaloneCost * 100) : 0
+    poolId: pool.id,
+    poolName: pool.name,
+    period: period,
+    ...poolStats,
+    // Volume-tier savings stay in estimatedSavings; recommended commitments would save this on top
+    commitmentSavings: commitments.totals.monthlySavings,
+    savingsComponents: {
+      volumeTiers: poolStats.estimatedSavings,
+      commitments: commitments.totals.monthlySavings
+    },
+    allocationStrategyName: ALLOCATION_STRATEGIES[strategy],
+    pendingReview: periodInvoices.length - invoices.length,
+    // Members' credits, refunds, tax and support - outside the pooled totals above
+    adjustments: summarizeAdjustments(invoices.flatMap(invoice => invoice.adjustments || [])),
+    catalogVersion: catalog.version,
+    catalogEffectiveDate: catalog.effectiveDate
   };
 
   console.log('Production SKU-level pool stats:', {
+    pool: pool.id,
+    period: period,
     customers: stats.totalCustomers,
     standaloneCost: stats.totalCost.toFixed(2),
     pooledCost: stats.pooledCost.toFixed(2),
     savings: stats.estimatedSavings.toFixed(2),
+    commitmentSavings: stats.commitmentSavings.toFixed(2),
     savingsRate: `${stats.savingsPercentage.toFixed(1)}%`,
-    skuCount: Object.keys(poolSKUTotals).length
+    skuCount: Object.keys(stats.totalUsage).length,
+    catalogVersion: catalog.version
   });
 
+  // Members get their own organization's rows and anonymous pool figures (lib/privacy.js)
+  if (req.user.role === 'member') {
+    return res.json(memberPoolStats(stats, invoices, req.user.customerId));
+  }
+
   res.json(stats);
 });
 
-// Get all invoices
-app.get('/api/invoices', (req, res) => {
-  res.json(invoices);
+// Anonymous pool summary for a pool and billing period (?poolId, ?period like the
+// stats route): no names, and nothing from fewer than MIN_AGGREGATE_MEMBERS members
+app.get('/api/pool/aggregate', async (req, res) => {
+  const pool = await resolvePool(req, res);
+  if (!pool) return;
+  const strategy = resolveStrategy(req, res, pool);
+  if (!strategy) return;
+
+  const allInvoices = (await storage.list('invoices')).filter(invoice => isPoolMember(invoice, pool.id));
+  const period = resolvePeriod(req, res, allInvoices);
+  if (!period) return;
+  const catalog = resolveCatalog(req, res, periodStartDate(period));
+  if (!catalog) return;
+
+  const invoices = allInvoices.filter(invoice => invoicePeriod(invoice) === period && countsTowardPool(invoice));
+  res.json({
+    poolId: pool.id,
+    poolName: pool.name,
+    period: period,
+    allocationStrategy: strategy,
+    ...poolAggregate(computePoolStats(invoices, catalog, { strategy }), invoices),
+    catalogVersion: catalog.version
+  });
+});
+
+// What-if simulator: re-price a pool (?poolId, ?period like the stats route) with
+// members added or removed, side by side with the current composition. Read-only.
+// Body: { scenarios: [{ name, additions: [{ invoiceId } | { customerName, skus }], removals: [{ customerId } | { invoiceId }] }] }
+app.post('/api/pool/scenarios', requireAnalyst, requireBody, async (req, res) => {
+  const { scenarios } = req.body;
+  if (!Array.isArray(scenarios) || scenarios.length === 0) {
+    return res.status(400).json({ error: 'scenarios must be a non-empty array.' });
+  }
+
+  const pool = await resolvePool(req, res);
+  if (!pool) return;
+  const strategy = resolveStrategy(req, res, pool);
+  if (!strategy) return;
+
+  const candidates = await storage.list('invoices');
+  const poolInvoices = candidates.filter(invoice => isPoolMember(invoice, pool.id));
+  const period = resolvePeriod(req, res, poolInvoices);
+  if (!period) return;
+  const catalog = resolveCatalog(req, res, periodStartDate(period));
+  if (!catalog) return;
+
+  const baseInvoices = poolInvoices.filter(invoice => invoicePeriod(invoice) === period && countsTowardPool(invoice));
+
+  try {
+    res.json({
+      poolId: pool.id,
+      period: period,
+      catalogVersion: catalog.version,
+      allocationStrategy: strategy,
+      ...compareScenarios(baseInvoices, scenarios, { candidates, catalog, strategy })
+    });
+  } catch (error) {
+    if (error instanceof ScenarioError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    throw error;
+  }
+});
+
+// Reserved Instance / Savings Plan recommendations for a pool (?poolId, ?period like
+// the stats route). ?term and ?payment restrict the options, ?costOfCapital is the
+// annual rate upfront payments are weighed against (default 8%).
+app.get('/api/pool/commitments', requireAnalyst, async (req, res) => {
+  const pool = await resolvePool(req, res);
+  if (!pool) return;
+
+  const poolInvoices = (await storage.list('invoices')).filter(invoice => isPoolMember(invoice, pool.id));
+  const period = resolvePeriod(req, res, poolInvoices);
+  if (!period) return;
+  const catalog = resolveCatalog(req, res, periodStartDate(period));
+  if (!catalog) return;
+
+  const { term, payment } = req.query;
+  const costOfCapital = req.query.costOfCapital === undefined ? undefined : Number(req.query.costOfCapital);
+
+  try {
+    res.json({
+      poolId: pool.id,
+      period: period,
+      catalogVersion: catalog.version,
+      ratesEffectiveDate: commitmentRates.effectiveDate,
+      ...poolCommitments(poolInvoices, period, catalog, { term, payment, costOfCapital })
+    });
+  } catch (error) {
+    if (error instanceof CommitmentError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    throw error;
+  }
+});
+
+// Month-by-month spend and savings of a pool's approved invoices, each month
+// priced with the catalog in effect then; `from` and `to` bound the months
+const poolHistory = (poolInvoices, { from, to } = {}) => {
+  const byPeriod = {};
+  poolInvoices.filter(countsTowardPool).forEach(invoice => {
+    const period = invoicePeriod(invoice);
+    if ((from && period < from) || (to && period > to)) return;
+    (byPeriod[period] = byPeriod[period] || []).push(invoice);
+  });
+
+  return Object.keys(byPeriod).sort().map(period => {
+    const catalog = pricingCatalog.getActive(periodStartDate(period));
+    const { totalCustomers, totalInvoices, totalCost, pooledCost, estimatedSavings, savingsPercentage } =
+      computePoolStats(byPeriod[period], catalog);
+    return {
+      period,
+      totalCustomers,
+      totalInvoices,
+      totalCost,
+      pooledCost,
+      estimatedSavings,
+      savingsPercentage,
+      catalogVersion: catalog.version
+    };
+  });
+};
+
+// Month-over-month pool spend and savings, each month priced with the catalog in effect then
+app.get('/api/pool/history', async (req, res) => {
+  const { from, to } = req.query;
+  if ((from && !isBillingPeriod(from)) || (to && !isBillingPeriod(to))) {
+    return res.status(400).json({ error: 'from and to must be months in YYYY-MM format.' });
+  }
+
+  const pool = await resolvePool(req, res);
+  if (!pool) return;
+
+  const invoices = (await storage.list('invoices')).filter(invoice => isPoolMember(invoice, pool.id));
+  const history = poolHistory(invoices, { from, to });
+
+  // Members don't see months with too few members to stay anonymous
+  res.json(req.user.role === 'member'
+    ? history.filter(entry => entry.totalCustomers >= MIN_AGGREGATE_MEMBERS)
+    : history);
+});
+
+// Monthly settlements and per-member statements (lib/settlements.js)
+const settlements = createSettlements({ storage, pricingCatalog });
+
+const sendSettlementError = (res, error) => {
+  if (error instanceof SettlementError) {
+    res.status(error.status).json({ error: error.message });
+    return true;
+  }
+  return false;
+};
+
+// Settlement runs, newest month first (?poolId, ?period narrow them down)
+app.get('/api/settlements', requireAnalyst, async (req, res) => {
+  res.json(await settlements.listSettlements({ poolId: req.query.poolId, period: req.query.period }));
+});
+
+app.get('/api/settlements/:id', requireAnalyst, async (req, res) => {
+  try {
+    res.json(await settlements.getSettlement(req.params.id));
+  } catch (error) {
+    if (!sendSettlementError(res, error)) throw error;
+  }
+});
+
+// Settle a pool's month now instead of waiting for the schedule. Body: { poolId, period }
+app.post('/api/settlements', requireAdmin, async (req, res) => {
+  const { poolId = DEFAULT_POOL_ID, period } = req.body || {};
+  try {
+    const settlement = await settlements.settlePeriod({ poolId, period, trigger: 'manual', settledBy: req.user.email });
+    res.status(201).json(settlement);
+  } catch (error) {
+    if (!sendSettlementError(res, error)) throw error;
+  }
+});
+
+const sendAttachment = (res, fileName, type, body) => {
+  res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.type(type).send(body);
+};
+
+// Issued statements, newest first (?settlementId, ?period); members only get their own
+const statementOwner = (user) => (user.role === 'member' ? user.customerId : undefined);
+
+app.get('/api/statements', async (req, res) => {
+  res.json(await settlements.listStatements({
+    settlementId: req.query.settlementId,
+    period: req.query.period,
+    customerId: statementOwner(req.user)
+  }));
+});
+
+// A statement as JSON (default) or, with ?format=pdf, the PDF rendered when it was issued
+app.get('/api/statements/:id', async (req, res) => {
+  const customerId = statementOwner(req.user);
+  try {
+    if (req.query.format === 'pdf') {
+      const { statement, pdf } = await settlements.getStatementPDF(req.params.id, { customerId });
+      return sendAttachment(res, `statement-${statement.number}.pdf`, 'application/pdf', pdf);
+    }
+    res.json(await settlements.getStatement(req.params.id, { customerId }));
+  } catch (error) {
+    if (!sendSettlementError(res, error)) throw error;
+  }
+});
+
+// Pool members with the billing periods they have invoices for
+app.get('/api/customers', requireAnalyst, async (req, res) => {
+  const [customers, invoices] = await Promise.all([storage.list('customers'), storage.list('invoices')]);
+  const byId = {};
+  customers.forEach(customer => {
+    byId[customer.id] = { ...customer, periods: {} };
+  });
+
+  invoices.forEach(invoice => {
+    const id = invoiceCustomerId(invoice);
+    // Invoices from before customer records existed still show up under their name
+    if (!byId[id]) byId[id] = { id, name: invoice.customerName, periods: {} };
+    const period = invoicePeriod(invoice);
+    const entry = byId[id].periods[period] || { invoiceCount: 0, totalCost: 0 };
+    entry.invoiceCount += 1;
+    entry.totalCost = Math.round((entry.totalCost + invoice.totalCost) * 100) / 100;
+    byId[id].periods[period] = entry;
+  });
+
+  res.json(Object.values(byId).sort((a, b) => a.name.localeCompare(b.name)));
+});
+
+// Strategies a pool (or a single request) can split pooled cost with
+app.get('/api/allocation-strategies', (req, res) => {
+  res.json(Object.entries(ALLOCATION_STRATEGIES).map(([id, name]) => ({ id, name })));
+});
+
+// Pool management
+const sendPoolError = (res, error) => {
+  if (error instanceof PoolValidationError) {
+    res.status(error.status).json({ error: error.message });
+    return true;
+  }
+  return false;
+};
+
+app.get('/api/pools', async (req, res) => {
+  const [pools, invoices] = await Promise.all([listPools(storage), storage.list('invoices')]);
+  res.json(pools.map(pool => ({
+    ...pool,
+    invoiceCount: invoices.filter(invoice => isPoolMember(invoice, pool.id)).length
+  })));
+});
+
+app.get('/api/pools/:id', async (req, res) => {
+  const pool = await getPool(storage, req.params.id);
+  if (!pool) {
+    return res.status(404).json({ error: 'Pool not found.' });
+  }
+  const invoices = visibleInvoices(req.user, await storage.list('invoices')).filter(invoice => isPoolMember(invoice, pool.id));
+  res.json({ ...pool, invoiceIds: invoices.map(invoice => invoice.id) });
+});
+
+app.post('/api/pools', requireAdmin, requireBody, async (req, res) => {
+  let pool;
+  try {
+    pool = buildPool(req.body);
+  } catch (error) {
+    if (sendPoolError(res, error)) return;
+    throw error;
+  }
+  await storage.put('pools', pool);
+  res.status(201).json(pool);
+});
+
+app.put('/api/pools/:id', requireAdmin, requireBody, async (req, res) => {
+  const existing = await getPool(storage, req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Pool not found.' });
+  }
+
+  let pool;
+  try {
+    pool = buildPool(req.body, existing);
+  } catch (error) {
+    if (sendPoolError(res, error)) return;
+    throw error;
+  }
+  await storage.put('pools', pool);
+  res.json(pool);
+});
+
+// Deleting a pool drops it from its members' pool lists; the invoices themselves stay
+app.delete('/api/pools/:id', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  if (id === DEFAULT_POOL_ID) {
+    return res.status(400).json({ error: 'The default pool cannot be deleted.' });
+  }
+  const removed = await storage.remove('pools', id);
+  if (!removed) {
+    return res.status(404).json({ error: 'Pool not found.' });
+  }
+
+  const members = (await storage.list('invoices')).filter(invoice => isPoolMember(invoice, id));
+  for (const invoice of members) {
+    invoice.poolIds = invoicePoolIds(invoice).filter(poolId => poolId !== id);
+    await storage.put('invoices', invoice);
+  }
+  res.json({ message: 'Pool deleted.', invoicesUpdated: members.length });
+});
+
+// Replace the pools an invoice belongs to; an empty list takes it out of every pool
+app.put('/api/invoices/:id/pools', requireAdmin, requireBody, async (req, res) => {
+  const invoice = await storage.get('invoices', req.params.id);
+  if (!invoice) {
+    return res.status(404).json({ error: 'Invoice not found.' });
+  }
+
+  try {
+    invoice.poolIds = await resolvePoolIds(storage, req.body.poolIds);
+  } catch (error) {
+    if (sendPoolError(res, error)) return;
+    throw error;
+  }
+  await storage.put('invoices', invoice);
+  res.json(invoice);
+});
+
+// Invoices the user may see: all of them, or a member's own organization's
+app.get('/api/invoices', async (req, res) => {
+  const invoices = visibleInvoices(req.user, await storage.list('invoices'));
+  if (req.user.role !== 'member') return res.json(invoices);
+  res.json(invoices.map(invoice => ({
+    ...invoice,
+    duplicateOf: ownDuplicates(invoice.duplicateOf || [], req.user.customerId),
+    duplicatedBy: ownDuplicates(invoice.duplicatedBy || [], req.user.customerId)
+  })));
 });
 
 // Remove invoice from pool
-app.delete('/api/invoices/:id', (req, res) => {
+app.delete('/api/invoices/:id', requireAdmin, async (req, res) => {
   const { id } = req.params;
-  const initialLength = invoices.length;
-  invoices = invoices.filter(inv => inv.id !== id);
-  if (invoices.length < initialLength) {
+  const removed = await storage.remove('invoices', id);
+  if (removed) {
+    await clearDuplicateReferences(storage, [id]);
     res.status(200).json({ message: 'Invoice removed successfully.' });
   } else {
     res.status(404).json({ error: 'Invoice not found.' });
   }
 });
 
-// PRODUCTION SKU-LEVEL individual customer savings calculation
-app.get('/api/invoices/savings/:id', (req, res) => {
-  const { id } = req.params;
-  const invoice = invoices.find(inv => inv.id === id);
+// Review workflow: pool admins correct SKU line items before an invoice counts toward the pool.
+// Audit entries name the signed-in admin.
+const reviewActor = (req) => req.user.email;
 
+// Every change but removing a line item takes a JSON body
+const updateInvoiceForReview = (applyChange, { needsBody = true } = {}) => [requireAdmin, ...(needsBody ? [requireBody] : []), async (req, res) => {
+  const invoice = await storage.get('invoices', req.params.id);
   if (!invoice) {
     return res.status(404).json({ error: 'Invoice not found.' });
   }
 
-  // Calculate standalone cost (what customer pays alone)
-  const standalone = invoice.totalCost;
+  try {
+    applyChange(invoice, req, { catalog: pricingCatalog.getActive(), actor: reviewActor(req) });
+  } catch (error) {
+    if (error instanceof InvoiceReviewError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    throw error;
+  }
+
+  await storage.put('invoices', invoice);
+  res.json(invoice);
+}];
+
+app.patch('/api/invoices/:id/skus/:skuItemId', updateInvoiceForReview((invoice, req, context) => {
+  editSKU(invoice, req.params.skuItemId, req.body, context);
+}));
+
+app.post('/api/invoices/:id/skus', updateInvoiceForReview((invoice, req, context) => {
+  addSKU(invoice, req.body, context);
+}));
+
+app.post('/api/invoices/:id/skus/:skuItemId/split', updateInvoiceForReview((invoice, req, context) => {
+  splitSKU(invoice, req.params.skuItemId, req.body.parts, { ...context, note: req.body.note });
+}));
+
+app.delete('/api/invoices/:id/skus/:skuItemId', updateInvoiceForReview((invoice, req, context) => {
+  removeSKU(invoice, req.params.skuItemId, { ...context, note: req.body && req.body.note });
+}, { needsBody: false }));
+
+app.patch('/api/invoices/:id/billing-period', updateInvoiceForReview((invoice, req, context) => {
+  setBillingPeriod(invoice, req.body.billingPeriod, { actor: context.actor, note: req.body.note });
+}));
+
+app.post('/api/invoices/:id/review', updateInvoiceForReview((invoice, req, context) => {
+  setReviewStatus(invoice, req.body.status, { actor: context.actor, note: req.body.note });
+}));
+
+app.get('/api/invoices/:id/audit', async (req, res) => {
+  const invoice = await storage.get('invoices', req.params.id);
+  if (!invoice || !canSeeInvoice(req.user, invoice)) {
+    return res.status(404).json({ error: 'Invoice not found.' });
+  }
+  res.json(invoice.auditLog || []);
+});
+
+// Standalone vs pooled cost of one invoice in a pool's month, per SKU, as the
+// savings route returns it. `invoices` are all stored invoices; an invoice still
+// in review is priced as if it had joined the approved pool. `hidesPoolUsage`
+// leaves out pool volume, and the tier it reaches, that fewer than
+// MIN_AGGREGATE_MEMBERS members add up to.
+const invoiceSavings = (invoice, invoices, { pool, strategy, catalog, hidesPoolUsage = false }) => {
+  const period = invoicePeriod(invoice);
+
+  // What this account pays alone: catalog rates after its own Free Tier, like the pooled side
+  const standaloneCosts = accountStandaloneCosts(invoice.skus, catalog);
+  const standalone = standaloneCosts.reduce((sum, line) => sum + line.cost, 0);
   
-  // Calculate pool usage totals by SKU
-  const poolSKUTotals = {};
-  invoices.forEach(inv => {
-    inv.skus.forEach(sku => {
-      poolSKUTotals[sku.skuId] = (poolSKUTotals[sku.skuId] || 0) + sku.usage;
-    });
-  });
+  // Pool members this period share the pooled cost (SKU-level tiers, pooled across regions where AWS aggregates).
+  const poolInvoices = invoices.filter(inv => inv.id === invoice.id || (
+    isPoolMember(inv, pool.id) && invoicePeriod(inv) === period && countsTowardPool(inv)
+  ));
+
+  // This invoice's part of its customer's share of the pooled cost under the allocation strategy
+  const allocation = allocateInvoices(poolInvoices, catalog, strategy);
+  const customerPooledCost = allocation.shares[invoice.id];
 
-  // Calculate what this customer would pay in the pool at SKU level
-  const customerPooledCost = calculateCustomerSKUPooledCost(invoice.skus, poolSKUTotals);
+  // Where the savings come from: per SKU standalone cost, pooled share and the tier the pool's volume reaches
+  const poolingTotals = billablePoolingTotals(poolInvoices, catalog);
+  const skuBreakdown = {};
+  invoice.skus.forEach((sku, index) => {
+    const entry = skuBreakdown[sku.skuId] || {
+      skuId: sku.skuId,
+      service: sku.service,
+      region: sku.region,
+      unit: sku.unit,
+      usage: 0,
+      standalone: 0
+    };
+    entry.usage += sku.usage;
+    entry.standalone += standaloneCosts[index].cost;
+    skuBreakdown[sku.skuId] = entry;
+  });
+  const freeTierCredits = allocation.freeTierCredits[invoice.id];
+  const keyMembers = {};
+  poolInvoices.forEach(inv => inv.skus.forEach(sku => {
+    const key = poolingKey(sku.skuId, catalog);
+    (keyMembers[key] = keyMembers[key] || new Set()).add(invoiceCustomerId(inv));
+  }));
+  const skus = Object.values(skuBreakdown).map(entry => {
+    const key = poolingKey(entry.skuId, catalog);
+    // The tier would give the hidden volume away
+    const hidden = hidesPoolUsage && keyMembers[key].size < MIN_AGGREGATE_MEMBERS;
+    const pooled = allocation.skuShares[invoice.id][entry.skuId] || 0;
+    const skuSavings = Math.max(0, entry.standalone - pooled);
+    const freeTier = freeTierCredits[entry.skuId] || { usage: 0, credit: 0 };
+    return {
+      ...entry,
+      standalone: parseFloat(entry.standalone.toFixed(2)),
+      // Pooled share after this account's own Free Tier, shown separately
+      pooled: pooled,
+      freeTierUsage: freeTier.usage,
+      freeTierCredit: parseFloat(freeTier.credit.toFixed(2)),
+      savings: parseFloat(skuSavings.toFixed(2)),
+      percentage: entry.standalone > 0 ? parseFloat((skuSavings / entry.standalone * 100).toFixed(2)) : 0,
+      poolingKey: key,
+      poolUsage: hidden ? null : poolingTotals[key] || 0,
+      tierReached: hidden ? null : tierReached(entry.skuId, poolingTotals[key] || 0, catalog)
+    };
+  });
   
   const savings = Math.max(0, standalone - customerPooledCost);
   const percentage = standalone > 0 ? (savings / standalone) * 100 : 0;
 
-  const result = {
+  return {
     standalone: parseFloat(standalone.toFixed(2)),
     pooled: parseFloat(customerPooledCost.toFixed(2)),
+    freeTierCredit: parseFloat(Object.values(freeTierCredits).reduce((sum, entry) => sum + entry.credit, 0).toFixed(2)),
     savings: parseFloat(savings.toFixed(2)),
-    percentage: parseFloat(percentage.toFixed(2))
+    percentage: parseFloat(percentage.toFixed(2)),
+    // Amount due either way once credits, refunds, support and (re-based) tax are applied
+    net: netAmounts(invoice, customerPooledCost, standalone),
+    adjustments: summarizeAdjustments(invoice.adjustments),
+    period: period,
+    poolId: pool.id,
+    poolMember: isPoolMember(invoice, pool.id),
+    allocationStrategy: strategy,
+    skus: skus,
+    // Amounts above are in the base currency; `local` has them in the invoice's own
+    baseCurrency: BASE_CURRENCY,
+    currency: invoice.currency ? invoice.currency.code : BASE_CURRENCY,
+    local: {
+      standalone: toInvoiceCurrency(standalone, invoice),
+      pooled: toInvoiceCurrency(customerPooledCost, invoice),
+      savings: toInvoiceCurrency(savings, invoice)
+    },
+    catalogVersion: catalog.version,
+    catalogEffectiveDate: catalog.effectiveDate
   };
+};
+
+// PRODUCTION SKU-LEVEL individual customer savings calculation
+app.get('/api/invoices/savings/:id', async (req, res) => {
+  const { id } = req.params;
+  const invoices = await storage.list('invoices');
+  const invoice = invoices.find(inv => inv.id === id);
+
+  // Members only price their own invoices
+  if (!invoice || !canSeeInvoice(req.user, invoice)) {
+    return res.status(404).json({ error: 'Invoice not found.' });
+  }
+
+  // Pricing against a pool the invoice isn't in answers "what if this customer joined it".
+  // Members only price against the pools their invoice is in (the first one by default):
+  // another pool's figures would show them that pool's volume.
+  const isMember = req.user.role === 'member';
+  if (isMember && req.query.poolId && !isPoolMember(invoice, req.query.poolId)) {
+    return res.status(403).json({ error: 'Members can only see savings in pools their invoice belongs to.' });
+  }
+  const pool = await resolvePool(req, res, isMember ? invoicePoolIds(invoice)[0] : DEFAULT_POOL_ID);
+  if (!pool) return;
+  const strategy = resolveStrategy(req, res, pool);
+  if (!strategy) return;
+
+  // Only invoices from the same billing period share volume tiers
+  const catalog = resolveCatalog(req, res, periodStartDate(invoicePeriod(invoice)));
+  if (!catalog) return;
+
+  // A member doesn't see pool volume that fewer than MIN_AGGREGATE_MEMBERS members add up to
+  res.json(invoiceSavings(invoice, invoices, { pool, strategy, catalog, hidesPoolUsage: req.user.role === 'member' }));
+});
+
+// Savings reports and data exports for one pool and billing month (?poolId,
+// ?period, ?strategy, ?catalogVersion like the stats route), for the whole pool
+// or one member. Both are built from the same per-invoice savings figures.
+const REPORT_HISTORY_MONTHS = 12;
+
+// What a report or export covers; null once an error response is sent.
+// `formats` are the allowed ?format values, the first being the default.
+const reportContext = async (req, res, formats) => {
+  const format = req.query.format || formats[0];
+  if (!formats.includes(format)) {
+    res.status(400).json({ error: `format must be one of: ${formats.join(', ')}.` });
+    return null;
+  }
+  const pool = await resolvePool(req, res);
+  if (!pool) return null;
+  const strategy = resolveStrategy(req, res, pool);
+  if (!strategy) return null;
+
+  const invoices = await storage.list('invoices');
+  const poolInvoices = invoices.filter(invoice => isPoolMember(invoice, pool.id));
+  const period = resolvePeriod(req, res, poolInvoices);
+  if (!period) return null;
+  const catalog = resolveCatalog(req, res, periodStartDate(period));
+  if (!catalog) return null;
+
+  return { format, pool, strategy, period, catalog, invoices, poolInvoices };
+};
+
+// Every approved member of the pool's month
+const poolReport = ({ pool, strategy, period, catalog, invoices, poolInvoices }) => {
+  const members = poolInvoices.filter(invoice => invoicePeriod(invoice) === period && countsTowardPool(invoice));
+  return buildReport({
+    kind: 'pool',
+    subject: pool.name,
+    pool,
+    period,
+    strategy,
+    strategyName: ALLOCATION_STRATEGIES[strategy],
+    catalog,
+    baseCurrency: BASE_CURRENCY,
+    entries: members.map(invoice => ({ invoice, savings: invoiceSavings(invoice, invoices, { pool, strategy, catalog }) })),
+    history: poolHistory(poolInvoices, { to: period }).slice(-REPORT_HISTORY_MONTHS),
+    poolMembers: new Set(members.map(invoiceCustomerId)).size
+  });
+};
+
+// One organization's accounts in the pool's month; members can only get their
+// own. Null once an error response is sent.
+const memberReport = (req, res, { pool, strategy, period, catalog, invoices, poolInvoices }) => {
+  const { customerId } = req.params;
+  const periodInvoices = poolInvoices.filter(invoice => invoicePeriod(invoice) === period);
+  const own = periodInvoices.filter(invoice => invoiceCustomerId(invoice) === customerId);
+  if (own.length === 0) {
+    res.status(404).json({ error: `No invoices for this customer in ${pool.name} for ${period}.` });
+    return null;
+  }
+
+  // The pool's size is only shown to members once it's big enough to stay anonymous
+  const poolMembers = new Set(periodInvoices.filter(countsTowardPool).map(invoiceCustomerId)).size;
+  return buildReport({
+    kind: 'member',
+    subject: own[0].customerName,
+    pool,
+    period,
+    strategy,
+    strategyName: ALLOCATION_STRATEGIES[strategy],
+    catalog,
+    baseCurrency: BASE_CURRENCY,
+    entries: own.map(invoice => ({
+      invoice,
+      savings: invoiceSavings(invoice, invoices, { pool, strategy, catalog, hidesPoolUsage: req.user.role === 'member' })
+    })),
+    poolMembers: req.user.role !== 'member' || poolMembers >= MIN_AGGREGATE_MEMBERS ? poolMembers : null
+  });
+};
+
+const requireOwnCustomer = (req, res, next) => {
+  if (req.user.role === 'member' && req.params.customerId !== req.user.customerId) {
+    return res.status(404).json({ error: 'Customer not found.' });
+  }
+  next();
+};
+
+// Reports: PDF (default) or JSON (?format=json). ?memberCurrency=true shows PDF
+// rows in each member's billing currency.
+const REPORT_FORMATS = ['pdf', 'json'];
+
+const sendReport = (req, res, context, report, name) => {
+  if (context.format === 'json') return res.json(report);
+  sendAttachment(res, `${name}.pdf`, 'application/pdf', renderReportPDF(report, { memberCurrency: req.query.memberCurrency === 'true' }));
+};
+
+app.get('/api/reports/pool', requireAnalyst, async (req, res) => {
+  const context = await reportContext(req, res, REPORT_FORMATS);
+  if (!context) return;
+  sendReport(req, res, context, poolReport(context), `pool-report-${context.pool.id}-${context.period}`);
+});
+
+app.get('/api/reports/members/:customerId', requireOwnCustomer, async (req, res) => {
+  const context = await reportContext(req, res, REPORT_FORMATS);
+  if (!context) return;
+  const report = memberReport(req, res, context);
+  if (!report) return;
+  sendReport(req, res, context, report, `member-report-${req.params.customerId}-${context.period}`);
+});
 
-  res.json(result);
+// Data exports (lib/exports.js): CSV (default) of one table (?table=member-skus,
+// members or skus), an XLSX workbook with all of them, or a JSON snapshot
+const sendExport = (req, res, context, report, name) => {
+  const table = req.query.table || 'member-skus';
+  if (context.format === 'csv' && !EXPORT_TABLES[table]) {
+    return res.status(400).json({ error: `table must be one of: ${Object.keys(EXPORT_TABLES).join(', ')}.` });
+  }
+  if (context.format === 'json') {
+    return sendAttachment(res, `${name}.json`, EXPORT_FORMATS.json, JSON.stringify(exportSnapshot(report), null, 2));
+  }
+  if (context.format === 'xlsx') {
+    return sendAttachment(res, `${name}.xlsx`, EXPORT_FORMATS.xlsx, toXLSX(report));
+  }
+  sendAttachment(res, `${name}-${table}.csv`, EXPORT_FORMATS.csv, toCSV(report, table));
+};
+
+app.get('/api/exports/pool', requireAnalyst, async (req, res) => {
+  const context = await reportContext(req, res, Object.keys(EXPORT_FORMATS));
+  if (!context) return;
+  sendExport(req, res, context, poolReport(context), `pool-data-${context.pool.id}-${context.period}`);
+});
+
+app.get('/api/exports/members/:customerId', requireOwnCustomer, async (req, res) => {
+  const context = await reportContext(req, res, Object.keys(EXPORT_FORMATS));
+  if (!context) return;
+  const report = memberReport(req, res, context);
+  if (!report) return;
+  sendExport(req, res, context, report, `member-data-${req.params.customerId}-${context.period}`);
 });
 
 // Debug endpoint showing detailed SKU breakdown
-app.get('/api/debug/skus', (req, res) => {
+app.get('/api/debug/skus', requireAnalyst, async (req, res) => {
+  const pool = await resolvePool(req, res);
+  if (!pool) return;
+
+  const storedInvoices = (await storage.list('invoices')).filter(invoice => isPoolMember(invoice, pool.id));
+  const period = resolvePeriod(req, res, storedInvoices);
+  if (!period) return;
+  const catalog = resolveCatalog(req, res, periodStartDate(period));
+  if (!catalog) return;
+
+  const allInvoices = storedInvoices.filter(invoice => invoicePeriod(invoice) === period);
+  const invoices = allInvoices.filter(countsTowardPool);
+  const poolingTotals = billablePoolingTotals(invoices, catalog);
+  const { skuShares, freeTierCredits } = allocateInvoices(invoices, catalog);
   const debugInfo = {
+    poolId: pool.id,
+    period: period,
+    catalogVersion: catalog.version,
     totalSKUs: 0,
     skuBreakdown: {},
-    customers: invoices.map(invoice => ({
+    customers: allInvoices.map(invoice => ({
       id: invoice.id,
+      customerId: invoiceCustomerId(invoice),
       customerName: invoice.customerName,
+      reviewStatus: invoice.reviewStatus || 'approved',
       fileName: invoice.originalFileName,
       skuCount: invoice.skus.length,
       totalCost: invoice.totalCost,
@@ -543,29 +1379,44 @@ app.get('/api/debug/skus', (req, res) => {
     }))
   };
   
-  // Calculate SKU totals across all customers
+  // Calculate SKU totals across all customers; standalone at catalog rates after each account's Free Tier
   invoices.forEach(invoice => {
-    invoice.skus.forEach(sku => {
+    const standaloneCosts = accountStandaloneCosts(invoice.skus, catalog);
+    invoice.skus.forEach((sku, index) => {
       if (!debugInfo.skuBreakdown[sku.skuId]) {
         debugInfo.skuBreakdown[sku.skuId] = {
+          region: sku.region,
+          poolingKey: poolingKey(sku.skuId, catalog),
           totalUsage: 0,
           totalStandaloneCost: 0,
           totalPooledCost: 0,
+          freeTierUsage: 0,
+          freeTierCredit: 0,
           customers: 0,
           savingsAmount: 0,
           savingsPercentage: 0
         };
       }
       debugInfo.skuBreakdown[sku.skuId].totalUsage += sku.usage;
-      debugInfo.skuBreakdown[sku.skuId].totalStandaloneCost += sku.totalCost;
+      debugInfo.skuBreakdown[sku.skuId].totalStandaloneCost += standaloneCosts[index].cost;
       debugInfo.skuBreakdown[sku.skuId].customers += 1;
     });
   });
+
+  // Free Tier is credited per account, on top of the pooled volume tiers
+  Object.values(freeTierCredits).forEach(skuCredits => {
+    Object.entries(skuCredits).forEach(([skuId, entry]) => {
+      debugInfo.skuBreakdown[skuId].freeTierUsage += entry.usage;
+      debugInfo.skuBreakdown[skuId].freeTierCredit += entry.credit;
+    });
+  });
   
   // Calculate pooled cost and savings for each SKU
   Object.keys(debugInfo.skuBreakdown).forEach(skuId => {
     const breakdown = debugInfo.skuBreakdown[skuId];
-    breakdown.totalPooledCost = calculateSKUTieredCost(skuId, breakdown.totalUsage);
+    breakdown.poolingGroupUsage = poolingTotals[breakdown.poolingKey];
+    breakdown.tierReached = tierReached(skuId, breakdown.poolingGroupUsage, catalog);
+    breakdown.totalPooledCost = Object.values(skuShares).reduce((sum, shares) => sum + (shares[skuId] || 0), 0);
     breakdown.savingsAmount = Math.max(0, breakdown.totalStandaloneCost - breakdown.totalPooledCost);
     breakdown.savingsPercentage = breakdown.totalStandaloneCost > 0 
       ? (breakdown.savingsAmount / breakdown.totalStandaloneCost * 100) 
@@ -577,24 +1428,154 @@ app.get('/api/debug/skus', (req, res) => {
   res.json(debugInfo);
 });
 
+// Pricing catalog: list versions and the one currently in effect
+app.get('/api/pricing/catalogs', (req, res) => {
+  res.json({
+    activeVersion: pricingCatalog.getActive().version,
+    versions: pricingCatalog.listVersions()
+  });
+});
+
+app.get('/api/pricing/catalogs/:version', (req, res) => {
+  const catalog = pricingCatalog.getVersion(req.params.version);
+  if (!catalog) {
+    return res.status(404).json({ error: 'Pricing catalog version not found.' });
+  }
+  res.json(pricingCatalog.serialize(catalog));
+});
+
+// SKUs in the active catalog
+app.get('/api/pricing/skus', (req, res) => {
+  const catalog = pricingCatalog.serialize(pricingCatalog.getActive());
+  res.json({ catalogVersion: catalog.version, skus: catalog.skus });
+});
+
+// Adding or updating a SKU publishes a new catalog version; past versions stay untouched
+const publishSKUChange = async (res, skuId, entry, { source, effectiveDate }, status) => {
+  try {
+    const catalog = await pricingCatalog.publishVersion({
+      changes: { [skuId]: entry },
+      source,
+      effectiveDate
+    });
+    res.status(status).json({
+      message: `SKU ${skuId} saved in pricing catalog v${catalog.version}.`,
+      catalogVersion: catalog.version,
+      effectiveDate: catalog.effectiveDate,
+      sku: pricingCatalog.serialize(catalog).skus[skuId]
+    });
+  } catch (error) {
+    if (error instanceof CatalogValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    throw error;
+  }
+};
+
+app.post('/api/pricing/skus', requireAdmin, requireBody, async (req, res) => {
+  const { skuId, service, unit, region, tiers, freeTier, source, effectiveDate } = req.body;
+  if (!skuId || typeof skuId !== 'string') {
+    return res.status(400).json({ error: 'skuId is required.' });
+  }
+  if (pricingCatalog.getLatest().skus[skuId]) {
+    return res.status(409).json({ error: `SKU ${skuId} already exists. Use PUT to update it.` });
+  }
+  await publishSKUChange(res, skuId, { service, unit, region, tiers, freeTier }, { source, effectiveDate }, 201);
+});
+
+app.put('/api/pricing/skus/:skuId', requireAdmin, requireBody, async (req, res) => {
+  const { skuId } = req.params;
+  const existing = pricingCatalog.getLatest().skus[skuId];
+  if (!existing) {
+    return res.status(404).json({ error: `SKU ${skuId} not found.` });
+  }
+  const { source, effectiveDate, ...updates } = req.body;
+  const entry = {
+    service: updates.service || existing.service,
+    unit: updates.unit || existing.unit,
+    region: updates.region || existing.region,
+    tiers: updates.tiers || existing.tiers,
+    // Explicit null removes the SKU's Free Tier
+    freeTier: updates.freeTier !== undefined ? updates.freeTier : existing.freeTier
+  };
+  await publishSKUChange(res, skuId, entry, { source, effectiveDate }, 200);
+});
+
+// Exchange-rate table used to convert invoices billed in other currencies
+app.get('/api/exchange-rates', (req, res) => {
+  res.json(exchangeRates.get());
+});
+
+// Set a billing month's rates. Body: { rates: { EUR: 1.17, ... }, source? }.
+// Invoices already uploaded keep the rate they were converted at.
+app.put('/api/exchange-rates/:period', requireAdmin, requireBody, async (req, res) => {
+  try {
+    const rates = await exchangeRates.setRates(req.params.period, req.body.rates, req.body.source);
+    res.json({ period: req.params.period, baseCurrency: BASE_CURRENCY, rates });
+  } catch (error) {
+    if (error instanceof CurrencyError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    throw error;
+  }
+});
+
 // Health check endpoint
-app.get('/api/health', (req, res) => {
+app.get('/api/health', async (req, res) => {
+  const invoices = await storage.list('invoices');
   res.json({ 
     status: 'OK', 
     timestamp: new Date().toISOString(),
     geminiConfigured: !!process.env.GEMINI_API_KEY,
+    llm: { provider: llmProvider.name, model: llmProvider.model, configured: llmProvider.configured },
     invoicesCount: invoices.length,
+    storageDriver: storage.driver,
     skuPoolingEnabled: true,
-    availableSKUs: Object.keys(SKU_PRICING_TIERS).length,
+    availableSKUs: Object.keys(pricingCatalog.getActive().skus).length,
+    catalogVersion: pricingCatalog.getActive().version,
+    baseCurrency: BASE_CURRENCY,
+    allocationStrategies: Object.keys(ALLOCATION_STRATEGIES),
     version: '1.0.0-production'
   });
 });
 
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
+
+const onListening = () => {
   console.log(`🚀 AWS Cost Pooling Server running on port ${PORT}`);
-  console.log('✅ Gemini AI configured:', !!process.env.GEMINI_API_KEY);
-  console.log('✅ Production SKU-level pooling enabled with', Object.keys(SKU_PRICING_TIERS).length, 'SKUs');
+  console.log(`✅ LLM provider: ${llmProvider.name} (${llmProvider.model})`, llmProvider.configured ? 'configured' : `not configured - ${llmProvider.notConfiguredReason}`);
+  console.log('✅ Invoice storage:', storage.driver);
+  auth.ensureAdmin({ email: process.env.ADMIN_EMAIL, password: process.env.ADMIN_PASSWORD }).then(admin => {
+    if (admin) console.log(`✅ Created pool admin ${admin.email}`);
+    if (admin === false) console.log('⚠️  No users yet: set ADMIN_EMAIL and ADMIN_PASSWORD to create the first pool admin');
+  }).catch(error => console.error('Failed to create the first pool admin:', error));
+  jobQueue.recoverInterrupted().then(count => {
+    if (count > 0) console.log(`⚠️  Marked ${count} parse jobs interrupted by the last restart as failed`);
+  }).catch(error => console.error('Failed to recover parse jobs interrupted by the last restart:', error));
+  if (SETTLEMENT_DAY) {
+    settlements.startSchedule({
+      onRun: ({ settled }) => settled.forEach(settlement => {
+        console.log(`✅ Settled ${settlement.poolName} for ${settlement.period}: ${settlement.totals.members} statements`);
+      })
+    });
+    console.log(`✅ Monthly settlements run on day ${SETTLEMENT_DAY} of each month`);
+  }
+  const catalog = pricingCatalog.getActive();
+  console.log('✅ Production SKU-level pooling enabled with', Object.keys(catalog.skus).length, 'SKUs', `(pricing catalog v${catalog.version}, effective ${catalog.effectiveDate})`);
   console.log('✅ Ready to process AWS invoice PDFs with accurate SKU-level cost pooling');
-  console.log('📊 Features: Volume discounts, Tiered pricing, Proportional cost allocation');
+  console.log('📊 Features: Volume discounts, Tiered pricing, Selectable cost allocation strategies');
+};
+
+// Catalog versions and exchange rates published at runtime come from storage;
+// without them the server would price with stale figures, so it doesn't start
+const start = async () => {
+  // Refuse to run without the account id key rather than fail on the first upload
+  accountIdSecret();
+  await Promise.all([pricingCatalog.loadPublished(), exchangeRates.loadStored()]);
+  app.listen(PORT, onListening);
+};
+
+start().catch(error => {
+  console.error('Failed to start the server:', error);
+  process.exit(1);
 });
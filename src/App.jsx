@@ -1,64 +1,301 @@
 import React, { useState, useContext, createContext, useCallback, useEffect } from 'react';
-import { Upload, FileText, DollarSign, Users, TrendingDown, Download, X, Plus, Trash2, AlertCircle, CheckCircle, Info } from 'lucide-react';
+import { Upload, FileText, DollarSign, Users, TrendingDown, Download, X, Plus, Trash2, AlertCircle, CheckCircle, Info, Globe, AlertTriangle, ClipboardCheck, Scissors, Save, Calendar, BarChart3, Layers, FlaskConical, Lock, LogOut, UserCog, Receipt } from 'lucide-react';
 
 // Context
 const PoolContext = createContext(null);
+const AuthContext = createContext(null);
+
+const API_BASE = 'https://wring-aws-code.onrender.com';
+
+// Signed-in session ({ token, user }), kept across reloads
+const SESSION_STORAGE_KEY = 'wring-session';
+const ROLE_LABELS = { admin: 'Pool admin', analyst: 'Analyst', member: 'Member' };
+
+const DEFAULT_POOL_ID = 'pool-default';
+
+// Pools an invoice belongs to; invoices from before pools existed sit in the default pool
+const invoicePoolIds = (invoice) => (Array.isArray(invoice.poolIds) ? invoice.poolIds : [DEFAULT_POOL_ID]);
+
+// Billing month of an invoice; older invoices fall back to their upload month
+const invoicePeriod = (invoice) => invoice.billingPeriod || (invoice.uploadDate || '').slice(0, 7);
+
+// Currency of the pricing catalog; invoices in other currencies are converted to it on upload
+const BASE_CURRENCY = 'USD';
+
+// Currencies the exchange-rate table covers, for the upload override
+const INVOICE_CURRENCIES = ['USD', 'EUR', 'GBP', 'INR', 'JPY', 'AUD', 'CAD'];
+
+// Background parse jobs created by batch uploads
+const JOB_POLL_INTERVAL_MS = 2000;
+const JOB_STATUS_LABELS = { queued: 'Queued', processing: 'Parsing', succeeded: 'Parsed', failed: 'Failed' };
+const JOB_STATUS_STYLES = {
+  queued: 'bg-gray-100 text-gray-700',
+  processing: 'bg-blue-100 text-blue-800',
+  succeeded: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+};
+const isJobFinished = (job) => job.status === 'succeeded' || job.status === 'failed';
+
+// What an upload does when the invoice is already stored (matched by file, invoice number or account and month)
+const DUPLICATE_ACTIONS = [
+  { value: 'reject', label: 'Reject the upload' },
+  { value: 'flag', label: 'Upload it flagged for review' },
+  { value: 'replace', label: 'Replace the existing invoice' }
+];
+const DUPLICATE_REASON_LABELS = {
+  'content-hash': 'identical file',
+  'invoice-number': 'same invoice number',
+  'account-period': 'same AWS account and month'
+};
+
+// Labels for invoice adjustment types (credits, refunds, tax, support)
+const ADJUSTMENT_LABELS = { credit: 'Credit', refund: 'Refund', tax: 'Tax', support: 'Support plan' };
+
+const formatPeriod = (period) => {
+  if (!period) return '';
+  const [year, month] = period.split('-');
+  return new Date(Date.UTC(Number(year), Number(month) - 1, 1)).toLocaleDateString('en-US', {
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+};
+
+// Auth Provider: the signed-in user, and apiFetch for API calls made as them
+const AuthProvider = ({ children }) => {
+  const [session, setSession] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+    } catch {
+      return null;
+    }
+  });
+
+  const saveSession = useCallback((next) => {
+    if (next) {
+      localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(next));
+    } else {
+      localStorage.removeItem(SESSION_STORAGE_KEY);
+    }
+    setSession(next);
+  }, []);
+
+  const token = session ? session.token : null;
+
+  // fetch() against the API with the session token; a rejected token signs out
+  const apiFetch = useCallback(async (path, options = {}) => {
+    const response = await fetch(`${API_BASE}${path}`, {
+      ...options,
+      headers: { ...options.headers, ...(token && { Authorization: `Bearer ${token}` }) }
+    });
+    if (response.status === 401 && token) {
+      saveSession(null);
+    }
+    return response;
+  }, [token, saveSession]);
+
+  const signIn = useCallback(async (email, password) => {
+    const response = await fetch(`${API_BASE}/api/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, password })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to sign in');
+    }
+    saveSession({ token: data.token, user: data.user });
+  }, [saveSession]);
+
+  const signOut = useCallback(async () => {
+    try {
+      await apiFetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+      console.error('Failed to sign out:', error);
+    }
+    saveSession(null);
+  }, [apiFetch, saveSession]);
+
+  const user = session ? session.user : null;
+
+  return (
+    <AuthContext.Provider value={{
+      user,
+      // Only pool admins edit or delete; admins and analysts see every member
+      isAdmin: Boolean(user) && user.role === 'admin',
+      seesAllMembers: Boolean(user) && user.role !== 'member',
+      signIn,
+      signOut,
+      apiFetch
+    }}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
 
 // Pool Provider
 const PoolProvider = ({ children }) => {
+  const { apiFetch } = useContext(AuthContext);
   const [invoices, setInvoices] = useState([]);
   const [stats, setStats] = useState({});
+  const [skuCatalog, setSkuCatalog] = useState({});
+  const [history, setHistory] = useState([]);
+  const [pools, setPools] = useState([]);
+  const [poolId, setPoolId] = useState(DEFAULT_POOL_ID);
+  const [strategies, setStrategies] = useState([]);
+  // Allocation strategy override; null uses the pool's own setting
+  const [strategy, setStrategy] = useState(null);
+  // Selected billing month; null shows the latest month with invoices
+  const [selectedPeriod, setSelectedPeriod] = useState(null);
   const [loading, setLoading] = useState(true);
 
   const fetchData = useCallback(async () => {
     setLoading(true);
     try {
-      const invoicesRes = await fetch('https://wring-aws-code.onrender.com/api/invoices');
+      const invoicesRes = await apiFetch('/api/invoices');
       const invoicesData = await invoicesRes.json();
       setInvoices(invoicesData);
 
-      const statsRes = await fetch('https://wring-aws-code.onrender.com/api/pool/stats');
+      const poolsRes = await apiFetch('/api/pools');
+      const poolsData = await poolsRes.json();
+      setPools(poolsData);
+
+      const strategiesRes = await apiFetch('/api/allocation-strategies');
+      const strategiesData = await strategiesRes.json();
+      setStrategies(strategiesData);
+
+      const periodQuery = (selectedPeriod ? `&period=${selectedPeriod}` : '') + (strategy ? `&strategy=${strategy}` : '');
+      const statsRes = await apiFetch(`/api/pool/stats?poolId=${poolId}${periodQuery}`);
       const statsData = await statsRes.json();
       setStats(statsData);
+
+      const historyRes = await apiFetch(`/api/pool/history?poolId=${poolId}`);
+      const historyData = await historyRes.json();
+      setHistory(historyData);
+
+      const catalogRes = await apiFetch('/api/pricing/skus');
+      const catalogData = await catalogRes.json();
+      setSkuCatalog(catalogData.skus || {});
     } catch (error) {
       console.error('Failed to fetch data:', error);
     }
     setLoading(false);
-  }, []);
+  }, [apiFetch, selectedPeriod, poolId, strategy]);
 
   useEffect(() => {
     fetchData();
   }, [fetchData]);
 
-  const addInvoice = useCallback(async (formData) => {
-    const response = await fetch('https://wring-aws-code.onrender.com/api/invoices/upload', {
+  // Batch upload: the server queues one parse job per invoice file and answers right away
+  const queueInvoices = useCallback(async (formData) => {
+    const response = await apiFetch('/api/invoices/batch', {
       method: 'POST',
       body: formData
     });
 
     if (!response.ok) {
       const error = await response.json();
-      throw new Error(error.error || 'Failed to upload invoice');
+      const uploadError = new Error(error.error || 'Failed to upload invoices');
+      uploadError.warnings = (error.skipped || []).map(entry => `${entry.fileName}: ${entry.reason}`);
+      throw uploadError;
     }
 
-    const result = await response.json();
-    fetchData(); // Re-fetch data to get the updated pool stats
-    return result;
-  }, [fetchData]);
+    return response.json();
+  }, [apiFetch]);
+
+  const fetchJobs = useCallback(async (batchId) => {
+    const response = await apiFetch(`/api/jobs?batchId=${batchId}`);
+    return response.json();
+  }, [apiFetch]);
 
   const removeInvoice = useCallback(async (id) => {
     try {
-      await fetch(`https://wring-aws-code.onrender.com/api/invoices/${id}`, {
+      await apiFetch(`/api/invoices/${id}`, {
         method: 'DELETE'
       });
       fetchData(); // Re-fetch data to get the updated pool stats
     } catch (error) {
       console.error('Failed to remove invoice:', error);
     }
-  }, [fetchData]);
+  }, [apiFetch, fetchData]);
+
+  // Review changes (edit, add, split, remove SKUs, approve) all return the updated invoice
+  const reviewInvoice = useCallback(async (id, method, path, body) => {
+    const response = await apiFetch(`/api/invoices/${id}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body || {})
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to update invoice');
+    }
+
+    const result = await response.json();
+    fetchData(); // Re-fetch data to get the updated pool stats
+    return result;
+  }, [apiFetch, fetchData]);
+
+  const createPool = useCallback(async (pool) => {
+    const response = await apiFetch('/api/pools', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(pool)
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to create pool');
+    }
+
+    const created = await response.json();
+    setPoolId(created.id); // Switching pools re-fetches data
+    return created;
+  }, [apiFetch]);
+
+  const setInvoicePools = useCallback(async (id, poolIds) => {
+    try {
+      await apiFetch(`/api/invoices/${id}/pools`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ poolIds })
+      });
+      fetchData(); // Re-fetch data to get the updated pool stats
+    } catch (error) {
+      console.error('Failed to update invoice pools:', error);
+    }
+  }, [apiFetch, fetchData]);
+
+  const period = stats.period || selectedPeriod;
+  const periodInvoices = invoices.filter(invoice => (
+    invoicePeriod(invoice) === period && invoicePoolIds(invoice).includes(poolId)
+  ));
 
   return (
-    <PoolContext.Provider value={{ invoices, addInvoice, removeInvoice, stats, loading }}>
+    <PoolContext.Provider value={{
+      invoices,
+      periodInvoices,
+      pools,
+      poolId,
+      setPoolId,
+      createPool,
+      setInvoicePools,
+      period,
+      setPeriod: setSelectedPeriod,
+      strategies,
+      strategy: stats.allocationStrategy || strategy,
+      setStrategy,
+      history,
+      queueInvoices,
+      fetchJobs,
+      refresh: fetchData,
+      removeInvoice,
+      reviewInvoice,
+      skuCatalog,
+      stats,
+      loading
+    }}>
       {children}
     </PoolContext.Provider>
   );
@@ -66,73 +303,113 @@ const PoolProvider = ({ children }) => {
 
 // Enhanced Invoice Uploader with better validation
 const InvoiceUploader = () => {
+  const { user, isAdmin } = useContext(AuthContext);
+  // Members always upload for their own organization; the server fills in its name
+  const isMember = user.role === 'member';
   const [isUploading, setIsUploading] = useState(false);
   const [customerName, setCustomerName] = useState('');
+  const [billingPeriod, setBillingPeriod] = useState('');
+  const [currency, setCurrency] = useState('');
+  const [onDuplicate, setOnDuplicate] = useState('reject');
   const [dragActive, setDragActive] = useState(false);
   const [message, setMessage] = useState(null);
-  const [uploadProgress, setUploadProgress] = useState(0);
+  // Parse jobs of the batches uploaded from this page, in upload order
+  const [jobs, setJobs] = useState([]);
   const pool = useContext(PoolContext);
 
+  const isCSVFile = (file) => file.name.toLowerCase().endsWith('.csv') || file.type.includes('csv');
+  const isZipFile = (file) => file.name.toLowerCase().endsWith('.zip') || file.type.includes('zip');
+
   const validateFile = (file) => {
-    if (!file.type.includes('pdf')) {
-      throw new Error('Only PDF files are accepted. Please upload an AWS invoice PDF.');
+    const isCSV = isCSVFile(file);
+    if (isZipFile(file)) {
+      if (file.size > 50 * 1024 * 1024) { // 50MB limit for archives
+        throw new Error(`${file.name} is too large. Please upload ZIP archives smaller than 50MB.`);
+      }
+      return;
+    }
+    if (!file.type.includes('pdf') && !isCSV) {
+      throw new Error(`${file.name}: only PDF invoices, CUR/Cost Explorer CSV exports and ZIP archives of them are accepted.`);
     }
     
     if (file.size > 10 * 1024 * 1024) { // 10MB limit
-      throw new Error('File size too large. Please upload a PDF smaller than 10MB.');
+      throw new Error(`${file.name} is too large. Please upload files smaller than 10MB.`);
     }
 
-    if (file.size < 1024) { // Very small file
-      throw new Error('File seems too small to be a valid invoice. Please check your file.');
+    if (!isCSV && file.size < 1024) { // Very small file
+      throw new Error(`${file.name} seems too small to be a valid invoice. Please check your file.`);
     }
   };
 
+  // Poll the batches that still have jobs waiting or running
+  const activeBatchIds = [...new Set(jobs.filter(job => !isJobFinished(job)).map(job => job.batchId))];
+  const activeBatchKey = activeBatchIds.join(',');
+  useEffect(() => {
+    if (!activeBatchKey) return undefined;
+    const timer = setTimeout(async () => {
+      try {
+        const batches = await Promise.all(activeBatchKey.split(',').map(batchId => pool.fetchJobs(batchId)));
+        const updated = Object.fromEntries(batches.flat().map(job => [job.id, job]));
+        const newlyParsed = jobs.some(job => !isJobFinished(job) && updated[job.id] && updated[job.id].status === 'succeeded');
+        setJobs(current => current.map(job => updated[job.id] || job));
+        if (newlyParsed) {
+          pool.refresh(); // New invoices change the pool stats
+        }
+      } catch (error) {
+        console.error('Failed to fetch parse jobs:', error);
+      }
+    }, JOB_POLL_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [activeBatchKey, jobs, pool]);
+
   const processFiles = async (files) => {
-    if (!customerName.trim()) {
+    if (!isMember && !customerName.trim()) {
       setMessage({ type: 'error', text: 'Please enter a customer name before uploading.' });
       return;
     }
     
-    if (!files || !files[0]) {
+    if (!files || files.length === 0) {
       return;
     }
 
     setIsUploading(true);
     setMessage(null);
-    setUploadProgress(0);
     
     try {
-      const file = files[0];
-      validateFile(file);
-      
-      setUploadProgress(25);
-      setMessage({ type: 'info', text: 'Validating PDF file...' });
+      const selected = Array.from(files);
+      selected.forEach(validateFile);
       
       const formData = new FormData();
-      formData.append('invoice', file);
-      formData.append('customerName', customerName.trim());
-
-      setUploadProgress(50);
-      setMessage({ type: 'info', text: 'Parsing AWS invoice data...' });
+      selected.forEach(file => formData.append('invoices', file));
+      if (!isMember) {
+        formData.append('customerName', customerName.trim());
+      }
+      if (billingPeriod) {
+        formData.append('billingPeriod', billingPeriod);
+      }
+      if (currency) {
+        formData.append('currency', currency);
+      }
+      formData.append('poolIds', pool.poolId);
+      formData.append('onDuplicate', onDuplicate);
 
-      const result = await pool.addInvoice(formData);
+      const batch = await pool.queueInvoices(formData);
       
-      setUploadProgress(100);
       setCustomerName('');
-      setMessage({ 
-        type: 'success', 
-        text: `✅ Invoice for "${customerName.trim()}" uploaded successfully! Found ${result.invoice?.itemCount || 0} services totaling $${result.invoice?.totalCost?.toFixed(2) || '0.00'}.` 
+      setBillingPeriod('');
+      setCurrency('');
+      setOnDuplicate('reject');
+      setJobs(current => [...current, ...batch.jobs]);
+      const skipped = (batch.skipped || []).map(entry => `${entry.fileName}: ${entry.reason}`);
+      setMessage({
+        type: skipped.length > 0 ? 'warning' : 'info',
+        text: `Queued ${batch.jobs.length} invoice${batch.jobs.length === 1 ? '' : 's'}${isMember ? '' : ` for "${customerName.trim()}"`}. Parsing continues in the background - follow it below.`,
+        details: skipped.length > 0 ? [`Skipped ${skipped.length} file${skipped.length === 1 ? '' : 's'}:`, ...skipped] : []
       });
       
-      // Clear success message after 5 seconds
-      setTimeout(() => {
-        setMessage(null);
-      }, 5000);
-      
     } catch (error) {
       console.error('Upload error:', error);
-      setMessage({ type: 'error', text: `❌ ${error.message}` });
-      setUploadProgress(0);
+      setMessage({ type: 'error', text: `❌ ${error.message}`, details: error.warnings || [] });
     }
     setIsUploading(false);
   };
@@ -167,41 +444,105 @@ const InvoiceUploader = () => {
     <div className="bg-white rounded-lg shadow-lg p-6">
       <h2 className="text-xl font-semibold mb-4 flex items-center">
         <Upload className="mr-2" />
-        Upload AWS Invoice PDF
+        Upload AWS Invoice or CUR Export
       </h2>
       
+      {!isMember && (
+        <div className="mb-4">
+          <label htmlFor="customer-name" className="block text-sm font-medium mb-2">
+            Customer Name *
+          </label>
+          <input
+            id="customer-name"
+            type="text"
+            value={customerName}
+            onChange={(e) => setCustomerName(e.target.value)}
+            className="w-full p-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            placeholder="Enter customer name (e.g., 'Acme Corporation')"
+            disabled={isUploading}
+          />
+        </div>
+      )}
+
       <div className="mb-4">
-        <label htmlFor="customer-name" className="block text-sm font-medium mb-2">
-          Customer Name *
+        <label htmlFor="billing-period" className="block text-sm font-medium mb-2">
+          Billing Month
         </label>
         <input
-          id="customer-name"
-          type="text"
-          value={customerName}
-          onChange={(e) => setCustomerName(e.target.value)}
+          id="billing-period"
+          type="month"
+          value={billingPeriod}
+          onChange={(e) => setBillingPeriod(e.target.value)}
           className="w-full p-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-          placeholder="Enter customer name (e.g., 'Acme Corporation')"
           disabled={isUploading}
         />
+        <p className="text-xs text-gray-500 mt-1">Optional - read from the invoice when left empty.</p>
+      </div>
+
+      <div className="mb-4">
+        <label htmlFor="invoice-currency" className="block text-sm font-medium mb-2">
+          Invoice Currency
+        </label>
+        <select
+          id="invoice-currency"
+          value={currency}
+          onChange={(e) => setCurrency(e.target.value)}
+          className="w-full p-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          disabled={isUploading}
+        >
+          <option value="">Detect from the invoice</option>
+          {INVOICE_CURRENCIES.map(code => (
+            <option key={code} value={code}>{code}</option>
+          ))}
+        </select>
+        <p className="text-xs text-gray-500 mt-1">Amounts are converted to {BASE_CURRENCY} at the billing month's exchange rate.</p>
+      </div>
+
+      <div className="mb-4">
+        <label htmlFor="on-duplicate" className="block text-sm font-medium mb-2">
+          If Already Uploaded
+        </label>
+        <select
+          id="on-duplicate"
+          value={onDuplicate}
+          onChange={(e) => setOnDuplicate(e.target.value)}
+          className="w-full p-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          disabled={isUploading}
+        >
+          {DUPLICATE_ACTIONS.filter(action => isAdmin || action.value !== 'replace').map(action => (
+            <option key={action.value} value={action.value}>{action.label}</option>
+          ))}
+        </select>
+        <p className="text-xs text-gray-500 mt-1">Duplicates are matched by identical file, invoice number, or AWS account and billing month.</p>
       </div>
       
       {message && (
         <div className={`p-4 mb-4 rounded-lg flex items-start justify-between ${
           message.type === 'error' ? 'bg-red-50 border border-red-200' : 
           message.type === 'success' ? 'bg-green-50 border border-green-200' :
+          message.type === 'warning' ? 'bg-yellow-50 border border-yellow-200' :
           'bg-blue-50 border border-blue-200'
         }`}>
           <div className="flex items-start">
             {message.type === 'error' && <AlertCircle className="text-red-500 mr-2 mt-0.5 flex-shrink-0" size={16} />}
             {message.type === 'success' && <CheckCircle className="text-green-500 mr-2 mt-0.5 flex-shrink-0" size={16} />}
+            {message.type === 'warning' && <AlertTriangle className="text-yellow-600 mr-2 mt-0.5 flex-shrink-0" size={16} />}
             {message.type === 'info' && <Info className="text-blue-500 mr-2 mt-0.5 flex-shrink-0" size={16} />}
-            <span className={`text-sm ${
+            <div className={`text-sm ${
               message.type === 'error' ? 'text-red-700' : 
               message.type === 'success' ? 'text-green-700' :
+              message.type === 'warning' ? 'text-yellow-800' :
               'text-blue-700'
             }`}>
-              {message.text}
-            </span>
+              <span>{message.text}</span>
+              {message.details && message.details.length > 0 && (
+                <ul className="mt-2 space-y-1 text-xs">
+                  {message.details.map((detail, index) => (
+                    <li key={index}>⚠️ {detail}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
           </div>
           <button onClick={clearMessage} className="ml-2 text-gray-400 hover:text-gray-600">
             <X size={14} />
@@ -221,22 +562,17 @@ const InvoiceUploader = () => {
         {isUploading ? (
           <div className="space-y-4">
             <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 mx-auto"></div>
-            <div className="w-full bg-gray-200 rounded-full h-2">
-              <div 
-                className="bg-blue-600 h-2 rounded-full transition-all duration-300"
-                style={{ width: `${uploadProgress}%` }}
-              ></div>
-            </div>
-            <p className="text-sm text-gray-600">Processing PDF... This may take a moment.</p>
+            <p className="text-sm text-gray-600">Sending files...</p>
           </div>
         ) : (
           <>
             <FileText className="mx-auto mb-4 text-gray-400" size={48} />
-            <h3 className="text-lg font-medium mb-2">Drop your AWS invoice PDF here</h3>
-            <p className="text-gray-600 mb-4">Or click to browse and select a file</p>
+            <h3 className="text-lg font-medium mb-2">Drop AWS invoice PDFs, CUR CSVs or a ZIP of them here</h3>
+            <p className="text-gray-600 mb-4">Or click to browse and select files - a year of invoices can go in one upload</p>
             <input
               type="file"
-              accept=".pdf,application/pdf"
+              accept=".pdf,application/pdf,.csv,text/csv,.zip,application/zip"
+              multiple
               onChange={handleFileChange}
               className="hidden"
               id="file-upload"
@@ -246,20 +582,60 @@ const InvoiceUploader = () => {
               className="bg-blue-500 text-white px-6 py-3 rounded-lg cursor-pointer hover:bg-blue-600 inline-flex items-center transition-colors"
             >
               <Upload className="mr-2" size={16} />
-              Browse PDF Files
+              Browse Files
             </label>
             <div className="mt-4 p-3 bg-gray-50 rounded text-sm text-gray-600">
               <p className="font-medium mb-1">📋 Supported formats:</p>
               <ul className="text-xs space-y-1">
                 <li>• Standard AWS billing invoices (PDF format)</li>
-                <li>• AWS Cost and Usage Reports</li>
+                <li>• AWS Cost and Usage Reports (CSV - real usage quantities)</li>
+                <li>• Cost Explorer CSV exports</li>
                 <li>• Monthly AWS statements</li>
+                <li>• ZIP archives of any of the above</li>
               </ul>
             </div>
           </>
         )}
       </div>
 
+      {jobs.length > 0 && (
+        <div className="mt-4">
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-sm font-medium">
+              Parse jobs · {jobs.filter(isJobFinished).length}/{jobs.length} done
+            </h3>
+            {activeBatchIds.length === 0 && (
+              <button onClick={() => setJobs([])} className="text-xs text-gray-500 hover:text-gray-700">
+                Clear
+              </button>
+            )}
+          </div>
+          <ul className="space-y-1 text-sm max-h-64 overflow-y-auto">
+            {jobs.map(job => (
+              <li key={job.id} className="flex items-start justify-between p-2 border rounded">
+                <div className="min-w-0 mr-2">
+                  <p className="truncate" title={job.label}>{job.label}</p>
+                  {job.status === 'succeeded' && job.result && (
+                    <p className="text-xs text-gray-500">
+                      {formatPeriod(job.result.invoice.billingPeriod)} · {job.result.invoice.itemCount} services · ${job.result.invoice.totalCost.toFixed(2)}
+                      {job.result.validation.warnings.length > 0 && ` · ${job.result.validation.warnings.length} warning${job.result.validation.warnings.length === 1 ? '' : 's'}`}
+                      {job.result.invoice.duplicateOf.length > 0 && ' · flagged as a possible duplicate'}
+                      {job.result.invoice.replaced.length > 0 && ` · replaced ${job.result.invoice.replaced.length} existing invoice${job.result.invoice.replaced.length === 1 ? '' : 's'}`}
+                    </p>
+                  )}
+                  {job.status === 'failed' && job.error && (
+                    <p className="text-xs text-red-600">{job.error.message}</p>
+                  )}
+                </div>
+                <span className={`flex-shrink-0 px-2 py-0.5 rounded-full text-xs font-medium ${JOB_STATUS_STYLES[job.status]}`}>
+                  {JOB_STATUS_LABELS[job.status]}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       <div className="mt-4 text-xs text-gray-500">
         <p>💡 <strong>Tips for best results:</strong></p>
         <ul className="ml-4 mt-1 space-y-1">
@@ -295,63 +671,262 @@ const PoolDashboard = () => {
 
   const stats = pool.stats;
 
-  const formatCurrency = (amount) => {
+  const formatCurrency = (amount, currency = (stats && stats.baseCurrency) || BASE_CURRENCY) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'USD',
+      currency,
       minimumFractionDigits: 2,
       maximumFractionDigits: 2
     }).format(amount || 0);
   };
 
   const savingsRate = stats.totalCost > 0 ? (stats.estimatedSavings / stats.totalCost) * 100 : 0;
+  // Members don't see pool-wide figures while too few members are behind them
+  const withheld = Boolean(stats.aggregatesWithheld);
+  const periods = pool.history.map(entry => entry.period);
+  if (pool.period && !periods.includes(pool.period)) periods.push(pool.period);
+  periods.sort().reverse();
+  const regions = Object.entries(stats.regionBreakdown || {})
+    .sort(([, a], [, b]) => b.standaloneCost - a.standaloneCost);
 
   return (
-    <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
-      <div className="bg-white rounded-lg shadow-lg p-6 border-l-4 border-blue-500">
-        <div className="flex items-center justify-between">
-          <div>
-            <p className="text-sm text-gray-600 font-medium">Pool Members</p>
-            <p className="text-3xl font-bold text-gray-800">{stats.totalCustomers || 0}</p>
-            <p className="text-xs text-gray-500 mt-1">Active customers</p>
+    <>
+      <div className="flex items-center justify-end mb-4 space-x-4">
+        <PoolSwitcher />
+        <label htmlFor="pool-period" className="text-sm text-gray-600 mr-2 flex items-center">
+          <Calendar className="mr-1" size={16} />
+          Billing month
+        </label>
+        <select
+          id="pool-period"
+          value={pool.period || ''}
+          onChange={(e) => pool.setPeriod(e.target.value)}
+          className="border rounded-lg px-3 py-1 text-sm"
+        >
+          {periods.map(period => (
+            <option key={period} value={period}>{formatPeriod(period)}</option>
+          ))}
+        </select>
+        <label htmlFor="allocation-strategy" className="text-sm text-gray-600 mr-2">Allocation</label>
+        <select
+          id="allocation-strategy"
+          value={pool.strategy || ''}
+          onChange={(e) => pool.setStrategy(e.target.value)}
+          className="border rounded-lg px-3 py-1 text-sm"
+          title="How pooled cost is split between members"
+        >
+          {pool.strategies.map(entry => (
+            <option key={entry.id} value={entry.id}>{entry.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {withheld && (
+        <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-800 flex items-center">
+          <Lock className="mr-2 flex-shrink-0" size={16} />
+          Pool totals stay private until at least {stats.minAggregateMembers} members have approved invoices for {formatPeriod(stats.period)}. Your own savings are below.
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+        <div className="bg-white rounded-lg shadow-lg p-6 border-l-4 border-blue-500">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm text-gray-600 font-medium">Pool Members</p>
+              <p className="text-3xl font-bold text-gray-800">{stats.totalCustomers || 0}</p>
+              <p className="text-xs text-gray-500 mt-1">Active customers</p>
+            </div>
+            <Users className="text-blue-500" size={32} />
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-lg p-6 border-l-4 border-indigo-500">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm text-gray-600 font-medium">Combined Spend</p>
+              <p className="text-3xl font-bold text-gray-800">{withheld ? '-' : formatCurrency(stats.totalCost)}</p>
+              <p className="text-xs text-gray-500 mt-1">{formatPeriod(stats.period)} total</p>
+            </div>
+            <DollarSign className="text-indigo-500" size={32} />
           </div>
-          <Users className="text-blue-500" size={32} />
         </div>
-      </div>
 
-      <div className="bg-white rounded-lg shadow-lg p-6 border-l-4 border-indigo-500">
-        <div className="flex items-center justify-between">
-          <div>
-            <p className="text-sm text-gray-600 font-medium">Combined Spend</p>
-            <p className="text-3xl font-bold text-gray-800">{formatCurrency(stats.totalCost)}</p>
-            <p className="text-xs text-gray-500 mt-1">Monthly total</p>
+        <div className="bg-white rounded-lg shadow-lg p-6 border-l-4 border-green-500">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm text-gray-600 font-medium">Potential Savings</p>
+              <p className="text-3xl font-bold text-green-600">{withheld ? '-' : formatCurrency(stats.estimatedSavings)}</p>
+              <p className="text-xs text-gray-500 mt-1">Volume tiers in {formatPeriod(stats.period)}</p>
+              {stats.commitmentSavings > 0 && (
+                <p className="text-xs text-green-700 mt-1">+{formatCurrency(stats.commitmentSavings)} with commitments</p>
+              )}
+            </div>
+            <TrendingDown className="text-green-500" size={32} />
           </div>
-          <DollarSign className="text-indigo-500" size={32} />
         </div>
-      </div>
 
-      <div className="bg-white rounded-lg shadow-lg p-6 border-l-4 border-green-500">
-        <div className="flex items-center justify-between">
-          <div>
-            <p className="text-sm text-gray-600 font-medium">Potential Savings</p>
-            <p className="text-3xl font-bold text-green-600">{formatCurrency(stats.estimatedSavings)}</p>
-            <p className="text-xs text-gray-500 mt-1">Per month</p>
+        <div className="bg-white rounded-lg shadow-lg p-6 border-l-4 border-emerald-500">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm text-gray-600 font-medium">Savings Rate</p>
+              <p className="text-3xl font-bold text-emerald-600">
+                {withheld ? '-' : `${savingsRate.toFixed(1)}%`}
+              </p>
+              <p className="text-xs text-gray-500 mt-1">Average discount</p>
+            </div>
+            <TrendingDown className="text-emerald-500" size={32} />
           </div>
-          <TrendingDown className="text-green-500" size={32} />
         </div>
       </div>
 
-      <div className="bg-white rounded-lg shadow-lg p-6 border-l-4 border-emerald-500">
-        <div className="flex items-center justify-between">
-          <div>
-            <p className="text-sm text-gray-600 font-medium">Savings Rate</p>
-            <p className="text-3xl font-bold text-emerald-600">
-              {savingsRate.toFixed(1)}%
-            </p>
-            <p className="text-xs text-gray-500 mt-1">Average discount</p>
+      {pool.history.length > 1 && <PoolTrendChart history={pool.history} formatCurrency={formatCurrency} />}
+
+      {regions.length > 1 && (
+        <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+          <h3 className="text-lg font-semibold mb-4 flex items-center">
+            <Globe className="mr-2" />
+            Savings by Region
+          </h3>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="text-left p-2 font-medium">Region</th>
+                  <th className="text-right p-2 font-medium">SKUs</th>
+                  <th className="text-right p-2 font-medium">Standalone</th>
+                  <th className="text-right p-2 font-medium">Pooled</th>
+                  <th className="text-right p-2 font-medium">Free Tier</th>
+                  <th className="text-right p-2 font-medium">Savings</th>
+                </tr>
+              </thead>
+              <tbody>
+                {regions.map(([region, breakdown]) => (
+                  <tr key={region} className="border-b border-gray-100 hover:bg-gray-50">
+                    <td className="p-2 text-gray-700">{region}</td>
+                    <td className="p-2 text-right">{breakdown.skuCount}</td>
+                    <td className="p-2 text-right">{formatCurrency(breakdown.standaloneCost)}</td>
+                    <td className="p-2 text-right text-blue-600">{formatCurrency(breakdown.pooledCost)}</td>
+                    <td className="p-2 text-right text-gray-600">{formatCurrency(breakdown.freeTierCredit)}</td>
+                    <td className="p-2 text-right font-medium text-green-600">{formatCurrency(breakdown.savings)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
           </div>
-          <TrendingDown className="text-emerald-500" size={32} />
+          <p className="text-xs text-gray-500 mt-2">
+            Instance hours pool within their own region; data transfer tiers pool across all regions.
+            Free Tier allowances stay with each member account and are already taken off the pooled cost.
+          </p>
         </div>
+      )}
+    </>
+  );
+};
+
+// Switch between pools, or create a new one
+const PoolSwitcher = () => {
+  const pool = useContext(PoolContext);
+  const { isAdmin } = useContext(AuthContext);
+  const [creating, setCreating] = useState(false);
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      await pool.createPool({ name });
+      setName('');
+      setCreating(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (creating) {
+    return (
+      <form onSubmit={submit} className="flex items-center space-x-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Pool name (e.g., 'Retail EU')"
+          className="border rounded-lg px-3 py-1 text-sm"
+          autoFocus
+        />
+        <button type="submit" className="bg-blue-500 text-white px-3 py-1 rounded-lg text-sm hover:bg-blue-600">Create</button>
+        <button type="button" onClick={() => setCreating(false)} className="text-gray-400 hover:text-gray-600">
+          <X size={14} />
+        </button>
+        {error && <span className="text-xs text-red-600">{error}</span>}
+      </form>
+    );
+  }
+
+  return (
+    <div className="flex items-center">
+      <label htmlFor="pool-switcher" className="text-sm text-gray-600 mr-2 flex items-center">
+        <Layers className="mr-1" size={16} />
+        Pool
+      </label>
+      <select
+        id="pool-switcher"
+        value={pool.poolId}
+        onChange={(e) => pool.setPoolId(e.target.value)}
+        className="border rounded-lg px-3 py-1 text-sm"
+      >
+        {pool.pools.map(entry => (
+          <option key={entry.id} value={entry.id}>{entry.name} ({entry.invoiceCount})</option>
+        ))}
+      </select>
+      {isAdmin && (
+        <button
+          onClick={() => setCreating(true)}
+          className="ml-1 p-1 text-blue-500 hover:bg-blue-50 rounded"
+          title="Create pool"
+        >
+          <Plus size={16} />
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Month-over-month standalone vs pooled spend, with savings per month
+const PoolTrendChart = ({ history, formatCurrency }) => {
+  const maxCost = Math.max(...history.map(entry => entry.totalCost), 1);
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+      <h3 className="text-lg font-semibold mb-4 flex items-center">
+        <BarChart3 className="mr-2" />
+        Spend &amp; Savings Trend
+      </h3>
+      <div className="flex items-end space-x-4 h-48 overflow-x-auto">
+        {history.map(entry => (
+          <div key={entry.period} className="flex flex-col items-center justify-end h-full min-w-16 flex-1">
+            <span className="text-xs font-medium text-green-600 mb-1">{formatCurrency(entry.estimatedSavings)}</span>
+            <div className="flex items-end space-x-1 w-full justify-center flex-1">
+              <div
+                className="bg-gray-300 w-1/3 rounded-t"
+                style={{ height: `${(entry.totalCost / maxCost) * 100}%` }}
+                title={`Standalone: ${formatCurrency(entry.totalCost)}`}
+              ></div>
+              <div
+                className="bg-blue-500 w-1/3 rounded-t"
+                style={{ height: `${(entry.pooledCost / maxCost) * 100}%` }}
+                title={`Pooled: ${formatCurrency(entry.pooledCost)}`}
+              ></div>
+            </div>
+            <span className="text-xs text-gray-600 mt-1">{formatPeriod(entry.period)}</span>
+            <span className="text-xs text-gray-400">{entry.totalCustomers} members</span>
+          </div>
+        ))}
+      </div>
+      <div className="flex items-center space-x-4 mt-3 text-xs text-gray-600">
+        <span className="flex items-center"><span className="w-3 h-3 bg-gray-300 rounded mr-1"></span>Standalone</span>
+        <span className="flex items-center"><span className="w-3 h-3 bg-blue-500 rounded mr-1"></span>Pooled</span>
+        <span className="text-green-600">Savings shown above each month</span>
       </div>
     </div>
   );
@@ -386,7 +961,7 @@ const InvoiceList = () => {
     );
   }
 
-  if (pool.invoices.length === 0) {
+  if (pool.periodInvoices.length === 0) {
     return (
       <div className="bg-white rounded-lg shadow-lg p-6">
         <h3 className="text-lg font-semibold mb-4 flex items-center">
@@ -395,7 +970,9 @@ const InvoiceList = () => {
         </h3>
         <div className="text-center py-12">
           <FileText className="mx-auto text-gray-300 mb-4" size={64} />
-          <p className="text-gray-500 text-lg mb-2">No invoices uploaded yet</p>
+          <p className="text-gray-500 text-lg mb-2">
+            {pool.invoices.length === 0 ? 'No invoices uploaded yet' : `No invoices for ${formatPeriod(pool.period)}`}
+          </p>
           <p className="text-gray-400 text-sm">Upload your first AWS invoice to start building the pool</p>
         </div>
       </div>
@@ -407,14 +984,14 @@ const InvoiceList = () => {
       <h3 className="text-lg font-semibold mb-4 flex items-center justify-between">
         <span className="flex items-center">
           <Users className="mr-2" />
-          Pool Members ({pool.invoices.length})
+          Pool Members · {formatPeriod(pool.period)} ({pool.periodInvoices.length})
         </span>
         <span className="text-sm font-normal text-gray-500">
           Total: {pool.stats.totalCost ? `${pool.stats.totalCost.toLocaleString()}` : '$0'}
         </span>
       </h3>
       <div className="space-y-4">
-        {pool.invoices.map((invoice) => (
+        {pool.periodInvoices.map((invoice) => (
           <InvoiceCard key={invoice.id} invoice={invoice} />
         ))}
       </div>
@@ -425,15 +1002,19 @@ const InvoiceList = () => {
 // Enhanced Invoice Card with better service visualization
 const InvoiceCard = ({ invoice }) => {
   const pool = useContext(PoolContext);
+  const { apiFetch, isAdmin } = useContext(AuthContext);
   const [savings, setSavings] = useState(null);
   const [loading, setLoading] = useState(true);
   const [expanded, setExpanded] = useState(false);
+  const [reviewing, setReviewing] = useState(false);
 
   useEffect(() => {
     const fetchSavings = async () => {
       try {
-        const response = await fetch(`https://wring-aws-code.onrender.com/api/invoices/savings/${invoice.id}`);
+        const response = await apiFetch(`/api/invoices/savings/${invoice.id}?poolId=${pool.poolId}${pool.strategy ? `&strategy=${pool.strategy}` : ''}`);
         const data = await response.json();
+        // Members can't price their invoice against a pool it isn't in
+        if (!response.ok) throw new Error(data.error);
         setSavings(data);
       } catch (error) {
         console.error(`Failed to fetch savings for invoice ${invoice.id}:`, error);
@@ -442,12 +1023,12 @@ const InvoiceCard = ({ invoice }) => {
       setLoading(false);
     };
     fetchSavings();
-  }, [invoice.id, invoice.totalCost]);
+  }, [apiFetch, invoice.id, invoice.totalCost, pool.poolId, pool.strategy]);
 
-  const formatCurrency = (amount) => {
+  const formatCurrency = (amount, currency = BASE_CURRENCY) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'USD',
+      currency,
       minimumFractionDigits: 2
     }).format(amount || 0);
   };
@@ -465,6 +1046,12 @@ const InvoiceCard = ({ invoice }) => {
   };
 
   const serviceCount = invoice.items ? invoice.items.length : 0;
+  const pendingReview = invoice.reviewStatus === 'pending_review';
+  const duplicates = [...(invoice.duplicateOf || []), ...(invoice.duplicatedBy || [])];
+  const validation = invoice.validation;
+  const parsedBy = invoice.parser && invoice.parser.method
+    ? [invoice.parser.method, invoice.parser.provider, invoice.parser.model].filter(Boolean).join(' · ')
+    : null;
   const uploadDate = new Date(invoice.uploadDate).toLocaleDateString('en-US', {
     year: 'numeric',
     month: 'short',
@@ -476,18 +1063,45 @@ const InvoiceCard = ({ invoice }) => {
       <div className="flex justify-between items-start mb-3">
         <div className="flex-1">
           <div className="flex items-center justify-between">
-            <h4 className="font-semibold text-lg text-gray-800">{invoice.customerName}</h4>
-            <button
-              onClick={() => pool.removeInvoice(invoice.id)}
-              className="text-red-500 hover:text-red-700 hover:bg-red-50 p-1 rounded transition-colors"
-              title="Remove from pool"
-            >
-              <Trash2 size={16} />
-            </button>
+            <h4 className="font-semibold text-lg text-gray-800 flex items-center">
+              {invoice.customerName}
+              {pendingReview && (
+                <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                  Pending review
+                </span>
+              )}
+              {duplicates.length > 0 && (
+                <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-800">
+                  Possible duplicate
+                </span>
+              )}
+            </h4>
+            {isAdmin && (
+              <div className="flex items-center space-x-1">
+                <button
+                  onClick={() => setReviewing(!reviewing)}
+                  className="text-blue-500 hover:text-blue-700 hover:bg-blue-50 p-1 rounded transition-colors"
+                  title="Review and correct parsed SKUs"
+                >
+                  <ClipboardCheck size={16} />
+                </button>
+                <button
+                  onClick={() => pool.removeInvoice(invoice.id)}
+                  className="text-red-500 hover:text-red-700 hover:bg-red-50 p-1 rounded transition-colors"
+                  title="Remove from pool"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            )}
           </div>
           <div className="flex items-center text-sm text-gray-600 mt-1 space-x-4">
             <span>{serviceCount} services</span>
             <span>•</span>
+            <span title={invoice.billingPeriodSource === 'upload-date' ? 'Billing month not found on the invoice' : 'Billing month'}>
+              {formatPeriod(invoicePeriod(invoice))}
+            </span>
+            <span>•</span>
             <span>Uploaded {uploadDate}</span>
             {invoice.originalFileName && (
               <>
@@ -497,9 +1111,80 @@ const InvoiceCard = ({ invoice }) => {
                 </span>
               </>
             )}
+            {parsedBy && (
+              <>
+                <span>•</span>
+                <span className="text-gray-500" title={invoice.parser.fallbackReason || 'Parser used for this invoice'}>
+                  Parsed by {parsedBy}
+                </span>
+              </>
+            )}
           </div>
         </div>
       </div>
+
+      {validation && validation.warnings.length > 0 && (
+        <details className="mb-3 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm">
+          <summary className="cursor-pointer text-yellow-800 font-medium flex items-center">
+            <AlertTriangle className="mr-2 flex-shrink-0" size={14} />
+            {validation.warnings.length} parse warning{validation.warnings.length === 1 ? '' : 's'} · confidence {Math.round(validation.confidence * 100)}%
+          </summary>
+          <ul className="mt-2 space-y-1 text-xs text-yellow-800">
+            {validation.warnings.map((warning, index) => (
+              <li key={index}>• {warning}</li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      {duplicates.length > 0 && (
+        <div className="mb-3 p-3 bg-orange-50 border border-orange-200 rounded-lg text-xs text-orange-800">
+          <p className="font-medium mb-1">May be the same bill as:</p>
+          <ul className="space-y-1">
+            {duplicates.map(duplicate => (
+              <li key={duplicate.invoiceId}>
+                • {duplicate.customerName}, {formatPeriod(duplicate.billingPeriod)}
+                {duplicate.originalFileName && ` (${duplicate.originalFileName})`}
+                {' '}- {duplicate.reasons.map(reason => DUPLICATE_REASON_LABELS[reason]).join(', ')}
+              </li>
+            ))}
+          </ul>
+          <p className="mt-1">Remove the copy that shouldn't count toward the pool.</p>
+        </div>
+      )}
+
+      {pool.pools.length > 1 && (
+        <div className="mb-3 flex flex-wrap items-center gap-1 text-xs">
+          <span className="text-gray-500 mr-1">Pools:</span>
+          {pool.pools.map(entry => {
+            const poolIds = invoicePoolIds(invoice);
+            const member = poolIds.includes(entry.id);
+            return (
+              <button
+                key={entry.id}
+                onClick={() => pool.setInvoicePools(invoice.id, member
+                  ? poolIds.filter(id => id !== entry.id)
+                  : [...poolIds, entry.id])}
+                disabled={!isAdmin}
+                className={`px-2 py-0.5 rounded-full border disabled:cursor-default ${member ? 'bg-blue-100 border-blue-300 text-blue-800' : 'border-gray-300 text-gray-500 hover:bg-gray-50'}`}
+                title={isAdmin ? (member ? `Remove from ${entry.name}` : `Add to ${entry.name}`) : undefined}
+              >
+                {entry.name}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      {pendingReview && !reviewing && (
+        <p className="mb-3 text-xs text-yellow-800">
+          This invoice is excluded from pool totals until a pool admin approves it.
+        </p>
+      )}
+
+      {reviewing && (
+        <InvoiceReviewPanel invoice={invoice} formatCurrency={formatCurrency} />
+      )}
       
       {loading ? (
         <div className="flex items-center justify-center py-8">
@@ -527,6 +1212,40 @@ const InvoiceCard = ({ invoice }) => {
             </div>
           </div>
 
+          {/* Invoices billed in another currency: the same figures in that currency */}
+          {savings.local && savings.currency !== savings.baseCurrency && (
+            <p className="mb-4 text-xs text-gray-600">
+              Billed in {savings.currency}: {formatCurrency(savings.local.standalone, savings.currency)} standalone,
+              {' '}{formatCurrency(savings.local.pooled, savings.currency)} pooled,
+              {' '}{formatCurrency(savings.local.savings, savings.currency)} saved
+              {invoice.currency && ` (1 ${invoice.currency.code} = ${formatCurrency(invoice.currency.rate)}, ${formatPeriod(invoice.currency.ratePeriod)} rate)`}
+            </p>
+          )}
+
+          {/* Credits, refunds, tax and support - not part of the pooled spend */}
+          {invoice.adjustments && invoice.adjustments.length > 0 && (
+            <div className="mb-4 text-sm border rounded p-3">
+              <p className="font-medium text-gray-700 mb-2">Adjustments (not pooled)</p>
+              <ul className="space-y-1">
+                {invoice.adjustments.map(adjustment => (
+                  <li key={adjustment.id} className="flex justify-between">
+                    <span className="text-gray-600">
+                      <span className="text-xs px-2 py-0.5 mr-2 rounded bg-gray-100">{ADJUSTMENT_LABELS[adjustment.type] || adjustment.type}</span>
+                      {adjustment.description}
+                    </span>
+                    <span className={adjustment.amount < 0 ? 'text-green-600' : 'text-gray-700'}>{formatCurrency(adjustment.amount)}</span>
+                  </li>
+                ))}
+              </ul>
+              {savings.net && (
+                <p className="mt-2 pt-2 border-t text-xs text-gray-600">
+                  Amount due: {formatCurrency(savings.net.standalone)} standalone, {formatCurrency(savings.net.pooled)} pooled
+                  {savings.net.taxRate > 0 && ` (tax re-based at ${(savings.net.taxRate * 100).toFixed(1)}%)`}
+                </p>
+              )}
+            </div>
+          )}
+
           {/* Service tags */}
           <div className="mb-3">
             <div className="flex flex-wrap gap-1">
@@ -556,7 +1275,7 @@ const InvoiceCard = ({ invoice }) => {
               className="cursor-pointer text-blue-500 hover:underline text-sm font-medium"
               onClick={() => setExpanded(!expanded)}
             >
-              {expanded ? 'Hide' : 'View'} Service Breakdown
+              {expanded ? 'Hide' : 'View'} Savings by SKU
             </summary>
             {expanded && (
               <div className="mt-3 overflow-x-auto">
@@ -564,31 +1283,63 @@ const InvoiceCard = ({ invoice }) => {
                   <thead className="bg-gray-50">
                     <tr>
                       <th className="text-left p-2 font-medium">Service</th>
-                      <th className="text-left p-2 font-medium">Region</th>
+                      <th className="text-left p-2 font-medium">SKU</th>
                       <th className="text-right p-2 font-medium">Usage</th>
-                      <th className="text-right p-2 font-medium">Cost</th>
+                      <th className="text-right p-2 font-medium">Standalone</th>
+                      <th className="text-right p-2 font-medium">Pooled Share</th>
+                      <th className="text-right p-2 font-medium">Pool Tier</th>
+                      <th className="text-right p-2 font-medium">Savings</th>
                     </tr>
                   </thead>
                   <tbody>
-                    {invoice.items && invoice.items.map((item, index) => (
-                      <tr key={index} className="border-b border-gray-100 hover:bg-gray-50">
+                    {(savings.skus || []).map((sku) => (
+                      <tr key={sku.skuId} className="border-b border-gray-100 hover:bg-gray-50">
                         <td className="p-2">
-                          <span className={`px-2 py-1 rounded text-xs ${getServiceColor(item.service)}`}>
-                            {item.service}
+                          <span className={`px-2 py-1 rounded text-xs ${getServiceColor(sku.service)}`}>
+                            {sku.service}
                           </span>
                         </td>
-                        <td className="p-2 text-gray-600">{item.region || 'N/A'}</td>
+                        <td className="p-2 text-gray-600" title={sku.region || 'N/A'}>{sku.skuId}</td>
                         <td className="p-2 text-right">
-                          {item.usage ? `${item.usage.toLocaleString()} ${item.unit || 'units'}` : 'N/A'}
+                          {sku.usage ? `${sku.usage.toLocaleString()} ${sku.unit || 'units'}` : 'N/A'}
+                        </td>
+                        <td className="p-2 text-right">{formatCurrency(sku.standalone)}</td>
+                        <td className="p-2 text-right text-blue-600">
+                          {formatCurrency(sku.pooled)}
+                          {sku.freeTierCredit > 0 && (
+                            <span
+                              className="block text-xs text-gray-500"
+                              title={`${sku.freeTierUsage.toLocaleString()} ${sku.unit || 'units'} free on this account`}
+                            >
+                              after {formatCurrency(sku.freeTierCredit)} free tier
+                            </span>
+                          )}
+                        </td>
+                        <td
+                          className="p-2 text-right text-gray-600"
+                          title={sku.tierReached && sku.poolUsage !== null ? `Pool volume ${sku.poolUsage.toLocaleString()} ${sku.unit || 'units'} at $${sku.tierReached.pricePerUnit}/${sku.unit || 'unit'}` : ''}
+                        >
+                          {sku.tierReached ? `${sku.tierReached.tier} of ${sku.tierReached.tierCount}` : 'N/A'}
+                        </td>
+                        <td className="p-2 text-right font-medium text-green-600">
+                          {formatCurrency(sku.savings)}
+                          <span className="ml-1 text-xs text-gray-500">({sku.percentage.toFixed(0)}%)</span>
                         </td>
-                        <td className="p-2 text-right font-medium">{formatCurrency(item.totalCost)}</td>
                       </tr>
                     ))}
                   </tbody>
                   <tfoot className="bg-gray-50 font-medium">
                     <tr>
                       <td className="p-2" colSpan="3">Total</td>
-                      <td className="p-2 text-right">{formatCurrency(invoice.totalCost)}</td>
+                      <td className="p-2 text-right">{formatCurrency(savings.standalone)}</td>
+                      <td className="p-2 text-right text-blue-600">
+                        {formatCurrency(savings.pooled)}
+                        {savings.freeTierCredit > 0 && (
+                          <span className="block text-xs text-gray-500">after {formatCurrency(savings.freeTierCredit)} free tier</span>
+                        )}
+                      </td>
+                      <td className="p-2"></td>
+                      <td className="p-2 text-right text-green-600">{formatCurrency(savings.savings)}</td>
                     </tr>
                   </tfoot>
                 </table>
@@ -601,147 +1352,621 @@ const InvoiceCard = ({ invoice }) => {
   );
 };
 
-// Enhanced PDF Exporter
-const PDFExporter = () => {
+// Review screen: edit, add, split and remove SKU line items, then approve
+const InvoiceReviewPanel = ({ invoice, formatCurrency }) => {
   const pool = useContext(PoolContext);
-  const [generating, setGenerating] = useState(false);
-  
-  if (!pool || pool.loading) return null;
-  const stats = pool.stats;
+  const [drafts, setDrafts] = useState({});
+  const [newSKU, setNewSKU] = useState({ skuId: '', usage: '', totalCost: '' });
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
 
-  const generatePDF = async () => {
-    setGenerating(true);
-    
+  const skuIds = Object.keys(pool.skuCatalog).sort();
+  const draftFor = (sku) => drafts[sku.id] || { skuId: sku.skuId, usage: sku.usage, totalCost: sku.totalCost };
+  const updateDraft = (sku, field, value) => {
+    setDrafts({ ...drafts, [sku.id]: { ...draftFor(sku), [field]: value } });
+  };
+
+  const run = async (method, path, body) => {
+    setSaving(true);
+    setError(null);
     try {
-      // Import jsPDF dynamically
-      const { jsPDF } = await import('jspdf');
-      
-      const doc = new jsPDF();
-      const pageWidth = doc.internal.pageSize.width;
-      const margin = 20;
-      
-      // Header
-      doc.setFontSize(24);
-      doc.setTextColor(33, 37, 41);
-      doc.text('AWS Cost Pooling Analysis', margin, 30);
-      
-      doc.setFontSize(12);
-      doc.setTextColor(108, 117, 125);
-      doc.text(`Generated on: ${new Date().toLocaleDateString('en-US', { 
-        year: 'numeric', month: 'long', day: 'numeric' 
-      })}`, margin, 45);
-      
-      // Executive Summary Box
-      doc.setFillColor(240, 248, 255);
-      doc.rect(margin, 55, pageWidth - 2 * margin, 40, 'F');
-      doc.setFontSize(16);
-      doc.setTextColor(33, 37, 41);
-      doc.text('Executive Summary', margin + 5, 70);
-      
-      doc.setFontSize(11);
-      doc.setTextColor(73, 80, 87);
-      const savingsRate = stats.totalCost > 0 ? ((stats.estimatedSavings || 0) / stats.totalCost * 100) : 0;
-      doc.text(`Pool of ${stats.totalCustomers || 0} customers can save ${savingsRate.toFixed(1)}% monthly`, margin + 5, 80);
-      doc.text(`Combined spend: ${(stats.totalCost || 0).toLocaleString()}`, margin + 5, 88);
-      doc.text(`Potential savings: ${(stats.estimatedSavings || 0).toLocaleString()} per month`, margin + 5, 96);
-      
-      // Pool Statistics
-      let yPos = 115;
-      doc.setFontSize(16);
-      doc.setTextColor(33, 37, 41);
-      doc.text('Pool Statistics', margin, yPos);
-      
-      yPos += 15;
-      doc.setFontSize(11);
-      doc.setTextColor(73, 80, 87);
-      const metrics = [
-        [`Total Pool Members:`, `${stats.totalCustomers || 0}`],
-        [`Combined Monthly Spend:`, `${(stats.totalCost || 0).toLocaleString()}`],
-        [`Estimated Monthly Savings:`, `${(stats.estimatedSavings || 0).toLocaleString()}`],
-        [`Average Savings Rate:`, `${savingsRate.toFixed(1)}%`],
-        [`Annual Potential Savings:`, `${((stats.estimatedSavings || 0) * 12).toLocaleString()}`]
-      ];
-      
-      metrics.forEach(([label, value]) => {
-        doc.text(label, margin, yPos);
-        doc.text(value, margin + 80, yPos);
-        yPos += 8;
+      await pool.reviewInvoice(invoice.id, method, path, body);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveSKU = async (sku) => {
+    if (await run('PATCH', `/skus/${sku.id}`, draftFor(sku))) {
+      const { [sku.id]: _saved, ...rest } = drafts;
+      setDrafts(rest);
+    }
+  };
+
+  // Split evenly in two; the halves can then be edited into the right SKUs
+  const splitSKU = (sku) => {
+    const firstCost = Math.round(sku.totalCost * 50) / 100;
+    run('POST', `/skus/${sku.id}/split`, {
+      parts: [
+        { skuId: sku.skuId, usage: sku.usage / 2, totalCost: firstCost },
+        { skuId: sku.skuId, usage: sku.usage / 2, totalCost: Math.round((sku.totalCost - firstCost) * 100) / 100 }
+      ]
+    });
+  };
+
+  const addSKU = async () => {
+    if (await run('POST', '/skus', newSKU)) {
+      setNewSKU({ skuId: '', usage: '', totalCost: '' });
+    }
+  };
+
+  const auditLog = invoice.auditLog || [];
+  const inputClass = 'w-full border border-gray-300 rounded px-2 py-1 text-sm';
+
+  return (
+    <div className="mb-4 p-3 border border-blue-200 bg-blue-50 rounded-lg text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <h5 className="font-medium text-blue-900">Review parsed SKUs</h5>
+        {invoice.reviewStatus === 'pending_review' ? (
+          <button
+            onClick={() => run('POST', '/review', { status: 'approved' })}
+            disabled={saving}
+            className="flex items-center px-3 py-1 rounded bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+          >
+            <CheckCircle className="mr-1" size={14} />
+            Approve
+          </button>
+        ) : (
+          <span className="text-xs text-gray-600">
+            Approved{invoice.reviewedBy ? ` by ${invoice.reviewedBy}` : ''}
+          </span>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-2 p-2 bg-red-50 border border-red-200 text-red-700 rounded flex items-center">
+          <AlertCircle className="mr-2 flex-shrink-0" size={14} />
+          {error}
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead>
+            <tr className="text-left text-gray-600">
+              <th className="p-1 font-medium">SKU</th>
+              <th className="p-1 font-medium">Usage</th>
+              <th className="p-1 font-medium">Cost ($)</th>
+              <th className="p-1"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {invoice.skus.map((sku) => {
+              const draft = draftFor(sku);
+              return (
+                <tr key={sku.id}>
+                  <td className="p-1">
+                    <select value={draft.skuId} onChange={(e) => updateDraft(sku, 'skuId', e.target.value)} className={inputClass}>
+                      {!pool.skuCatalog[draft.skuId] && <option value={draft.skuId}>{draft.skuId}</option>}
+                      {skuIds.map(skuId => <option key={skuId} value={skuId}>{skuId}</option>)}
+                    </select>
+                  </td>
+                  <td className="p-1">
+                    <input type="number" min="0" value={draft.usage} onChange={(e) => updateDraft(sku, 'usage', e.target.value)} className={inputClass} />
+                  </td>
+                  <td className="p-1">
+                    <input type="number" min="0" step="0.01" value={draft.totalCost} onChange={(e) => updateDraft(sku, 'totalCost', e.target.value)} className={inputClass} />
+                  </td>
+                  <td className="p-1 whitespace-nowrap">
+                    <button onClick={() => saveSKU(sku)} disabled={saving || !drafts[sku.id]} className="p-1 text-blue-600 hover:bg-blue-100 rounded disabled:opacity-30" title="Save changes">
+                      <Save size={14} />
+                    </button>
+                    <button onClick={() => splitSKU(sku)} disabled={saving} className="p-1 text-gray-600 hover:bg-gray-100 rounded disabled:opacity-30" title="Split into two line items">
+                      <Scissors size={14} />
+                    </button>
+                    <button onClick={() => run('DELETE', `/skus/${sku.id}`)} disabled={saving || invoice.skus.length === 1} className="p-1 text-red-500 hover:bg-red-50 rounded disabled:opacity-30" title="Remove line item">
+                      <X size={14} />
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+            <tr>
+              <td className="p-1">
+                <select value={newSKU.skuId} onChange={(e) => setNewSKU({ ...newSKU, skuId: e.target.value })} className={inputClass}>
+                  <option value="">Add SKU...</option>
+                  {skuIds.map(skuId => <option key={skuId} value={skuId}>{skuId}</option>)}
+                </select>
+              </td>
+              <td className="p-1">
+                <input type="number" min="0" value={newSKU.usage} onChange={(e) => setNewSKU({ ...newSKU, usage: e.target.value })} className={inputClass} />
+              </td>
+              <td className="p-1">
+                <input type="number" min="0" step="0.01" value={newSKU.totalCost} onChange={(e) => setNewSKU({ ...newSKU, totalCost: e.target.value })} className={inputClass} />
+              </td>
+              <td className="p-1">
+                <button onClick={addSKU} disabled={saving || !newSKU.skuId} className="p-1 text-green-600 hover:bg-green-100 rounded disabled:opacity-30" title="Add line item">
+                  <Plus size={14} />
+                </button>
+              </td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+      <p className="mt-2 text-xs text-gray-600">Invoice total: {formatCurrency(invoice.totalCost)}</p>
+
+      {auditLog.length > 0 && (
+        <details className="mt-2">
+          <summary className="cursor-pointer text-xs text-blue-700">Audit trail ({auditLog.length})</summary>
+          <ul className="mt-1 space-y-1 text-xs text-gray-700">
+            {auditLog.slice().reverse().map((entry, index) => (
+              <li key={index}>
+                {new Date(entry.at).toLocaleString()} · {entry.actor} · {entry.action.replace(/_/g, ' ')}
+                {entry.skuItemId ? ` (${entry.before ? entry.before.skuId : entry.skuItemId})` : ''}
+                {entry.note ? ` — ${entry.note}` : ''}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+};
+
+// What-if simulator: compare pool compositions side by side without changing stored data
+const TERM_LABELS = { '1yr': '1 year', '3yr': '3 years' };
+const PAYMENT_LABELS = { 'no-upfront': 'No upfront', 'partial-upfront': 'Partial upfront', 'all-upfront': 'All upfront' };
+
+// Reserved Instance / Savings Plan recommendations sized on the pool's steady-state usage
+const CommitmentPanel = () => {
+  const pool = useContext(PoolContext);
+  const { apiFetch } = useContext(AuthContext);
+  const [commitments, setCommitments] = useState(null);
+  const [term, setTerm] = useState('');
+  const [payment, setPayment] = useState('');
+
+  const poolId = pool ? pool.poolId : null;
+  const period = pool ? pool.period : null;
+  const stats = pool ? pool.stats : null;
+
+  useEffect(() => {
+    if (!poolId || !period) return;
+    const fetchCommitments = async () => {
+      try {
+        const filters = `${term ? `&term=${term}` : ''}${payment ? `&payment=${payment}` : ''}`;
+        const response = await apiFetch(`/api/pool/commitments?poolId=${poolId}&period=${period}${filters}`);
+        const data = await response.json();
+        setCommitments(response.ok ? data : null);
+      } catch (error) {
+        console.error('Failed to fetch commitment recommendations:', error);
+        setCommitments(null);
+      }
+    };
+    fetchCommitments();
+  }, [apiFetch, poolId, period, term, payment, stats]);
+
+  if (!pool || pool.loading || !commitments || commitments.skus.length === 0) return null;
+
+  const formatCurrency = (amount, currency = BASE_CURRENCY) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: 2
+    }).format(amount || 0);
+  };
+
+  const scopeLabel = (item) => (item.type === 'savings-plan' ? `Compute Savings Plan (${item.services.join(', ')})` : item.skuId);
+  const amountLabel = (item) => (
+    item.type === 'savings-plan' ? `${formatCurrency(item.hourlyCommitment)}/hr` : `${item.instances} instances`
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-8">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold flex items-center">
+          <Lock className="mr-2" />
+          Pooled Commitments
+        </h3>
+        <div className="flex items-center space-x-2 text-sm">
+          <select value={term} onChange={(e) => setTerm(e.target.value)} className="border rounded-lg px-2 py-1">
+            <option value="">Best term</option>
+            {Object.entries(TERM_LABELS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+          </select>
+          <select value={payment} onChange={(e) => setPayment(e.target.value)} className="border rounded-lg px-2 py-1">
+            <option value="">Best payment</option>
+            {Object.entries(PAYMENT_LABELS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+          </select>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4 text-sm">
+        <div className="bg-gray-50 rounded-lg p-3">
+          <p className="text-gray-600">Eligible on-demand spend</p>
+          <p className="text-xl font-semibold">{formatCurrency(commitments.totals.eligibleOnDemandCost)}</p>
+        </div>
+        <div className="bg-gray-50 rounded-lg p-3">
+          <p className="text-gray-600">With commitments</p>
+          <p className="text-xl font-semibold text-blue-600">{formatCurrency(commitments.totals.committedCost)}</p>
+        </div>
+        <div className="bg-gray-50 rounded-lg p-3">
+          <p className="text-gray-600">Additional monthly savings</p>
+          <p className="text-xl font-semibold text-green-600">{formatCurrency(commitments.totals.monthlySavings)}</p>
+        </div>
+      </div>
+
+      {commitments.recommendations.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="text-left p-2 font-medium">Commitment</th>
+                <th className="text-right p-2 font-medium">Amount</th>
+                <th className="text-left p-2 font-medium">Term</th>
+                <th className="text-right p-2 font-medium">Upfront</th>
+                <th className="text-right p-2 font-medium">Monthly</th>
+                <th className="text-right p-2 font-medium">Savings / mo</th>
+                <th className="text-right p-2 font-medium">Break-even</th>
+              </tr>
+            </thead>
+            <tbody>
+              {commitments.recommendations.map(item => (
+                <tr key={item.skuId || item.plan} className="border-b border-gray-100 hover:bg-gray-50">
+                  <td className="p-2 text-gray-700">{scopeLabel(item)}</td>
+                  <td className="p-2 text-right">{amountLabel(item)}</td>
+                  <td className="p-2">
+                    {TERM_LABELS[item.recommended.term]} · {PAYMENT_LABELS[item.recommended.payment]}
+                    <span className="ml-1 text-xs text-gray-500">(-{Math.round(item.recommended.discount * 100)}%)</span>
+                  </td>
+                  <td className="p-2 text-right">{formatCurrency(item.recommended.upfrontCost)}</td>
+                  <td className="p-2 text-right">{formatCurrency(item.recommended.monthlyRecurringCost)}</td>
+                  <td className="p-2 text-right font-medium text-green-600">{formatCurrency(item.recommended.monthlySavings)}</td>
+                  <td className="p-2 text-right text-gray-600">
+                    {item.recommended.breakEvenMonths > 0 ? `${item.recommended.breakEvenMonths} mo` : 'Immediate'}
+                    <span className="block text-xs">at {Math.round(item.recommended.breakEvenUtilization * 100)}% use</span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">No commitment beats on-demand pricing for this pool yet.</p>
+      )}
+
+      <p className="text-xs text-gray-500 mt-2">
+        Sized on the lowest monthly usage over {commitments.lookbackPeriods.length} month(s) of history
+        ({commitments.lookbackPeriods.map(formatPeriod).join(', ')}). 3-year terms are only suggested for steady usage.
+        Blended effective rates: {commitments.skus.map(sku => `${sku.skuId} $${sku.blendedEffectiveRate.toFixed(4)}/hr`).join(' · ')}
+      </p>
+    </div>
+  );
+};
+
+const emptyScenario = (index) => ({ name: `Scenario ${index + 1}`, removals: [], additions: [] });
+const SCENARIO_COLUMNS = { 1: 'md:grid-cols-1', 2: 'md:grid-cols-2', 3: 'md:grid-cols-3' };
+
+const ScenarioSimulator = () => {
+  const pool = useContext(PoolContext);
+  const { apiFetch } = useContext(AuthContext);
+  const [scenarios, setScenarios] = useState([emptyScenario(0)]);
+  const [prospect, setProspect] = useState({ customerName: '', skuId: '', usage: '' });
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [running, setRunning] = useState(false);
+
+  if (!pool || pool.loading || pool.periodInvoices.length === 0) return null;
+
+  // Current members and the invoices that make them up; removals send those invoice ids
+  const members = {};
+  pool.periodInvoices.forEach(invoice => {
+    const key = invoice.customerId || invoice.customerName;
+    members[key] = members[key] || { name: invoice.customerName, invoiceIds: [] };
+    members[key].invoiceIds.push(invoice.id);
+  });
+  const outsideInvoices = pool.invoices.filter(invoice => !invoicePoolIds(invoice).includes(pool.poolId));
+  const skuIds = Object.keys(pool.skuCatalog).sort();
+
+  const updateScenario = (index, changes) => {
+    setScenarios(scenarios.map((scenario, i) => (i === index ? { ...scenario, ...changes } : scenario)));
+    setResult(null);
+  };
+
+  const toggleRemoval = (index, key) => {
+    const { removals } = scenarios[index];
+    updateScenario(index, {
+      removals: removals.includes(key) ? removals.filter(id => id !== key) : [...removals, key]
+    });
+  };
+
+  const addProspect = (index) => {
+    updateScenario(index, {
+      additions: [...scenarios[index].additions, {
+        customerName: prospect.customerName.trim(),
+        skus: [{ skuId: prospect.skuId, usage: Number(prospect.usage) }]
+      }]
+    });
+    setProspect({ customerName: '', skuId: '', usage: '' });
+  };
+
+  const additionLabel = (addition) => {
+    if (!addition.invoiceId) return `${addition.customerName} (prospect)`;
+    const invoice = pool.invoices.find(candidate => candidate.id === addition.invoiceId);
+    return invoice ? `${invoice.customerName} · ${formatPeriod(invoicePeriod(invoice))}` : addition.invoiceId;
+  };
+
+  const runScenarios = async () => {
+    setRunning(true);
+    setError(null);
+    try {
+      const response = await apiFetch(`/api/pool/scenarios?poolId=${pool.poolId}&period=${pool.period}${pool.strategy ? `&strategy=${pool.strategy}` : ''}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          scenarios: scenarios.map(scenario => ({
+            name: scenario.name,
+            additions: scenario.additions,
+            removals: scenario.removals
+              .filter(key => members[key])
+              .flatMap(key => members[key].invoiceIds.map(invoiceId => ({ invoiceId })))
+          }))
+        })
       });
-      
-      // Member Breakdown
-      yPos += 10;
-      doc.setFontSize(16);
-      doc.setTextColor(33, 37, 41);
-      doc.text('Member Breakdown', margin, yPos);
-      yPos += 15;
-      
-      // Table header
-      doc.setFillColor(248, 249, 250);
-      doc.rect(margin, yPos - 5, pageWidth - 2 * margin, 12, 'F');
-      doc.setFontSize(10);
-      doc.setTextColor(33, 37, 41);
-      doc.text('Customer', margin + 2, yPos + 3);
-      doc.text('Services', margin + 70, yPos + 3);
-      doc.text('Monthly Cost', margin + 110, yPos + 3);
-      doc.text('Est. Savings', margin + 150, yPos + 3);
-      
-      yPos += 15;
-      doc.setFontSize(9);
-      doc.setTextColor(73, 80, 87);
-      
-      pool.invoices.forEach((invoice) => {
-        if (yPos > 250) {
-          doc.addPage();
-          yPos = 30;
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to run scenarios');
+      setResult(data);
+    } catch (err) {
+      setError(err.message);
+    }
+    setRunning(false);
+  };
+
+  const formatCurrency = (amount, currency = BASE_CURRENCY) => new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount || 0);
+  const formatChange = (amount) => (amount > 0 ? `+${formatCurrency(amount)}` : formatCurrency(amount));
+
+  // Every member that appears in the baseline or any scenario, in first-seen order
+  const resultRows = [];
+  if (result) {
+    [result.baseline, ...result.scenarios].forEach(entry => {
+      entry.members.forEach(member => {
+        if (!resultRows.some(row => row.customerId === member.customerId)) {
+          resultRows.push({ customerId: member.customerId, customerName: member.customerName, hypothetical: member.hypothetical });
         }
-        
-        const servicesToShow = invoice.items ? Math.min(invoice.items.length, 999) : 0;
-        const estimatedSavings = (invoice.totalCost || 0) * (savingsRate / 100);
-        
-        doc.text(invoice.customerName || 'Unknown', margin + 2, yPos);
-        doc.text(`${servicesToShow}`, margin + 70, yPos);
-        doc.text(`${(invoice.totalCost || 0).toLocaleString()}`, margin + 110, yPos);
-        doc.text(`${estimatedSavings.toLocaleString()}`, margin + 150, yPos);
-        yPos += 10;
-      });
-      
-      // Footer with recommendations
-      if (yPos > 200) {
-        doc.addPage();
-        yPos = 30;
-      }
-      
-      yPos += 20;
-      doc.setFontSize(16);
-      doc.setTextColor(33, 37, 41);
-      doc.text('Recommendations', margin, yPos);
-      yPos += 15;
-      
-      doc.setFontSize(10);
-      doc.setTextColor(73, 80, 87);
-      const recommendations = [
-        '• Join the AWS purchasing cooperative to realize these savings immediately',
-        '• Larger pools create even greater volume discounts',
-        '• Savings compound over time - annual benefits exceed monthly projections',
-        '• No changes to your current AWS usage or architecture required'
-      ];
-      
-      recommendations.forEach(rec => {
-        doc.text(rec, margin, yPos);
-        yPos += 8;
       });
-      
-      // Legal disclaimer
-      yPos += 15;
-      doc.setFontSize(8);
-      doc.setTextColor(108, 117, 125);
-      doc.text('* Savings estimates based on AWS published volume discount tiers. Actual savings may vary.', margin, yPos);
-      doc.text('Contact us for more information about joining our cloud purchasing cooperative.', margin, yPos + 8);
-      
-      // Save the PDF
-      const fileName = `aws-pooling-analysis-${new Date().toISOString().split('T')[0]}.pdf`;
-      doc.save(fileName);
-      
+    });
+  }
+  const memberIn = (entry, customerId) => entry.members.find(member => member.customerId === customerId);
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-8">
+      <h3 className="text-lg font-semibold mb-4 flex items-center justify-between">
+        <span className="flex items-center">
+          <FlaskConical className="mr-2" />
+          What-if Scenarios
+        </span>
+        {scenarios.length < 3 && (
+          <button
+            onClick={() => { setScenarios([...scenarios, emptyScenario(scenarios.length)]); setResult(null); }}
+            className="text-sm font-normal text-blue-500 hover:underline flex items-center"
+          >
+            <Plus className="mr-1" size={14} />
+            Add scenario
+          </button>
+        )}
+      </h3>
+
+      <div className={`grid grid-cols-1 ${SCENARIO_COLUMNS[scenarios.length]} gap-4 mb-4`}>
+        {scenarios.map((scenario, index) => (
+          <div key={index} className="border rounded-lg p-3 text-sm space-y-3">
+            <div className="flex items-center">
+              <input
+                type="text"
+                value={scenario.name}
+                onChange={(e) => updateScenario(index, { name: e.target.value })}
+                className="flex-1 font-medium border-b border-transparent focus:border-blue-500 outline-none"
+              />
+              {scenarios.length > 1 && (
+                <button onClick={() => { setScenarios(scenarios.filter((_, i) => i !== index)); setResult(null); }} className="text-gray-400 hover:text-gray-600">
+                  <X size={14} />
+                </button>
+              )}
+            </div>
+
+            <div>
+              <p className="text-xs text-gray-500 mb-1">Members leaving</p>
+              {Object.entries(members).map(([key, member]) => (
+                <label key={key} className="flex items-center text-xs">
+                  <input type="checkbox" checked={scenario.removals.includes(key)} onChange={() => toggleRemoval(index, key)} className="mr-2" />
+                  {member.name}
+                </label>
+              ))}
+            </div>
+
+            <div>
+              <p className="text-xs text-gray-500 mb-1">Joining</p>
+              {scenario.additions.map((addition, additionIndex) => (
+                <div key={additionIndex} className="flex items-center justify-between text-xs">
+                  <span>{additionLabel(addition)}</span>
+                  <button
+                    onClick={() => updateScenario(index, { additions: scenario.additions.filter((_, i) => i !== additionIndex) })}
+                    className="text-gray-400 hover:text-gray-600"
+                  >
+                    <X size={12} />
+                  </button>
+                </div>
+              ))}
+              {outsideInvoices.length > 0 && (
+                <select
+                  value=""
+                  onChange={(e) => updateScenario(index, { additions: [...scenario.additions, { invoiceId: e.target.value }] })}
+                  className="w-full border rounded px-2 py-1 text-xs mt-1"
+                >
+                  <option value="">Add a customer from another pool...</option>
+                  {outsideInvoices.map(invoice => (
+                    <option key={invoice.id} value={invoice.id}>{invoice.customerName} · {formatPeriod(invoicePeriod(invoice))}</option>
+                  ))}
+                </select>
+              )}
+              <div className="flex items-center space-x-1 mt-1">
+                <input
+                  type="text"
+                  value={prospect.customerName}
+                  onChange={(e) => setProspect({ ...prospect, customerName: e.target.value })}
+                  placeholder="Prospect"
+                  className="w-1/3 border rounded px-2 py-1 text-xs"
+                />
+                <select
+                  value={prospect.skuId}
+                  onChange={(e) => setProspect({ ...prospect, skuId: e.target.value })}
+                  className="w-1/3 border rounded px-2 py-1 text-xs"
+                >
+                  <option value="">SKU...</option>
+                  {skuIds.map(skuId => <option key={skuId} value={skuId}>{skuId}</option>)}
+                </select>
+                <input
+                  type="number"
+                  min="0"
+                  value={prospect.usage}
+                  onChange={(e) => setProspect({ ...prospect, usage: e.target.value })}
+                  placeholder="Usage"
+                  className="w-1/4 border rounded px-2 py-1 text-xs"
+                />
+                <button
+                  onClick={() => addProspect(index)}
+                  disabled={!prospect.customerName.trim() || !prospect.skuId || prospect.usage === ''}
+                  className="p-1 text-green-600 hover:bg-green-100 rounded disabled:opacity-30"
+                  title="Add prospect"
+                >
+                  <Plus size={12} />
+                </button>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <button
+        onClick={runScenarios}
+        disabled={running}
+        className="bg-blue-500 text-white px-4 py-2 rounded-lg text-sm hover:bg-blue-600 disabled:opacity-50"
+      >
+        {running ? 'Simulating...' : 'Compare scenarios'}
+      </button>
+
+      {error && (
+        <div className="mt-3 p-2 bg-red-50 border border-red-200 text-red-700 rounded text-sm flex items-center">
+          <AlertCircle className="mr-2 flex-shrink-0" size={14} />
+          {error}
+        </div>
+      )}
+
+      {result && (
+        <div className="mt-4 overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="text-left p-2 font-medium">Member savings</th>
+                <th className="text-right p-2 font-medium">Current</th>
+                {result.scenarios.map(entry => (
+                  <th key={entry.name} className="text-right p-2 font-medium">{entry.name}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {resultRows.map(row => {
+                const baseline = memberIn(result.baseline, row.customerId);
+                return (
+                  <tr key={row.customerId} className="border-b border-gray-100">
+                    <td className="p-2">{row.customerName}{row.hypothetical && <span className="ml-1 text-xs text-gray-400">(new)</span>}</td>
+                    <td className="p-2 text-right">{baseline ? formatCurrency(baseline.savings) : '—'}</td>
+                    {result.scenarios.map(entry => {
+                      const member = memberIn(entry, row.customerId);
+                      return (
+                        <td key={entry.name} className="p-2 text-right">
+                          {member ? formatCurrency(member.savings) : <span className="text-gray-400">left</span>}
+                          {member && member.savingsChange !== null && member.savingsChange !== 0 && (
+                            <span className={`ml-1 text-xs ${member.savingsChange > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                              ({formatChange(member.savingsChange)})
+                            </span>
+                          )}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                );
+              })}
+            </tbody>
+            <tfoot className="bg-gray-50 font-medium">
+              <tr>
+                <td className="p-2">Pool savings</td>
+                <td className="p-2 text-right">{formatCurrency(result.baseline.totals.estimatedSavings)}</td>
+                {result.scenarios.map(entry => (
+                  <td key={entry.name} className="p-2 text-right">
+                    {formatCurrency(entry.totals.estimatedSavings)}
+                    <span className={`ml-1 text-xs ${entry.change.estimatedSavings >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                      ({formatChange(entry.change.estimatedSavings)})
+                    </span>
+                  </td>
+                ))}
+              </tr>
+              <tr>
+                <td className="p-2">Members · spend</td>
+                <td className="p-2 text-right">{result.baseline.totals.totalCustomers} · {formatCurrency(result.baseline.totals.totalCost)}</td>
+                {result.scenarios.map(entry => (
+                  <td key={entry.name} className="p-2 text-right">{entry.totals.totalCustomers} · {formatCurrency(entry.totals.totalCost)}</td>
+                ))}
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Save a file download response under the server's file name
+const saveDownload = async (response, fallbackName) => {
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Download failed');
+  }
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const match = disposition.match(/filename="([^"]+)"/);
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = match ? match[1] : fallbackName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const EXPORT_TABLE_LABELS = { 'member-skus': 'Per member and SKU', members: 'Per member', skus: 'Per SKU' };
+
+// Report and data export: the server renders both (the pool for admins and analysts,
+// the member's own accounts for members), the same files scripts get from /api/reports and /api/exports
+const PDFExporter = () => {
+  const pool = useContext(PoolContext);
+  const { user, apiFetch, seesAllMembers } = useContext(AuthContext);
+  const [generating, setGenerating] = useState(false);
+  const [memberCurrency, setMemberCurrency] = useState(false);
+  const [exportTable, setExportTable] = useState('member-skus');
+  const [exporting, setExporting] = useState(null);
+  
+  if (!pool || pool.loading) return null;
+  const stats = pool.stats;
+
+  const query = `poolId=${pool.poolId}&period=${stats.period}${pool.strategy ? `&strategy=${pool.strategy}` : ''}`;
+  const scope = seesAllMembers ? 'pool' : `members/${user.customerId}`;
+
+  const generatePDF = async () => {
+    setGenerating(true);
+    
+    try {
+      const response = await apiFetch(`/api/reports/${scope}?${query}${memberCurrency ? '&memberCurrency=true' : ''}`);
+      await saveDownload(response, `aws-pooling-report-${stats.period}.pdf`);
     } catch (error) {
       console.error('PDF generation error:', error);
       alert('Failed to generate PDF. Please try again.');
@@ -750,19 +1975,32 @@ const PDFExporter = () => {
     setGenerating(false);
   };
 
-  const canGenerate = pool.invoices.length > 0 && stats.totalCost > 0;
+  const exportData = async (format) => {
+    setExporting(format);
+    try {
+      const response = await apiFetch(`/api/exports/${scope}?${query}&format=${format}${format === 'csv' ? `&table=${exportTable}` : ''}`);
+      await saveDownload(response, `aws-pooling-data-${stats.period}.${format}`);
+    } catch (error) {
+      console.error('Export error:', error);
+      alert(`Failed to export data: ${error.message}`);
+    }
+    setExporting(null);
+  };
+
+  // Members may not see pool totals, so this looks at the invoices themselves
+  const canGenerate = pool.periodInvoices.some(invoice => invoice.totalCost > 0);
 
   return (
     <div className="bg-white rounded-lg shadow-lg p-6">
       <h3 className="text-lg font-semibold mb-4 flex items-center">
         <Download className="mr-2" />
-        Export Analysis Report
+        Export Report &amp; Data
       </h3>
       
       <div className="space-y-4">
         <p className="text-gray-600">
-          Generate a comprehensive PDF report showing pool statistics, individual savings, 
-          and professional recommendations for stakeholder presentations.
+          Generate a PDF report with pool statistics, individual savings and per-SKU detail
+          for stakeholder presentations.
         </p>
         
         {canGenerate && (
@@ -770,12 +2008,24 @@ const PDFExporter = () => {
             <p className="font-medium text-blue-800">Report will include:</p>
             <ul className="text-blue-700 mt-1 space-y-1">
               <li>• Executive summary with key metrics</li>
-              <li>• Individual customer savings breakdown</li>
-              <li>• Professional recommendations</li>
-              <li>• Annual savings projections</li>
+              <li>• {seesAllMembers ? 'Each member\'s actual savings' : 'Savings for each of your accounts'}</li>
+              <li>• Per-SKU breakdown with the volume tier reached</li>
+              <li>• Cost and savings charts</li>
             </ul>
           </div>
         )}
+
+        {canGenerate && (
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={memberCurrency}
+              onChange={(e) => setMemberCurrency(e.target.checked)}
+              className="mr-2"
+            />
+            Show each member's figures in their own billing currency
+          </label>
+        )}
         
         <button
           onClick={generatePDF}
@@ -795,6 +2045,37 @@ const PDFExporter = () => {
           )}
         </button>
         
+        {canGenerate && (
+          <div className="border-t pt-4">
+            <p className="text-sm font-medium text-gray-700 mb-2">Export data</p>
+            <p className="text-xs text-gray-500 mb-2">
+              Usage, standalone cost, pooled cost and savings per member and SKU. CSV holds the selected table; XLSX and JSON hold all of them.
+            </p>
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <select
+                value={exportTable}
+                onChange={(e) => setExportTable(e.target.value)}
+                className="border rounded-lg px-3 py-2"
+              >
+                {Object.entries(EXPORT_TABLE_LABELS).map(([table, label]) => (
+                  <option key={table} value={table}>{label}</option>
+                ))}
+              </select>
+              {['csv', 'xlsx', 'json'].map(format => (
+                <button
+                  key={format}
+                  onClick={() => exportData(format)}
+                  disabled={exporting !== null}
+                  className="border border-blue-500 text-blue-600 px-3 py-2 rounded-lg hover:bg-blue-50 disabled:border-gray-300 disabled:text-gray-400 flex items-center"
+                >
+                  <Download size={14} className="mr-1" />
+                  {exporting === format ? 'Exporting...' : format.toUpperCase()}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+        
         {!canGenerate && (
           <p className="text-sm text-gray-500 text-center">
             Upload at least one invoice with valid cost data to generate a report
@@ -805,50 +2086,510 @@ const PDFExporter = () => {
   );
 };
 
+// Monthly settlements (admins and analysts) and the statements issued to members
+const SettlementPanel = () => {
+  const { apiFetch, isAdmin, seesAllMembers } = useContext(AuthContext);
+  const pool = useContext(PoolContext);
+  const [settlements, setSettlements] = useState([]);
+  const [statements, setStatements] = useState([]);
+  const [settlePeriod, setSettlePeriod] = useState('');
+  const [settling, setSettling] = useState(false);
+  const [error, setError] = useState(null);
+
+  const poolId = pool ? pool.poolId : null;
+
+  const fetchSettlements = useCallback(async () => {
+    if (!poolId) return;
+    try {
+      const statementsRes = await apiFetch('/api/statements');
+      if (statementsRes.ok) setStatements(await statementsRes.json());
+      if (seesAllMembers) {
+        const settlementsRes = await apiFetch(`/api/settlements?poolId=${poolId}`);
+        if (settlementsRes.ok) setSettlements(await settlementsRes.json());
+      }
+    } catch (err) {
+      console.error('Failed to fetch settlements:', err);
+    }
+  }, [apiFetch, seesAllMembers, poolId]);
+
+  useEffect(() => {
+    fetchSettlements();
+  }, [fetchSettlements]);
+
+  if (!pool) return null;
+
+  // Months that have ended, have approved invoices and aren't settled yet
+  const currentPeriod = new Date().toISOString().slice(0, 7);
+  const settledPeriods = settlements.map(settlement => settlement.period);
+  const unsettled = pool.history
+    .map(entry => entry.period)
+    .filter(period => period < currentPeriod && !settledPeriods.includes(period));
+  const poolStatements = statements.filter(statement => statement.poolId === poolId);
+
+  const settle = async () => {
+    const period = settlePeriod || unsettled[unsettled.length - 1];
+    if (!period) return;
+    setSettling(true);
+    setError(null);
+    try {
+      const response = await apiFetch('/api/settlements', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ poolId, period })
+      });
+      if (!response.ok) {
+        const data = await response.json();
+        setError(data.error || 'Failed to settle the month');
+      } else {
+        setSettlePeriod('');
+        fetchSettlements();
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+    setSettling(false);
+  };
+
+  const downloadJSON = (statement) => {
+    const url = URL.createObjectURL(new Blob([JSON.stringify(statement, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `statement-${statement.number}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // The PDF the server rendered when the statement was issued (its SHA-256 is the statement's pdfChecksum)
+  const downloadPDF = async (statement) => {
+    try {
+      await saveDownload(await apiFetch(`/api/statements/${statement.id}?format=pdf`), `statement-${statement.number}.pdf`);
+    } catch (err) {
+      console.error('Statement download error:', err);
+      alert(`Failed to download the statement: ${err.message}`);
+    }
+  };
+
+  if (!seesAllMembers && poolStatements.length === 0) return null;
+
+  const formatCurrency = (amount, currency = BASE_CURRENCY) => new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount || 0);
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-8">
+      <h2 className="text-xl font-semibold mb-4 flex items-center">
+        <Receipt className="mr-2" />
+        Settlements &amp; Statements
+      </h2>
+
+      {seesAllMembers && (
+        <div className="mb-6">
+          <p className="text-sm text-gray-600 mb-3">
+            Each month is settled once: pool totals and the pricing catalog are frozen and every member gets a numbered statement.
+            When the server has a settlement day configured, months settle automatically on that day once no invoices are waiting for review.
+          </p>
+
+          {isAdmin && unsettled.length > 0 && (
+            <div className="flex items-center gap-2 mb-3 text-sm">
+              <select
+                value={settlePeriod || unsettled[unsettled.length - 1]}
+                onChange={(e) => setSettlePeriod(e.target.value)}
+                className="border rounded-lg px-3 py-2"
+              >
+                {unsettled.map(period => (
+                  <option key={period} value={period}>{formatPeriod(period)}</option>
+                ))}
+              </select>
+              <button
+                onClick={settle}
+                disabled={settling}
+                className="bg-blue-500 text-white px-3 py-2 rounded-lg hover:bg-blue-600 disabled:bg-gray-300"
+              >
+                {settling ? 'Settling...' : 'Settle now'}
+              </button>
+            </div>
+          )}
+          {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+          {settlements.length > 0 ? (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b bg-gray-50">
+                  <th className="text-left p-2">Month</th>
+                  <th className="text-right p-2">Members</th>
+                  <th className="text-right p-2">Standalone</th>
+                  <th className="text-right p-2">Pooled</th>
+                  <th className="text-right p-2">Savings</th>
+                  <th className="text-left p-2">Catalog</th>
+                  <th className="text-left p-2">Settled</th>
+                </tr>
+              </thead>
+              <tbody>
+                {settlements.map(settlement => (
+                  <tr key={settlement.id} className="border-b">
+                    <td className="p-2">{formatPeriod(settlement.period)}</td>
+                    <td className="p-2 text-right">{settlement.totals.members}</td>
+                    <td className="p-2 text-right">{formatCurrency(settlement.totals.standalone, settlement.baseCurrency)}</td>
+                    <td className="p-2 text-right">{formatCurrency(settlement.totals.pooled, settlement.baseCurrency)}</td>
+                    <td className="p-2 text-right text-green-600">{formatCurrency(settlement.totals.savings, settlement.baseCurrency)}</td>
+                    <td className="p-2">v{settlement.catalogVersion}</td>
+                    <td className="p-2 text-gray-600">
+                      {new Date(settlement.settledAt).toLocaleDateString()} · {settlement.trigger === 'scheduled' ? 'scheduled' : settlement.settledBy}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="text-sm text-gray-500">No months settled for this pool yet.</p>
+          )}
+        </div>
+      )}
+
+      {poolStatements.length > 0 && (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b bg-gray-50">
+              <th className="text-left p-2">Statement</th>
+              <th className="text-left p-2">Month</th>
+              <th className="text-left p-2">Member</th>
+              <th className="text-right p-2">Standalone</th>
+              <th className="text-right p-2">Charge</th>
+              <th className="text-right p-2">Amount due</th>
+              <th className="p-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {poolStatements.map(statement => (
+              <tr key={statement.id} className="border-b">
+                <td className="p-2 font-mono">{statement.number}</td>
+                <td className="p-2">{formatPeriod(statement.period)}</td>
+                <td className="p-2">{statement.customerName}</td>
+                <td className="p-2 text-right">{formatCurrency(statement.totals.standalone, statement.baseCurrency)}</td>
+                <td className="p-2 text-right">{formatCurrency(statement.totals.charge, statement.baseCurrency)}</td>
+                <td className="p-2 text-right font-medium">{formatCurrency(statement.totals.amountDue, statement.baseCurrency)}</td>
+                <td className="p-2 text-right whitespace-nowrap">
+                  <button
+                    onClick={() => downloadPDF(statement)}
+                    className="text-blue-600 hover:text-blue-800 mr-3 inline-flex items-center"
+                    title="Download PDF"
+                  >
+                    <Download size={14} className="mr-1" />
+                    PDF
+                  </button>
+                  <button
+                    onClick={() => downloadJSON(statement)}
+                    className="text-blue-600 hover:text-blue-800 inline-flex items-center"
+                    title="Download JSON"
+                  >
+                    <FileText size={14} className="mr-1" />
+                    JSON
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
 // Main App Component
+// Sign-in form shown until there's a session
+const SignInForm = () => {
+  const auth = useContext(AuthContext);
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [signingIn, setSigningIn] = useState(false);
+  const [error, setError] = useState(null);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setSigningIn(true);
+    setError(null);
+    try {
+      await auth.signIn(email.trim(), password);
+    } catch (err) {
+      setError(err.message);
+      setSigningIn(false);
+    }
+  };
+
+  return (
+    <form onSubmit={submit} className="max-w-sm mx-auto bg-white rounded-lg shadow-lg p-6">
+      <h2 className="text-xl font-semibold mb-4 flex items-center">
+        <Lock className="mr-2" size={20} />
+        Sign In
+      </h2>
+      <label htmlFor="sign-in-email" className="block text-sm font-medium mb-1">Email</label>
+      <input
+        id="sign-in-email"
+        type="email"
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+        className="w-full p-3 border rounded-lg mb-3 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+        autoComplete="username"
+        required
+      />
+      <label htmlFor="sign-in-password" className="block text-sm font-medium mb-1">Password</label>
+      <input
+        id="sign-in-password"
+        type="password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        className="w-full p-3 border rounded-lg mb-4 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+        autoComplete="current-password"
+        required
+      />
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+      <button
+        type="submit"
+        disabled={signingIn}
+        className="w-full bg-blue-500 text-white py-2 rounded-lg hover:bg-blue-600 disabled:opacity-50"
+      >
+        {signingIn ? 'Signing in...' : 'Sign in'}
+      </button>
+    </form>
+  );
+};
+
+// User accounts (pool admins only): invite members, analysts and admins, change roles
+const UserManager = () => {
+  const { user: currentUser, apiFetch } = useContext(AuthContext);
+  const [users, setUsers] = useState([]);
+  const [draft, setDraft] = useState({ email: '', name: '', password: '', role: 'member', customerName: '' });
+  const [error, setError] = useState(null);
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      const response = await apiFetch('/api/users');
+      if (response.ok) setUsers(await response.json());
+    } catch (err) {
+      console.error('Failed to fetch users:', err);
+    }
+  }, [apiFetch]);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  // Create (POST) or update (PATCH) a user; errors show under the form
+  const saveUser = async (method, path, body) => {
+    setError(null);
+    const response = await apiFetch(path, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    if (!response.ok) {
+      const data = await response.json();
+      setError(data.error || 'Failed to save user');
+      return false;
+    }
+    fetchUsers();
+    return true;
+  };
+
+  const addUser = async (e) => {
+    e.preventDefault();
+    const { customerName, ...fields } = draft;
+    const created = await saveUser('POST', '/api/users', draft.role === 'member' ? { ...fields, customerName } : fields);
+    if (created) {
+      setDraft({ email: '', name: '', password: '', role: 'member', customerName: '' });
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-8">
+      <h2 className="text-xl font-semibold mb-4 flex items-center">
+        <UserCog className="mr-2" />
+        Users
+      </h2>
+
+      <table className="w-full text-sm mb-4">
+        <thead>
+          <tr className="border-b bg-gray-50">
+            <th className="text-left p-2">Email</th>
+            <th className="text-left p-2">Name</th>
+            <th className="text-left p-2">Organization</th>
+            <th className="text-left p-2">Role</th>
+            <th className="p-2"></th>
+          </tr>
+        </thead>
+        <tbody>
+          {users.map(entry => (
+            <tr key={entry.id} className="border-b">
+              <td className="p-2">{entry.email}</td>
+              <td className="p-2">{entry.name}</td>
+              <td className="p-2 text-gray-600">{entry.customerId || '-'}</td>
+              <td className="p-2">
+                {entry.role === 'member' || entry.id === currentUser.id ? ROLE_LABELS[entry.role] : (
+                  <select
+                    value={entry.role}
+                    onChange={(e) => saveUser('PATCH', `/api/users/${entry.id}`, { role: e.target.value })}
+                    className="border rounded px-2 py-1 text-sm"
+                  >
+                    <option value="admin">{ROLE_LABELS.admin}</option>
+                    <option value="analyst">{ROLE_LABELS.analyst}</option>
+                  </select>
+                )}
+              </td>
+              <td className="p-2 text-right">
+                {entry.id !== currentUser.id && (
+                  <button
+                    onClick={() => saveUser('DELETE', `/api/users/${entry.id}`)}
+                    className="text-red-500 hover:text-red-700 hover:bg-red-50 p-1 rounded"
+                    title="Delete user"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <form onSubmit={addUser} className="grid grid-cols-1 md:grid-cols-6 gap-2 text-sm">
+        <input
+          type="email"
+          value={draft.email}
+          onChange={(e) => setDraft({ ...draft, email: e.target.value })}
+          placeholder="Email"
+          className="border rounded-lg px-3 py-2 md:col-span-2"
+          required
+        />
+        <input
+          type="text"
+          value={draft.name}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          placeholder="Name"
+          className="border rounded-lg px-3 py-2"
+        />
+        <input
+          type="password"
+          value={draft.password}
+          onChange={(e) => setDraft({ ...draft, password: e.target.value })}
+          placeholder="Initial password"
+          className="border rounded-lg px-3 py-2"
+          autoComplete="new-password"
+          required
+        />
+        <select
+          value={draft.role}
+          onChange={(e) => setDraft({ ...draft, role: e.target.value })}
+          className="border rounded-lg px-3 py-2"
+        >
+          {Object.entries(ROLE_LABELS).map(([role, label]) => (
+            <option key={role} value={role}>{label}</option>
+          ))}
+        </select>
+        {draft.role === 'member' ? (
+          <input
+            type="text"
+            value={draft.customerName}
+            onChange={(e) => setDraft({ ...draft, customerName: e.target.value })}
+            placeholder="Organization (customer name)"
+            className="border rounded-lg px-3 py-2"
+            required
+          />
+        ) : <span />}
+        <button type="submit" className="bg-blue-500 text-white px-3 py-2 rounded-lg hover:bg-blue-600 md:col-span-6 md:justify-self-end flex items-center">
+          <Plus size={14} className="mr-1" />
+          Add user
+        </button>
+      </form>
+      {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+    </div>
+  );
+};
+
 const App = () => {
   return (
-    <PoolProvider>
-      <div className="min-h-screen bg-gray-50">
-        {/* Header */}
-        <div className="bg-white shadow-sm border-b">
-          <div className="max-w-7xl mx-auto px-4 py-6">
-            <div className="text-center">
-              <h1 className="text-4xl font-bold text-gray-900 mb-2">
-                AWS Cost Pooling Platform
-              </h1>
-              <p className="text-lg text-gray-600 max-w-2xl mx-auto">
-                Discover how much your organization can save by joining our cloud purchasing cooperative. 
-                Upload your AWS invoices to see real volume discount benefits.
-              </p>
+    <AuthProvider>
+      <PoolApp />
+    </AuthProvider>
+  );
+};
+
+const PoolApp = () => {
+  const auth = useContext(AuthContext);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 py-6">
+          {auth.user && (
+            <div className="flex justify-end items-center text-sm text-gray-600 mb-2">
+              <span>{auth.user.name} · {ROLE_LABELS[auth.user.role]}</span>
+              <button
+                onClick={auth.signOut}
+                className="ml-3 flex items-center text-gray-500 hover:text-gray-800"
+                title="Sign out"
+              >
+                <LogOut size={14} className="mr-1" />
+                Sign out
+              </button>
             </div>
+          )}
+          <div className="text-center">
+            <h1 className="text-4xl font-bold text-gray-900 mb-2">
+              AWS Cost Pooling Platform
+            </h1>
+            <p className="text-lg text-gray-600 max-w-2xl mx-auto">
+              Discover how much your organization can save by joining our cloud purchasing cooperative. 
+              Upload your AWS invoices to see real volume discount benefits.
+            </p>
           </div>
         </div>
+      </div>
 
-        <div className="max-w-7xl mx-auto px-4 py-8">
-          {/* Dashboard */}
-          <PoolDashboard />
+      <div className="max-w-7xl mx-auto px-4 py-8">
+        {auth.user ? (
+          <PoolProvider>
+            {/* Dashboard */}
+            <PoolDashboard />
 
-          {/* Main Content Grid */}
-          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
-            <InvoiceUploader />
-            <PDFExporter />
-          </div>
+            {/* Main Content Grid */}
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
+              <InvoiceUploader />
+              <PDFExporter />
+            </div>
 
-          {/* Invoice List */}
-          <InvoiceList />
-        </div>
+            {/* Pool-wide analysis: admins and analysts */}
+            {auth.seesAllMembers && (
+              <>
+                {/* Reserved Instances and Savings Plans */}
+                <CommitmentPanel />
 
-        {/* Footer */}
-        <footer className="bg-white border-t mt-12">
-          <div className="max-w-7xl mx-auto px-4 py-6">
-            <div className="text-center text-gray-500 text-sm">
-              <p>AWS Cost Pooling Platform - Demonstrating volume discount savings through cooperative purchasing</p>
-            </div>
-          </div>
-        </footer>
+                {/* What-if scenarios */}
+                <ScenarioSimulator />
+              </>
+            )}
+
+            {/* Monthly settlements and member statements */}
+            <SettlementPanel />
+
+            {/* Invoice List */}
+            <InvoiceList />
+
+            {/* User accounts */}
+            {auth.isAdmin && <UserManager />}
+          </PoolProvider>
+        ) : (
+          <SignInForm />
+        )}
       </div>
-    </PoolProvider>
+
+      {/* Footer */}
+      <footer className="bg-white border-t mt-12">
+        <div className="max-w-7xl mx-auto px-4 py-6">
+          <div className="text-center text-gray-500 text-sm">
+            <p>AWS Cost Pooling Platform - Demonstrating volume discount savings through cooperative purchasing</p>
+          </div>
+        </div>
+      </footer>
+    </div>
   );
 };
 
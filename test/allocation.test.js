@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { ALLOCATION_STRATEGIES, allocateInvoices, roundToTotal } = require('../lib/allocation');
+const { computePoolStats } = require('../lib/poolStats');
+const { compareScenarios } = require('../lib/scenarios');
+const { createPricingCatalog } = require('../lib/pricingCatalog');
+
+const catalog = createPricingCatalog({ catalogDir: path.join(__dirname, '..', 'catalog') }).getLatest();
+
+const invoice = (id, customerId, skus) => ({
+  id,
+  customerId,
+  customerName: customerId,
+  skus: skus.map(([skuId, usage, totalCost]) => ({ skuId, usage, totalCost, region: 'us-east-1' })),
+  totalCost: skus.reduce((sum, [, , totalCost]) => sum + totalCost, 0)
+});
+
+// Acme has two linked accounts: one member with two Free Tier allowances
+const invoices = [
+  invoice('acme-1', 'acme', [['EC2-t3.micro-us-east-1', 5000, 44.2], ['S3-Standard-us-east-1', 30000, 690]]),
+  invoice('acme-2', 'acme', [['EC2-t3.micro-us-east-1', 3000, 23.4]]),
+  invoice('beta-1', 'beta', [['EC2-t3.micro-us-east-1', 9000, 86], ['S3-Standard-us-east-1', 40000, 920]]),
+  invoice('gamma-1', 'gamma', [['S3-Standard-us-east-1', 2000, 46]])
+];
+
+const sumByCustomer = (members) => {
+  const totals = {};
+  members.forEach(member => {
+    totals[member.customerId] = Math.round(((totals[member.customerId] || 0) + member.pooled) * 100) / 100;
+  });
+  return totals;
+};
+
+Object.keys(ALLOCATION_STRATEGIES).forEach(strategy => {
+  test(`${strategy}: pool stats and the scenario baseline agree per customer`, () => {
+    const stats = computePoolStats(invoices, catalog, { strategy });
+    const { baseline } = compareScenarios(invoices, [], { candidates: invoices, catalog, strategy });
+
+    assert.deepEqual(sumByCustomer(stats.members), sumByCustomer(baseline.members));
+  });
+
+  test(`${strategy}: invoice shares add up to the customer's share and SKU shares to the invoice's`, () => {
+    const allocation = allocateInvoices(invoices, catalog, strategy);
+
+    const acme = allocation.shares['acme-1'] + allocation.shares['acme-2'];
+    assert.equal(Math.round(acme * 100), Math.round(allocation.customerShares.acme * 100));
+    invoices.forEach(({ id }) => {
+      const skuTotal = Object.values(allocation.skuShares[id]).reduce((sum, cost) => sum + cost, 0);
+      assert.equal(Math.round(skuTotal * 100), Math.round(allocation.shares[id] * 100));
+    });
+    // Each account keeps its own Free Tier credit
+    assert.ok(allocation.freeTierCredits['acme-1']['EC2-t3.micro-us-east-1'].credit > 0);
+    assert.ok(allocation.freeTierCredits['acme-2']['EC2-t3.micro-us-east-1'].credit > 0);
+  });
+});
+
+test('rounding to the total hands out the leftover cents by largest remainder', () => {
+  assert.deepEqual(roundToTotal([10 / 3, 10 / 3, 10 / 3], 10), [3.34, 3.33, 3.33]);
+  assert.deepEqual(roundToTotal([1.005, 2.994], 3.99), [1, 2.99]);
+  assert.deepEqual(roundToTotal([], 0), []);
+});
+
+test('non-finite amounts are refused instead of rounded forever', () => {
+  assert.throws(() => roundToTotal([1, NaN], 3), /non-finite/);
+  assert.throws(() => roundToTotal([1, 2], Infinity), /non-finite/);
+  assert.throws(() => roundToTotal([1, -Infinity], 1), /non-finite/);
+});
@@ -0,0 +1,107 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createFileStore } = require('../lib/storage/fileStore');
+const { AuthError, canSeeInvoice, createAuth } = require('../lib/auth');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const storage = createFileStore({ dataDir });
+const auth = createAuth({ storage });
+
+// The API as server.js mounts it: authentication on the /api prefix, one role-checked route
+const server = (() => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', auth.authenticate(['/auth/login', '/health']));
+  app.get('/api/health', (req, res) => res.json({ status: 'OK' }));
+  app.get('/api/pools', (req, res) => res.json({ user: req.user.email }));
+  app.get('/api/users', auth.requireRole('admin'), (req, res) => res.json([]));
+  return app.listen(0);
+})();
+after(() => server.close());
+
+const request = (urlPath, token) => fetch(`http://127.0.0.1:${server.address().port}${urlPath}`, {
+  headers: token ? { Authorization: `Bearer ${token}` } : {}
+});
+
+test('emails that only differ in punctuation are different users', async () => {
+  const dotted = await auth.createUser({ email: 'a.b@example.com', password: 'password-dotted', role: 'analyst' });
+  const dashed = await auth.createUser({ email: 'a-b@example.com', password: 'password-dashed', role: 'analyst' });
+
+  assert.notEqual(dotted.id, dashed.id);
+  assert.equal((await auth.login('a.b@example.com', 'password-dotted')).user.id, dotted.id);
+  assert.equal((await auth.login('a-b@example.com', 'password-dashed')).user.id, dashed.id);
+});
+
+test('emails are matched without regard to case or surrounding spaces', async () => {
+  const user = await auth.createUser({ email: 'Casey@Example.com', password: 'password-casey', role: 'analyst' });
+
+  assert.equal(user.email, 'casey@example.com');
+  assert.equal((await auth.login('  CASEY@example.COM ', 'password-casey')).user.id, user.id);
+  await assert.rejects(
+    auth.createUser({ email: 'casey@EXAMPLE.com', password: 'password-other', role: 'analyst' }),
+    error => error instanceof AuthError && error.status === 409
+  );
+});
+
+test('an unknown email and a wrong password get the same answer', async () => {
+  await auth.createUser({ email: 'known@example.com', password: 'password-known', role: 'analyst' });
+
+  const unknown = await auth.login('unknown@example.com', 'password-known').catch(error => error);
+  const wrong = await auth.login('known@example.com', 'wrong-password').catch(error => error);
+  assert.ok(unknown instanceof AuthError && wrong instanceof AuthError);
+  assert.equal(unknown.message, wrong.message);
+  assert.equal(unknown.status, 401);
+});
+
+test('removing a user frees their email and ends their sessions', async () => {
+  const user = await auth.createUser({ email: 'leaving@example.com', password: 'password-leaving', role: 'analyst' });
+  const { token } = await auth.login('leaving@example.com', 'password-leaving');
+
+  await auth.removeUser(user.id);
+  assert.equal((await request('/api/pools', token)).status, 401);
+  await assert.rejects(auth.login('leaving@example.com', 'password-leaving'), AuthError);
+  const again = await auth.createUser({ email: 'leaving@example.com', password: 'password-back', role: 'analyst' });
+  assert.notEqual(again.id, user.id);
+});
+
+test('changing a role ends the user\'s sessions; logging out ends one', async () => {
+  const user = await auth.createUser({ email: 'promoted@example.com', password: 'password-promoted', role: 'analyst' });
+  const first = await auth.login('promoted@example.com', 'password-promoted');
+  await auth.updateUser(user.id, { role: 'admin' });
+  assert.equal((await request('/api/pools', first.token)).status, 401);
+
+  const second = await auth.login('promoted@example.com', 'password-promoted');
+  assert.equal((await request('/api/users', second.token)).status, 200);
+  await auth.logout(second.token);
+  assert.equal((await request('/api/pools', second.token)).status, 401);
+});
+
+test('roles: analysts are turned away from admin routes, members only see their organization', async () => {
+  await auth.createUser({ email: 'analyst@example.com', password: 'password-analyst', role: 'analyst' });
+  const { token } = await auth.login('analyst@example.com', 'password-analyst');
+  assert.equal((await request('/api/users', token)).status, 403);
+
+  const member = { role: 'member', customerId: 'customer-acme' };
+  assert.equal(canSeeInvoice(member, { customerId: 'customer-acme' }), true);
+  assert.equal(canSeeInvoice(member, { customerId: 'customer-beta' }), false);
+  assert.equal(canSeeInvoice({ role: 'analyst' }, { customerId: 'customer-beta' }), true);
+});
+
+test('every casing of an API path needs a signed-in user', async () => {
+  for (const urlPath of ['/api/pools', '/API/pools', '/Api/Pools', '/api/POOLS']) {
+    assert.equal((await request(urlPath)).status, 401, urlPath);
+  }
+  assert.equal((await request('/API/health')).status, 200);
+
+  await auth.createUser({ email: 'reader@example.com', password: 'password-reader', role: 'analyst' });
+  const { token } = await auth.login('reader@example.com', 'password-reader');
+  const response = await request('/API/Pools', token);
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { user: 'reader@example.com' });
+});
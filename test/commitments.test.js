@@ -0,0 +1,146 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { CommitmentError, loadCommitmentRates, optimizeCommitments } = require('../lib/commitments');
+const { createPricingCatalog } = require('../lib/pricingCatalog');
+
+const CATALOG_DIR = path.join(__dirname, '..', 'catalog');
+const catalog = createPricingCatalog({ catalogDir: CATALOG_DIR }).getActive(new Date('2025-10-01T00:00:00Z'));
+const rates = loadCommitmentRates(CATALOG_DIR);
+
+const PERIODS = ['2025-05', '2025-06', '2025-07', '2025-08', '2025-09', '2025-10'];
+
+const invoice = (skus) => ({ skus: skus.map(([skuId, usage]) => ({ skuId, usage, region: 'us-east-1' })) });
+
+// Two accounts each month, both running t3.micro and one of them an RDS instance
+const month = (period, ec2Usage, rdsUsage = 5000) => ({
+  period,
+  invoices: [
+    invoice([['EC2-t3.micro-us-east-1', ec2Usage], ['RDS-db.t3.micro-us-east-1', rdsUsage]]),
+    invoice([['EC2-t3.micro-us-east-1', ec2Usage]])
+  ]
+});
+
+// Six months of slowly growing EC2 and flat RDS usage
+const steadyHistory = PERIODS.map((period, index) => month(period, 10000 + index * 200));
+
+const recommendationFor = (result, skuId) => result.recommendations.find(item => item.skuId === skuId);
+
+test('Reserved Instances cover the lowest month\'s billable usage, priced at the pool\'s volume-tier rate', () => {
+  const result = optimizeCommitments({ history: steadyHistory, catalog, rates });
+  const ec2 = recommendationFor(result, 'EC2-t3.micro-us-east-1');
+
+  assert.deepEqual(result.lookbackPeriods, PERIODS);
+  assert.equal(result.ec2Approach, 'reserved-instances');
+  // May's 2 × 10,000 hours less each account's 750 Free Tier hours
+  assert.equal(ec2.committedUsage, 18500);
+  assert.equal(ec2.instances, 25.34);
+  // October's 20,500 billable hours: 8,760 at $0.0104, the rest at $0.0094
+  assert.equal(ec2.onDemandRate, (8760 * 0.0104 + 11740 * 0.0094) / 20500);
+  assert.equal(ec2.monthlyOnDemandCost, 181.81);
+  assert.equal(recommendationFor(result, 'RDS-db.t3.micro-us-east-1').committedUsage, 4250);
+});
+
+test('each term and payment option is priced; a stable pool gets the best 3-year option', () => {
+  const ec2 = recommendationFor(optimizeCommitments({ history: steadyHistory, catalog, rates }), 'EC2-t3.micro-us-east-1');
+  const option = (term, payment) => ec2.options.find(item => item.term === term && item.payment === payment);
+
+  assert.equal(ec2.options.length, 6);
+  assert.equal(ec2.stable, true);
+  assert.deepEqual(option('1yr', 'partial-upfront'), {
+    term: '1yr',
+    payment: 'partial-upfront',
+    discount: 0.36,
+    // Half of 12 months at 64% of the on-demand cost
+    upfrontCost: 698.13,
+    monthlyRecurringCost: 58.18,
+    effectiveMonthlyCost: 116.36,
+    monthlySavings: 65.45,
+    presentValueSavings: 725.17,
+    breakEvenMonths: 5.6,
+    breakEvenUtilization: 0.64
+  });
+  assert.equal(option('3yr', 'no-upfront').upfrontCost, 0);
+  assert.equal(option('3yr', 'no-upfront').breakEvenMonths, 0);
+  assert.deepEqual([ec2.recommended.term, ec2.recommended.payment, ec2.recommended.upfrontCost], ['3yr', 'all-upfront', 2618]);
+  // RDS has no 3-year No Upfront rate
+  assert.equal(recommendationFor(optimizeCommitments({ history: steadyHistory, catalog, rates }), 'RDS-db.t3.micro-us-east-1').options.length, 5);
+});
+
+test('with no cost of capital, present value savings are the plain savings over the term', () => {
+  const result = optimizeCommitments({ history: steadyHistory, catalog, rates, costOfCapital: 0, term: '1yr', payment: 'all-upfront' });
+  const ec2 = recommendationFor(result, 'EC2-t3.micro-us-east-1');
+
+  assert.deepEqual([ec2.recommended.term, ec2.recommended.payment], ['1yr', 'all-upfront']);
+  assert.equal(ec2.recommended.presentValueSavings, Math.round(ec2.committedUsage * ec2.onDemandRate * 0.38 * 12 * 100) / 100);
+});
+
+test('the period\'s totals: committed usage at the discount, the rest on demand', () => {
+  const { skus, totals } = optimizeCommitments({ history: steadyHistory, catalog, rates });
+
+  assert.deepEqual(skus.map(({ skuId, usage, onDemandCost, commitmentSavings }) => [skuId, usage, onDemandCost, commitmentSavings]), [
+    ['EC2-t3.micro-us-east-1', 20500, 201.46, 109.08],
+    ['RDS-db.t3.micro-us-east-1', 4250, 72.25, 41.9]
+  ]);
+  assert.equal(skus[0].blendedEffectiveRate, 0.004506);
+  assert.deepEqual(totals, { eligibleOnDemandCost: 273.71, committedCost: 122.73, monthlySavings: 150.98, blendedRateRatio: 0.448 });
+});
+
+test('short histories commit to part of the floor and only for a year', () => {
+  const result = optimizeCommitments({ history: [month('2025-09', 10000), month('2025-10', 12000)], catalog, rates });
+  const ec2 = recommendationFor(result, 'EC2-t3.micro-us-east-1');
+
+  // 80% of September's 18,500 billable hours
+  assert.equal(ec2.committedUsage, 14800);
+  assert.equal(ec2.stable, false);
+  assert.equal(ec2.recommended.term, '1yr');
+  // Unless a 3-year term is asked for
+  const threeYear = optimizeCommitments({ history: [month('2025-09', 10000), month('2025-10', 12000)], catalog, rates, term: '3yr' });
+  assert.equal(recommendationFor(threeYear, 'EC2-t3.micro-us-east-1').recommended.term, '3yr');
+});
+
+test('months without invoices count as zero usage, so nothing is committed', () => {
+  const result = optimizeCommitments({ history: [month('2025-07', 10000), month('2025-10', 12000)], catalog, rates });
+
+  assert.deepEqual(result.lookbackPeriods, ['2025-07', '2025-08', '2025-09', '2025-10']);
+  assert.deepEqual(result.recommendations, []);
+  assert.deepEqual(result.totals, { eligibleOnDemandCost: 292.51, committedCost: 292.51, monthlySavings: 0, blendedRateRatio: 1 });
+  assert.deepEqual(optimizeCommitments({ history: [], catalog, rates }).skus, []);
+});
+
+test('a Savings Plan replaces Reserved Instances when usage moves between instance types', () => {
+  // Alternating between t3.micro and t3.small: no floor for either, a steady EC2 spend
+  const history = PERIODS.slice(0, 5).map((period, index) => ({
+    period,
+    invoices: [invoice(index % 2 ? [['EC2-t3.micro-us-east-1', 20750]] : [['EC2-t3.small-us-east-1', 10750]])]
+  }));
+  history.push({ period: '2025-10', invoices: [invoice([['EC2-t3.micro-us-east-1', 10750], ['EC2-t3.small-us-east-1', 5750]])] });
+
+  const result = optimizeCommitments({ history, catalog, rates });
+  const [plan] = result.recommendations;
+
+  assert.equal(result.ec2Approach, 'savings-plan');
+  assert.equal(result.recommendations.length, 1);
+  // June's 20,000 billable t3.micro hours at October's rate of $0.010276
+  assert.equal(plan.coveredSpend, 205.52);
+  assert.deepEqual([plan.recommended.term, plan.recommended.payment, plan.recommended.monthlySavings], ['3yr', 'partial-upfront', 102.76]);
+  assert.equal(plan.hourlyCommitment, 0.1408);
+  // The plan's savings are shared by the SKUs it covers in proportion to their spend
+  assert.deepEqual(result.skus.map(sku => [sku.skuId, sku.onDemandCost, sku.commitmentSavings]), [
+    ['EC2-t3.micro-us-east-1', 102.76, 47.49],
+    ['EC2-t3.small-us-east-1', 119.6, 55.27]
+  ]);
+  assert.equal(result.totals.monthlySavings, 102.76);
+});
+
+test('invalid terms, payment options and costs of capital are refused', () => {
+  const refused = (options, message) => assert.throws(
+    () => optimizeCommitments({ history: steadyHistory, catalog, rates, ...options }),
+    error => error instanceof CommitmentError && error.status === 400 && message.test(error.message)
+  );
+
+  refused({ term: '5yr' }, /term must be one of: 1yr, 3yr/);
+  refused({ payment: 'monthly' }, /payment must be one of: no-upfront, partial-upfront, all-upfront/);
+  refused({ costOfCapital: -0.01 }, /costOfCapital must be a non-negative number/);
+  refused({ costOfCapital: NaN }, /costOfCapital/);
+});
@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseCURCsv } = require('../lib/curParser');
+const { createPricingCatalog } = require('../lib/pricingCatalog');
+
+// One export per header style: legacy CUR (lineItem/UsageType), CUR 2.0
+// (line_item_usage_type, billed in EUR) and Cost Explorer (UsageType)
+const FIXTURES = path.join(__dirname, 'fixtures', 'cur');
+
+const knownSKUs = Object.keys(createPricingCatalog({ catalogDir: path.join(__dirname, '..', 'catalog') }).getLatest().skus);
+
+const parseFixture = (name) => parseCURCsv(fs.readFileSync(path.join(FIXTURES, name), 'utf8'), { knownSKUs });
+
+const skuSummary = (result) => Object.fromEntries(result.skus.map(sku => [sku.skuId, { usage: sku.usage, totalCost: sku.totalCost, unit: sku.unit }]));
+
+test('legacy CUR: usage rows add up per SKU, with regions from the column or the usage type prefix', () => {
+  const result = parseFixture('cur-legacy.csv');
+
+  assert.deepEqual(skuSummary(result), {
+    'EC2-t3.micro-us-east-1': { usage: 820, totalCost: 8.53, unit: 'hours' },
+    // No region column value: EUC1- is Frankfurt
+    'EC2-t3.small-eu-central-1': { usage: 360, totalCost: 8.64, unit: 'hours' },
+    'S3-Standard-us-east-1': { usage: 512.5, totalCost: 11.79, unit: 'GB' },
+    // CloudFront's region is "global"
+    'CloudFront-DataTransfer-us-east-1': { usage: 100, totalCost: 8.5, unit: 'GB' }
+  });
+  assert.equal(result.totalCost, 37.46);
+});
+
+test('legacy CUR: usage without a catalog SKU is reported, not priced; fees that aren\'t usage are skipped', () => {
+  const result = parseFixture('cur-legacy.csv');
+
+  assert.deepEqual(result.unmatched, [
+    { usageType: 'BoxUsage:m5.large', skuId: 'EC2-m5.large-us-east-1', usage: 720, cost: 69.12 },
+    // SQS requests look like SNS's usage type but aren't SNS
+    { usageType: 'Requests-Tier1', skuId: null, usage: 1000000, cost: 0.4 }
+  ]);
+  // The reserved instance fee
+  assert.equal(result.skippedLineItems, 1);
+});
+
+test('legacy CUR: tax, credits and support become adjustments, one per type and description', () => {
+  const result = parseFixture('cur-legacy.csv');
+
+  assert.deepEqual(result.adjustments.map(({ type, description, amount, source }) => ({ type, description, amount, source })), [
+    { type: 'tax', description: 'Sales tax', amount: 2, source: 'cur-csv' },
+    { type: 'credit', description: 'AWS Activate credit', amount: -5, source: 'cur-csv' },
+    { type: 'support', description: 'AWS Support (Developer)', amount: 29, source: 'cur-csv' }
+  ]);
+  // Matched and unmatched usage plus adjustments; the skipped fee isn't in it
+  assert.equal(result.sourceTotal, 132.98);
+});
+
+test('legacy CUR: the bill\'s month, currency, invoice and payer account are read', () => {
+  const { billingPeriod, currency, invoiceNumber, accountId } = parseFixture('cur-legacy.csv');
+
+  assert.deepEqual({ billingPeriod, currency, invoiceNumber, accountId }, {
+    billingPeriod: '2025-10',
+    currency: 'USD',
+    invoiceNumber: 'EUINUS25-100200',
+    accountId: '123456789012'
+  });
+});
+
+test('CUR 2.0: column names map the same way; the month most rows fall in is the billing period', () => {
+  const result = parseFixture('cur2-eur.csv');
+
+  assert.deepEqual(skuSummary(result), {
+    'EC2-t3.small-eu-west-1': { usage: 1104, totalCost: 22.08, unit: 'hours' },
+    'DataTransfer-InternetEgress-eu-west-1': { usage: 250, totalCost: 20.25, unit: 'GB' },
+    'SNS-Requests-eu-west-1': { usage: 2000000, totalCost: 0.92, unit: 'requests' }
+  });
+  // Costs stay in the export's currency; conversion happens on upload
+  assert.equal(result.currency, 'EUR');
+  assert.equal(result.billingPeriod, '2025-09');
+  assert.equal(result.accountId, '210987654321');
+  assert.equal(result.invoiceNumber, null);
+});
+
+test('Cost Explorer: usage quantities with thousands separators, regions from prefixes, unknown regions unmatched', () => {
+  const result = parseFixture('cost-explorer.csv');
+
+  assert.deepEqual(skuSummary(result), {
+    'RDS-db.t3.micro-us-east-1': { usage: 1440, totalCost: 24.48, unit: 'hours' },
+    'SES-EmailSending-us-west-2': { usage: 50000, totalCost: 5, unit: 'emails' }
+  });
+  // The catalog has no eu-west-2 SKUs
+  assert.deepEqual(result.unmatched, [{ usageType: 'EUW2-BoxUsage:t3.micro', skuId: 'EC2-t3.micro-eu-west-2', usage: 720, cost: 8.21 }]);
+  assert.equal(result.billingPeriod, null);
+  assert.equal(result.currency, null);
+});
+
+test('CSVs without usage type, amount and cost columns are refused', () => {
+  assert.throws(
+    () => parseCURCsv('Service,UnblendedCost\nAmazon EC2,12.00\n', { knownSKUs }),
+    /CSV is missing required columns: lineitemusagetype, lineitemusageamount/
+  );
+});
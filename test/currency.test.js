@@ -0,0 +1,119 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStore } = require('../lib/storage/fileStore');
+const { CurrencyError, detectCurrency, convertParseResult, toInvoiceCurrency, createExchangeRates } = require('../lib/currency');
+
+// Rates for 2025-08 to 2025-10; GBP stops at 2025-09 and JPY at 2025-08
+const CATALOG_DIR = path.join(__dirname, 'fixtures', 'catalogs');
+const INVOICES = path.join(__dirname, 'fixtures', 'invoices');
+
+const dataDirs = [];
+after(() => dataDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+const createStore = () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rates-'));
+  dataDirs.push(dataDir);
+  return createFileStore({ dataDir });
+};
+
+test('the invoice currency is what the document states, else its most used symbol', () => {
+  const invoice = (name) => fs.readFileSync(path.join(INVOICES, name), 'utf8');
+
+  assert.equal(detectCurrency(invoice('non-usd.txt')), 'EUR');
+  assert.equal(detectCurrency(invoice('zero-decimal.txt')), 'JPY');
+  assert.equal(detectCurrency(invoice('multi-region.txt')), 'USD');
+  assert.equal(detectCurrency('Subtotal £12.00, shipping £1.00, fee $2.00'), 'GBP');
+  assert.equal(detectCurrency('A$40.00 per month'), 'AUD');
+  assert.equal(detectCurrency(''), 'USD');
+});
+
+test('a month\'s own rate is used when the table has one', () => {
+  const rates = createExchangeRates({ catalogDir: CATALOG_DIR });
+
+  assert.deepEqual(rates.rateFor('EUR', '2025-09'), { rate: 1.2, period: '2025-09' });
+  assert.deepEqual(rates.rateFor('USD', '2025-01'), { rate: 1, period: '2025-01' });
+});
+
+test('months without a rate, including those after the table ends, use the latest earlier month', () => {
+  const rates = createExchangeRates({ catalogDir: CATALOG_DIR });
+
+  // GBP and JPY have no 2025-10 entry
+  assert.deepEqual(rates.rateFor('GBP', '2025-10'), { rate: 1.25, period: '2025-09' });
+  assert.deepEqual(rates.rateFor('JPY', '2025-10'), { rate: 0.007, period: '2025-08' });
+  // The table ends at 2025-10
+  assert.deepEqual(rates.rateFor('EUR', '2026-03'), { rate: 1.25, period: '2025-10' });
+});
+
+test('months before the first rate and unknown currencies are refused', () => {
+  const rates = createExchangeRates({ catalogDir: CATALOG_DIR });
+
+  assert.throws(() => rates.rateFor('EUR', '2025-07'), error => error instanceof CurrencyError && error.status === 422);
+  assert.throws(() => rates.rateFor('CHF', '2025-10'), error => error instanceof CurrencyError && error.status === 400);
+  // AUD is supported but has no rate at all
+  assert.throws(() => rates.rateFor('AUD', '2025-10'), /No AUD exchange rate for 2025-10 or earlier/);
+});
+
+test('amounts convert to the base currency and back at the invoice\'s rate', () => {
+  const parsed = {
+    skus: [{
+      skuId: 'EC2-t3.medium-eu-central-1',
+      usage: 22702,
+      totalCost: 1005.69,
+      rate: 0.0443,
+      lineItems: [{ description: 'On Demand t3.medium', rate: 0.0443, cost: 1005.69 }]
+    }],
+    totalCost: 1005.69,
+    unmatched: [{ description: 'SQS requests', rate: null, cost: 0.4 }],
+    adjustments: [{ type: 'tax', amount: 191.26 }],
+    printedTotal: 1197.35
+  };
+
+  const converted = convertParseResult(parsed, 1.25);
+  assert.equal(converted.skus[0].totalCost, 1257.11);
+  assert.equal(converted.skus[0].usage, 22702);
+  assert.equal(converted.skus[0].rate, 0.0443 * 1.25);
+  assert.equal(converted.skus[0].lineItems[0].cost, 1257.11);
+  assert.equal(converted.totalCost, 1257.11);
+  assert.equal(converted.unmatched[0].cost, 0.5);
+  assert.equal(converted.unmatched[0].rate, null);
+  assert.equal(converted.adjustments[0].amount, 239.08);
+  assert.equal(converted.printedTotal, 1496.69);
+  // Usage estimated from cost at USD prices scales with the cost
+  assert.equal(convertParseResult(parsed, 1.25, { usageFromCost: true }).skus[0].usage, 28378);
+  // Nothing to do at a rate of 1
+  assert.equal(convertParseResult(parsed, 1), parsed);
+
+  const invoice = { currency: { code: 'EUR', rate: 1.25, ratePeriod: '2025-10' } };
+  assert.equal(toInvoiceCurrency(1257.11, invoice), 1005.69);
+  assert.equal(toInvoiceCurrency(10, {}), 10);
+});
+
+test('rates set at runtime are stored, merged with the month\'s others and loaded after a restart', async () => {
+  const storage = createStore();
+  const before = fs.readFileSync(path.join(CATALOG_DIR, 'exchange-rates.json'), 'utf8');
+  const rates = createExchangeRates({ catalogDir: CATALOG_DIR, storage });
+
+  assert.deepEqual(await rates.setRates('2025-10', { GBP: 1.33 }, 'ECB'), { EUR: 1.25, GBP: 1.33 });
+  assert.deepEqual(await rates.setRates('2025-11', { EUR: 1.16 }), { EUR: 1.16 });
+  assert.deepEqual(rates.rateFor('GBP', '2025-10'), { rate: 1.33, period: '2025-10' });
+  assert.equal(fs.readFileSync(path.join(CATALOG_DIR, 'exchange-rates.json'), 'utf8'), before);
+
+  const restarted = createExchangeRates({ catalogDir: CATALOG_DIR, storage });
+  assert.deepEqual(restarted.rateFor('EUR', '2025-12'), { rate: 1.25, period: '2025-10' });
+  await restarted.loadStored();
+  assert.deepEqual(restarted.rateFor('EUR', '2025-12'), { rate: 1.16, period: '2025-11' });
+  assert.deepEqual(restarted.rateFor('GBP', '2025-10'), { rate: 1.33, period: '2025-10' });
+  assert.equal(restarted.get().source, 'ECB');
+});
+
+test('invalid periods and rates are refused', async () => {
+  const rates = createExchangeRates({ catalogDir: CATALOG_DIR, storage: createStore() });
+
+  await assert.rejects(rates.setRates('2025-13', { EUR: 1.1 }), /YYYY-MM/);
+  await assert.rejects(rates.setRates('2025-11', { EUR: 0 }), /EUR: rate must be a positive number/);
+  await assert.rejects(rates.setRates('2025-11', { USD: 1 }), /Unsupported currency USD/);
+  await assert.rejects(rates.setRates('2025-11', undefined), CurrencyError);
+});
@@ -0,0 +1,114 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStore } = require('../lib/storage/fileStore');
+const { UploadError } = require('../lib/uploads');
+const {
+  DuplicateInvoiceError,
+  contentHash,
+  extractInvoiceIdentity,
+  findDuplicates,
+  describeDuplicates,
+  ownDuplicates,
+  clearDuplicateReferences
+} = require('../lib/duplicates');
+
+const dataDirs = [];
+after(() => dataDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+const createStore = () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicates-'));
+  dataDirs.push(dataDir);
+  return createFileStore({ dataDir });
+};
+
+const stored = [
+  {
+    id: 'invoice-1',
+    customerId: 'customer-acme',
+    customerName: 'Acme',
+    billingPeriod: '2025-09',
+    originalFileName: 'acme-sept.pdf',
+    contentHash: contentHash('acme september'),
+    invoiceNumber: 'EUINUS25-100200',
+    accountHash: 'hash-acme'
+  },
+  // Stored before customer ids and billing periods: both come from the name and the upload date
+  { id: 'invoice-2', customerName: 'Beta', uploadDate: '2025-10-03T09:00:00.000Z', accountHash: 'hash-beta' }
+];
+
+test('the invoice number and AWS account id are read from the invoice text', () => {
+  assert.deepEqual(
+    extractInvoiceIdentity('Amazon Web Services\nInvoice Number: EUINUS25-100200\nAWS Account Number: 1234-5678-9012\n'),
+    { invoiceNumber: 'EUINUS25-100200', accountId: '123456789012' }
+  );
+  assert.deepEqual(extractInvoiceIdentity('Account ID 210987654321 · Invoice # 2025INV77'), { invoiceNumber: '2025INV77', accountId: '210987654321' });
+  assert.deepEqual(extractInvoiceIdentity('Invoice summary'), { invoiceNumber: null, accountId: null });
+  assert.deepEqual(extractInvoiceIdentity(undefined), { invoiceNumber: null, accountId: null });
+});
+
+test('an identical file, the same invoice number, or the same account and month is a duplicate', () => {
+  assert.deepEqual(findDuplicates(stored, { contentHash: contentHash('acme september'), invoiceNumber: 'EUINUS25-100200', accountHash: 'hash-acme', billingPeriod: '2025-09' }), [{
+    invoiceId: 'invoice-1',
+    customerId: 'customer-acme',
+    customerName: 'Acme',
+    billingPeriod: '2025-09',
+    originalFileName: 'acme-sept.pdf',
+    reasons: ['content-hash', 'invoice-number', 'account-period']
+  }]);
+  // The same bill exported as CUR: no invoice number, a different file
+  assert.deepEqual(findDuplicates(stored, { contentHash: contentHash('cur'), invoiceNumber: null, accountHash: 'hash-beta', billingPeriod: '2025-10' }), [{
+    invoiceId: 'invoice-2',
+    customerId: 'customer-beta',
+    customerName: 'Beta',
+    billingPeriod: '2025-10',
+    originalFileName: null,
+    reasons: ['account-period']
+  }]);
+});
+
+test('the same account in another month, or a missing identity, is not a duplicate', () => {
+  assert.deepEqual(findDuplicates(stored, { contentHash: contentHash('acme october'), invoiceNumber: 'EUINUS25-100999', accountHash: 'hash-acme', billingPeriod: '2025-10' }), []);
+  // Invoices without a number or account must not all match each other
+  assert.deepEqual(findDuplicates(stored, { contentHash: null, invoiceNumber: null, accountHash: null, billingPeriod: '2025-10' }), []);
+});
+
+test('duplicates are described by whose bill they are and why, and rejected as a 409 upload error', () => {
+  const duplicates = findDuplicates(stored, { contentHash: contentHash('acme september'), invoiceNumber: 'EUINUS25-100200', accountHash: 'hash-beta', billingPeriod: '2025-10' });
+
+  assert.equal(describeDuplicates(duplicates), 'Acme\'s 2025-09 invoice (identical file, same invoice number); Beta\'s 2025-10 invoice (same AWS account and billing month)');
+
+  const error = new DuplicateInvoiceError(duplicates);
+  assert.ok(error instanceof UploadError);
+  assert.equal(error.status, 409);
+  assert.deepEqual(error.details, { duplicates });
+  assert.match(error.message, /^Invoice already uploaded: Acme's 2025-09 invoice/);
+});
+
+test('members only see duplicate entries from their own organization', () => {
+  const duplicates = [
+    { invoiceId: 'invoice-1', customerId: 'customer-acme', reasons: ['invoice-number'] },
+    { invoiceId: 'invoice-2', customerId: 'customer-beta', reasons: ['account-period'] }
+  ];
+
+  assert.deepEqual(ownDuplicates(duplicates, 'customer-acme'), [duplicates[0]]);
+  assert.deepEqual(ownDuplicates(duplicates, 'customer-gamma'), []);
+});
+
+test('replacing invoices drops them from the other invoices\' duplicate flags', async () => {
+  const storage = createStore();
+  const flagged = { id: 'invoice-3', customerName: 'Acme', duplicateOf: [{ invoiceId: 'invoice-1' }, { invoiceId: 'invoice-4' }] };
+  const original = { id: 'invoice-4', customerName: 'Acme', duplicatedBy: [{ invoiceId: 'invoice-3' }] };
+  const untouched = { id: 'invoice-5', customerName: 'Beta', duplicatedBy: [{ invoiceId: 'invoice-6' }] };
+  for (const invoice of [flagged, original, untouched]) {
+    await storage.put('invoices', invoice);
+  }
+
+  await clearDuplicateReferences(storage, ['invoice-1', 'invoice-3']);
+
+  assert.deepEqual((await storage.get('invoices', 'invoice-3')).duplicateOf, [{ invoiceId: 'invoice-4' }]);
+  assert.deepEqual((await storage.get('invoices', 'invoice-4')).duplicatedBy, []);
+  assert.deepEqual(await storage.get('invoices', 'invoice-5'), untouched);
+});
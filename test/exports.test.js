@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Papa = require('papaparse');
+const { unzipSync, strFromU8 } = require('fflate');
+const { EXPORT_TABLES, toCSV, toXLSX, exportSnapshot } = require('../lib/exports');
+
+// A two-member report as reports.js builds it, cut down to the fields exports read
+const report = {
+  poolId: 'pool-default',
+  poolName: 'Main Pool',
+  period: '2025-10',
+  allocationStrategy: 'proportional',
+  catalogVersion: 2,
+  catalogEffectiveDate: '2025-10-01',
+  baseCurrency: 'USD',
+  generatedAt: '2025-11-02T08:00:00.000Z',
+  poolMembers: 2,
+  totals: { standalone: 1763.4, pooled: 1737.41, savings: 25.99 },
+  // Presentation only: not part of the snapshot
+  kind: 'pool',
+  title: 'Pool Savings Report',
+  allocationStrategyName: 'Proportional',
+  rows: [
+    { customerName: 'Acme & Sons', customerId: 'customer-acme', invoiceId: 'invoice-1', standalone: 757.6, pooled: 746.39, freeTierCredit: 15.6, savings: 11.21, percentage: 1.48, amountDue: 770.39, standaloneAmountDue: 781.6, currency: 'EUR', pendingReview: false },
+    { customerName: '=HYPERLINK("http://example.com","Beta")', customerId: 'customer-beta', invoiceId: 'invoice-2', standalone: 1005.8, pooled: 991.02, freeTierCredit: 7.8, savings: 14.78, percentage: 1.47, amountDue: 991.02, standaloneAmountDue: 1005.8, currency: 'USD', pendingReview: true }
+  ],
+  memberSKUs: [
+    { customerName: 'Acme & Sons', customerId: 'customer-acme', invoiceId: 'invoice-1', skuId: 'S3-Standard-us-east-1', service: 'S3', region: 'us-east-1', unit: 'GB', usage: 30000, freeTierUsage: 0, standalone: 690, pooled: 680.4, freeTierCredit: 0, savings: 9.6, percentage: 1.39, poolingKey: 'S3-Standard-us-east-1', poolUsage: null, tierReached: null }
+  ],
+  skus: [
+    { skuId: 'S3-Standard-us-east-1', service: 'S3', region: 'us-east-1', unit: 'GB', members: 2, usage: 70000, standalone: 1610, pooled: 1587.2, freeTierCredit: 0, savings: 22.8, percentage: 1.42, poolingKey: 'S3-Standard-us-east-1', poolUsage: 70000, tierReached: { tier: 2, tierCount: 3 } }
+  ]
+};
+
+const parseCSV = (csv) => Papa.parse(csv, { header: true }).data;
+
+test('CSV: one table with a header row; missing values are blank and tiers read "n of m"', () => {
+  const [sku] = parseCSV(toCSV(report, 'skus'));
+  const [memberSKU] = parseCSV(toCSV(report, 'member-skus'));
+
+  assert.deepEqual(Object.keys(sku), EXPORT_TABLES.skus.columns.map(([header]) => header));
+  assert.equal(sku['Tier reached'], '2 of 3');
+  assert.equal(sku['Savings'], '22.8');
+  // Withheld pool volume and an unknown tier
+  assert.equal(memberSKU['Pool usage'], '');
+  assert.equal(memberSKU['Tier reached'], '');
+});
+
+test('CSV: text a spreadsheet would run as a formula is escaped', () => {
+  const csv = toCSV(report, 'members');
+  const [acme, beta] = parseCSV(csv);
+
+  assert.equal(acme.Member, 'Acme & Sons');
+  assert.equal(beta.Member, '\'=HYPERLINK("http://example.com","Beta")');
+  assert.ok(!csv.includes(',=HYPERLINK') && !csv.includes('\n=HYPERLINK'));
+  assert.deepEqual([acme['In review'], beta['In review']], ['no', 'yes']);
+  assert.equal(acme['Billing currency'], 'EUR');
+});
+
+test('XLSX: a workbook package with one sheet per table, numbers as numbers and escaped text', () => {
+  const files = unzipSync(new Uint8Array(toXLSX(report)));
+  const file = (name) => strFromU8(files[name]);
+
+  assert.deepEqual(Object.keys(files).sort(), [
+    '[Content_Types].xml',
+    '_rels/.rels',
+    'xl/_rels/workbook.xml.rels',
+    'xl/styles.xml',
+    'xl/workbook.xml',
+    'xl/worksheets/sheet1.xml',
+    'xl/worksheets/sheet2.xml',
+    'xl/worksheets/sheet3.xml'
+  ]);
+  assert.deepEqual([...file('xl/workbook.xml').matchAll(/<sheet name="([^"]+)" sheetId="(\d)" r:id="rId(\d)"\/>/g)].map(match => match.slice(1)), [
+    ['Member SKUs', '1', '1'],
+    ['Members', '2', '2'],
+    ['SKUs', '3', '3']
+  ]);
+  ['sheet1', 'sheet2', 'sheet3'].forEach(sheet => {
+    assert.ok(file('[Content_Types].xml').includes(`<Override PartName="/xl/worksheets/${sheet}.xml"`));
+    assert.ok(file('xl/_rels/workbook.xml.rels').includes(`Target="worksheets/${sheet}.xml"`));
+  });
+
+  const members = file('xl/worksheets/sheet2.xml');
+  // Bold header row, then one row per member
+  assert.match(members, /<c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">Member<\/t><\/is><\/c>/);
+  assert.equal([...members.matchAll(/<row r="\d+">/g)].length, 3);
+  assert.ok(members.includes('<c r="D2"><v>757.6</v></c>'));
+  assert.ok(members.includes('<t xml:space="preserve">Acme &amp; Sons</t>'));
+  assert.ok(members.includes('<t xml:space="preserve">=HYPERLINK(&quot;http://example.com&quot;,&quot;Beta&quot;)</t>'));
+  // Blank cells (pool usage and tier reached) are left out; zeros aren't
+  const memberSKUs = file('xl/worksheets/sheet1.xml');
+  assert.ok(memberSKUs.includes('<c r="I2"><v>0</v></c>'));
+  assert.ok(!memberSKUs.includes('<c r="P2"') && !memberSKUs.includes('<c r="Q2"'));
+});
+
+test('JSON snapshot: the report\'s figures without its presentation fields', () => {
+  const snapshot = exportSnapshot(report);
+
+  assert.deepEqual(Object.keys(snapshot), [
+    'poolId', 'poolName', 'period', 'allocationStrategy', 'catalogVersion', 'catalogEffectiveDate',
+    'baseCurrency', 'generatedAt', 'poolMembers', 'totals', 'members', 'memberSKUs', 'skus'
+  ]);
+  assert.equal(snapshot.members, report.rows);
+  assert.deepEqual([snapshot.kind, snapshot.title, snapshot.allocationStrategyName], [undefined, undefined, undefined]);
+  assert.deepEqual(JSON.parse(JSON.stringify(snapshot)).totals, report.totals);
+});
@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { buildRows, parseInvoiceLineItems } = require('../lib/invoiceLineItemParser');
+const { createPricingCatalog } = require('../lib/pricingCatalog');
+
+// Sample invoices are plain text laid out like the PDF: indentation is the
+// hierarchy (service → region → usage type → usage row) and two or more spaces
+// separate cells. They're turned into the positioned text runs pdfjs
+// getTextContent returns, so buildRows is exercised too.
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'invoices');
+
+const knownSKUs = Object.keys(createPricingCatalog({ catalogDir: path.join(__dirname, '..', 'catalog') }).getLatest().skus);
+
+const textRuns = (text) => {
+  const items = [];
+  text.split('\n').forEach((line, index) => {
+    const indent = line.match(/^ */)[0].length;
+    line.trim().split(/\s{2,}/).filter(Boolean).forEach((str, cell) => {
+      // Labels sit at their indent, amounts in right-hand columns
+      const x = cell === 0 ? 50 + indent * 5 : 300 + cell * 80;
+      items.push({ str, transform: [1, 0, 0, 1, x, 800 - index * 12] });
+    });
+  });
+  return items;
+};
+
+const parseFixture = (name) => {
+  const text = fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+  return parseInvoiceLineItems(buildRows([textRuns(text)]), { knownSKUs });
+};
+
+const skuSummary = (result) => Object.fromEntries(result.skus.map(sku => [sku.skuId, { usage: sku.usage, totalCost: sku.totalCost, unit: sku.unit }]));
+
+const adjustmentSummary = (result) => result.adjustments.map(({ type, amount }) => ({ type, amount }));
+
+test('multi-region invoice: SKUs keep the region they are listed under', () => {
+  const result = parseFixture('multi-region.txt');
+
+  assert.deepEqual(skuSummary(result), {
+    'EC2-t3.small-us-east-1': { usage: 720, totalCost: 14.98, unit: 'hours' },
+    'EC2-t3.medium-us-east-1': { usage: 720, totalCost: 29.95, unit: 'hours' },
+    'EC2-t3.medium-eu-west-1': { usage: 1080, totalCost: 49.23, unit: 'hours' },
+    'EC2-t3.medium-ap-southeast-2': { usage: 720, totalCost: 35.04, unit: 'hours' },
+    'S3-Standard-eu-central-1': { usage: 500, totalCost: 12.25, unit: 'GB' },
+    'DataTransfer-InternetEgress-us-west-2': { usage: 120.5, totalCost: 10.85, unit: 'GB' }
+  });
+  assert.equal(Math.round(result.totalCost * 100) / 100, 152.3);
+  assert.deepEqual(result.adjustments, []);
+});
+
+test('multi-region invoice: unpriced usage is reported, not folded into the previous service', () => {
+  const result = parseFixture('multi-region.txt');
+
+  assert.deepEqual(result.unmatched.map(row => ({ service: row.service, region: row.region, cost: row.cost, skuId: row.skuId })), [
+    { service: 'Amazon Elastic Compute Cloud', region: 'us-east-1', cost: 2.49, skuId: null },
+    { service: 'Amazon Simple Queue Service', region: 'us-east-1', cost: 0.4, skuId: null }
+  ]);
+});
+
+test('tiered invoice: every tier row of a SKU adds up, Free Tier rows included', () => {
+  const result = parseFixture('tiered.txt');
+
+  assert.deepEqual(skuSummary(result), {
+    'S3-Standard-us-east-1': { usage: 60000, totalCost: 1370, unit: 'GB' },
+    'EC2-t3.micro-us-east-1': { usage: 1750, totalCost: 10.4, unit: 'hours' },
+    'SES-EmailSending-us-east-1': { usage: 100000, totalCost: 3.8, unit: 'emails' }
+  });
+  const s3 = result.skus.find(sku => sku.skuId === 'S3-Standard-us-east-1');
+  assert.deepEqual(s3.lineItems.map(item => item.rate), [0.023, 0.022]);
+  assert.equal(Math.round(s3.rate * 1e6) / 1e6, 0.022833);
+  assert.deepEqual(result.unmatched, []);
+});
+
+test('credits invoice: credit, refund, tax and support sections become adjustments', () => {
+  const result = parseFixture('credits.txt');
+
+  assert.deepEqual(skuSummary(result), {
+    'RDS-db.t3.small-us-east-1': { usage: 720, totalCost: 24.48, unit: 'hours' },
+    'CloudFront-DataTransfer-us-east-1': { usage: 100, totalCost: 8.5, unit: 'GB' }
+  });
+  assert.deepEqual(adjustmentSummary(result), [
+    { type: 'support', amount: 29 },
+    { type: 'credit', amount: -25 },
+    { type: 'refund', amount: -5 },
+    { type: 'tax', amount: 6.22 }
+  ]);
+  // Detail rows under an adjustment section aren't usage
+  assert.deepEqual(result.unmatched, []);
+});
+
+test('non-USD invoice: amounts are read in the invoice currency', () => {
+  const result = parseFixture('non-usd.txt');
+
+  assert.deepEqual(skuSummary(result), {
+    'EC2-t3.medium-eu-central-1': { usage: 22702, totalCost: 1005.69, unit: 'hours' },
+    'SNS-Requests-eu-west-1': { usage: 3000000, totalCost: 0.92, unit: 'requests' }
+  });
+  assert.deepEqual(adjustmentSummary(result), [{ type: 'tax', amount: 191.26 }]);
+});
+
+test('zero-decimal currency invoice: whole amounts parse', () => {
+  const result = parseFixture('zero-decimal.txt');
+
+  assert.deepEqual(skuSummary(result), {
+    'EC2-t3.small-us-east-1': { usage: 2880, totalCost: 8640, unit: 'hours' },
+    'S3-Standard-us-east-1': { usage: 500, totalCost: 1740, unit: 'GB' }
+  });
+  assert.deepEqual(adjustmentSummary(result), [
+    { type: 'credit', amount: -500 },
+    { type: 'tax', amount: 988 }
+  ]);
+});
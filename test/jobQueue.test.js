@@ -0,0 +1,92 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStore } = require('../lib/storage/fileStore');
+const { JobNotFoundError, isFinished, createJobQueue } = require('../lib/jobQueue');
+
+const dataDirs = [];
+after(() => dataDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+const createStore = () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+  dataDirs.push(dataDir);
+  return createFileStore({ dataDir });
+};
+
+// Poll until every job of the batch has finished
+const finished = async (queue, batchId) => {
+  for (let attempt = 0; attempt < 200; attempt += 1) {
+    const jobs = await queue.list({ batchId });
+    if (jobs.every(isFinished)) return jobs;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error(`Batch ${batchId} didn't finish`);
+};
+
+const inputs = (...labels) => labels.map(label => ({ label, input: label }));
+
+test('jobs run in upload order and keep their results and errors', async () => {
+  const order = [];
+  const queue = createJobQueue({
+    storage: createStore(),
+    handlers: {
+      echo: async (input) => {
+        order.push(input);
+        if (input === 'broken.pdf') {
+          throw Object.assign(new Error('Not an invoice'), { status: 422, details: { reason: 'no totals' } });
+        }
+        return { parsed: input };
+      }
+    }
+  });
+
+  const { batchId } = await queue.enqueueBatch('echo', inputs('a.pdf', 'broken.pdf', 'c.csv'), { createdBy: 'user-1' });
+
+  const done = await finished(queue, batchId);
+  assert.deepEqual(order, ['a.pdf', 'broken.pdf', 'c.csv']);
+  assert.deepEqual(done.map(job => [job.label, job.status]), [['a.pdf', 'succeeded'], ['broken.pdf', 'failed'], ['c.csv', 'succeeded']]);
+  assert.deepEqual(done[0].result, { parsed: 'a.pdf' });
+  assert.deepEqual(done[1].error, { message: 'Not an invoice', status: 422, reason: 'no totals' });
+});
+
+test('batches queued at the same moment keep all their jobs', async () => {
+  const queue = createJobQueue({ storage: createStore(), handlers: { echo: async (input) => input } });
+
+  const [first, second] = await Promise.all([
+    queue.enqueueBatch('echo', inputs('one.pdf', 'two.pdf')),
+    queue.enqueueBatch('echo', inputs('three.pdf', 'four.pdf'))
+  ]);
+  assert.notEqual(first.batchId, second.batchId);
+  assert.equal(new Set([...first.jobs, ...second.jobs].map(job => job.id)).size, 4);
+
+  assert.deepEqual((await finished(queue, first.batchId)).map(job => job.label), ['one.pdf', 'two.pdf']);
+  assert.deepEqual((await finished(queue, second.batchId)).map(job => job.label), ['three.pdf', 'four.pdf']);
+  assert.equal((await queue.list()).length, 4);
+});
+
+test('users only look up the jobs they queued', async () => {
+  const queue = createJobQueue({ storage: createStore(), handlers: { echo: async (input) => input } });
+  const { jobs: [job] } = await queue.enqueueBatch('echo', inputs('mine.pdf'), { createdBy: 'user-1' });
+
+  assert.equal((await queue.get(job.id, { createdBy: 'user-1' })).label, 'mine.pdf');
+  await assert.rejects(queue.get(job.id, { createdBy: 'user-2' }), JobNotFoundError);
+  assert.deepEqual(await queue.list({ createdBy: 'user-2' }), []);
+});
+
+test('after a restart, jobs the previous process hadn\'t finished are failed', async () => {
+  const storage = createStore();
+  // The first process never gets to finish its jobs
+  const stalled = createJobQueue({ storage, handlers: { parse: () => new Promise(() => {}) } });
+  const { batchId } = await stalled.enqueueBatch('parse', inputs('started.pdf', 'waiting.pdf'));
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.deepEqual((await stalled.list({ batchId })).map(job => job.status), ['processing', 'queued']);
+
+  const restarted = createJobQueue({ storage, handlers: { parse: async (input) => input } });
+  assert.equal(await restarted.recoverInterrupted(), 2);
+  const jobs = await restarted.list({ batchId });
+  assert.deepEqual(jobs.map(job => job.status), ['failed', 'failed']);
+  assert.equal(jobs[0].error.status, 503);
+  assert.equal(await restarted.recoverInterrupted(), 0);
+});
@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createMockProvider } = require('../lib/llm/mock');
+const { createLLMInvoiceParser } = require('../lib/llmInvoiceParser');
+const { convertParseResult } = require('../lib/currency');
+const { validateParseResult, extractPrintedTotal } = require('../lib/parseValidation');
+const { createPricingCatalog } = require('../lib/pricingCatalog');
+
+// The mock provider answers every prompt with a canned completion from
+// test/fixtures/llm, as LLM_PROVIDER=mock with LLM_MOCK_RESPONSE_FILE does.
+// Invoice texts are the line-item parser's fixtures.
+const RESPONSES = path.join(__dirname, 'fixtures', 'llm');
+const invoiceText = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'invoices', name), 'utf8');
+
+const catalog = createPricingCatalog({ catalogDir: path.join(__dirname, '..', 'catalog') }).getActive(new Date('2025-10-01T00:00:00Z'));
+
+const mockParser = (responseFile) => createLLMInvoiceParser({
+  provider: createMockProvider({ responseFile: path.join(RESPONSES, responseFile) })
+});
+
+test('the provider\'s SKUs and adjustments become a parse result in the invoice currency', async () => {
+  const result = await mockParser('non-usd-response.json').parse(invoiceText('non-usd.txt'));
+
+  assert.deepEqual(result.skus.map(({ skuId, usage, totalCost, region, unit }) => ({ skuId, usage, totalCost, region, unit })), [
+    { skuId: 'EC2-t3.medium-eu-central-1', usage: 24175, totalCost: 1005.69, region: 'eu-central-1', unit: 'hours' },
+    { skuId: 'SNS-Requests-eu-west-1', usage: 1840000, totalCost: 0.92, region: 'eu-west-1', unit: 'requests' }
+  ]);
+  assert.deepEqual(result.adjustments.map(({ type, description, amount, source }) => ({ type, description, amount, source })), [
+    { type: 'tax', description: 'VAT', amount: 191.26, source: 'llm' }
+  ]);
+  assert.equal(result.totalCost, 1197.87);
+  assert.deepEqual(result.parser, { method: 'llm', provider: 'mock', model: `mock:${path.join(RESPONSES, 'non-usd-response.json')}` });
+});
+
+test('the prompt carries the invoice text and the region names to use', async () => {
+  const prompts = [];
+  const provider = createMockProvider({ response: JSON.stringify({ skus: [] }) });
+  const generate = async (prompt) => {
+    prompts.push(prompt);
+    return provider.generate(prompt);
+  };
+  const parser = createLLMInvoiceParser({ provider: { ...provider, generate } });
+
+  await parser.parse(invoiceText('non-usd.txt'));
+  assert.equal(prompts.length, 1);
+  assert.ok(prompts[0].includes('EU (Frankfurt)  €1,005.69'));
+  assert.match(prompts[0], /"EU \(Frankfurt\)": eu-central-1/);
+});
+
+test('fenced JSON is read; negative-cost SKUs and unknown adjustment types are classified', async () => {
+  const result = await mockParser('fenced-response.txt').parse('');
+
+  assert.deepEqual(result.skus.map(sku => [sku.skuId, sku.totalCost, sku.region]), [['S3-Standard-us-east-1', 11.5, 'us-east-1']]);
+  assert.deepEqual(result.adjustments.map(({ type, amount }) => [type, amount]), [['support', 29], ['tax', 1.2], ['credit', -5]]);
+  // No total in the answer: the SKUs' sum, the misfiled credit included
+  assert.equal(result.totalCost, 6.5);
+});
+
+test('answers that aren\'t SKU JSON fall back to the regex parser, with the reason', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(console, 'warn', () => {});
+  const notJSON = await createLLMInvoiceParser({ provider: createMockProvider({ response: 'I could not read this invoice.' }) })
+    .parse(invoiceText('multi-region.txt'));
+  const noSKUs = await createLLMInvoiceParser({ provider: createMockProvider({ response: '{"items": []}' }) })
+    .parse(invoiceText('multi-region.txt'));
+
+  assert.equal(notJSON.parser.method, 'regex-fallback');
+  assert.equal(notJSON.parser.fallbackFrom, 'mock');
+  assert.match(notJSON.parser.fallbackReason, /^mock \(mock\) failed: /);
+  assert.match(noSKUs.parser.fallbackReason, /Invalid SKU response structure from mock/);
+  // The regex parser reads the service charge lines
+  assert.ok(notJSON.skus.some(sku => sku.skuId === 'S3-Standard-eu-central-1' && sku.totalCost === 12.25));
+});
+
+test('an unconfigured provider isn\'t called', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const provider = { name: 'gemini', model: 'gemini-1.5-flash', configured: false, notConfiguredReason: 'GEMINI_API_KEY is not set', generate: t.mock.fn() };
+
+  const result = await createLLMInvoiceParser({ provider }).parse(invoiceText('multi-region.txt'));
+  assert.equal(provider.generate.mock.callCount(), 0);
+  assert.equal(result.parser.method, 'regex-fallback');
+  assert.equal(result.parser.fallbackReason, 'gemini provider not configured: GEMINI_API_KEY is not set');
+});
+
+test('upload: a mock-parsed EUR invoice converts at the month\'s rate and reconciles with its printed total', async () => {
+  const text = invoiceText('non-usd.txt');
+  const parsed = { ...await mockParser('non-usd-response.json').parse(text), printedTotal: extractPrintedTotal(text) };
+
+  // As processInvoiceFile does: LLM usage was estimated at USD prices, so it scales with the cost
+  const converted = convertParseResult(parsed, 1.163, { usageFromCost: true });
+  const { skus, validation } = validateParseResult(converted, { catalog });
+
+  assert.deepEqual(skus.map(sku => [sku.skuId, sku.totalCost]), [['EC2-t3.medium-eu-central-1', 1169.62], ['SNS-Requests-eu-west-1', 1.07]]);
+  assert.equal(skus[0].usage, Math.round(24175 * 1.163));
+  assert.equal(validation.reconciliation.printedTotal, 1393.12);
+  assert.equal(validation.reconciliation.reconciled, true);
+  assert.equal(validation.rejected.length, 0);
+});
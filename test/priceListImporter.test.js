@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { readOfferFile, buildCatalogEntries } = require('../lib/priceListImporter');
+const { validateSKUEntry } = require('../lib/pricingCatalog');
+
+// Cut-down offer files in the Price List bulk formats: EC2 (plus an S3 and a
+// data transfer product) as JSON, RDS as CSV
+const FIXTURES = path.join(__dirname, 'fixtures', 'price-lists');
+
+const tiers = (entry) => entry.tiers.map(tier => [tier.minUsage, tier.maxUsage, tier.pricePerUnit]);
+
+test('JSON offers: On-Demand Linux instances, S3 and egress become catalog SKUs', () => {
+  const offer = readOfferFile(path.join(FIXTURES, 'ec2-offer.json'));
+  const { entries } = buildCatalogEntries(offer);
+
+  assert.deepEqual(offer.metadata, { offerCode: 'AmazonEC2', version: '20250901', publicationDate: '2025-09-01T00:00:00Z' });
+  // Windows and capacity reservations are left out
+  assert.deepEqual(Object.keys(entries).sort(), [
+    'DataTransfer-InternetEgress-eu-west-1',
+    'EC2-m5.large-eu-west-1',
+    'EC2-m5.large-us-east-1',
+    'S3-Standard-eu-west-1'
+  ]);
+  assert.deepEqual(entries['EC2-m5.large-eu-west-1'], {
+    service: 'EC2',
+    unit: 'hours',
+    region: 'eu-west-1',
+    aggregation: 'region',
+    tiers: [{ minUsage: 0, maxUsage: null, pricePerUnit: 0.107 }]
+  });
+  // No region code: the location name is mapped
+  assert.equal(entries['EC2-m5.large-us-east-1'].region, 'us-east-1');
+  assert.equal(entries['S3-Standard-eu-west-1'].unit, 'GB');
+});
+
+test('price dimensions become tiers in usage order', () => {
+  const { entries } = buildCatalogEntries(readOfferFile(path.join(FIXTURES, 'ec2-offer.json')));
+
+  // Listed out of order in the offer file
+  assert.deepEqual(tiers(entries['DataTransfer-InternetEgress-eu-west-1']), [[0, 10240, 0.09], [10240, 51200, 0.085], [51200, null, 0.07]]);
+  assert.equal(entries['DataTransfer-InternetEgress-eu-west-1'].aggregation, 'global');
+  assert.deepEqual(tiers(entries['S3-Standard-eu-west-1']), [[0, 51200, 0.023], [51200, null, 0.022]]);
+});
+
+test('products in unknown locations or without a USD On-Demand price are reported as skipped', () => {
+  const ec2 = buildCatalogEntries(readOfferFile(path.join(FIXTURES, 'ec2-offer.json')));
+  const rds = buildCatalogEntries(readOfferFile(path.join(FIXTURES, 'rds-offer.csv')));
+
+  assert.deepEqual(ec2.skipped, [
+    { sku: 'DDD', skuFamily: 'EC2-t3.nano', reason: 'unknown location "Moon Base (Tranquility)"' },
+    { sku: 'EEE', skuFamily: 'EC2-t3.nano', reason: 'no On-Demand USD price' }
+  ]);
+  assert.deepEqual(rds.skipped, [{ sku: 'R4', skuFamily: 'RDS-db.t3.medium', reason: 'no On-Demand USD price' }]);
+});
+
+test('CSV offers: metadata rows are read and only On-Demand Single-AZ MySQL is kept', () => {
+  const offer = readOfferFile(path.join(FIXTURES, 'rds-offer.csv'));
+  const { entries } = buildCatalogEntries(offer);
+
+  assert.deepEqual(offer.metadata, { offerCode: 'AmazonRDS', version: '20250901', publicationDate: '2025-09-01T00:00:00Z' });
+  assert.deepEqual(Object.keys(entries).sort(), ['RDS-db.t3.micro-ap-southeast-2', 'RDS-db.t3.small-us-east-1']);
+  // The Reserved row for the same product isn't a tier
+  assert.deepEqual(tiers(entries['RDS-db.t3.micro-ap-southeast-2']), [[0, null, 0.018]]);
+});
+
+test('the region filter limits the import, and every entry passes catalog validation', () => {
+  const { entries } = buildCatalogEntries(readOfferFile(path.join(FIXTURES, 'ec2-offer.json')), { regions: ['us-east-1'] });
+
+  assert.deepEqual(Object.keys(entries), ['EC2-m5.large-us-east-1']);
+  ['ec2-offer.json', 'rds-offer.csv'].forEach(file => {
+    Object.entries(buildCatalogEntries(readOfferFile(path.join(FIXTURES, file))).entries)
+      .forEach(([skuId, entry]) => assert.doesNotThrow(() => validateSKUEntry(skuId, entry), skuId));
+  });
+});
@@ -0,0 +1,103 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStore } = require('../lib/storage/fileStore');
+const { createPricingCatalog, CatalogValidationError } = require('../lib/pricingCatalog');
+
+// Two small versions: v2 reprices S3, adds an eu-west-1 SKU and doesn't list EC2 us-east-1
+const CATALOG_DIR = path.join(__dirname, 'fixtures', 'catalogs');
+
+const dataDirs = [];
+after(() => dataDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+const createStore = () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalogs-'));
+  dataDirs.push(dataDir);
+  return createFileStore({ dataDir });
+};
+
+const day = (date) => new Date(`${date}T00:00:00Z`);
+
+const sqsEntry = {
+  service: 'SQS',
+  unit: 'requests',
+  region: 'us-east-1',
+  tiers: [{ minUsage: 0, maxUsage: null, pricePerUnit: 0.0000004 }]
+};
+
+test('the active version is the newest one in effect on the date', () => {
+  const catalog = createPricingCatalog({ catalogDir: CATALOG_DIR });
+
+  assert.equal(catalog.getActive(day('2025-03-15')).version, 1);
+  assert.equal(catalog.getActive(day('2025-06-01')).version, 2);
+  // Before the first version, the first version
+  assert.equal(catalog.getActive(day('2024-12-31')).version, 1);
+  assert.deepEqual(catalog.listVersions().map(({ version, skuCount }) => [version, skuCount]), [[1, 2], [2, 2]]);
+});
+
+test('a SKU a version doesn\'t list is priced from the earliest version listing it', () => {
+  const catalog = createPricingCatalog({ catalogDir: CATALOG_DIR });
+
+  // v2 dropped EC2 us-east-1: it comes from v1
+  const v2 = catalog.getVersion(2);
+  assert.equal(v2.skus['EC2-t3.micro-us-east-1'].fromVersion, 1);
+  assert.equal(v2.skus['EC2-t3.micro-us-east-1'].tiers[0].pricePerUnit, 0.0104);
+  // v1 predates the eu-west-1 SKU: it comes from v2
+  const v1 = catalog.getVersion(1);
+  assert.equal(v1.skus['EC2-t3.micro-eu-west-1'].fromVersion, 2);
+  // SKUs a version lists are its own
+  assert.equal(v2.skus['S3-Standard-us-east-1'].fromVersion, undefined);
+  assert.equal(v2.skus['S3-Standard-us-east-1'].tiers[0].pricePerUnit, 0.021);
+  assert.equal(v1.skus['S3-Standard-us-east-1'].tiers[0].pricePerUnit, 0.023);
+});
+
+test('serializing a version leaves out the SKUs filled in from other versions', () => {
+  const catalog = createPricingCatalog({ catalogDir: CATALOG_DIR });
+
+  assert.deepEqual(Object.keys(catalog.serialize(catalog.getVersion(2)).skus).sort(), ['EC2-t3.micro-eu-west-1', 'S3-Standard-us-east-1']);
+});
+
+test('a zero-priced first tier becomes the SKU\'s Free Tier; open-ended tiers load as Infinity', () => {
+  const ec2 = createPricingCatalog({ catalogDir: CATALOG_DIR }).getVersion(1).skus['EC2-t3.micro-us-east-1'];
+
+  assert.deepEqual(ec2.freeTier, { allowance: 750 });
+  assert.deepEqual(ec2.tiers.map(tier => [tier.minUsage, tier.maxUsage, tier.pricePerUnit]), [[0, 10000, 0.0104], [10000, Infinity, 0.0094]]);
+});
+
+test('published versions go to storage, not the catalog directory, and load in a new process', async () => {
+  const storage = createStore();
+  const before = fs.readdirSync(CATALOG_DIR);
+  const catalog = createPricingCatalog({ catalogDir: CATALOG_DIR, storage });
+
+  const published = await catalog.publishVersion({ changes: { 'SQS-Requests-us-east-1': sqsEntry }, effectiveDate: '2025-09-01', source: 'test' });
+  assert.equal(published.version, 3);
+  // Built on the latest version, with its fills still applied
+  assert.equal(published.skus['S3-Standard-us-east-1'].tiers[0].pricePerUnit, 0.021);
+  assert.equal(published.skus['EC2-t3.micro-us-east-1'].fromVersion, 1);
+  assert.deepEqual(fs.readdirSync(CATALOG_DIR), before);
+
+  const restarted = createPricingCatalog({ catalogDir: CATALOG_DIR, storage });
+  assert.equal(restarted.getLatest().version, 2);
+  await restarted.loadPublished();
+  assert.equal(restarted.getActive(day('2025-09-15')).version, 3);
+  assert.ok(restarted.getVersion(3).skus['SQS-Requests-us-east-1']);
+  // Only the version's own SKUs were stored
+  assert.deepEqual(Object.keys((await storage.get('pricing-catalogs', 'pricing-v3')).skus).sort(), ['EC2-t3.micro-eu-west-1', 'S3-Standard-us-east-1', 'SQS-Requests-us-east-1']);
+});
+
+test('invalid SKU entries and version numbers taken by another process are refused', async () => {
+  const storage = createStore();
+  const catalog = createPricingCatalog({ catalogDir: CATALOG_DIR, storage });
+
+  await assert.rejects(
+    catalog.publishVersion({ changes: { 'SQS-Requests-us-east-1': { ...sqsEntry, tiers: [{ minUsage: 0, maxUsage: 100, pricePerUnit: 1 }] } } }),
+    CatalogValidationError
+  );
+  await assert.rejects(catalog.publishVersion({ changes: { 'SQS-Requests-us-east-1': { ...sqsEntry, region: '' } } }), CatalogValidationError);
+
+  // Another server published v3 after this one loaded
+  await createPricingCatalog({ catalogDir: CATALOG_DIR, storage }).publishVersion({ changes: { 'SQS-Requests-us-east-1': sqsEntry } });
+  await assert.rejects(catalog.publishVersion({ changes: { 'SQS-Requests-us-east-1': sqsEntry } }), /published elsewhere/);
+});
@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { computePoolStats } = require('../lib/poolStats');
+const { createPricingCatalog } = require('../lib/pricingCatalog');
+const { redactText, redactParseResult, accountIdSecret, hashAccountId, poolAggregate, memberPoolStats } = require('../lib/privacy');
+
+const catalog = createPricingCatalog({ catalogDir: path.join(__dirname, '..', 'catalog') }).getActive(new Date('2025-10-01T00:00:00Z'));
+
+const invoice = (customerId, skus) => ({
+  id: `${customerId}-2025-10`,
+  customerId,
+  customerName: customerId,
+  billingPeriod: '2025-10',
+  skus: skus.map(([skuId, usage, totalCost, region = 'us-east-1']) => ({ skuId, usage, totalCost, region })),
+  totalCost: skus.reduce((sum, [, , totalCost]) => sum + totalCost, 0)
+});
+
+// Everyone runs EC2; only acme stores data in S3, and only acme and beta use eu-west-1
+const invoices = [
+  invoice('acme', [['EC2-t3.micro-us-east-1', 5000, 52], ['S3-Standard-us-east-1', 30000, 690], ['EC2-t3.small-us-east-1', 700, 14.56, 'eu-west-1']]),
+  invoice('beta', [['EC2-t3.micro-us-east-1', 9000, 93.6], ['EC2-t3.small-us-east-1', 300, 6.24, 'eu-west-1']]),
+  invoice('gamma', [['EC2-t3.micro-us-east-1', 2000, 20.8]])
+];
+
+test('invoice text loses account numbers, emails, phones, addresses and contacts', () => {
+  const { text, redactions } = redactText([
+    'Account Number: 1234-5678-9012',
+    'Linked account 210987654321',
+    'Attn: Jane Doe',
+    'billing@acme.example.com',
+    '410 Terry Ave North, Suite 2',
+    'Seattle, WA 98109',
+    'Phone: +1 (206) 555-0100',
+    'London, EC1A 1BB',
+    'EC2 t3.micro 750 Hrs $7.80'
+  ].join('\n'));
+
+  assert.equal(text, [
+    'Account Number: [account]',
+    'Linked account [account]',
+    '[contact]',
+    '[email]',
+    '[address]',
+    '[address]',
+    '[phone]',
+    '[address]',
+    'EC2 t3.micro 750 Hrs $7.80'
+  ].join('\n'));
+  assert.deepEqual(redactions, { account: 2, contact: 1, email: 1, phone: 1, address: 3 });
+});
+
+test('parse results from unredacted sources have their descriptions redacted', () => {
+  const redacted = redactParseResult({
+    skus: [{ skuId: 'S3-Standard-us-east-1', lineItems: [{ description: 'Storage for 123456789012', cost: 1 }] }],
+    unmatched: [{ description: 'Support for ops@acme.example.com' }],
+    adjustments: [{ description: 'Credit', amount: -5 }]
+  });
+
+  assert.equal(redacted.skus[0].lineItems[0].description, 'Storage for [account]');
+  assert.equal(redacted.unmatched[0].description, 'Support for [email]');
+  assert.equal(redacted.adjustments[0].description, 'Credit');
+});
+
+test('account ids are hashed with ACCOUNT_ID_SECRET, and there is no fallback key', (t) => {
+  const secret = process.env.ACCOUNT_ID_SECRET;
+  t.after(() => {
+    if (secret === undefined) delete process.env.ACCOUNT_ID_SECRET;
+    else process.env.ACCOUNT_ID_SECRET = secret;
+  });
+
+  delete process.env.ACCOUNT_ID_SECRET;
+  assert.throws(accountIdSecret, /ACCOUNT_ID_SECRET is not set/);
+  assert.throws(() => hashAccountId('123456789012'), /ACCOUNT_ID_SECRET is not set/);
+  assert.equal(hashAccountId(null), null);
+
+  process.env.ACCOUNT_ID_SECRET = 'first-secret';
+  const hash = hashAccountId('1234-5678-9012');
+  assert.equal(hash, hashAccountId('123456789012'));
+  assert.doesNotMatch(hash, /123456789012/);
+  process.env.ACCOUNT_ID_SECRET = 'second-secret';
+  assert.notEqual(hashAccountId('123456789012'), hash);
+});
+
+test('pool figures are withheld while fewer than 3 members are behind them', () => {
+  const twoMembers = invoices.slice(0, 2);
+  const aggregate = poolAggregate(computePoolStats(twoMembers, catalog), twoMembers);
+
+  assert.equal(aggregate.minMembers, 3);
+  assert.equal(aggregate.withheld, true);
+  assert.equal(aggregate.totals, undefined);
+
+  const stats = memberPoolStats(computePoolStats(twoMembers, catalog), twoMembers, 'acme');
+  assert.equal(stats.aggregatesWithheld, true);
+  assert.equal(stats.totalCost, null);
+  assert.deepEqual(stats.totalUsage, {});
+  assert.deepEqual(stats.members.map(member => member.customerId), ['acme']);
+});
+
+test('with 3 members, SKUs and regions fewer than 3 of them use stay hidden', () => {
+  const stats = computePoolStats(invoices, catalog);
+  const aggregate = poolAggregate(stats, invoices);
+
+  assert.equal(aggregate.withheld, false);
+  assert.equal(aggregate.totals.standalone, stats.totalCost);
+  assert.deepEqual(aggregate.skus.map(sku => [sku.skuId, sku.memberCount]), [['EC2-t3.micro-us-east-1', 3]]);
+  assert.deepEqual(aggregate.regions.map(region => [region.region, region.memberCount]), [['us-east-1', 3]]);
+  assert.equal(aggregate.hiddenSKUCount, 2);
+  assert.equal(aggregate.hiddenRegionCount, 1);
+  // No names or ids anywhere in the summary
+  assert.doesNotMatch(JSON.stringify(aggregate), /acme|beta|gamma/);
+
+  const member = memberPoolStats(stats, invoices, 'beta');
+  assert.deepEqual(Object.keys(member.totalUsage), ['EC2-t3.micro-us-east-1']);
+  assert.deepEqual(Object.keys(member.regionBreakdown), ['us-east-1']);
+  assert.deepEqual(member.members.map(row => row.customerId), ['beta']);
+});
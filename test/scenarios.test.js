@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { ScenarioError, compareScenarios } = require('../lib/scenarios');
+const { createPricingCatalog } = require('../lib/pricingCatalog');
+
+const catalog = createPricingCatalog({ catalogDir: path.join(__dirname, '..', 'catalog') }).getActive(new Date('2025-10-01T00:00:00Z'));
+
+const invoice = (id, customerId, skus) => ({
+  id,
+  customerId,
+  customerName: customerId,
+  billingPeriod: '2025-10',
+  skus: skus.map(([skuId, usage, totalCost]) => ({ skuId, usage, totalCost, region: 'us-east-1' })),
+  totalCost: skus.reduce((sum, [, , totalCost]) => sum + totalCost, 0)
+});
+
+// Acme has two linked accounts; Gamma is stored but not in the pool
+const base = [
+  invoice('acme-1', 'acme', [['EC2-t3.micro-us-east-1', 5000, 52], ['S3-Standard-us-east-1', 30000, 690]]),
+  invoice('acme-2', 'acme', [['EC2-t3.micro-us-east-1', 3000, 31.2]]),
+  invoice('beta-1', 'beta', [['EC2-t3.micro-us-east-1', 9000, 93.6], ['S3-Standard-us-east-1', 40000, 920]])
+];
+const gamma = invoice('gamma-1', 'gamma', [['S3-Standard-us-east-1', 20000, 460]]);
+
+const compare = (scenarios, strategy = 'proportional') => compareScenarios(base, scenarios, { candidates: [...base, gamma], catalog, strategy });
+
+const cents = (amount) => Math.round(amount * 100);
+const sumOf = (members, field) => members.reduce((sum, member) => sum + member[field], 0);
+
+test('baseline: one row per customer whose pooled shares add up to the pool\'s pooled cost', () => {
+  const { baseline } = compare([]);
+
+  assert.deepEqual(baseline.members.map(({ customerId, invoiceIds, standalone, pooled, savings }) => ({ customerId, invoiceIds, standalone, pooled, savings })), [
+    // Each of Acme's accounts keeps its own 750 Free Tier hours
+    { customerId: 'acme', invoiceIds: ['acme-1', 'acme-2'], standalone: 757.6, pooled: 746.39, savings: 11.21 },
+    { customerId: 'beta', invoiceIds: ['beta-1'], standalone: 1005.8, pooled: 991.02, savings: 14.78 }
+  ]);
+  assert.deepEqual(baseline.totals, { totalCustomers: 2, totalCost: 1763.4, pooledCost: 1737.41, estimatedSavings: 25.99, savingsPercentage: 1.47 });
+  assert.equal(cents(sumOf(baseline.members, 'pooled')), cents(baseline.totals.pooledCost));
+  assert.equal(cents(sumOf(baseline.members, 'standalone')), cents(baseline.totals.totalCost));
+});
+
+test('adding a stored invoice: more volume, more savings for every existing member', () => {
+  const [result] = compare([{ name: 'Gamma joins', additions: [{ invoiceId: 'gamma-1' }] }]).scenarios;
+
+  assert.equal(result.name, 'Gamma joins');
+  assert.deepEqual(result.members.map(({ customerId, hypothetical, savings, savingsChange }) => [customerId, hypothetical, savings, savingsChange]), [
+    ['acme', false, 15.97, 4.76],
+    ['beta', false, 21.13, 6.35],
+    // New members have nothing to compare with
+    ['gamma', true, 8.89, null]
+  ]);
+  assert.deepEqual(result.change, { totalCost: 460, pooledCost: 440, estimatedSavings: 20 });
+  assert.equal(cents(sumOf(result.members, 'pooled')), cents(result.totals.pooledCost));
+});
+
+test('a prospect is priced at catalog rates from its usage; a stated cost doesn\'t change its standalone', () => {
+  const usageOnly = { customerName: 'Delta Ltd', skus: [{ skuId: 'EC2-t3.micro-us-east-1', usage: 20000 }, { skuId: 'S3-Standard-us-east-1', usage: 100000 }] };
+  const withCost = { ...usageOnly, skus: [usageOnly.skus[0], { ...usageOnly.skus[1], totalCost: 2000 }] };
+  const [fromUsage, fromCost] = compare([{ additions: [usageOnly] }, { additions: [withCost] }]).scenarios;
+
+  const prospect = fromUsage.members.find(member => member.hypothetical);
+  assert.deepEqual(
+    { customerId: prospect.customerId, invoiceIds: prospect.invoiceIds, standalone: prospect.standalone, pooled: prospect.pooled },
+    { customerId: 'prospect-delta-ltd', invoiceIds: ['prospect-0'], standalone: 2439.71, pooled: 2415.32 }
+  );
+  assert.deepEqual(fromCost.members, fromUsage.members);
+  assert.equal(fromUsage.name, 'Scenario 1');
+});
+
+test('removing a customer takes out all their invoices; removing one invoice keeps the customer', () => {
+  const [withoutBeta, withoutAcme2] = compare([{ removals: [{ customerId: 'beta' }] }, { removals: [{ invoiceId: 'acme-2' }] }]).scenarios;
+
+  assert.deepEqual(withoutBeta.removedCustomers, ['beta']);
+  // Alone in the pool: nothing to share, so no savings
+  assert.deepEqual(withoutBeta.members.map(({ customerId, pooled, savings, savingsChange }) => [customerId, pooled, savings, savingsChange]), [['acme', 757.6, 0, -11.21]]);
+  assert.deepEqual(withoutBeta.change, { totalCost: -1005.8, pooledCost: -979.81, estimatedSavings: -25.99 });
+
+  assert.deepEqual(withoutAcme2.removedCustomers, []);
+  assert.deepEqual(withoutAcme2.members[0].invoiceIds, ['acme-1']);
+  assert.equal(withoutAcme2.members[0].standalone, 734.2);
+});
+
+test('members\' pooled costs follow the allocation strategy; pool totals don\'t', () => {
+  const scenarios = [{ additions: [{ invoiceId: 'gamma-1' }] }];
+  const proportional = compare(scenarios, 'proportional');
+  const shapley = compare(scenarios, 'shapley');
+
+  assert.deepEqual(shapley.scenarios[0].totals, proportional.scenarios[0].totals);
+  assert.notDeepEqual(shapley.scenarios[0].members.map(member => member.pooled), proportional.scenarios[0].members.map(member => member.pooled));
+  assert.equal(cents(sumOf(shapley.scenarios[0].members, 'pooled')), cents(shapley.scenarios[0].totals.pooledCost));
+});
+
+test('the pool\'s invoices aren\'t changed by a simulation', () => {
+  const before = structuredClone(base);
+  compare([{ removals: [{ customerId: 'acme' }], additions: [{ invoiceId: 'gamma-1' }, { customerName: 'Delta', skus: [{ skuId: 'S3-Standard-us-east-1', usage: 100 }] }] }]);
+
+  assert.deepEqual(base, before);
+  assert.equal(gamma.hypothetical, undefined);
+});
+
+test('invalid additions and removals are refused with their status', () => {
+  const refused = (scenario, status, message) => assert.throws(
+    () => compare([scenario]),
+    error => error instanceof ScenarioError && error.status === status && message.test(error.message)
+  );
+
+  refused({ additions: [{ skus: [{ skuId: 'S3-Standard-us-east-1', usage: 1 }] }] }, 400, /needs a customerName/);
+  refused({ additions: [{ customerName: 'Delta', skus: [] }] }, 400, /needs at least one SKU/);
+  refused({ additions: [{ customerName: 'Delta', skus: [{ skuId: 'EC2-m5.large-us-east-1', usage: 1 }] }] }, 400, /Unknown SKU "EC2-m5.large-us-east-1"/);
+  refused({ additions: [{ customerName: 'Delta', skus: [{ skuId: 'S3-Standard-us-east-1', usage: -1 }] }] }, 400, /usage must be a non-negative number/);
+  refused({ additions: [{ customerName: 'Delta', skus: [{ skuId: 'S3-Standard-us-east-1', usage: 1, totalCost: 'a lot' }] }] }, 400, /totalCost must be a non-negative number/);
+  refused({ additions: [{ invoiceId: 'missing' }] }, 404, /Invoice missing not found/);
+  refused({ additions: [{ invoiceId: 'beta-1' }] }, 400, /already in the pool/);
+  refused({ removals: [{ customerId: 'gamma' }] }, 404, /gamma is not a member of the base pool/);
+});
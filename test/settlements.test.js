@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { allocateInvoices } = require('../lib/allocation');
+const { createFileStore } = require('../lib/storage/fileStore');
+const { createPricingCatalog } = require('../lib/pricingCatalog');
+const { createSettlements } = require('../lib/settlements');
+
+const pricingCatalog = createPricingCatalog({ catalogDir: path.join(__dirname, '..', 'catalog') });
+const period = '2025-10';
+
+const invoice = (id, customerId, skus) => ({
+  id,
+  customerId,
+  customerName: customerId,
+  billingPeriod: period,
+  skus: skus.map(([skuId, usage, totalCost]) => ({ skuId, usage, totalCost, region: 'us-east-1' })),
+  totalCost: skus.reduce((sum, [, , totalCost]) => sum + totalCost, 0)
+});
+
+// Acme has two linked accounts, so its statement covers two invoices
+const invoices = [
+  invoice('acme-1', 'acme', [['EC2-t3.micro-us-east-1', 5000, 44.2], ['S3-Standard-us-east-1', 30000, 690]]),
+  invoice('acme-2', 'acme', [['EC2-t3.micro-us-east-1', 3000, 23.4]]),
+  invoice('beta-1', 'beta', [['EC2-t3.micro-us-east-1', 9000, 86], ['S3-Standard-us-east-1', 40000, 920]]),
+  invoice('gamma-1', 'gamma', [['S3-Standard-us-east-1', 2000, 46]])
+];
+
+const settleWith = async (allocationStrategy) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'settlements-'));
+  const storage = createFileStore({ dataDir });
+  await storage.put('pools', { id: 'pool-default', name: 'Main Pool', allocationStrategy });
+  for (const entry of invoices) await storage.put('invoices', entry);
+
+  const settlements = createSettlements({ storage, pricingCatalog });
+  const settlement = await settlements.settlePeriod({ poolId: 'pool-default', period, trigger: 'manual', settledBy: 'test' });
+  const statements = await settlements.listStatements({ settlementId: settlement.id });
+  fs.rmSync(dataDir, { recursive: true, force: true });
+  return { settlement, statements };
+};
+
+['proportional', 'shapley'].forEach(strategy => {
+  test(`${strategy}: statements charge each member their share under the pool's strategy`, async () => {
+    const { settlement, statements } = await settleWith(strategy);
+    const allocation = allocateInvoices(invoices, pricingCatalog.getActive(new Date(`${period}-01T00:00:00Z`)), strategy);
+
+    assert.equal(settlement.allocationStrategy, strategy);
+    statements.forEach(statement => {
+      assert.equal(statement.allocationStrategy, strategy);
+      assert.equal(Math.round(statement.totals.charge * 100), Math.round(allocation.customerShares[statement.customerId] * 100));
+      const lineTotal = statement.lineItems.reduce((sum, line) => sum + line.charge, 0);
+      assert.equal(Math.round(lineTotal * 100), Math.round(statement.totals.charge * 100));
+    });
+  });
+});
+
+test('proportional and shapley statements differ for the same month', async () => {
+  const charges = async (strategy) => Object.fromEntries((await settleWith(strategy)).statements
+    .map(statement => [statement.customerId, statement.totals.charge]));
+
+  assert.notDeepEqual(await charges('proportional'), await charges('shapley'));
+});
+
+test('each statement PDF is its own file, matching the statement\'s pdfChecksum', async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'settlements-'));
+  const storage = createFileStore({ dataDir });
+  await storage.put('pools', { id: 'pool-default', name: 'Main Pool', allocationStrategy: 'proportional' });
+  for (const entry of invoices) await storage.put('invoices', entry);
+
+  const settlements = createSettlements({ storage, pricingCatalog });
+  const settlement = await settlements.settlePeriod({ poolId: 'pool-default', period, trigger: 'manual', settledBy: 'test' });
+  const [statement] = settlement.statements;
+  const { pdf } = await settlements.getStatementPDF(statement.id);
+  const stored = await settlements.getStatement(statement.id);
+
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+  assert.equal(crypto.createHash('sha256').update(pdf).digest('hex'), stored.pdfChecksum);
+  // Not in a collection file that every statement would rewrite
+  assert.equal(fs.existsSync(path.join(dataDir, 'statement-files.json')), false);
+  assert.equal(fs.readdirSync(path.join(dataDir, 'files', 'statement-files')).length, settlement.statements.length);
+  await assert.rejects(settlements.getStatementPDF(statement.id, { customerId: 'someone-else' }), /not found/);
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { zipSync, strToU8 } = require('fflate');
+const { MAX_BATCH_FILES, UploadError, expandUploads } = require('../lib/uploads');
+
+// Files as express-fileupload hands them over
+const upload = (name, data, mimetype = '') => ({ name, data: Buffer.from(data), mimetype });
+
+const zipUpload = (name, entries) => upload(name, zipSync(entries), 'application/zip');
+
+test('loose PDFs and CSVs are kept, other files are skipped', () => {
+  const { files, skipped } = expandUploads([
+    upload('october.pdf', '%PDF-1.4'),
+    upload('cur.csv', 'lineItem/UsageAccountId', 'text/csv'),
+    upload('export', 'a,b', 'application/vnd.ms-excel'),
+    upload('notes.txt', 'hello', 'text/plain')
+  ]);
+
+  assert.deepEqual(files.map(file => file.name), ['october.pdf', 'cur.csv', 'export']);
+  assert.deepEqual(skipped, [{ fileName: 'notes.txt', reason: 'Not a PDF, CSV or ZIP file' }]);
+});
+
+test('one uploaded file works like a batch of one', () => {
+  assert.deepEqual(expandUploads(upload('october.pdf', '%PDF-1.4')).files.map(file => file.name), ['october.pdf']);
+});
+
+test('ZIPs are unpacked into their PDFs and CSVs', () => {
+  const { files, skipped } = expandUploads(zipUpload('invoices.zip', {
+    'september.pdf': strToU8('%PDF-1.4 september'),
+    'exports/cur.csv': strToU8('a,b'),
+    'exports/': new Uint8Array(0),
+    'readme.txt': strToU8('not an invoice'),
+    '.DS_Store': strToU8('x'),
+    '__MACOSX/._september.pdf': strToU8('x')
+  }));
+
+  assert.deepEqual(files.map(({ name, mimetype, archive }) => ({ name, mimetype, archive })), [
+    { name: 'september.pdf', mimetype: 'application/pdf', archive: 'invoices.zip' },
+    { name: 'cur.csv', mimetype: 'text/csv', archive: 'invoices.zip' }
+  ]);
+  assert.equal(files[0].data.toString(), '%PDF-1.4 september');
+  assert.deepEqual(skipped, [{ fileName: 'invoices.zip/readme.txt', reason: 'Not a PDF or CSV file' }]);
+});
+
+test('files in a ZIP larger than 10MB are skipped', () => {
+  const { files, skipped } = expandUploads(zipUpload('big.zip', {
+    'huge.pdf': new Uint8Array(10 * 1024 * 1024 + 1),
+    'small.pdf': strToU8('%PDF-1.4')
+  }));
+
+  assert.deepEqual(files.map(file => file.name), ['small.pdf']);
+  assert.deepEqual(skipped, [{ fileName: 'big.zip/huge.pdf', reason: 'Larger than 10MB' }]);
+});
+
+test('an unreadable ZIP is skipped with the reason', () => {
+  const { files, skipped } = expandUploads(upload('broken.zip', 'not a zip archive', 'application/zip'));
+
+  assert.deepEqual(files, []);
+  assert.equal(skipped.length, 1);
+  assert.match(skipped[0].reason, /^Could not read ZIP archive/);
+});
+
+test(`a batch holds at most ${MAX_BATCH_FILES} invoices, counted after unpacking`, () => {
+  const entries = (count) => Object.fromEntries(Array.from({ length: count }, (_, index) => [`invoice-${index}.pdf`, strToU8('%PDF-1.4')]));
+
+  assert.equal(expandUploads([zipUpload('a.zip', entries(49)), upload('last.pdf', '%PDF-1.4')]).files.length, 50);
+  assert.throws(
+    () => expandUploads([zipUpload('a.zip', entries(50)), upload('one-too-many.pdf', '%PDF-1.4')]),
+    error => error instanceof UploadError && error.status === 400 && /at most 50 invoices; this one has 51/.test(error.message)
+  );
+});